@@ -1,267 +1,236 @@
-// RootApp.js - COMPLETE VERSION WITH REPORT REFRESH
-import React, { useState } from "react";
-import { View, Text } from "react-native";
-import LoginScreen from "./screens/LoginScreen";
-import AdminHomeScreen from "./screens/Admin/AdminHomeScreen";
-import TechnicianHomeScreen from "./screens/Technician/TechnicianHomeScreen";
-import CertificationServiceScreen from "./screens/Technician/CertificationServiceScreen";
-import MapScreen from "./screens/Technician/MyocideScreen";
-import NavigationScreen from "./screens/Technician/NavigationScreen";
-import DisinfectionScreen from "./screens/Technician/DisinfectionScreen";
-import InsecticideScreen from "./screens/Technician/InsecticideScreen";
-import SpecialServicesScreen from "./screens/Technician/SpecialServicesScreen";
-import ReportScreen from "./screens/Technician/ReportScreen";
-import CustomerHomeScreen from "./screens/Customer/CustomerHomeScreen";
-import CustomerVisitsScreen from "./screens/Customer/CustomerVisitsScreen";
-import CustomerProfile from "./screens/Admin/CustomerProfile";
-import PasswordRecovery from "./screens/PasswordRecovery";
-import apiService from "./services/apiService";
+// RootApp.js - Session, compatibility and role; screens live in AppNavigator
+import React, { useEffect, useState } from "react";
+import { AppState, StyleSheet, View } from "react-native";
+import UpdateRequiredScreen from "./screens/UpdateRequiredScreen";
+import SplashScreen from "./screens/SplashScreen";
+import QuickUnlockScreen from "./screens/QuickUnlockScreen";
+import AppNavigator from "./navigation/AppNavigator";
+import apiService, { COMPATIBILITY_STATUS } from "./services/apiService";
+import {
+  QUICK_UNLOCK_POLICY,
+  QUICK_UNLOCK_RELOCK_AFTER_MS,
+  getQuickUnlockPolicy,
+  getQuickUnlockSettings,
+  clearQuickUnlock
+} from "./services/quickUnlock";
 
 export default function RootApp() {
   const [loggedTechnician, setLoggedTechnician] = useState(null);
   const [isAdmin, setIsAdmin] = useState(false);
-  const [currentCustomer, setCurrentCustomer] = useState(null);
-  const [currentSession, setCurrentSession] = useState(null);
-  const [showNavigation, setShowNavigation] = useState(false);
-  const [showReport, setShowReport] = useState(false);
-  const [reportContext, setReportContext] = useState(null);
-  const [reportRefreshKey, setReportRefreshKey] = useState(0);
   const [loggedCustomer, setLoggedCustomer] = useState(null);
-  const [customerView, setCustomerView] = useState("home"); 
-  const [selectedVisit, setSelectedVisit] = useState(null);
-  const [adminView, setAdminView] = useState("home"); 
-  const [adminCustomerId, setAdminCustomerId] = useState(null);
-  const [authView, setAuthView] = useState("login"); 
   const [
   adminMustChangePassword,
   setAdminMustChangePassword
 ] = useState(false);
+  const [adminTwoFactorEnabled, setAdminTwoFactorEnabled] = useState(false);
+  const [compatibility, setCompatibility] = useState(null);
+  const [sessionNotice, setSessionNotice] = useState(null);
+  const [restoringSession, setRestoringSession] = useState(true);
+  const [quickUnlockGate, setQuickUnlockGate] = useState(null);
+
+  // Decide whether a technician session has to be unlocked or protected first
+  const getQuickUnlockGate = async (technician, { freshLogin }) => {
+    const policy = getQuickUnlockPolicy(technician);
+    const technicianId = technician?.technicianId || technician?.id;
+
+    if (policy === QUICK_UNLOCK_POLICY.DISABLED) {
+      await clearQuickUnlock();
+      return null;
+    }
 
-  const handleLogout = async () => {
-    await apiService.clearAuthToken();
+    const settings = await getQuickUnlockSettings();
+    if (settings && settings.technicianId === technicianId) {
+      return freshLogin ? null : { mode: "unlock" };
+    }
 
-    setLoggedTechnician(null);
-    setIsAdmin(false);
-    setAdminMustChangePassword(false);
-    setCurrentCustomer(null);
-    setCurrentSession(null);
-    setShowNavigation(false);
-    setShowReport(false);
-    setReportContext(null);
-    setReportRefreshKey(0);
-    setLoggedCustomer(null);
+    // Set up by someone else on this shared device
+    if (settings) await clearQuickUnlock();
+
+    if (freshLogin || policy === QUICK_UNLOCK_POLICY.REQUIRED) {
+      return {
+        mode: "setup",
+        required: policy === QUICK_UNLOCK_POLICY.REQUIRED
+      };
+    }
+
+    return null;
   };
-  // Report refresh function
-  const refreshReport = () => {
-    setReportRefreshKey(prev => prev + 1);
+
+  const checkCompatibility = async () => {
+    const result = await apiService.checkApiCompatibility();
+    setCompatibility(result);
   };
 
-  // Handle report generation
-  const handleGenerateReport = (context) => {
-    // Add refresh function to context
-    const enhancedContext = {
-      ...context,
-      onRefresh: refreshReport
+  // Make sure the backend and this build understand each other before use
+  useEffect(() => {
+    checkCompatibility();
+  }, []);
+
+  // Sign back in from the stored token on cold start
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const restored = await apiService.restoreSession();
+        if (cancelled || !restored.success) return;
+
+        if (restored.role === "admin") {
+          setIsAdmin(true);
+          setAdminMustChangePassword(restored.mustChangePassword === true);
+          setAdminTwoFactorEnabled(restored.twoFactorEnabled === true);
+        } else if (restored.role === "tech" && restored.technician) {
+          const gate = await getQuickUnlockGate(restored.technician, {
+            freshLogin: false
+          });
+          if (cancelled) return;
+
+          setQuickUnlockGate(gate);
+          setLoggedTechnician(restored.technician);
+        } else if (restored.role === "customer" && restored.customer) {
+          setLoggedCustomer(restored.customer);
+        }
+      } catch (error) {
+        console.error("❌ Failed to restore session:", error);
+      } finally {
+        if (!cancelled) setRestoringSession(false);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
     };
-    
-    setReportContext(enhancedContext);
-    setShowReport(true);
-  };
+  }, []);
 
-  // 🧑 CUSTOMER FLOW
-  if (loggedCustomer) {
-    // 1️⃣ Customer Home
-    if (customerView === "home") {
-      return (
-        <CustomerHomeScreen
-          customer={loggedCustomer}
-          onLogout={handleLogout}
-          onViewVisits={() => setCustomerView("visits")}
-        />
-      );
-    }
+  // The token could not be refreshed - back to login with an explanation
+  useEffect(() => {
+    return apiService.subscribeToSessionExpired(async () => {
+      await handleLogout();
+      setSessionNotice("expired");
+    });
+  }, []);
 
-    // 2️⃣ Customer Visits List
-    if (customerView === "visits") {
-      return (
-        <CustomerVisitsScreen
-          onBack={() => setCustomerView("home")}
-          onSelectVisit={(visit) => {
-            setSelectedVisit(visit);
-            setCustomerView("report");
-          }}
-        />
-      );
-    }
+  // Upload visits that were saved while the technician was offline
+  useEffect(() => {
+    if (!loggedTechnician) return;
 
-    // 3️⃣ Read-only Report
-    if (customerView === "report" && selectedVisit) {
-      return (
-        <ReportScreen
-          context={{
-            visitId: selectedVisit.visitId,
-            serviceType: selectedVisit.serviceType,
-            customerName: selectedVisit.customerName,
-            technicianName: selectedVisit.technicianName,
-            startTime: selectedVisit.startTime,
-            readOnly: true
-          }}
-          onBack={() => {
-            setSelectedVisit(null);
-            setCustomerView("visits");
-          }}
-        />
-      );
-    }
-  }
+    return apiService.startServiceLogOutboxSync();
+  }, [loggedTechnician]);
 
+  // Lock again when the phone was put away for a while
+  useEffect(() => {
+    if (!loggedTechnician) return;
 
-  // 1️⃣ LOGIN (LAST)
-  if (!loggedTechnician && !isAdmin && !loggedCustomer) {
-    if (authView === "passwordRecovery") {
-      return (
-        <PasswordRecovery
-          onBack={() => setAuthView("login")}
-          onDone={() => setAuthView("login")}
-        />
-      );
-    }
+    const technicianId = loggedTechnician.technicianId || loggedTechnician.id;
+    let backgroundedAt = null;
 
-    return (
-      <LoginScreen
-        onAdminLogin={(mustChangePassword = false) => {
-          setIsAdmin(true);
+    const subscription = AppState.addEventListener("change", async (state) => {
+      if (state === "background") {
+        backgroundedAt = Date.now();
+        return;
+      }
 
-          setAdminMustChangePassword(
-            mustChangePassword === true
-          );
-        }}
-        onTechnicianLogin={(tech) => setLoggedTechnician(tech)}
-        onCustomerLogin={(customer) => setLoggedCustomer(customer)}
-        onPasswordRecovery={() => setAuthView("passwordRecovery")}
-      />
-    );
-  }
+      if (state !== "active" || !backgroundedAt) return;
 
-  // 2️⃣ ADMIN FLOW
-  if (isAdmin) {
-    if (adminView === "home") {
-      return (
-        <AdminHomeScreen
-          onLogout={handleLogout}
-          forcePasswordChange={adminMustChangePassword}
-          onPasswordChanged={() =>
-            setAdminMustChangePassword(false)
-          }
-          onOpenCustomerProfile={(customerId) => {
-            setAdminCustomerId(customerId);
-            setAdminView("customerProfile");
-          }}
-        />
-      );
-    }
+      const awayFor = Date.now() - backgroundedAt;
+      backgroundedAt = null;
+      if (awayFor < QUICK_UNLOCK_RELOCK_AFTER_MS) return;
 
-    if (adminView === "customerProfile" && adminCustomerId) {
-      return (
-        <CustomerProfile
-          customerId={adminCustomerId}
-          onBack={() => {
-            setAdminCustomerId(null);
-            setAdminView("home");
-          }}
-        />
-      );
-    }
-  }
+      const settings = await getQuickUnlockSettings();
+      if (settings?.technicianId === technicianId) {
+        setQuickUnlockGate((current) => current || { mode: "unlock" });
+      }
+    });
+
+    return () => subscription.remove();
+  }, [loggedTechnician]);
 
-  // 3️⃣ NAVIGATION SCREEN
-  if (showNavigation && currentCustomer) {
+  const handleLogout = async () => {
+    await apiService.clearAuthToken();
+    await clearQuickUnlock();
+
+    setLoggedTechnician(null);
+    setQuickUnlockGate(null);
+    setIsAdmin(false);
+    setAdminMustChangePassword(false);
+    setAdminTwoFactorEnabled(false);
+    setLoggedCustomer(null);
+  };
+
+  if (compatibility && compatibility.status !== COMPATIBILITY_STATUS.OK) {
     return (
-      <NavigationScreen
-        customer={currentCustomer}
-        technician={loggedTechnician}
-        onBack={() => setShowNavigation(false)}
-        
-        onNavigateToService={() => setShowNavigation(false)}
+      <UpdateRequiredScreen
+        compatibility={compatibility}
+        onRetry={checkCompatibility}
       />
     );
   }
 
-  // 4️⃣ REPORT SCREEN (with refresh key)
-  if (showReport && reportContext) {
-    return (
-      <ReportScreen
-        key={`report-${reportRefreshKey}`} // This forces re-render when key changes
-        context={reportContext}
-        onBack={() => {
-          setShowReport(false);
-          setReportContext(null);
-        }}
-      />
-    );
+  if (restoringSession) {
+    return <SplashScreen />;
   }
 
-  // 5️⃣ TECHNICIAN HOME
-  if (loggedTechnician && !currentCustomer) {
-    return (
-      <TechnicianHomeScreen
+  const role = isAdmin
+    ? "admin"
+    : loggedTechnician
+      ? "tech"
+      : loggedCustomer
+        ? "customer"
+        : null;
+
+  return (
+    <View style={styles.container}>
+      <AppNavigator
+        role={role}
         technician={loggedTechnician}
-        onLogout={handleLogout}
-        onSelectCustomer={(customer, session) => {
-
-          setCurrentCustomer(customer);
-          setCurrentSession(session || null);
+        customer={loggedCustomer}
+        adminMustChangePassword={adminMustChangePassword}
+        onAdminPasswordChanged={() => {
+          setAdminMustChangePassword(false);
+          apiService.updateSessionProfile({ mustChangePassword: false });
         }}
-        onNavigateToCustomer={(customer) => {
-          setCurrentCustomer(customer);
-          setShowNavigation(true);
+        adminTwoFactorEnabled={adminTwoFactorEnabled}
+        onAdminTwoFactorEnabled={() => setAdminTwoFactorEnabled(true)}
+        onLogout={handleLogout}
+        authProps={{
+          notice: sessionNotice,
+          onAdminLogin: (mustChangePassword = false, twoFactorEnabled = false) => {
+            setSessionNotice(null);
+            setIsAdmin(true);
+            setAdminMustChangePassword(mustChangePassword === true);
+            setAdminTwoFactorEnabled(twoFactorEnabled === true);
+          },
+          onTechnicianLogin: async (tech) => {
+            setSessionNotice(null);
+            setQuickUnlockGate(await getQuickUnlockGate(tech, { freshLogin: true }));
+            setLoggedTechnician(tech);
+          },
+          onCustomerLogin: (customer) => {
+            setSessionNotice(null);
+            setLoggedCustomer(customer);
+          }
         }}
       />
-    );
-  }
-
-  // 6️⃣ SERVICE SCREENS
-  if (loggedTechnician && currentCustomer && !showNavigation && !showReport) {
-    const serviceType = currentSession?.serviceType ||
-      currentSession?.service_type ||
-      currentSession?.rawAppointment?.serviceType ||
-      currentSession?.rawAppointment?.service_type ||
-      "myocide";   
-    
-    // Common props for all service screens
-    const commonProps = {
-      technician: loggedTechnician,
-      customer: currentCustomer,
-      session: currentSession || {},
-      onBack: () => {
-        setCurrentCustomer(null);
-        setCurrentSession(null);
-      },
-      onNavigate: () => {
-        setShowNavigation(true);
-      },
-      onGenerateReport: handleGenerateReport
-    };
-    
-    // Render the appropriate screen based on service type
-    switch (serviceType) {
-      case "disinfection":
-        return <DisinfectionScreen {...commonProps} />;
-      case "insecticide":
-        return <InsecticideScreen {...commonProps} />;
-      case "special":
-        return <SpecialServicesScreen {...commonProps} />;
-        case "certificate":
-          return (
-            <CertificationServiceScreen
-              {...commonProps}
-            />
-          );
-      case "myocide":
-      default:
-        return <MapScreen {...commonProps} />;
-    }
-  }
 
-  return null;
-}
\ No newline at end of file
+      {/* Over the navigator so an unlock keeps the technician where they were */}
+      {loggedTechnician && quickUnlockGate && (
+        <View style={StyleSheet.absoluteFill}>
+          <QuickUnlockScreen
+            mode={quickUnlockGate.mode}
+            required={quickUnlockGate.required}
+            technician={loggedTechnician}
+            onUnlocked={() => setQuickUnlockGate(null)}
+            onSkip={() => setQuickUnlockGate(null)}
+            onUsePassword={handleLogout}
+          />
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+});
@@ -0,0 +1,169 @@
+// ConflictWarningModal.js - Scheduling warnings the admin can book through with a reason
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  StyleSheet
+} from "react-native";
+import { MaterialIcons } from "@expo/vector-icons";
+import i18n from "../services/i18n";
+
+export default function ConflictWarningModal({ visible, warnings = [], onCancel, onConfirm }) {
+  const [reason, setReason] = useState("");
+
+  // Every booking gets its own reason
+  useEffect(() => {
+    if (visible) setReason("");
+  }, [visible]);
+
+  const canConfirm = reason.trim().length > 0;
+
+  return (
+    <Modal animationType="fade" transparent visible={visible} onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <View style={styles.card}>
+          <View style={styles.header}>
+            <MaterialIcons name="warning" size={22} color="#e67e22" />
+            <Text style={styles.title}>{i18n.t("admin.scheduleConflicts.title")}</Text>
+          </View>
+
+          {warnings.map((warning, index) => (
+            <View key={index} style={styles.warningRow}>
+              <MaterialIcons name="error-outline" size={16} color="#e67e22" />
+              <Text style={styles.warningText}>{warning}</Text>
+            </View>
+          ))}
+
+          <Text style={styles.label}>{i18n.t("admin.scheduleConflicts.reasonLabel")}</Text>
+          <TextInput
+            style={styles.input}
+            placeholder={i18n.t("admin.scheduleConflicts.reasonPlaceholder")}
+            placeholderTextColor="#999"
+            value={reason}
+            onChangeText={setReason}
+            multiline
+          />
+
+          <View style={styles.footer}>
+            <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onCancel} activeOpacity={0.7}>
+              <Text style={styles.cancelButtonText}>{i18n.t("common.cancel")}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.confirmButton, !canConfirm && styles.buttonDisabled]}
+              onPress={() => onConfirm(reason.trim())}
+              disabled={!canConfirm}
+              activeOpacity={0.7}
+            >
+              <Text style={styles.confirmButtonText}>{i18n.t("admin.scheduleConflicts.bookAnyway")}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.5)",
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 20,
+  },
+  card: {
+    width: "100%",
+    maxWidth: 480,
+    backgroundColor: "#fff",
+    borderRadius: 16,
+    padding: 20,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: "600",
+    color: "#2c3e50",
+    fontFamily: 'System',
+  },
+
+  // WARNINGS
+  warningRow: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    gap: 8,
+    backgroundColor: "#fdf2e9",
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 8,
+  },
+  warningText: {
+    flex: 1,
+    fontSize: 14,
+    color: "#2c3e50",
+    lineHeight: 20,
+    fontFamily: 'System',
+  },
+
+  // REASON
+  label: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#2c3e50",
+    marginTop: 8,
+    marginBottom: 8,
+    fontFamily: 'System',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: "#e9ecef",
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 15,
+    color: "#333",
+    minHeight: 70,
+    textAlignVertical: "top",
+    fontFamily: 'System',
+  },
+
+  // FOOTER
+  footer: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    gap: 12,
+    marginTop: 16,
+  },
+  button: {
+    paddingVertical: 12,
+    paddingHorizontal: 18,
+    borderRadius: 8,
+  },
+  cancelButton: {
+    backgroundColor: "#f8f9fa",
+  },
+  cancelButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#666",
+    fontFamily: 'System',
+  },
+  confirmButton: {
+    backgroundColor: "#e67e22",
+  },
+  confirmButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#fff",
+    fontFamily: 'System',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+});
@@ -0,0 +1,346 @@
+// CustomerMap.js - Tile map with customer pins and territory outlines
+import React, { useEffect, useRef, useState } from "react";
+import {
+  View,
+  Text,
+  Image,
+  TouchableOpacity,
+  Animated,
+  PanResponder,
+  StyleSheet
+} from "react-native";
+import Svg, { Polygon, Polyline, Circle, Text as SvgText } from "react-native-svg";
+import { MaterialIcons } from "@expo/vector-icons";
+import { MAP_ATTRIBUTION, MAP_TILE_URL } from "../constants/routingProviders";
+import { getZoneCentroid } from "../utils/mapZones";
+
+const TILE_SIZE = 256;
+const MIN_ZOOM = 5;
+const MAX_ZOOM = 18;
+
+// Fitting the pins never zooms in further than street level
+const FIT_MAX_ZOOM = 15;
+const FIT_PADDING = 40;
+
+// Greece, shown until something is located
+const DEFAULT_VIEW = { latitude: 38.5, longitude: 23.8, zoom: 6 };
+
+// A press that moves less than this is a tap, not a drag
+const TAP_SLOP = 5;
+
+const PIN_SIZE = 16;
+
+const worldSize = (zoom) => TILE_SIZE * 2 ** zoom;
+
+// Web Mercator, in pixels at the given zoom
+function project({ latitude, longitude }, zoom) {
+  const sin = Math.sin((latitude * Math.PI) / 180);
+  const size = worldSize(zoom);
+
+  return {
+    x: ((longitude + 180) / 360) * size,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+  };
+}
+
+function unproject({ x, y }, zoom) {
+  const n = Math.PI - (2 * Math.PI * y) / worldSize(zoom);
+
+  return {
+    latitude: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+    longitude: (x / worldSize(zoom)) * 360 - 180
+  };
+}
+
+// The closest view that still shows every point
+function fitView(points, width, height) {
+  if (!points.length || !width || !height) return DEFAULT_VIEW;
+
+  const projected = points.map((point) => project(point, 0));
+  const xs = projected.map((p) => p.x);
+  const ys = projected.map((p) => p.y);
+  const span = { x: Math.max(...xs) - Math.min(...xs), y: Math.max(...ys) - Math.min(...ys) };
+  const center = unproject(
+    { x: (Math.max(...xs) + Math.min(...xs)) / 2, y: (Math.max(...ys) + Math.min(...ys)) / 2 },
+    0
+  );
+
+  let zoom = FIT_MAX_ZOOM;
+  while (
+    zoom > MIN_ZOOM &&
+    (span.x * 2 ** zoom > width - FIT_PADDING * 2 || span.y * 2 ** zoom > height - FIT_PADDING * 2)
+  ) {
+    zoom--;
+  }
+
+  return { ...center, zoom };
+}
+
+const getTileUrl = (x, y, zoom) =>
+  MAP_TILE_URL.replace("{z}", zoom).replace("{x}", x).replace("{y}", y);
+
+/**
+ * pins: [{ id, latitude, longitude, color }]
+ * territories: [{ territoryId, name, color, points: [{ latitude, longitude }] }]
+ * draft: points of a territory being drawn; onMapPress gets the tapped { latitude, longitude }
+ */
+export default function CustomerMap({
+  pins = [],
+  territories = [],
+  draft = [],
+  selectedPinId,
+  onPinPress,
+  onMapPress,
+  style
+}) {
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [view, setView] = useState(DEFAULT_VIEW);
+  const pan = useRef(new Animated.ValueXY()).current;
+  const fitted = useRef(false);
+
+  // Fitted to the pins once, then left where the user moves it
+  useEffect(() => {
+    if (!fitted.current && size.width && pins.length) {
+      fitted.current = true;
+      setView(fitView(pins, size.width, size.height));
+    }
+  }, [pins, size]);
+
+  const center = project(view, view.zoom);
+  const origin = { x: center.x - size.width / 2, y: center.y - size.height / 2 };
+
+  const toScreen = (point) => {
+    const p = project(point, view.zoom);
+    return { x: p.x - origin.x, y: p.y - origin.y };
+  };
+
+  // The responder is created once, so it reads the latest view through a ref
+  const latest = useRef({});
+  latest.current = { view, origin, onMapPress };
+  const tapStart = useRef({ x: 0, y: 0 });
+
+  const responder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderTerminationRequest: () => false,
+      onPanResponderGrant: (evt) => {
+        tapStart.current = { x: evt.nativeEvent.locationX, y: evt.nativeEvent.locationY };
+      },
+      onPanResponderMove: Animated.event([null, { dx: pan.x, dy: pan.y }], { useNativeDriver: false }),
+      onPanResponderRelease: (_, gesture) => {
+        const { view: current, origin: topLeft, onMapPress: onPress } = latest.current;
+        pan.setValue({ x: 0, y: 0 });
+
+        if (Math.abs(gesture.dx) < TAP_SLOP && Math.abs(gesture.dy) < TAP_SLOP) {
+          const tapped = { x: topLeft.x + tapStart.current.x, y: topLeft.y + tapStart.current.y };
+          onPress?.(unproject(tapped, current.zoom));
+          return;
+        }
+
+        const moved = project(current, current.zoom);
+        setView({
+          ...unproject({ x: moved.x - gesture.dx, y: moved.y - gesture.dy }, current.zoom),
+          zoom: current.zoom
+        });
+      },
+      onPanResponderTerminate: () => pan.setValue({ x: 0, y: 0 })
+    })
+  ).current;
+
+  const zoomBy = (step) => {
+    setView((prev) => ({ ...prev, zoom: Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, prev.zoom + step)) }));
+  };
+
+  const renderTiles = () => {
+    if (!size.width || !MAP_TILE_URL) return null;
+
+    const count = 2 ** view.zoom;
+    const tiles = [];
+
+    for (let tx = Math.floor(origin.x / TILE_SIZE); tx * TILE_SIZE < origin.x + size.width; tx++) {
+      for (let ty = Math.floor(origin.y / TILE_SIZE); ty * TILE_SIZE < origin.y + size.height; ty++) {
+        if (ty < 0 || ty >= count) continue;
+
+        tiles.push(
+          <Image
+            key={`${view.zoom}/${tx}/${ty}`}
+            source={{ uri: getTileUrl(((tx % count) + count) % count, ty, view.zoom) }}
+            style={[styles.tile, { left: tx * TILE_SIZE - origin.x, top: ty * TILE_SIZE - origin.y }]}
+          />
+        );
+      }
+    }
+
+    return tiles;
+  };
+
+  return (
+    <View
+      style={[styles.container, style]}
+      onLayout={(e) => setSize({ width: e.nativeEvent.layout.width, height: e.nativeEvent.layout.height })}
+      {...responder.panHandlers}
+    >
+      <Animated.View
+        pointerEvents="box-none"
+        style={[StyleSheet.absoluteFill, { transform: pan.getTranslateTransform() }]}
+      >
+        <View pointerEvents="none" style={StyleSheet.absoluteFill}>
+          {renderTiles()}
+        </View>
+
+        {size.width > 0 && (territories.length > 0 || draft.length > 0) && (
+          <Svg pointerEvents="none" width={size.width} height={size.height} style={StyleSheet.absoluteFill}>
+            {territories.map((territory) => {
+              const points = territory.points.map(toScreen);
+              const centroid = getZoneCentroid(points);
+
+              return (
+                <React.Fragment key={territory.territoryId}>
+                  <Polygon
+                    points={points.map((p) => `${p.x},${p.y}`).join(" ")}
+                    fill={territory.color}
+                    fillOpacity={0.12}
+                    stroke={territory.color}
+                    strokeWidth={2}
+                  />
+                  <SvgText
+                    x={centroid.x}
+                    y={centroid.y}
+                    fill={territory.color}
+                    fontSize={12}
+                    fontWeight="bold"
+                    textAnchor="middle"
+                  >
+                    {territory.name}
+                  </SvgText>
+                </React.Fragment>
+              );
+            })}
+
+            {draft.length > 0 && (
+              <>
+                <Polyline
+                  points={draft.map(toScreen).map((p) => `${p.x},${p.y}`).join(" ")}
+                  fill="none"
+                  stroke="#f39c12"
+                  strokeWidth={2}
+                  strokeDasharray="6,4"
+                />
+                {draft.map(toScreen).map((p, index) => (
+                  <Circle key={index} cx={p.x} cy={p.y} r={4} fill="#f39c12" />
+                ))}
+              </>
+            )}
+          </Svg>
+        )}
+
+        {size.width > 0 &&
+          pins.map((pin) => {
+            const p = toScreen(pin);
+            if (p.x < -PIN_SIZE || p.y < -PIN_SIZE || p.x > size.width + PIN_SIZE || p.y > size.height + PIN_SIZE) {
+              return null;
+            }
+
+            const selected = pin.id === selectedPinId;
+            const pinSize = selected ? PIN_SIZE + 8 : PIN_SIZE;
+
+            return (
+              <TouchableOpacity
+                key={pin.id}
+                style={[
+                  styles.pin,
+                  {
+                    left: p.x - pinSize / 2,
+                    top: p.y - pinSize / 2,
+                    width: pinSize,
+                    height: pinSize,
+                    borderRadius: pinSize / 2,
+                    backgroundColor: pin.color
+                  },
+                  selected && styles.pinSelected
+                ]}
+                onPress={() => onPinPress?.(pin.id)}
+                hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+                activeOpacity={0.7}
+              />
+            );
+          })}
+      </Animated.View>
+
+      <View style={styles.controls}>
+        <TouchableOpacity style={styles.controlButton} onPress={() => zoomBy(1)} activeOpacity={0.7}>
+          <MaterialIcons name="add" size={20} color="#2c3e50" />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.controlButton} onPress={() => zoomBy(-1)} activeOpacity={0.7}>
+          <MaterialIcons name="remove" size={20} color="#2c3e50" />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.controlButton}
+          onPress={() => setView(fitView(pins, size.width, size.height))}
+          activeOpacity={0.7}
+        >
+          <MaterialIcons name="fit-screen" size={20} color="#2c3e50" />
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.attribution}>{MAP_ATTRIBUTION}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    overflow: "hidden",
+    backgroundColor: "#e9ecef",
+    borderRadius: 12,
+  },
+  tile: {
+    position: "absolute",
+    width: TILE_SIZE,
+    height: TILE_SIZE,
+  },
+  pin: {
+    position: "absolute",
+    borderWidth: 2,
+    borderColor: "#fff",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.3,
+    shadowRadius: 2,
+    elevation: 3,
+  },
+  pinSelected: {
+    borderColor: "#2c3e50",
+    borderWidth: 3,
+  },
+  controls: {
+    position: "absolute",
+    top: 10,
+    right: 10,
+    gap: 6,
+  },
+  controlButton: {
+    width: 34,
+    height: 34,
+    borderRadius: 8,
+    backgroundColor: "#fff",
+    justifyContent: "center",
+    alignItems: "center",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  attribution: {
+    position: "absolute",
+    right: 4,
+    bottom: 2,
+    fontSize: 10,
+    color: "#555",
+    backgroundColor: "rgba(255, 255, 255, 0.7)",
+    paddingHorizontal: 4,
+    fontFamily: 'System',
+  },
+});
@@ -0,0 +1,523 @@
+// DayRouteModal.js - Suggested visiting order for a technician's day, with a multi-stop route link
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  Modal,
+  ActivityIndicator,
+  Alert,
+  Linking,
+  Platform,
+  StyleSheet
+} from "react-native";
+import { MaterialIcons } from "@expo/vector-icons";
+import i18n from "../services/i18n";
+import {
+  MAX_ROUTE_LINK_STOPS,
+  applyDayRoute,
+  buildRouteLink,
+  getBookedRoute,
+  isFixedStop,
+  loadDayRoute,
+  optimizeDayRoute
+} from "../utils/dayRoute";
+import { formatMinutes } from "../utils/schedulingConflicts";
+
+function showAlert(title, message) {
+  if (Platform.OS === "web") {
+    window.alert(`${title}\n\n${message}`);
+    return;
+  }
+
+  Alert.alert(title, message);
+}
+
+function confirmAction(title, message, onConfirm) {
+  if (Platform.OS === "web") {
+    if (window.confirm(`${title}\n\n${message}`)) onConfirm();
+    return;
+  }
+
+  Alert.alert(title, message, [
+    { text: i18n.t("common.cancel"), style: "cancel" },
+    { text: i18n.t("common.confirm"), onPress: onConfirm }
+  ]);
+}
+
+/**
+ * `canApply` lets the admin pin visits to their booked time and save the
+ * suggested times; technicians only get the order and the route link.
+ */
+export default function DayRouteModal({ visible, technicianId, date, canApply = false, onApplied, onClose }) {
+  const [route, setRoute] = useState(null); // { stops, unlocated, matrix }
+  const [loading, setLoading] = useState(false);
+  const [applying, setApplying] = useState(false);
+
+  useEffect(() => {
+    if (visible && technicianId && date) loadRoute();
+  }, [visible, technicianId, date]);
+
+  const loadRoute = async () => {
+    setLoading(true);
+    setRoute(null);
+    try {
+      setRoute(await loadDayRoute({ technicianId, date }));
+    } catch (error) {
+      console.error("❌ Failed to plan day route:", error);
+      showAlert(i18n.t("common.error"), i18n.t("components.dayRouteModal.loadFailed"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const booked = useMemo(() => (route ? getBookedRoute(route.stops, route.matrix) : null), [route]);
+  const suggested = useMemo(() => (route ? optimizeDayRoute(route.stops, route.matrix) : null), [route]);
+  const link = useMemo(() => (suggested ? buildRouteLink(suggested.visits) : { url: null }), [suggested]);
+
+  const toggleFixed = (stopId) => {
+    setRoute(prev => ({
+      ...prev,
+      stops: prev.stops.map(stop => (stop.id === stopId ? { ...stop, fixed: !stop.fixed } : stop))
+    }));
+  };
+
+  const openRouteLink = () => {
+    Linking.openURL(link.url).catch(() =>
+      showAlert(i18n.t("common.error"), i18n.t("technician.navigation.errors.appNotInstalled"))
+    );
+  };
+
+  const handleApply = () => {
+    confirmAction(
+      i18n.t("components.dayRouteModal.applyTitle"),
+      i18n.t("components.dayRouteModal.applyConfirm"),
+      async () => {
+        setApplying(true);
+        const { updated, failed } = await applyDayRoute(suggested);
+        setApplying(false);
+
+        if (failed) {
+          showAlert(
+            i18n.t("common.error"),
+            failed === 1
+              ? i18n.t("components.dayRouteModal.applyFailed_one", { count: failed })
+              : i18n.t("components.dayRouteModal.applyFailed_other", { count: failed })
+          );
+        } else {
+          showAlert(
+            i18n.t("common.success"),
+            updated === 1
+              ? i18n.t("components.dayRouteModal.applied_one", { count: updated })
+              : i18n.t("components.dayRouteModal.applied_other", { count: updated })
+          );
+        }
+
+        onApplied?.();
+        loadRoute();
+      }
+    );
+  };
+
+  const savedMinutes = booked && suggested ? booked.travelMinutes - suggested.travelMinutes : 0;
+
+  return (
+    <Modal animationType="slide" transparent visible={visible} onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <View style={styles.header}>
+            <View style={{ flex: 1 }}>
+              <Text style={styles.title}>{i18n.t("components.dayRouteModal.title")}</Text>
+              <Text style={styles.subtitle}>{date}</Text>
+            </View>
+            <TouchableOpacity style={styles.closeButton} onPress={onClose} activeOpacity={0.7}>
+              <MaterialIcons name="close" size={22} color="#666" />
+            </TouchableOpacity>
+          </View>
+
+          {loading || !route ? (
+            <View style={styles.loadingContainer}>
+              <ActivityIndicator size="large" color="#1f9c8b" />
+              <Text style={styles.loadingText}>{i18n.t("components.dayRouteModal.loading")}</Text>
+            </View>
+          ) : (
+            <ScrollView style={styles.body}>
+              {route.stops.length === 0 ? (
+                <Text style={styles.emptyText}>{i18n.t("components.dayRouteModal.empty")}</Text>
+              ) : (
+                <>
+                  {/* SUMMARY */}
+                  <View style={styles.summary}>
+                    <Text style={styles.summaryText}>
+                      {i18n.t("components.dayRouteModal.summary", {
+                        booked: booked.travelMinutes,
+                        suggested: suggested.travelMinutes
+                      })}
+                    </Text>
+                    {savedMinutes > 0 && (
+                      <Text style={styles.savedText}>
+                        {i18n.t("components.dayRouteModal.saved", { minutes: savedMinutes })}
+                      </Text>
+                    )}
+                    {suggested.lateMinutes > 0 && (
+                      <Text style={styles.lateText}>
+                        {i18n.t("components.dayRouteModal.late", { minutes: suggested.lateMinutes })}
+                      </Text>
+                    )}
+                  </View>
+
+                  {canApply && <Text style={styles.hintText}>{i18n.t("components.dayRouteModal.fixedHint")}</Text>}
+
+                  {/* STOPS */}
+                  {suggested.visits.map(({ stop, start, travelMinutes, waitMinutes, lateMinutes }, index) => {
+                    const moved = stop.status === "scheduled" && start !== stop.time;
+
+                    return (
+                      <View key={stop.id} style={styles.stopRow}>
+                        <View style={[styles.stopNumber, stop.status === "completed" && styles.stopNumberDone]}>
+                          <Text style={styles.stopNumberText}>{index + 1}</Text>
+                        </View>
+
+                        <View style={styles.stopInfo}>
+                          <View style={styles.stopTimeRow}>
+                            <Text style={styles.stopTime}>{formatMinutes(start)}</Text>
+                            {moved && stop.time !== null && (
+                              <Text style={styles.stopWas}>
+                                {i18n.t("components.dayRouteModal.was", { time: formatMinutes(stop.time) })}
+                              </Text>
+                            )}
+                          </View>
+                          <Text style={styles.stopCustomer} numberOfLines={1}>
+                            {stop.customerName || i18n.t("admin.schedule.appointments.unknownCustomer")}
+                          </Text>
+                          <Text style={styles.stopAddress} numberOfLines={1}>{stop.address}</Text>
+                          {index > 0 && (
+                            <Text style={styles.stopTravel}>
+                              {i18n.t("components.dayRouteModal.drive", { minutes: travelMinutes })}
+                              {waitMinutes >= 5 ? ` · ${i18n.t("components.dayRouteModal.wait", { minutes: waitMinutes })}` : ""}
+                            </Text>
+                          )}
+                          {lateMinutes > 0 && (
+                            <Text style={styles.lateText}>
+                              {i18n.t("components.dayRouteModal.lateStop", { minutes: lateMinutes })}
+                            </Text>
+                          )}
+                        </View>
+
+                        {canApply && stop.status === "scheduled" ? (
+                          <TouchableOpacity
+                            style={[styles.pinButton, stop.fixed && styles.pinButtonActive]}
+                            onPress={() => toggleFixed(stop.id)}
+                            activeOpacity={0.7}
+                          >
+                            <MaterialIcons name="push-pin" size={18} color={stop.fixed ? "#fff" : "#999"} />
+                          </TouchableOpacity>
+                        ) : (
+                          isFixedStop(stop) && <MaterialIcons name="push-pin" size={18} color="#999" />
+                        )}
+                      </View>
+                    );
+                  })}
+                </>
+              )}
+
+              {/* NOT LOCATED */}
+              {route.unlocated.length > 0 && (
+                <View style={styles.unlocatedBox}>
+                  <View style={styles.unlocatedHeader}>
+                    <MaterialIcons name="location-off" size={18} color="#e67e22" />
+                    <Text style={styles.unlocatedTitle}>{i18n.t("components.dayRouteModal.unlocated")}</Text>
+                  </View>
+                  {route.unlocated.map(stop => (
+                    <Text key={stop.id} style={styles.unlocatedText}>
+                      {stop.customerName || i18n.t("admin.schedule.appointments.unknownCustomer")}
+                      {" — "}
+                      {stop.address || i18n.t("technician.common.noAddress")}
+                    </Text>
+                  ))}
+                </View>
+              )}
+            </ScrollView>
+          )}
+
+          {/* FOOTER */}
+          {route && route.stops.length > 0 && (
+            <View style={styles.footer}>
+              {link.truncated && (
+                <Text style={styles.hintText}>{i18n.t("components.dayRouteModal.truncated", { count: MAX_ROUTE_LINK_STOPS })}</Text>
+              )}
+              <View style={styles.footerButtons}>
+                <TouchableOpacity
+                  style={[styles.button, styles.linkButton, !link.url && styles.buttonDisabled]}
+                  onPress={openRouteLink}
+                  disabled={!link.url}
+                  activeOpacity={0.7}
+                >
+                  <MaterialIcons name="directions" size={18} color="#1f9c8b" />
+                  <Text style={styles.linkButtonText}>{i18n.t("components.dayRouteModal.openRoute")}</Text>
+                </TouchableOpacity>
+
+                {canApply && (
+                  <TouchableOpacity
+                    style={[styles.button, styles.applyButton, applying && styles.buttonDisabled]}
+                    onPress={handleApply}
+                    disabled={applying}
+                    activeOpacity={0.7}
+                  >
+                    {applying ? (
+                      <ActivityIndicator size="small" color="#fff" />
+                    ) : (
+                      <Text style={styles.applyButtonText}>{i18n.t("components.dayRouteModal.apply")}</Text>
+                    )}
+                  </TouchableOpacity>
+                )}
+              </View>
+            </View>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.5)",
+    justifyContent: "flex-end",
+  },
+  sheet: {
+    maxHeight: "90%",
+    backgroundColor: "#fff",
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingBottom: 24,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: "#e9ecef",
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: "600",
+    color: "#2c3e50",
+    fontFamily: 'System',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: "#666",
+    marginTop: 2,
+    fontFamily: 'System',
+  },
+  closeButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: "#f8f9fa",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  loadingContainer: {
+    alignItems: "center",
+    paddingVertical: 40,
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: "#666",
+    fontFamily: 'System',
+  },
+  body: {
+    paddingHorizontal: 20,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#666",
+    textAlign: "center",
+    paddingVertical: 32,
+    fontFamily: 'System',
+  },
+
+  // SUMMARY
+  summary: {
+    backgroundColor: "#e9f7f6",
+    borderRadius: 10,
+    padding: 12,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  summaryText: {
+    fontSize: 14,
+    color: "#2c3e50",
+    fontFamily: 'System',
+  },
+  savedText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#1f9c8b",
+    marginTop: 4,
+    fontFamily: 'System',
+  },
+  lateText: {
+    fontSize: 13,
+    color: "#e67e22",
+    marginTop: 4,
+    fontFamily: 'System',
+  },
+  hintText: {
+    fontSize: 12,
+    color: "#999",
+    marginBottom: 8,
+    fontFamily: 'System',
+  },
+
+  // STOPS
+  stopRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  stopNumber: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: "#1f9c8b",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  stopNumberDone: {
+    backgroundColor: "#bbb",
+  },
+  stopNumberText: {
+    fontSize: 13,
+    fontWeight: "700",
+    color: "#fff",
+    fontFamily: 'System',
+  },
+  stopInfo: {
+    flex: 1,
+  },
+  stopTimeRow: {
+    flexDirection: "row",
+    alignItems: "baseline",
+    gap: 8,
+  },
+  stopTime: {
+    fontSize: 15,
+    fontWeight: "700",
+    color: "#1f9c8b",
+    fontFamily: 'System',
+  },
+  stopWas: {
+    fontSize: 12,
+    color: "#999",
+    textDecorationLine: "line-through",
+    fontFamily: 'System',
+  },
+  stopCustomer: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#2c3e50",
+    fontFamily: 'System',
+  },
+  stopAddress: {
+    fontSize: 13,
+    color: "#666",
+    fontFamily: 'System',
+  },
+  stopTravel: {
+    fontSize: 12,
+    color: "#999",
+    marginTop: 2,
+    fontFamily: 'System',
+  },
+  pinButton: {
+    width: 34,
+    height: 34,
+    borderRadius: 17,
+    borderWidth: 1,
+    borderColor: "#e9ecef",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  pinButtonActive: {
+    backgroundColor: "#1f9c8b",
+    borderColor: "#1f9c8b",
+  },
+
+  // NOT LOCATED
+  unlocatedBox: {
+    backgroundColor: "#fdf2e9",
+    borderRadius: 10,
+    padding: 12,
+    marginTop: 16,
+  },
+  unlocatedHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginBottom: 6,
+  },
+  unlocatedTitle: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#2c3e50",
+    fontFamily: 'System',
+  },
+  unlocatedText: {
+    fontSize: 13,
+    color: "#555",
+    marginBottom: 2,
+    fontFamily: 'System',
+  },
+
+  // FOOTER
+  footer: {
+    paddingHorizontal: 20,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: "#e9ecef",
+  },
+  footerButtons: {
+    flexDirection: "row",
+    gap: 12,
+  },
+  button: {
+    flex: 1,
+    flexDirection: "row",
+    justifyContent: "center",
+    alignItems: "center",
+    gap: 6,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  linkButton: {
+    borderWidth: 1,
+    borderColor: "#1f9c8b",
+  },
+  linkButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1f9c8b",
+    fontFamily: 'System',
+  },
+  applyButton: {
+    backgroundColor: "#1f9c8b",
+  },
+  applyButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#fff",
+    fontFamily: 'System',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+});
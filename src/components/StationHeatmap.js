@@ -0,0 +1,331 @@
+// StationHeatmap.js - Floor plan coloured by station activity
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  View,
+  Text,
+  Image,
+  TouchableOpacity,
+  StyleSheet,
+  Platform
+} from "react-native";
+import { API_BASE_URL } from "../services/apiService";
+import i18n from "../services/i18n";
+import { getMarkerLabel } from "../utils/stationLabels";
+import { getStationKey } from "../utils/stationLifecycle";
+
+// Station types each metric is measured on
+const METRIC_TYPES = {
+  consumption: ["BS"],
+  rodents: ["RM", "ST"],
+  insects: ["LT", "PT"]
+};
+
+const PERIODS = [
+  { value: 1, key: "oneMonth" },
+  { value: 3, key: "threeMonths" },
+  { value: 6, key: "sixMonths" },
+  { value: 12, key: "twelveMonths" }
+];
+
+const MARKER_SIZE = 26;
+
+const toNumber = (value) => parseFloat(String(value ?? "").replace("%", "")) || 0;
+
+const getMetricValue = (metric, row) => {
+  if (metric === "consumption") return toNumber(row.consumption);
+  if (metric === "rodents") return toNumber(row.rodents_captured);
+
+  return String(row.station_type).toUpperCase() === "PT"
+    ? toNumber(row.insects_captured)
+    : toNumber(row.mosquitoes) + toNumber(row.lepidoptera) + toNumber(row.drosophila) + toNumber(row.flies);
+};
+
+// Green for quiet stations through yellow to red for hotspots
+const getHeatColor = (ratio) => `hsl(${Math.round(120 * (1 - Math.min(1, ratio)))}, 75%, 45%)`;
+
+const buildImageUrl = (imageName) => {
+  if (!imageName) return null;
+
+  let base = API_BASE_URL.replace("/api", "");
+  if (Platform.OS === "web") {
+    base = base.replace("http://", "https://");
+  }
+
+  return `${base}/uploads/${imageName}`;
+};
+
+/**
+ * Read-only overlay of average station activity on a floor plan.
+ *
+ * @param {Array} maps customer maps with `image` and normalised station coordinates
+ * @param {Array} trendRows logged station rows (station_id, station_type, date, values)
+ */
+function StationHeatmap({ maps = [], trendRows = [] }) {
+  const [mapId, setMapId] = useState(maps[0]?.mapId ?? null);
+  const [metric, setMetric] = useState("consumption");
+  const [months, setMonths] = useState(3);
+  const [width, setWidth] = useState(0);
+  const [imageSize, setImageSize] = useState(null);
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  const map = maps.find((m) => String(m.mapId) === String(mapId)) || maps[0];
+  const imageUri = buildImageUrl(map?.image);
+
+  useEffect(() => {
+    setImageSize(null);
+    if (!imageUri) return;
+
+    Image.getSize(
+      imageUri,
+      (imageWidth, imageHeight) => setImageSize({ width: imageWidth, height: imageHeight }),
+      (error) => console.warn("⚠️ Heatmap image size failed:", error)
+    );
+  }, [imageUri]);
+
+  // Average per station over the period, for the station types the metric applies to
+  const activity = useMemo(() => {
+    const cutoff = new Date();
+    cutoff.setMonth(cutoff.getMonth() - months);
+
+    const totals = new Map();
+    trendRows.forEach((row) => {
+      const type = String(row.station_type || "").toUpperCase();
+      if (!METRIC_TYPES[metric].includes(type)) return;
+      if (row.map_id != null && map && String(row.map_id) !== String(map.mapId)) return;
+      if (!row.date || new Date(row.date) < cutoff) return;
+
+      const key = getStationKey({ id: row.station_id ?? row.station_number, type });
+      const entry = totals.get(key) || { total: 0, count: 0 };
+      entry.total += getMetricValue(metric, row);
+      entry.count++;
+      totals.set(key, entry);
+    });
+
+    return new Map(
+      [...totals].map(([key, entry]) => [key, Number((entry.total / entry.count).toFixed(1))])
+    );
+  }, [trendRows, metric, months, map?.mapId]);
+
+  // Consumption is already a percentage; counts are scaled to the busiest station
+  const scaleMax = metric === "consumption" ? 100 : Math.max(1, ...activity.values());
+
+  const mapStations = (Array.isArray(map?.stations) ? map.stations : []).filter((st) =>
+    METRIC_TYPES[metric].includes(st.type || "BS")
+  );
+
+  const height = imageSize ? (width * imageSize.height) / imageSize.width : 0;
+  const selectedStation = mapStations.find((st) => getStationKey(st) === selectedKey);
+
+  const formatValue = (value) => (metric === "consumption" ? `${value}%` : String(value));
+
+  const renderChips = (options, selected, onSelect) => (
+    <View style={styles.chipRow}>
+      {options.map((option) => (
+        <TouchableOpacity
+          key={option.value}
+          style={[styles.chip, selected === option.value && styles.chipActive]}
+          onPress={() => onSelect(option.value)}
+        >
+          <Text style={[styles.chipText, selected === option.value && styles.chipTextActive]}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  if (!maps.length) {
+    return <Text style={styles.emptyText}>{i18n.t("components.stationHeatmap.noMaps")}</Text>;
+  }
+
+  return (
+    <View>
+      {maps.length > 1 &&
+        renderChips(
+          maps.map((m) => ({ value: m.mapId, label: m.name })),
+          map?.mapId,
+          (value) => {
+            setMapId(value);
+            setSelectedKey(null);
+          }
+        )}
+
+      {renderChips(
+        Object.keys(METRIC_TYPES).map((value) => ({
+          value,
+          label: i18n.t(`components.stationHeatmap.metrics.${value}`)
+        })),
+        metric,
+        (value) => {
+          setMetric(value);
+          setSelectedKey(null);
+        }
+      )}
+
+      {renderChips(
+        PERIODS.map((period) => ({
+          value: period.value,
+          label: i18n.t(`components.stationHeatmap.periods.${period.key}`)
+        })),
+        months,
+        setMonths
+      )}
+
+      <View style={styles.mapFrame} onLayout={(e) => setWidth(e.nativeEvent.layout.width)}>
+        {imageUri && height > 0 ? (
+          <View style={{ width, height }}>
+            <Image source={{ uri: imageUri }} style={{ width, height }} resizeMode="contain" />
+
+            {mapStations.map((st) => {
+              const key = getStationKey(st);
+              const value = activity.get(key);
+              const hasData = value !== undefined;
+
+              return (
+                <TouchableOpacity
+                  key={key}
+                  activeOpacity={0.8}
+                  onPress={() => setSelectedKey(key === selectedKey ? null : key)}
+                  style={[
+                    styles.marker,
+                    {
+                      left: Number(st.x) * width - MARKER_SIZE / 2,
+                      top: Number(st.y) * height - MARKER_SIZE / 2,
+                      backgroundColor: hasData ? getHeatColor(value / scaleMax) : "#fff",
+                      borderColor: hasData ? "#fff" : "#bdbdbd",
+                      transform: [{ scale: key === selectedKey ? 1.25 : 1 }]
+                    }
+                  ]}
+                >
+                  <Text style={[styles.markerText, !hasData && { color: "#999" }]} numberOfLines={1}>
+                    {getMarkerLabel(st)}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        ) : (
+          <Text style={styles.emptyText}>{i18n.t("components.stationHeatmap.noImage")}</Text>
+        )}
+      </View>
+
+      {selectedStation ? (
+        <Text style={styles.caption}>
+          {getMarkerLabel(selectedStation)}:{" "}
+          {activity.has(selectedKey)
+            ? formatValue(activity.get(selectedKey))
+            : i18n.t("components.stationHeatmap.noData")}
+        </Text>
+      ) : activity.size === 0 ? (
+        <Text style={styles.caption}>{i18n.t("components.stationHeatmap.noDataForPeriod")}</Text>
+      ) : null}
+
+      {/* LEGEND */}
+      <View style={styles.legend}>
+        <Text style={styles.legendText}>{formatValue(0)}</Text>
+        {[0, 0.25, 0.5, 0.75, 1].map((ratio) => (
+          <View key={ratio} style={[styles.legendSwatch, { backgroundColor: getHeatColor(ratio) }]} />
+        ))}
+        <Text style={styles.legendText}>{formatValue(Math.round(scaleMax))}</Text>
+        <View style={[styles.legendSwatch, styles.legendNoData]} />
+        <Text style={styles.legendText}>{i18n.t("components.stationHeatmap.noData")}</Text>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginBottom: 10,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#1f9c8b",
+    backgroundColor: "#fff",
+  },
+  chipActive: {
+    backgroundColor: "#1f9c8b",
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#1f9c8b",
+    fontFamily: 'System',
+  },
+  chipTextActive: {
+    color: "#fff",
+  },
+
+  // MAP
+  mapFrame: {
+    width: "100%",
+    minHeight: 120,
+    borderRadius: 12,
+    overflow: "hidden",
+    backgroundColor: "#f8f9fa",
+    justifyContent: "center",
+  },
+  marker: {
+    position: "absolute",
+    width: MARKER_SIZE,
+    height: MARKER_SIZE,
+    borderRadius: MARKER_SIZE / 2,
+    borderWidth: 2,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  markerText: {
+    color: "#fff",
+    fontSize: 8,
+    fontWeight: "bold",
+  },
+
+  // LEGEND
+  caption: {
+    marginTop: 10,
+    fontSize: 14,
+    color: "#2c3e50",
+    textAlign: "center",
+    fontFamily: 'System',
+  },
+  legend: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    flexWrap: "wrap",
+    gap: 4,
+    marginTop: 12,
+  },
+  legendSwatch: {
+    width: 18,
+    height: 12,
+    borderRadius: 3,
+  },
+  legendNoData: {
+    marginLeft: 12,
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#bdbdbd",
+  },
+  legendText: {
+    fontSize: 12,
+    color: "#666",
+    marginHorizontal: 4,
+    fontFamily: 'System',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#999",
+    textAlign: "center",
+    paddingVertical: 24,
+    fontFamily: 'System',
+  },
+});
+
+export default StationHeatmap;
@@ -0,0 +1,136 @@
+// StationScanner.js
+import React, { useRef } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Modal,
+  ActivityIndicator,
+  StyleSheet
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { CameraView, useCameraPermissions } from "expo-camera";
+import i18n from "../services/i18n";
+
+// Full-screen camera that reports the first QR code it sees
+function StationScanner({ visible, onScanned, onClose }) {
+  const [permission, requestPermission] = useCameraPermissions();
+  const handledRef = useRef(false);
+
+  // The camera fires for every frame the code stays in view
+  const handleBarcodeScanned = ({ data }) => {
+    if (handledRef.current) return;
+    handledRef.current = true;
+    onScanned(data);
+  };
+
+  const renderBody = () => {
+    if (!permission) {
+      return <ActivityIndicator size="large" color="#fff" />;
+    }
+
+    if (!permission.granted) {
+      return (
+        <View style={styles.permissionBox}>
+          <Text style={styles.permissionText}>
+            {i18n.t("technician.myocide.scanner.permissionMessage")}
+          </Text>
+          <TouchableOpacity style={styles.button} onPress={requestPermission}>
+            <Text style={styles.buttonText}>
+              {i18n.t("technician.myocide.scanner.allowCamera")}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    return (
+      <>
+        <CameraView
+          style={StyleSheet.absoluteFill}
+          facing="back"
+          barcodeScannerSettings={{ barcodeTypes: ["qr"] }}
+          onBarcodeScanned={handleBarcodeScanned}
+        />
+        <View style={styles.frame} />
+        <Text style={styles.hint}>{i18n.t("technician.myocide.scanner.hint")}</Text>
+      </>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      onShow={() => {
+        handledRef.current = false;
+      }}
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.body}>{renderBody()}</View>
+
+        <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+          <Text style={styles.buttonText}>{i18n.t("common.close")}</Text>
+        </TouchableOpacity>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#000",
+  },
+  body: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  frame: {
+    width: 240,
+    height: 240,
+    borderWidth: 3,
+    borderColor: "#1f9c8b",
+    borderRadius: 16,
+  },
+  hint: {
+    position: "absolute",
+    bottom: 40,
+    color: "#fff",
+    fontSize: 15,
+    textAlign: "center",
+    paddingHorizontal: 24,
+  },
+  permissionBox: {
+    paddingHorizontal: 24,
+    alignItems: "center",
+  },
+  permissionText: {
+    color: "#fff",
+    fontSize: 15,
+    textAlign: "center",
+    marginBottom: 20,
+  },
+  button: {
+    backgroundColor: "#1f9c8b",
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    borderRadius: 8,
+  },
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+  closeButton: {
+    backgroundColor: "#1f9c8d",
+    margin: 16,
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: "center",
+  },
+});
+
+export default StationScanner;
@@ -12,6 +12,7 @@ import {
 import { MaterialIcons } from '@expo/vector-icons';
 import apiService from '../services/apiService';
 import i18n from "../services/i18n";
+import { EXPORT_FORMATS, exportVisitData, loadVisitReport } from "../utils/visitDataExport";
 
 // Conditionally import native modules only for non-web platforms
 let FileSystem, Sharing;
@@ -128,7 +129,7 @@ const certificateCopy = {
         }
       } else {
         // For mobile, use React Native Alert
-        showAlert(title, message, buttons);
+        Alert.alert(title, message, buttons);
       }
     };
   
@@ -179,6 +180,51 @@ const certificateCopy = {
     ]);
   };
 
+  // Station logs, chemicals and treated areas of the visit as a spreadsheet
+  const exportData = async (e, format) => {
+    e?.stopPropagation?.();
+    if (isDownloading) return;
+
+    setActiveDownloadType(format);
+    try {
+      const visitId = visit.visitId ?? visit.visit_id;
+
+      if (!visitId) {
+        throw new Error("Missing visit ID");
+      }
+
+      const report = await loadVisitReport({
+        visitId,
+        serviceType: visit.serviceType ?? visit.service_type
+      });
+
+      const result = await exportVisitData({
+        reports: [{
+          ...report,
+          customerName: report.customerName || report.customer_name || customerName
+        }],
+        format
+      });
+
+      if (!result) {
+        showAlert(
+          i18n.t("technician.report.export.title"),
+          i18n.t("technician.report.export.noData"),
+          [{ text: i18n.t("common.ok") }]
+        );
+      }
+    } catch (error) {
+      console.error("❌ Visit data export error:", error);
+      showAlert(
+        i18n.t("technician.report.export.failed"),
+        error?.message || "",
+        [{ text: i18n.t("common.ok") }]
+      );
+    } finally {
+      setActiveDownloadType(null);
+    }
+  };
+
   const getTranslatedServiceType = (type) => {
     const typeLower = type?.toLowerCase() || '';
     
@@ -569,6 +615,30 @@ const certificateCopy = {
       )}
     </TouchableOpacity>
   )}
+
+  <View style={styles.dataButtons}>
+    {[EXPORT_FORMATS.CSV, EXPORT_FORMATS.XLSX].map((format) => (
+      <TouchableOpacity
+        key={format}
+        style={[
+          styles.dataButton,
+          activeDownloadType === format &&
+            styles.downloadingButton
+        ]}
+        onPress={(event) => exportData(event, format)}
+        activeOpacity={0.7}
+        disabled={isDownloading}
+      >
+        {activeDownloadType === format ? (
+          <ActivityIndicator size="small" color="#fff" />
+        ) : (
+          <Text style={styles.dataButtonText}>
+            {format.toUpperCase()}
+          </Text>
+        )}
+      </TouchableOpacity>
+    ))}
+  </View>
 </View>
       </View>
     </TouchableOpacity>
@@ -645,6 +715,27 @@ downloadingButton: {
   backgroundColor: "#666"
 },
 
+dataButtons: {
+  marginLeft: 8,
+  gap: 4
+},
+
+dataButton: {
+  width: 52,
+  height: 28,
+  borderRadius: 14,
+  backgroundColor: "#2c3e50",
+  justifyContent: "center",
+  alignItems: "center"
+},
+
+dataButtonText: {
+  color: "#fff",
+  fontSize: 10,
+  fontWeight: "700",
+  fontFamily: "System"
+},
+
 certificateButton: {
   width: 100,
   height: 60,
@@ -0,0 +1,40 @@
+const loadEnvironments = (env) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+
+  try {
+    let environments;
+    jest.isolateModules(() => {
+      environments = require("../apiEnvironments");
+    });
+    return environments;
+  } finally {
+    process.env = saved;
+  }
+};
+
+describe("DEFAULT_API_ENVIRONMENT", () => {
+  it("is production when no environment is requested", () => {
+    expect(loadEnvironments({ EXPO_PUBLIC_API_ENV: "" }).DEFAULT_API_ENVIRONMENT).toBe("production");
+  });
+
+  it("uses staging when its URL is configured", () => {
+    const { DEFAULT_API_ENVIRONMENT, API_ENVIRONMENTS } = loadEnvironments({
+      EXPO_PUBLIC_API_ENV: "staging",
+      EXPO_PUBLIC_STAGING_API_URL: "https://staging.example.test/api"
+    });
+
+    expect(DEFAULT_API_ENVIRONMENT).toBe("staging");
+    expect(API_ENVIRONMENTS.staging.apiBaseUrl).toBe("https://staging.example.test/api");
+  });
+
+  it("refuses to start a staging build without a staging URL", () => {
+    expect(() =>
+      loadEnvironments({ EXPO_PUBLIC_API_ENV: "staging", EXPO_PUBLIC_STAGING_API_URL: "" })
+    ).toThrow('No API URL configured for the "staging" environment');
+  });
+
+  it("refuses an environment name it does not know", () => {
+    expect(() => loadEnvironments({ EXPO_PUBLIC_API_ENV: "stagign" })).toThrow('Unknown API environment "stagign"');
+  });
+});
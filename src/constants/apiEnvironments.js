@@ -0,0 +1,42 @@
+// constants/apiEnvironments.js
+import appConfig from "../../app.json";
+
+const configured = appConfig.expo?.extra?.apiEnvironments || {};
+
+export const API_ENVIRONMENTS = {
+  production: {
+    label: "Production",
+    apiBaseUrl:
+      configured.production ||
+      "https://field-inspections-backend-production.up.railway.app/api"
+  },
+  // No default host: a staging build must be given EXPO_PUBLIC_STAGING_API_URL,
+  // which preview builds read from the EAS "preview" environment variables
+  staging: {
+    label: "Staging",
+    apiBaseUrl:
+      process.env.EXPO_PUBLIC_STAGING_API_URL ||
+      configured.staging
+  },
+  local: {
+    // Point at a LAN address when running on a device
+    label: "Local",
+    apiBaseUrl:
+      process.env.EXPO_PUBLIC_LOCAL_API_URL ||
+      configured.local ||
+      "http://localhost:3000/api"
+  }
+};
+
+const requested = process.env.EXPO_PUBLIC_API_ENV;
+
+// A test build must never fall back to production data
+if (requested && !API_ENVIRONMENTS[requested]) {
+  throw new Error(`Unknown API environment "${requested}"`);
+}
+if (requested && !API_ENVIRONMENTS[requested].apiBaseUrl) {
+  throw new Error(`No API URL configured for the "${requested}" environment`);
+}
+
+// Chosen per build through the eas.json build profile env
+export const DEFAULT_API_ENVIRONMENT = requested || "production";
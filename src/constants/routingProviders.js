@@ -0,0 +1,36 @@
+// constants/routingProviders.js
+// Routing and geocoding run on servers we host. The public OpenStreetMap
+// services do not allow app traffic, so nothing here defaults to them and a
+// build without a URL goes without the feature.
+
+export const DISTANCE_MATRIX_PROVIDERS = {
+  osrm: {
+    label: "OSRM",
+    baseUrl: process.env.EXPO_PUBLIC_OSRM_URL || null
+  },
+  local: {
+    // Straight-line distance at an average driving speed, so routes can be
+    // planned in development without a routing server
+    label: "Local estimate"
+  }
+};
+
+// Chosen per build through the eas.json build profile env; without an
+// OSRM server the local estimate is used
+export const DEFAULT_DISTANCE_MATRIX_PROVIDER =
+  process.env.EXPO_PUBLIC_DISTANCE_MATRIX === "local" || !DISTANCE_MATRIX_PROVIDERS.osrm.baseUrl
+    ? "local"
+    : "osrm";
+
+// A Nominatim-compatible server; customers are only located from their address when set
+export const GEOCODER_URL = process.env.EXPO_PUBLIC_GEOCODER_URL || null;
+
+export const GEOCODING_ENABLED = !!GEOCODER_URL;
+
+// Raster tiles for the customer map; {z}/{x}/{y} are filled in per tile.
+// The customer map is only offered when a tile server is configured.
+export const MAP_TILE_URL = process.env.EXPO_PUBLIC_MAP_TILE_URL || null;
+
+export const MAP_ENABLED = !!MAP_TILE_URL;
+
+export const MAP_ATTRIBUTION = "© OpenStreetMap contributors";
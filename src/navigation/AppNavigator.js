@@ -0,0 +1,315 @@
+// navigation/AppNavigator.js - One stack navigator per role plus deep links
+import React, { useRef } from "react";
+import { Linking } from "react-native";
+import { NavigationContainer } from "@react-navigation/native";
+import { createStackNavigator } from "@react-navigation/stack";
+import LoginScreen from "../screens/LoginScreen";
+import PasswordRecovery from "../screens/PasswordRecovery";
+import AdminHomeScreen from "../screens/Admin/AdminHomeScreen";
+import CustomerProfile from "../screens/Admin/CustomerProfile";
+import TechnicianHomeScreen from "../screens/Technician/TechnicianHomeScreen";
+import CertificationServiceScreen from "../screens/Technician/CertificationServiceScreen";
+import MapScreen from "../screens/Technician/MyocideScreen";
+import NavigationScreen from "../screens/Technician/NavigationScreen";
+import DisinfectionScreen from "../screens/Technician/DisinfectionScreen";
+import InsecticideScreen from "../screens/Technician/InsecticideScreen";
+import SpecialServicesScreen from "../screens/Technician/SpecialServicesScreen";
+import ReportScreen from "../screens/Technician/ReportScreen";
+import CustomerHomeScreen from "../screens/Customer/CustomerHomeScreen";
+import CustomerVisitsScreen from "../screens/Customer/CustomerVisitsScreen";
+import CustomerActivityScreen from "../screens/Customer/CustomerActivityScreen";
+
+const Stack = createStackNavigator();
+
+const screenOptions = { headerShown: false };
+
+export const DEEP_LINK_PREFIXES = ["pestfree://"];
+
+// pestfree://visit/<visitId>/report and pestfree://appointment/<id>, mapped
+// onto whichever navigator the signed-in role has.
+const LINK_CONFIGS = {
+  tech: {
+    initialRouteName: "TechnicianHome",
+    screens: {
+      TechnicianHome: "appointment/:appointmentId",
+      Report: "visit/:visitId/report"
+    }
+  },
+  admin: {
+    initialRouteName: "AdminHome",
+    screens: {
+      Report: "visit/:visitId/report"
+    }
+  },
+  customer: {
+    initialRouteName: "CustomerHome",
+    screens: {
+      CustomerReport: "visit/:visitId/report"
+    }
+  }
+};
+
+const SERVICE_SCREENS = {
+  disinfection: DisinfectionScreen,
+  insecticide: InsecticideScreen,
+  special: SpecialServicesScreen,
+  certificate: CertificationServiceScreen,
+  myocide: MapScreen
+};
+
+function getServiceType(session) {
+  return (
+    session?.serviceType ||
+    session?.service_type ||
+    session?.rawAppointment?.serviceType ||
+    session?.rawAppointment?.service_type ||
+    "myocide"
+  );
+}
+
+// ReportScreen reads route.params itself; the key remounts it on refresh
+function renderReport({ route, navigation }, extraContext = {}) {
+  return (
+    <ReportScreen
+      key={`report-${route.params?.refreshKey || 0}`}
+      route={route}
+      navigation={navigation}
+      context={{
+        ...route.params,
+        ...extraContext,
+        onRefresh: () => navigation.setParams({ refreshKey: Date.now() })
+      }}
+      onBack={() => navigation.goBack()}
+    />
+  );
+}
+
+function AuthNavigator({ authProps }) {
+  return (
+    <Stack.Navigator screenOptions={screenOptions}>
+      <Stack.Screen name="Login">
+        {({ navigation }) => (
+          <LoginScreen
+            {...authProps}
+            onPasswordRecovery={() => navigation.navigate("PasswordRecovery")}
+          />
+        )}
+      </Stack.Screen>
+      <Stack.Screen name="PasswordRecovery">
+        {({ navigation }) => (
+          <PasswordRecovery
+            onBack={() => navigation.goBack()}
+            onDone={() => navigation.goBack()}
+          />
+        )}
+      </Stack.Screen>
+    </Stack.Navigator>
+  );
+}
+
+function TechnicianNavigator({ technician, onLogout }) {
+  return (
+    <Stack.Navigator screenOptions={screenOptions}>
+      <Stack.Screen name="TechnicianHome">
+        {({ navigation, route }) => (
+          <TechnicianHomeScreen
+            technician={technician}
+            onLogout={onLogout}
+            openAppointmentId={route.params?.appointmentId}
+            onAppointmentOpened={() =>
+              navigation.setParams({ appointmentId: undefined })
+            }
+            onSelectCustomer={(customer, session) =>
+              navigation.navigate("Service", {
+                customer,
+                session: session || null
+              })
+            }
+          />
+        )}
+      </Stack.Screen>
+      <Stack.Screen name="Service">
+        {({ navigation, route }) => {
+          const { customer, session } = route.params || {};
+          const ServiceScreen =
+            SERVICE_SCREENS[getServiceType(session)] || MapScreen;
+
+          return (
+            <ServiceScreen
+              technician={technician}
+              customer={customer}
+              session={session || {}}
+              onBack={() => navigation.goBack()}
+              onNavigate={() => navigation.navigate("Navigation", { customer })}
+              onGenerateReport={(context) => navigation.navigate("Report", context)}
+            />
+          );
+        }}
+      </Stack.Screen>
+      <Stack.Screen name="Navigation">
+        {({ navigation, route }) => (
+          <NavigationScreen
+            customer={route.params?.customer}
+            technician={technician}
+            onBack={() => navigation.goBack()}
+          />
+        )}
+      </Stack.Screen>
+      <Stack.Screen name="Report">
+        {(props) => renderReport(props)}
+      </Stack.Screen>
+    </Stack.Navigator>
+  );
+}
+
+function AdminNavigator({
+  onLogout,
+  mustChangePassword,
+  onPasswordChanged,
+  twoFactorEnabled,
+  onTwoFactorEnabled
+}) {
+  return (
+    <Stack.Navigator screenOptions={screenOptions}>
+      <Stack.Screen name="AdminHome">
+        {({ navigation }) => (
+          <AdminHomeScreen
+            onLogout={onLogout}
+            forcePasswordChange={mustChangePassword}
+            onPasswordChanged={onPasswordChanged}
+            twoFactorEnabled={twoFactorEnabled}
+            onTwoFactorEnabled={onTwoFactorEnabled}
+            onOpenCustomerProfile={(customerId) =>
+              navigation.navigate("CustomerProfile", { customerId })
+            }
+          />
+        )}
+      </Stack.Screen>
+      <Stack.Screen name="CustomerProfile">
+        {({ navigation, route }) => (
+          <CustomerProfile
+            customerId={route.params?.customerId}
+            onBack={() => navigation.goBack()}
+          />
+        )}
+      </Stack.Screen>
+      <Stack.Screen name="Report">
+        {(props) => renderReport(props)}
+      </Stack.Screen>
+    </Stack.Navigator>
+  );
+}
+
+function CustomerNavigator({ customer, onLogout }) {
+  return (
+    <Stack.Navigator screenOptions={screenOptions}>
+      <Stack.Screen name="CustomerHome">
+        {({ navigation }) => (
+          <CustomerHomeScreen
+            customer={customer}
+            onLogout={onLogout}
+            onViewVisits={() => navigation.navigate("CustomerVisits")}
+            onViewActivity={() => navigation.navigate("CustomerActivity")}
+          />
+        )}
+      </Stack.Screen>
+      <Stack.Screen name="CustomerVisits">
+        {({ navigation }) => (
+          <CustomerVisitsScreen
+            onBack={() => navigation.goBack()}
+            onSelectVisit={(visit) =>
+              navigation.navigate("CustomerReport", {
+                visitId: visit.visitId,
+                serviceType: visit.serviceType,
+                customerName: visit.customerName,
+                technicianName: visit.technicianName,
+                startTime: visit.startTime
+              })
+            }
+          />
+        )}
+      </Stack.Screen>
+      <Stack.Screen name="CustomerReport">
+        {(props) => renderReport(props, { readOnly: true })}
+      </Stack.Screen>
+      <Stack.Screen name="CustomerActivity">
+        {({ navigation }) => (
+          <CustomerActivityScreen onBack={() => navigation.goBack()} />
+        )}
+      </Stack.Screen>
+    </Stack.Navigator>
+  );
+}
+
+/**
+ * Renders the navigator for the signed-in role.
+ *
+ * Links opened while signed out are held back and replayed once the user
+ * has logged in, since the login stack has no screens to map them to.
+ *
+ * @param {{ role: "tech"|"admin"|"customer"|null }} props
+ */
+export default function AppNavigator({
+  role,
+  technician,
+  customer,
+  adminMustChangePassword,
+  onAdminPasswordChanged,
+  adminTwoFactorEnabled,
+  onAdminTwoFactorEnabled,
+  onLogout,
+  authProps
+}) {
+  const pendingUrlRef = useRef(null);
+  const initialUrlReadRef = useRef(false);
+
+  const linking = {
+    prefixes: DEEP_LINK_PREFIXES,
+    config: LINK_CONFIGS[role] || { screens: {} },
+    async getInitialURL() {
+      if (!initialUrlReadRef.current) {
+        initialUrlReadRef.current = true;
+        pendingUrlRef.current = await Linking.getInitialURL();
+      }
+
+      if (!role) return null;
+
+      const url = pendingUrlRef.current;
+      pendingUrlRef.current = null;
+      return url;
+    },
+    subscribe(listener) {
+      const subscription = Linking.addEventListener("url", ({ url }) => {
+        if (role) {
+          listener(url);
+        } else {
+          pendingUrlRef.current = url;
+        }
+      });
+
+      return () => subscription.remove();
+    }
+  };
+
+  return (
+    // Keyed by role so the linking config is re-read after login
+    <NavigationContainer key={role || "auth"} linking={linking}>
+      {role === "tech" && (
+        <TechnicianNavigator technician={technician} onLogout={onLogout} />
+      )}
+      {role === "admin" && (
+        <AdminNavigator
+          onLogout={onLogout}
+          mustChangePassword={adminMustChangePassword}
+          onPasswordChanged={onAdminPasswordChanged}
+          twoFactorEnabled={adminTwoFactorEnabled}
+          onTwoFactorEnabled={onAdminTwoFactorEnabled}
+        />
+      )}
+      {role === "customer" && (
+        <CustomerNavigator customer={customer} onLogout={onLogout} />
+      )}
+      {!role && <AuthNavigator authProps={authProps} />}
+    </NavigationContainer>
+  );
+}
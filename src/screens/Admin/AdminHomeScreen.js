@@ -17,6 +17,7 @@ import { StyleSheet } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
 import { MaterialIcons, FontAwesome5, Ionicons, Feather } from '@expo/vector-icons';
 import AdminTechSchedule from "./AdminTechSchedule";
+import DispatchBoard from "./DispatchBoard";
 import CustomersScreen from "./CustomersScreen";
 import TechniciansScreen from "./TechniciansScreen";
 import apiService from "../../services/apiService";
@@ -25,15 +26,19 @@ import MaterialsScreen from "./MaterialsScreen";
 import CustomerRequestScreen from "./CustomerRequestScreen";
 import AdminNotifications from "./AdminNotifications";
 import { buildComplianceNotifications } from "../../utils/complianceNotifications";
+import { loadTrendNotifications } from "../../utils/trendAlerts";
 import ReportScreen from "../Technician/ReportScreen";
 import Statistics from "./Statistics";
+import TwoFactorSetup from "./TwoFactorSetup";
 import AdminTechCalendarPreview from "./AdminTechCalendarPreview"; //temporary
 import i18n from "../../services/i18n";
 
 export default function AdminHomeScreen({
   onLogout,
   forcePasswordChange = false,
-  onPasswordChanged
+  onPasswordChanged,
+  twoFactorEnabled = false,
+  onTwoFactorEnabled
 }) {
   const [customers, setCustomers] = useState([]);
   const [technicians, setTechnicians] = useState([]);
@@ -42,6 +47,7 @@ export default function AdminHomeScreen({
   const [refreshing, setRefreshing] = useState(false);
   const [showCustomers, setShowCustomers] = useState(false);
   const [showTechSchedule, setShowTechSchedule] = useState(false);
+  const [showDispatchBoard, setShowDispatchBoard] = useState(false);
   const [showTechnicians, setShowTechnicians] = useState(false);
   const [showMaterials, setShowMaterials] = useState(false);
   const [todayCustomerRequests, setTodayCustomerRequests] = useState(0);
@@ -81,6 +87,7 @@ const [
   const [showCalendarPreview, setShowCalendarPreview] = useState(false); //temporary
   const [showInlineCalendar, setShowInlineCalendar] = useState(true);
   const [usage, setUsage] = useState(null);
+  const [showTwoFactorSetup, setShowTwoFactorSetup] = useState(false);
   const showAlert = (
     title,
     message,
@@ -113,6 +120,13 @@ const [
     loadAllData();
   }, [forcePasswordChange]);
 
+  // Admin accounts need two-factor; enrol right after the password is set
+  useEffect(() => {
+    if (!forcePasswordChange && !twoFactorEnabled) {
+      setShowTwoFactorSetup(true);
+    }
+  }, [forcePasswordChange, twoFactorEnabled]);
+
   const loadAllData = async (forceRefresh = false) => {
     setScreenLoading(true);
     try {
@@ -126,7 +140,13 @@ const [
       const { expiring, expired } =
         buildComplianceNotifications(customersResult);
 
-      setComplianceAlertsCount(expiring.length);
+      // Station trend alerts open in the same notifications screen
+      const trendAlerts = await loadTrendNotifications(customersResult).catch((trendError) => {
+        console.warn("⚠️ Trend alerts unavailable:", trendError.message);
+        return [];
+      });
+
+      setComplianceAlertsCount(expiring.length + trendAlerts.length);
 
       // Load technicians
       const techniciansResult = await apiService.getTechnicians();
@@ -662,6 +682,24 @@ const [
             </View>
           </TouchableOpacity>
 
+          <TouchableOpacity
+            style={styles.moduleCard}
+            onPress={() => setShowDispatchBoard(true)}
+            activeOpacity={0.7}
+          >
+            <View style={[styles.moduleIconContainer, { backgroundColor: '#1f9c8b' }]}>
+              <MaterialIcons name="view-week" size={24} color="#fff" />
+            </View>
+            <Text style={styles.moduleTitle}>{i18n.t("admin.home.modules.dispatch.title")}</Text>
+            <Text style={styles.moduleDescription}>
+              {i18n.t("admin.home.modules.dispatch.description")}
+            </Text>
+            <View style={styles.moduleFooter}>
+              <Text style={styles.moduleCount}>{i18n.t("admin.home.modules.dispatch.open")}</Text>
+              <MaterialIcons name="chevron-right" size={20} color="#1f9c8b" />
+            </View>
+          </TouchableOpacity>
+
           <TouchableOpacity
             style={styles.moduleCard}
             onPress={() => setShowMaterials(true)}
@@ -789,6 +827,27 @@ const [
     color="#666"
   />
 </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => setShowTwoFactorSetup(true)}
+            activeOpacity={0.7}
+          >
+            <View style={styles.actionIconContainer}>
+              <MaterialIcons name="verified-user" size={22} color="#1f9c8b" />
+            </View>
+            <View style={styles.actionContent}>
+              <Text style={styles.actionTitle}>
+                {i18n.t("admin.home.actions.twoFactor.title")}
+              </Text>
+              <Text style={styles.actionSubtitle}>
+                {twoFactorEnabled
+                  ? i18n.t("admin.home.actions.twoFactor.enabledSubtitle")
+                  : i18n.t("admin.home.actions.twoFactor.subtitle")}
+              </Text>
+            </View>
+            <MaterialIcons name="chevron-right" size={20} color="#666" />
+          </TouchableOpacity>
         </View>
 
         {/* FOOTER */}
@@ -812,6 +871,17 @@ const [
           </Modal>
         )}
 
+        {showDispatchBoard && (
+          <Modal animationType="slide" visible>
+            <DispatchBoard
+              onClose={() => {
+                setShowDispatchBoard(false);
+                refreshAllData();
+              }}
+            />
+          </Modal>
+        )}
+
         {showCustomers && (
           <Modal animationType="slide" visible>
             <CustomersScreen 
@@ -891,6 +961,27 @@ const [
           </Modal>
         )}
 
+        {showTwoFactorSetup && !showPasswordChange && (
+          <Modal
+            animationType="slide"
+            visible
+            onRequestClose={() => {
+              if (twoFactorEnabled) setShowTwoFactorSetup(false);
+            }}
+          >
+            <TwoFactorSetup
+              enabled={twoFactorEnabled}
+              required={!twoFactorEnabled}
+              onClose={() => setShowTwoFactorSetup(false)}
+              onLogout={onLogout}
+              onDone={() => {
+                setShowTwoFactorSetup(false);
+                onTwoFactorEnabled?.();
+              }}
+            />
+          </Modal>
+        )}
+
         {showPasswordChange && (
   <Modal
     animationType="slide"
@@ -11,6 +11,7 @@ import { SafeAreaView } from "react-native-safe-area-context";
 import { MaterialIcons } from "@expo/vector-icons";
 import apiService from "../../services/apiService";
 import { buildComplianceNotifications } from "../../utils/complianceNotifications";
+import { describeTrendRule, formatTrendValue, loadTrendNotifications } from "../../utils/trendAlerts";
 import styles from "./AdminNotifications.styles";
 import { Image } from "react-native"; 
 import pestfreeLogo from "../../../assets/pestfree_logo.png"; 
@@ -21,6 +22,7 @@ export default function AdminNotifications({ onClose, onOpenSchedule }) {
   const [expiring, setExpiring] = useState([]);
   const [expired, setExpired] = useState([]);
   const [showExpired, setShowExpired] = useState(false);
+  const [trendAlerts, setTrendAlerts] = useState([]);
 
   useEffect(() => {
     loadNotifications();
@@ -35,6 +37,14 @@ export default function AdminNotifications({ onClose, onOpenSchedule }) {
       
       setExpiring(expiring);
       setExpired(expired);
+
+      // A failed trend check should not hide the compliance alerts
+      try {
+        setTrendAlerts(await loadTrendNotifications(customers));
+      } catch (trendError) {
+        console.warn("⚠️ Trend alerts unavailable:", trendError.message);
+        setTrendAlerts([]);
+      }
     } catch (error) {
       console.error("❌ Error loading notifications:", error);
     } finally {
@@ -89,7 +99,7 @@ export default function AdminNotifications({ onClose, onOpenSchedule }) {
         {/* MAIN CONTENT */}
         <View style={styles.contentContainer}>
           {/* ACTIVE ALERTS SECTION */}
-          {expiring.length === 0 && expired.length === 0 ? (
+          {expiring.length === 0 && expired.length === 0 && trendAlerts.length === 0 ? (
             <View style={styles.emptyState}>
               <MaterialIcons name="check-circle" size={64} color="#1f9c8b" />
               <Text style={styles.emptyTitle}>{i18n.t("admin.notifications.emptyState.title")}</Text>
@@ -99,6 +109,73 @@ export default function AdminNotifications({ onClose, onOpenSchedule }) {
             </View>
           ) : (
             <>
+              {/* STATION TREND ALERTS */}
+              {trendAlerts.length > 0 && (
+                <View style={styles.section}>
+                  <View style={styles.sectionHeader}>
+                    <MaterialIcons name="trending-up" size={20} color="#2c3e50" />
+                    <Text style={styles.sectionTitle}>
+                      {i18n.t("admin.notifications.sections.trendAlerts", { count: trendAlerts.length })}
+                    </Text>
+                  </View>
+                  <Text style={styles.sectionHint}>
+                    {i18n.t("admin.notifications.hints.trendAlerts")}
+                  </Text>
+
+                  <View style={styles.cardsContainer}>
+                    {trendAlerts.map(alert => (
+                      <View key={`${alert.customerId}-${alert.ruleId}-${alert.key}`} style={styles.notificationCard}>
+                        <View style={styles.cardHeader}>
+                          <View style={styles.customerInfo}>
+                            <View style={styles.customerIcon}>
+                              <MaterialIcons name="person" size={18} color="#1f9c8b" />
+                            </View>
+                            <Text style={styles.customerName}>{alert.customerName}</Text>
+                          </View>
+                          <View style={[styles.statusBadge, { backgroundColor: "#e74c3c" }]}>
+                            <MaterialIcons name="pest-control" size={14} color="#fff" />
+                            <Text style={styles.statusText}>{`${alert.stationType}${alert.stationId}`}</Text>
+                          </View>
+                        </View>
+
+                        <View style={styles.cardContent}>
+                          <View style={styles.detailRow}>
+                            <MaterialIcons name="rule" size={16} color="#666" />
+                            <Text style={styles.detailText}>{describeTrendRule(alert)}</Text>
+                          </View>
+                          <View style={styles.detailRow}>
+                            <MaterialIcons name="show-chart" size={16} color="#666" />
+                            <Text style={styles.detailText}>
+                              {i18n.t("admin.notifications.cards.recentValues", {
+                                values: alert.values.map(value => formatTrendValue(alert.metric, value)).join(", ")
+                              })}
+                            </Text>
+                          </View>
+                          {!!alert.lastDate && (
+                            <View style={styles.detailRow}>
+                              <MaterialIcons name="calendar-today" size={16} color="#666" />
+                              <Text style={styles.detailText}>
+                                {i18n.t("admin.notifications.cards.lastVisit", {
+                                  date: new Date(alert.lastDate).toLocaleDateString("en-GB")
+                                })}
+                              </Text>
+                            </View>
+                          )}
+                        </View>
+
+                        <TouchableOpacity
+                          style={styles.primaryButton}
+                          onPress={() => handleSchedule(alert.customerId)}
+                        >
+                          <MaterialIcons name="event" size={18} color="#fff" />
+                          <Text style={styles.primaryButtonText}>{i18n.t("admin.notifications.cards.scheduleButton")}</Text>
+                        </TouchableOpacity>
+                      </View>
+                    ))}
+                  </View>
+                </View>
+              )}
+
               {/* EXPIRING SOON CARDS */}
               {expiring.length > 0 && (
                 <View style={styles.section}>
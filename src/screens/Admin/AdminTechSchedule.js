@@ -23,6 +23,29 @@ import apiService, { API_BASE_URL } from "../../services/apiService";
 import pestfreeLogo from "../../../assets/pestfree_logo.png";
 import i18n from "../../services/i18n";
 import { useWindowDimensions } from "react-native";
+import {
+  CONTRACT_HORIZON_DAYS,
+  RECURRENCE_FREQUENCIES,
+  WEEKS_OF_MONTH,
+  createContractId,
+  describeRecurrence,
+  getComplianceValidUntil,
+  getContractOccurrences,
+  getWeekOfMonthLabel,
+  getWeekdayLabel,
+  parseDateKey,
+  setContractException,
+  syncContractAppointments,
+  toDateKey
+} from "../../utils/recurringContracts";
+import {
+  buildConflictOverride,
+  checkScheduleConflicts,
+  describeConflict
+} from "../../utils/schedulingConflicts";
+import ConflictWarningModal from "../../components/ConflictWarningModal";
+import DayRouteModal from "../../components/DayRouteModal";
+import { findTerritory } from "../../utils/territories";
 
 function normalizeCustomerSearch(value) {
   const text = String(value ?? "").trim().toLocaleLowerCase();
@@ -127,8 +150,20 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
   const MINUTES = Array.from({ length: 12 }, (_, i) => (i * 5).toString().padStart(2, '0'));
   const [showCustomerDropdown, setShowCustomerDropdown] = useState(false);
   const [selectedCustomerForAdd, setSelectedCustomerForAdd] = useState(null);
+  const [territories, setTerritories] = useState([]);
+  const [territoryHint, setTerritoryHint] = useState("");
   const [appointmentDate, setAppointmentDate] = useState(new Date());
   const [customerSearch, setCustomerSearch] = useState("");
+  const [repeatEnabled, setRepeatEnabled] = useState(false);
+  const [repeatFrequency, setRepeatFrequency] = useState(RECURRENCE_FREQUENCIES.MONTHLY);
+  const [repeatInterval, setRepeatInterval] = useState("2");
+  const [repeatWeekOfMonth, setRepeatWeekOfMonth] = useState(1);
+  const [repeatWeekday, setRepeatWeekday] = useState(1);
+  const [repeatEndDate, setRepeatEndDate] = useState("");
+  const [editScope, setEditScope] = useState("this");
+  const [contractsSyncedAt, setContractsSyncedAt] = useState(null);
+  const [conflictReview, setConflictReview] = useState(null); // { warnings, onCancel, onConfirm }
+  const [showDayRoute, setShowDayRoute] = useState(false);
 
   // Define special service subtypes
   const specialServiceSubtypes = [
@@ -232,7 +267,14 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
     if (selectedTech) {
       loadAppointments();
     }
-  }, [selectedTech, selectedDate]);
+  }, [selectedTech, selectedDate, contractsSyncedAt]);
+
+  // Monthly contracts default to the selected day's place in its month
+  useEffect(() => {
+    const week = Math.ceil(selectedDate.getDate() / 7);
+    setRepeatWeekOfMonth(week > 4 ? -1 : week);
+    setRepeatWeekday(selectedDate.getDay());
+  }, [selectedDate]);
 
   function isUUID(value) {
     return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
@@ -257,11 +299,16 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
             email: c.email,
             telephone: c.telephone,
             tin: c.tin,
-            ama: c.ama
+            ama: c.ama,
+            location: c.location
           }))
         : [];
       
       setCustomers(formattedCustomers);
+      setTerritories(await apiService.getTerritories());
+
+      // Tops up contract visits in the background, the schedule reloads if any were added
+      syncContracts();
       
     } catch (error) {
       console.error("Failed to load initial data:", error);
@@ -271,6 +318,17 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
     }
   }
 
+  async function syncContracts() {
+    try {
+      const created = await syncContractAppointments();
+      if (created > 0) {
+        setContractsSyncedAt(Date.now());
+      }
+    } catch (error) {
+      console.warn("⚠️ Failed to sync contract appointments:", error);
+    }
+  }
+
   async function loadTechnicians() {
     try {
       const techResult = await apiService.getTechnicians();
@@ -381,6 +439,22 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
     };
   }
 
+  // The customer's territory decides the default technician; the admin can still switch
+  function selectTerritoryTechnician(customer) {
+    const territory = findTerritory(customer.location, territories);
+    const tech = territory && technicians.find(t => String(t.id) === String(territory.technicianId));
+
+    if (!tech) {
+      setTerritoryHint("");
+      return;
+    }
+
+    if (String(tech.id) !== String(selectedTech)) {
+      setSelectedTech(tech.id);
+    }
+    setTerritoryHint(i18n.t("admin.schedule.territoryHint", { territory: territory.name, technician: tech.name }));
+  }
+
   async function addCustomerToSchedule(customerId) {
 
     customerId = String(customerId);
@@ -483,18 +557,27 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
     }
 
     const dayKey = selectedDate.toISOString().split("T")[0];
-    
-    const existingAppointment = appointments.find(
-      a =>
-        a.technicianId === selectedTech &&
-        a.date === dayKey &&
-        a.time === time
-    );
 
-    
-    if (existingAppointment) {
-      return showAlert(i18n.t("admin.schedule.addCustomer.timeSlotUnavailable") || "Time Slot Unavailable", i18n.t("admin.schedule.addCustomer.timeSlotTaken") || "This time slot is already booked for the selected technician");
+    if (repeatEnabled) {
+      const endDate = repeatEndDate.trim();
+
+      if (endDate && (!/^\d{4}-\d{2}-\d{2}$/.test(endDate) || endDate < dayKey)) {
+        return showAlert(i18n.t("common.error"), i18n.t("admin.contracts.repeat.invalidEndDate"));
+      }
+
+      if (repeatFrequency === RECURRENCE_FREQUENCIES.WEEKLY && !(parseInt(repeatInterval, 10) >= 1)) {
+        return showAlert(i18n.t("common.error"), i18n.t("admin.contracts.repeat.invalidInterval"));
+      }
     }
+    
+    const conflictOverride = await confirmScheduleConflicts({
+      technicianId: selectedTech,
+      date: dayKey,
+      time: time.trim(),
+      serviceType
+    });
+
+    if (!conflictOverride) return;
 
     try {
       const dayKey = selectedDate.toISOString().split("T")[0];
@@ -542,14 +625,18 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
         payload.otherPestName = i18n.t("admin.schedule.serviceType.certificate.label") || "Certification Service";
       }
   
-      const res = await apiService.createAppointment(payload);
+      if (repeatEnabled) {
+        if (!(await createContractFromPayload(payload))) return;
+      } else {
+        const res = await apiService.createAppointment({ ...payload, ...conflictOverride });
 
-      if (!res?.success) {
-        return showAlert(i18n.t("common.error"), res.error || i18n.t("admin.schedule.addCustomer.createFailed") || "Failed to create appointment");
-      }
+        if (!res?.success) {
+          return showAlert(i18n.t("common.error"), res.error || i18n.t("admin.schedule.addCustomer.createFailed") || "Failed to create appointment");
+        }
 
-      await loadAppointments();
-      showAlert(i18n.t("common.success"), i18n.t("admin.schedule.addCustomer.createSuccess") || "Appointment created");
+        await loadAppointments();
+        showAlert(i18n.t("common.success"), i18n.t("admin.schedule.addCustomer.createSuccess") || "Appointment created");
+      }
       
       // Reset all fields
       setTime("");
@@ -559,6 +646,8 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
       setOtherPestName("");
       setServicePrice("");
       setServiceVatPercent("24");
+      setRepeatEnabled(false);
+      setRepeatEndDate("");
       
     } catch (err) {
       console.error("Error creating appointment:", err);
@@ -566,6 +655,170 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
     }
   }
 
+  function getAppointmentCustomerName(appointment) {
+    return customers.find(c =>
+      c.customerId === appointment.customerId ||
+      c.customerId === appointment.legacyCustomerKey
+    )?.customerName;
+  }
+
+  // Resolves to the override fields to save with the appointment ({} when there is nothing to warn about),
+  // or null when the admin backs out of the warnings
+  async function confirmScheduleConflicts(appointment) {
+    let conflicts = [];
+    try {
+      conflicts = await checkScheduleConflicts(appointment);
+    } catch (error) {
+      console.warn("⚠️ Failed to check schedule conflicts:", error);
+    }
+
+    if (!conflicts.length) return {};
+
+    return new Promise((resolve) => {
+      setConflictReview({
+        warnings: conflicts.map(conflict => describeConflict(conflict, getAppointmentCustomerName)),
+        onCancel: () => {
+          setConflictReview(null);
+          resolve(null);
+        },
+        onConfirm: (reason) => {
+          setConflictReview(null);
+          resolve(buildConflictOverride(conflicts, reason));
+        }
+      });
+    });
+  }
+
+  function daysBetween(fromKey, toKey) {
+    return Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / 86400000);
+  }
+
+  // The form's appointment becomes the first visit of the contract and the defaults for the rest
+  function buildContractFromPayload(payload) {
+    const { appointmentDate, appointmentTime, status, compliance_valid_until, ...defaults } = payload;
+    const isWeekly = repeatFrequency === RECURRENCE_FREQUENCIES.WEEKLY;
+    const isMonthly = repeatFrequency === RECURRENCE_FREQUENCIES.MONTHLY;
+
+    return {
+      ...defaults,
+      contractId: createContractId(),
+      time: appointmentTime,
+      frequency: repeatFrequency,
+      interval: isWeekly ? parseInt(repeatInterval, 10) : null,
+      weekOfMonth: isMonthly ? repeatWeekOfMonth : null,
+      weekday: isMonthly ? repeatWeekday : null,
+      startDate: appointmentDate,
+      endDate: repeatEndDate.trim() || null,
+      complianceValidDays: compliance_valid_until ? daysBetween(appointmentDate, compliance_valid_until) : null,
+      exceptions: {},
+      active: true
+    };
+  }
+
+  async function createContractFromPayload(payload) {
+    const contract = buildContractFromPayload(payload);
+    const res = await apiService.createServiceContract(contract);
+
+    if (!res?.success) {
+      showAlert(i18n.t("common.error"), res?.error || i18n.t("admin.contracts.createFailed"));
+      return false;
+    }
+
+    let created;
+    try {
+      created = await syncContractAppointments();
+    } catch (error) {
+      console.error("❌ Failed to generate contract appointments:", error);
+      showAlert(i18n.t("common.error"), i18n.t("admin.contracts.syncFailed"));
+      return true;
+    }
+
+    await loadAppointments();
+    showAlert(
+      i18n.t("common.success"),
+      i18n.t("admin.contracts.createSuccess", {
+        rule: describeRecurrence(contract),
+        count: created,
+        days: CONTRACT_HORIZON_DAYS
+      })
+    );
+    return true;
+  }
+
+  // "All future visits" changes the contract and the visits it has already generated after this one
+  async function applyToFutureVisits(appointment, payload) {
+    const { technician_id, compliance_valid_until, ...changes } = payload;
+    const contractChanges = {
+      ...changes,
+      complianceValidDays: compliance_valid_until ? daysBetween(appointment.date, compliance_valid_until) : null
+    };
+
+    const contractRes = await apiService.updateServiceContract(appointment.contractId, contractChanges);
+    if (!contractRes?.success) return contractRes;
+
+    const upcoming = await apiService.getAppointmentsWithPricing({ dateFrom: appointment.date });
+    const later = upcoming.filter(
+      (a) =>
+        a.contractId === appointment.contractId &&
+        a.id !== appointment.id &&
+        a.status === "scheduled" &&
+        a.occurrenceDate > appointment.occurrenceDate
+    );
+
+    for (const visit of later) {
+      const res = await apiService.updateAppointment(visit.id, {
+        ...payload,
+        compliance_valid_until: getComplianceValidUntil(contractChanges, visit.date)
+      });
+      if (!res?.success) return res;
+    }
+
+    return { success: true };
+  }
+
+  function toggleRepeat() {
+    const enabled = !repeatEnabled;
+    setRepeatEnabled(enabled);
+
+    // Contract visits are filed as contract services unless another category was picked
+    if (enabled && appointmentCategory === "first_time") {
+      setAppointmentCategory("contract_service");
+    }
+  }
+
+  function getRepeatPreview() {
+    const startDate = selectedDate.toISOString().split("T")[0];
+    const endDate = repeatEndDate.trim();
+    const until = new Date(selectedDate);
+    until.setFullYear(until.getFullYear() + 1);
+
+    return getContractOccurrences(
+      {
+        startDate,
+        endDate: /^\d{4}-\d{2}-\d{2}$/.test(endDate) ? endDate : null,
+        frequency: repeatFrequency,
+        interval: repeatInterval,
+        weekOfMonth: repeatWeekOfMonth,
+        weekday: repeatWeekday
+      },
+      startDate,
+      toDateKey(until)
+    ).slice(0, 3);
+  }
+
+  function renderRepeatChip(key, label, active, onPress) {
+    return (
+      <TouchableOpacity
+        key={key}
+        style={[styles.repeatChip, active && styles.repeatChipActive]}
+        onPress={onPress}
+        activeOpacity={0.7}
+      >
+        <Text style={[styles.repeatChipText, active && styles.repeatChipTextActive]}>{label}</Text>
+      </TouchableOpacity>
+    );
+  }
+
   async function updateAppointmentDetails(appointmentId, newDetails) {
     try {
       const appointment = appointments.find(a => a.id === appointmentId);
@@ -620,6 +873,16 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
                 return;
               }
               
+              // A deleted contract visit is skipped on the contract so the next sync does not bring it back
+              if (appointment?.contractId) {
+                const skipRes = await setContractException(appointment.contractId, appointment.occurrenceDate, { skip: true });
+
+                if (!skipRes?.success) {
+                  showAlert(i18n.t("common.error"), skipRes?.error || i18n.t("admin.schedule.appointments.removeFailed") || "Failed to delete appointment");
+                  return;
+                }
+              }
+
               const result = await apiService.deleteAppointment(appointmentId);
               
               if (result?.success) {
@@ -878,6 +1141,7 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
     }
 
     setEditTechnicianId(technicianId);
+    setEditScope("this");
     
     setShowEditModal(true);
   }
@@ -1007,7 +1271,35 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
         payload.otherPestName = i18n.t("admin.schedule.serviceType.certificate.label") || "Certification Service";
       }
       
-      const result = await apiService.updateAppointment(appointmentIdToUpdate, payload);
+      // Moving the visit to another time or technician is checked like a new booking
+      const isMoved =
+        editTime.trim() !== formatAppointmentTime(editingAppointment.time || editingAppointment.appointment_time) ||
+        String(editTechnicianId) !== String(editingAppointment.technicianId);
+      let conflictOverride = {};
+
+      if (isMoved) {
+        conflictOverride = await confirmScheduleConflicts({
+          id: appointmentIdToUpdate,
+          technicianId: editTechnicianId,
+          date: editingAppointment.date,
+          time: editTime.trim(),
+          serviceType: editServiceType
+        });
+
+        if (!conflictOverride) return;
+      }
+
+      const result = await apiService.updateAppointment(appointmentIdToUpdate, { ...payload, ...conflictOverride });
+      
+      if (result?.success && editScope === "future" && editingAppointment.contractId) {
+        const futureRes = await applyToFutureVisits(editingAppointment, payload);
+
+        if (!futureRes?.success) {
+          await loadAppointments();
+          showAlert(i18n.t("common.error"), futureRes?.error || i18n.t("admin.contracts.scope.updateFailed"));
+          return;
+        }
+      }
       
       if (result?.success) {
         await loadAppointments();
@@ -1050,6 +1342,7 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
     setEditComplianceValidUntil("");
     setEditTime("");
     setEditTechnicianId(null);
+    setEditScope("this");
     setShowEditCategoryDropdown(false);
     setShowEditServiceDropdown(false);
     setShowEditSpecialSubtypeDropdown(false);
@@ -1692,6 +1985,97 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
           </Text>
         </View>
 
+        {/* RECURRING CONTRACT */}
+        <View style={styles.sectionHeader}>
+          <View style={styles.sectionTitleContainer}>
+            <MaterialIcons name="repeat" size={20} color="#2c3e50" />
+            <Text style={styles.sectionTitle}>{i18n.t("admin.contracts.repeat.title")}</Text>
+          </View>
+          <TouchableOpacity
+            style={[styles.repeatToggle, repeatEnabled && styles.repeatToggleActive]}
+            onPress={toggleRepeat}
+            activeOpacity={0.7}
+          >
+            <MaterialIcons name={repeatEnabled ? "check" : "add"} size={16} color={repeatEnabled ? "#fff" : "#1f9c8b"} />
+            <Text style={[styles.repeatToggleText, repeatEnabled && styles.repeatToggleTextActive]}>
+              {repeatEnabled ? i18n.t("admin.contracts.repeat.on") : i18n.t("admin.contracts.repeat.off")}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        {repeatEnabled && (
+          <View style={styles.detailsContainer}>
+            <Text style={styles.detailsLabel}>{i18n.t("admin.contracts.repeat.frequency")}</Text>
+            <View style={styles.repeatChipRow}>
+              {Object.values(RECURRENCE_FREQUENCIES).map((frequency) =>
+                renderRepeatChip(
+                  frequency,
+                  i18n.t(`admin.contracts.frequencies.${frequency}`),
+                  repeatFrequency === frequency,
+                  () => setRepeatFrequency(frequency)
+                )
+              )}
+            </View>
+
+            {repeatFrequency === RECURRENCE_FREQUENCIES.WEEKLY && (
+              <>
+                <Text style={styles.detailsLabel}>{i18n.t("admin.contracts.repeat.interval")}</Text>
+                <TextInput
+                  style={styles.repeatInput}
+                  keyboardType="number-pad"
+                  placeholder="2"
+                  placeholderTextColor="#999"
+                  value={repeatInterval}
+                  onChangeText={setRepeatInterval}
+                />
+              </>
+            )}
+
+            {repeatFrequency === RECURRENCE_FREQUENCIES.MONTHLY && (
+              <>
+                <Text style={styles.detailsLabel}>{i18n.t("admin.contracts.repeat.weekOfMonth")}</Text>
+                <View style={styles.repeatChipRow}>
+                  {WEEKS_OF_MONTH.map((week) =>
+                    renderRepeatChip(week, getWeekOfMonthLabel(week), repeatWeekOfMonth === week, () => setRepeatWeekOfMonth(week))
+                  )}
+                </View>
+
+                <Text style={styles.detailsLabel}>{i18n.t("admin.contracts.repeat.weekday")}</Text>
+                <View style={styles.repeatChipRow}>
+                  {[1, 2, 3, 4, 5, 6, 0].map((weekday) =>
+                    renderRepeatChip(weekday, getWeekdayLabel(weekday), repeatWeekday === weekday, () => setRepeatWeekday(weekday))
+                  )}
+                </View>
+              </>
+            )}
+
+            <Text style={styles.detailsLabel}>{i18n.t("admin.contracts.repeat.endDate")}</Text>
+            <TextInput
+              style={styles.repeatInput}
+              placeholder={i18n.t("admin.contracts.repeat.endDatePlaceholder")}
+              placeholderTextColor="#999"
+              value={repeatEndDate}
+              onChangeText={setRepeatEndDate}
+            />
+
+            <Text style={styles.repeatHint}>
+              {(() => {
+                const preview = getRepeatPreview();
+                return preview.length
+                  ? i18n.t("admin.contracts.repeat.preview", {
+                      dates: preview
+                        .map((o) => (o.shifted ? i18n.t("admin.contracts.repeat.shifted", { date: o.date }) : o.date))
+                        .join(", ")
+                    })
+                  : i18n.t("admin.contracts.repeat.noOccurrences");
+              })()}
+            </Text>
+            <Text style={styles.repeatHint}>
+              {i18n.t("admin.contracts.repeat.hint", { days: CONTRACT_HORIZON_DAYS })}
+            </Text>
+          </View>
+        )}
+
         {/* TODAY'S APPOINTMENTS */}
         <View style={styles.sectionHeader}>
           <View style={styles.sectionTitleContainer}>
@@ -1705,6 +2089,16 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
           </Text>
         </View>
 
+        {getDayAssignments().length > 1 && (
+          <TouchableOpacity
+            style={[styles.refreshButton, styles.optimizeRouteButton]}
+            onPress={() => setShowDayRoute(true)}
+          >
+            <MaterialIcons name="alt-route" size={18} color="#1f9c8b" />
+            <Text style={styles.refreshButtonText}>{i18n.t("components.dayRouteModal.optimize")}</Text>
+          </TouchableOpacity>
+        )}
+
         {getDayAssignments().length === 0 ? (
           <View style={styles.emptyAppointments}>
             <View style={styles.emptyIconContainer}>
@@ -1794,6 +2188,13 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
                       {getServiceTypeLabel(item.serviceType, item.specialServiceSubtype, item.otherPestName)}
                     </Text>
                   </View>
+
+                  {item.contractId && (
+                    <View style={styles.recurringBadge}>
+                      <MaterialIcons name="repeat" size={12} color="#1f9c8b" />
+                      <Text style={styles.recurringBadgeText}>{i18n.t("admin.contracts.recurringBadge")}</Text>
+                    </View>
+                  )}
                   
                   {item.status === 'completed' && (
                     <View style={styles.completedBadge}>
@@ -1903,6 +2304,7 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
                       setSelectedCustomerForAdd(item.customerId);
                       setShowCustomerDropdown(false);
                       setCustomerSearch("");
+                      selectTerritoryTechnician(item);
                     }}
                   >
                     <View style={styles.customerOptionContent}>
@@ -1926,6 +2328,13 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
           </View>
         )}
 
+        {selectedCustomerForAdd && !!territoryHint && (
+          <View style={styles.territoryHint}>
+            <MaterialIcons name="map" size={16} color="#1f9c8b" />
+            <Text style={styles.territoryHintText}>{territoryHint}</Text>
+          </View>
+        )}
+
         {/* Schedule Button */}
         {selectedCustomerForAdd && (
           <TouchableOpacity
@@ -2609,6 +3018,19 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
                   </View>
                 )}
 
+                {/* CONTRACT SCOPE - which visits of a recurring contract the changes apply to */}
+                {editingAppointment.contractId && (
+                  <View style={styles.formGroup}>
+                    <Text style={styles.formLabel}>{i18n.t("admin.contracts.scope.title")}</Text>
+                    <View style={styles.repeatChipRow}>
+                      {["this", "future"].map((scope) =>
+                        renderRepeatChip(scope, i18n.t(`admin.contracts.scope.${scope}`), editScope === scope, () => setEditScope(scope))
+                      )}
+                    </View>
+                    <Text style={styles.repeatHint}>{i18n.t(`admin.contracts.scope.hint_${editScope}`)}</Text>
+                  </View>
+                )}
+
                 {/* Current appointment info */}
                 <View style={styles.preferencesCard}>
                   <View style={styles.preferencesHeader}>
@@ -2677,6 +3099,24 @@ export default function AdminTechSchedule({ onClose, initialCustomerId, onAppoin
           </View>
         </View>
       </Modal>
+
+      {/* Scheduling Conflict Warnings */}
+      <ConflictWarningModal
+        visible={!!conflictReview}
+        warnings={conflictReview?.warnings}
+        onCancel={conflictReview?.onCancel}
+        onConfirm={conflictReview?.onConfirm}
+      />
+
+      {/* Day Route */}
+      <DayRouteModal
+        visible={showDayRoute}
+        technicianId={selectedTech}
+        date={toDateKey(selectedDate)}
+        canApply
+        onApplied={loadAppointments}
+        onClose={() => setShowDayRoute(false)}
+      />
     </SafeAreaView>
   );
 }
@@ -2848,6 +3288,11 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: "#1f9c8b",
   },
+  optimizeRouteButton: {
+    alignSelf: "flex-start",
+    marginHorizontal: 24,
+    marginBottom: 16,
+  },
   refreshButtonText: {
     fontSize: 14,
     color: "#1f9c8b",
@@ -3140,6 +3585,74 @@ const styles = StyleSheet.create({
     textAlignVertical: "top",
     fontFamily: 'System',
   },
+  // RECURRING CONTRACT
+  repeatToggle: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#1f9c8b",
+  },
+  repeatToggleActive: {
+    backgroundColor: "#1f9c8b",
+  },
+  repeatToggleText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#1f9c8b",
+    marginLeft: 4,
+    fontFamily: 'System',
+  },
+  repeatToggleTextActive: {
+    color: "#fff",
+  },
+  repeatChipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginBottom: 12,
+  },
+  repeatChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#e9ecef",
+    backgroundColor: "#fff",
+  },
+  repeatChipActive: {
+    backgroundColor: "#1f9c8b",
+    borderColor: "#1f9c8b",
+  },
+  repeatChipText: {
+    fontSize: 13,
+    color: "#666",
+    fontFamily: 'System',
+  },
+  repeatChipTextActive: {
+    color: "#fff",
+    fontWeight: "600",
+  },
+  repeatInput: {
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#e9ecef",
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 15,
+    color: "#333",
+    marginBottom: 12,
+    fontFamily: 'System',
+  },
+  repeatHint: {
+    fontSize: 13,
+    color: "#666",
+    lineHeight: 18,
+    marginTop: 4,
+    fontFamily: 'System',
+  },
   formDropdown: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -3265,6 +3778,23 @@ const styles = StyleSheet.create({
     marginLeft: 6,
     fontFamily: 'System',
   },
+  recurringBadge: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#e8f5f3",
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 20,
+    alignSelf: "flex-start",
+    marginBottom: 8,
+  },
+  recurringBadgeText: {
+    fontSize: 12,
+    color: "#1f9c8b",
+    fontWeight: "600",
+    marginLeft: 4,
+    fontFamily: 'System',
+  },
   completedBadge: {
     flexDirection: "row",
     alignItems: "center",
@@ -4093,6 +4623,18 @@ customerOptionEmptyText: {
   fontSize: 14,
   color: '#999',
 },
+territoryHint: {
+  flexDirection: 'row',
+  alignItems: 'center',
+  gap: 6,
+  marginHorizontal: 24,
+  marginBottom: 12,
+},
+territoryHintText: {
+  flex: 1,
+  fontSize: 13,
+  color: '#1f9c8b',
+},
 scheduleButton: {
   flexDirection: 'row',
   alignItems: 'center',
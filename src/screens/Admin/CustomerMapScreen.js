@@ -0,0 +1,801 @@
+// CustomerMapScreen.js - Customers on a map by compliance or next service, with service-area territories
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Modal,
+  ActivityIndicator,
+  Alert,
+  Platform,
+  StyleSheet
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { MaterialIcons } from "@expo/vector-icons";
+import apiService from "../../services/apiService";
+import i18n from "../../services/i18n";
+import CustomerMap from "../../components/CustomerMap";
+import { GEOCODING_ENABLED } from "../../constants/routingProviders";
+import { resolveCustomerLocation } from "../../utils/dayRoute";
+import { toDateKey } from "../../utils/recurringContracts";
+import {
+  MAP_COLOR_MODES,
+  STATUS_COLORS,
+  formatStatusDate,
+  getComplianceStatuses,
+  getNextServiceStatuses,
+  getStatusLabel
+} from "../../utils/customerMapStatus";
+import {
+  MIN_TERRITORY_POINTS,
+  createTerritoryId,
+  findTerritory,
+  getTerritoryColor
+} from "../../utils/territories";
+
+// Visits looked at for the next-service colours
+const PAST_DAYS = 90;
+const AHEAD_DAYS = 365;
+
+function showAlert(title, message) {
+  if (Platform.OS === "web") {
+    window.alert(`${title}\n\n${message}`);
+    return;
+  }
+
+  Alert.alert(title, message);
+}
+
+function confirmAction(title, message, onConfirm) {
+  if (Platform.OS === "web") {
+    if (window.confirm(`${title}\n\n${message}`)) onConfirm();
+    return;
+  }
+
+  Alert.alert(title, message, [
+    { text: i18n.t("common.cancel"), style: "cancel" },
+    { text: i18n.t("common.confirm"), style: "destructive", onPress: onConfirm }
+  ]);
+}
+
+const shiftDays = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+export default function CustomerMapScreen({ customers: initialCustomers = [], onClose }) {
+  const [customers, setCustomers] = useState(initialCustomers);
+  const [technicians, setTechnicians] = useState([]);
+  const [territories, setTerritories] = useState([]);
+  const [appointments, setAppointments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [colorMode, setColorMode] = useState(MAP_COLOR_MODES.COMPLIANCE);
+  const [selectedId, setSelectedId] = useState(null);
+  const [locating, setLocating] = useState(null); // { done, total }
+  const [drawing, setDrawing] = useState(false);
+  const [draft, setDraft] = useState([]);
+  const [showTerritoryForm, setShowTerritoryForm] = useState(false);
+  const [territoryName, setTerritoryName] = useState("");
+  const [territoryTechId, setTerritoryTechId] = useState(null);
+  const [savingTerritories, setSavingTerritories] = useState(false);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const [techResult, territoryList, appointmentList] = await Promise.all([
+        apiService.getTechnicians(),
+        apiService.getTerritories(),
+        apiService.getAppointmentsWithPricing({ dateFrom: shiftDays(-PAST_DAYS), dateTo: shiftDays(AHEAD_DAYS) })
+      ]);
+
+      const techList = Array.isArray(techResult) ? techResult : techResult?.technicians || techResult?.data || [];
+      setTechnicians(
+        techList.map(tech => ({
+          id: tech.id || tech.technicianId || tech.userId,
+          name:
+            `${tech.first_name || tech.firstName || ""} ${tech.last_name || tech.lastName || ""}`.trim() ||
+            tech.name ||
+            tech.username ||
+            ""
+        }))
+      );
+      setTerritories(territoryList);
+      setAppointments(appointmentList);
+    } catch (error) {
+      console.error("❌ Failed to load customer map:", error);
+      showAlert(i18n.t("common.error"), i18n.t("admin.customerMap.loadFailed"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const statuses = useMemo(
+    () =>
+      colorMode === MAP_COLOR_MODES.COMPLIANCE
+        ? getComplianceStatuses(customers)
+        : getNextServiceStatuses(customers, appointments),
+    [colorMode, customers, appointments]
+  );
+
+  const pins = useMemo(
+    () =>
+      customers
+        .filter(c => c.location)
+        .map(c => ({
+          id: c.customerId,
+          latitude: c.location.latitude,
+          longitude: c.location.longitude,
+          color: STATUS_COLORS[colorMode][statuses.get(c.customerId)?.status || "none"]
+        })),
+    [customers, statuses, colorMode]
+  );
+
+  const coloredTerritories = useMemo(
+    () => territories.map((territory, index) => ({ ...territory, color: getTerritoryColor(index) })),
+    [territories]
+  );
+
+  const missingLocation = customers.filter(c => !c.location && c.address?.trim());
+  const selectedCustomer = customers.find(c => c.customerId === selectedId);
+
+  const getTechnicianName = (technicianId) =>
+    technicians.find(t => String(t.id) === String(technicianId))?.name || i18n.t("admin.customerMap.noTechnician");
+
+  const locateMissing = async () => {
+    const total = missingLocation.length;
+    let found = 0;
+    setLocating({ done: 0, total });
+
+    for (const customer of missingLocation) {
+      try {
+        const location = await resolveCustomerLocation(customer);
+        if (location) {
+          found++;
+          setCustomers(prev => prev.map(c => (c.customerId === customer.customerId ? { ...c, location } : c)));
+        }
+      } catch (error) {
+        console.warn("⚠️ Failed to geocode customer address:", customer.customerId, error);
+      }
+      setLocating(prev => ({ ...prev, done: prev.done + 1 }));
+    }
+
+    setLocating(null);
+    showAlert(i18n.t("admin.customerMap.locate.title"), i18n.t("admin.customerMap.locate.done", { found, total }));
+  };
+
+  const handleMapPress = (point) => {
+    if (drawing) {
+      setDraft(prev => [...prev, point]);
+      return;
+    }
+
+    setSelectedId(null);
+  };
+
+  const startDrawing = () => {
+    setSelectedId(null);
+    setDraft([]);
+    setDrawing(true);
+  };
+
+  const cancelDrawing = () => {
+    setDraft([]);
+    setDrawing(false);
+  };
+
+  const finishDrawing = () => {
+    if (draft.length < MIN_TERRITORY_POINTS) {
+      showAlert(
+        i18n.t("admin.customerMap.territories.title"),
+        i18n.t("admin.customerMap.territories.tooFewPoints", { count: MIN_TERRITORY_POINTS })
+      );
+      return;
+    }
+
+    setTerritoryName("");
+    setTerritoryTechId(null);
+    setShowTerritoryForm(true);
+  };
+
+  // Territories are saved as a whole, like station map zones
+  const persistTerritories = async (next) => {
+    setSavingTerritories(true);
+    const res = await apiService.saveTerritories(next);
+    setSavingTerritories(false);
+
+    if (!res?.success) {
+      showAlert(i18n.t("common.error"), res?.error || i18n.t("admin.customerMap.territories.saveFailed"));
+      return false;
+    }
+
+    setTerritories(next);
+    return true;
+  };
+
+  const saveTerritory = async () => {
+    const name = territoryName.trim();
+    if (!name) {
+      showAlert(i18n.t("common.error"), i18n.t("admin.customerMap.territories.nameRequired"));
+      return;
+    }
+
+    const saved = await persistTerritories([
+      ...territories,
+      { territoryId: createTerritoryId(), name, technicianId: territoryTechId, points: draft }
+    ]);
+
+    if (saved) {
+      setShowTerritoryForm(false);
+      cancelDrawing();
+    }
+  };
+
+  const removeTerritory = (territory) => {
+    confirmAction(
+      i18n.t("admin.customerMap.territories.removeTitle"),
+      i18n.t("admin.customerMap.territories.removeConfirm", { name: territory.name }),
+      () => persistTerritories(territories.filter(t => t.territoryId !== territory.territoryId))
+    );
+  };
+
+  const countCustomersIn = (territory) =>
+    customers.filter(c => findTerritory(c.location, territories)?.territoryId === territory.territoryId).length;
+
+  const renderSelectedCustomer = () => {
+    const status = statuses.get(selectedCustomer.customerId) || { status: "none" };
+    const territory = findTerritory(selectedCustomer.location, territories);
+
+    return (
+      <View style={styles.customerCard}>
+        <View style={styles.customerCardHeader}>
+          <Text style={styles.customerName} numberOfLines={1}>{selectedCustomer.customerName}</Text>
+          <TouchableOpacity onPress={() => setSelectedId(null)} hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}>
+            <MaterialIcons name="close" size={18} color="#999" />
+          </TouchableOpacity>
+        </View>
+        <Text style={styles.customerAddress}>{selectedCustomer.address}</Text>
+
+        <View style={styles.customerRow}>
+          <View style={[styles.legendDot, { backgroundColor: STATUS_COLORS[colorMode][status.status] }]} />
+          <Text style={styles.customerDetail}>
+            {getStatusLabel(colorMode, status.status)}
+            {status.date ? ` · ${formatStatusDate(status.date)}` : ""}
+          </Text>
+        </View>
+
+        <View style={styles.customerRow}>
+          <MaterialIcons
+            name={selectedCustomer.location.source === "pinned" ? "push-pin" : "travel-explore"}
+            size={14}
+            color="#666"
+          />
+          <Text style={styles.customerDetail}>
+            {i18n.t(`admin.customerMap.source.${selectedCustomer.location.source === "pinned" ? "pinned" : "geocoded"}`)}
+          </Text>
+        </View>
+
+        <View style={styles.customerRow}>
+          <MaterialIcons name="engineering" size={14} color="#666" />
+          <Text style={styles.customerDetail}>
+            {territory
+              ? i18n.t("admin.customerMap.inTerritory", {
+                  territory: territory.name,
+                  technician: getTechnicianName(territory.technicianId)
+                })
+              : i18n.t("admin.customerMap.noTerritory")}
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.safeArea}>
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#1f9c8b" />
+          <Text style={styles.loadingText}>{i18n.t("admin.customerMap.loading")}</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      {/* HEADER */}
+      <View style={styles.header}>
+        <View style={styles.headerTop}>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.title}>{i18n.t("admin.customerMap.title")}</Text>
+            <Text style={styles.subtitle}>
+              {i18n.t("admin.customerMap.subtitle", { located: pins.length, total: customers.length })}
+            </Text>
+          </View>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose} activeOpacity={0.7}>
+            <MaterialIcons name="close" size={22} color="#fff" />
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {/* TOOLBAR */}
+      <View style={styles.toolbar}>
+        <View style={styles.modeRow}>
+          {Object.values(MAP_COLOR_MODES).map(mode => (
+            <TouchableOpacity
+              key={mode}
+              style={[styles.modeChip, colorMode === mode && styles.modeChipActive]}
+              onPress={() => setColorMode(mode)}
+            >
+              <Text style={[styles.modeChipText, colorMode === mode && styles.modeChipTextActive]}>
+                {i18n.t(`admin.customerMap.modes.${mode}`)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {GEOCODING_ENABLED && missingLocation.length > 0 && (
+          <TouchableOpacity
+            style={[styles.locateButton, locating && styles.buttonDisabled]}
+            onPress={locateMissing}
+            disabled={!!locating}
+          >
+            {locating ? (
+              <ActivityIndicator size="small" color="#1f9c8b" />
+            ) : (
+              <MaterialIcons name="travel-explore" size={16} color="#1f9c8b" />
+            )}
+            <Text style={styles.locateButtonText}>
+              {locating
+                ? i18n.t("admin.customerMap.locate.progress", locating)
+                : i18n.t("admin.customerMap.locate.button", { count: missingLocation.length })}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {/* MAP */}
+      <CustomerMap
+        style={styles.map}
+        pins={pins}
+        territories={coloredTerritories}
+        draft={draft}
+        selectedPinId={selectedId}
+        onPinPress={drawing ? undefined : setSelectedId}
+        onMapPress={handleMapPress}
+      />
+
+      {/* PANEL */}
+      <ScrollView style={styles.panel} contentContainerStyle={styles.panelContent}>
+        <View style={styles.legend}>
+          {Object.entries(STATUS_COLORS[colorMode]).map(([status, color]) => (
+            <View key={status} style={styles.legendItem}>
+              <View style={[styles.legendDot, { backgroundColor: color }]} />
+              <Text style={styles.legendText}>{getStatusLabel(colorMode, status)}</Text>
+            </View>
+          ))}
+        </View>
+
+        {selectedCustomer && !drawing && renderSelectedCustomer()}
+
+        <View style={styles.territoryPanel}>
+          <Text style={styles.panelTitle}>{i18n.t("admin.customerMap.territories.title")}</Text>
+          <Text style={styles.hintText}>{i18n.t("admin.customerMap.territories.description")}</Text>
+
+          {drawing ? (
+            <>
+              <Text style={styles.hintText}>
+                {i18n.t("admin.customerMap.territories.drawHint", { count: draft.length })}
+              </Text>
+              <View style={styles.buttonRow}>
+                <TouchableOpacity style={[styles.panelButton, styles.cancelButton]} onPress={cancelDrawing}>
+                  <Text style={styles.cancelButtonText}>{i18n.t("common.cancel")}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.panelButton, draft.length < MIN_TERRITORY_POINTS && styles.buttonDisabled]}
+                  onPress={finishDrawing}
+                >
+                  <Text style={styles.panelButtonText}>{i18n.t("admin.customerMap.territories.finish")}</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : (
+            <TouchableOpacity
+              style={[styles.panelButton, savingTerritories && styles.buttonDisabled]}
+              onPress={startDrawing}
+              disabled={savingTerritories}
+            >
+              <MaterialIcons name="draw" size={16} color="#fff" />
+              <Text style={styles.panelButtonText}>{i18n.t("admin.customerMap.territories.draw")}</Text>
+            </TouchableOpacity>
+          )}
+
+          {coloredTerritories.length > 0 && (
+            <View style={styles.territoryChips}>
+              {coloredTerritories.map(territory => (
+                <View key={territory.territoryId} style={[styles.territoryChip, { borderColor: territory.color }]}>
+                  <Text style={[styles.territoryChipText, { color: territory.color }]}>
+                    {territory.name} · {getTechnicianName(territory.technicianId)} ({countCustomersIn(territory)})
+                  </Text>
+                  <TouchableOpacity
+                    onPress={() => removeTerritory(territory)}
+                    disabled={savingTerritories}
+                    hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+                  >
+                    <Text style={[styles.territoryChipText, { color: territory.color }]}>✕</Text>
+                  </TouchableOpacity>
+                </View>
+              ))}
+            </View>
+          )}
+        </View>
+      </ScrollView>
+
+      {/* NEW TERRITORY */}
+      <Modal
+        animationType="fade"
+        transparent
+        visible={showTerritoryForm}
+        onRequestClose={() => setShowTerritoryForm(false)}
+      >
+        <View style={styles.overlay}>
+          <View style={styles.formCard}>
+            <Text style={styles.formTitle}>{i18n.t("admin.customerMap.territories.newTitle")}</Text>
+
+            <Text style={styles.formLabel}>{i18n.t("admin.customerMap.territories.name")}</Text>
+            <TextInput
+              style={styles.input}
+              placeholder={i18n.t("admin.customerMap.territories.namePlaceholder")}
+              placeholderTextColor="#999"
+              value={territoryName}
+              onChangeText={setTerritoryName}
+            />
+
+            <Text style={styles.formLabel}>{i18n.t("admin.customerMap.territories.technician")}</Text>
+            <View style={styles.techChips}>
+              {technicians.map(tech => (
+                <TouchableOpacity
+                  key={tech.id}
+                  style={[styles.modeChip, territoryTechId === tech.id && styles.modeChipActive]}
+                  onPress={() => setTerritoryTechId(territoryTechId === tech.id ? null : tech.id)}
+                >
+                  <Text style={[styles.modeChipText, territoryTechId === tech.id && styles.modeChipTextActive]}>
+                    {tech.name}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <View style={styles.buttonRow}>
+              <TouchableOpacity
+                style={[styles.panelButton, styles.cancelButton]}
+                onPress={() => setShowTerritoryForm(false)}
+              >
+                <Text style={styles.cancelButtonText}>{i18n.t("common.cancel")}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.panelButton, savingTerritories && styles.buttonDisabled]}
+                onPress={saveTerritory}
+                disabled={savingTerritories}
+              >
+                {savingTerritories ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Text style={styles.panelButtonText}>{i18n.t("common.save")}</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: "#f8f9fa",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  loadingText: {
+    marginTop: 16,
+    fontSize: 16,
+    color: "#666",
+    fontFamily: 'System',
+  },
+
+  // HEADER
+  header: {
+    backgroundColor: "#1f9c8b",
+    paddingTop: 24,
+    paddingBottom: 20,
+    paddingHorizontal: 24,
+    borderBottomLeftRadius: 24,
+    borderBottomRightRadius: 24,
+  },
+  headerTop: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: "700",
+    color: "#fff",
+    marginBottom: 4,
+    fontFamily: 'System',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: "rgba(255, 255, 255, 0.8)",
+    fontFamily: 'System',
+  },
+  closeButton: {
+    backgroundColor: "rgba(255, 255, 255, 0.2)",
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: "center",
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: "rgba(255, 255, 255, 0.3)",
+  },
+
+  // TOOLBAR
+  toolbar: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  modeRow: {
+    flexDirection: "row",
+    gap: 8,
+  },
+  modeChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#1f9c8b",
+    backgroundColor: "#fff",
+  },
+  modeChipActive: {
+    backgroundColor: "#1f9c8b",
+  },
+  modeChipText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#1f9c8b",
+    fontFamily: 'System',
+  },
+  modeChipTextActive: {
+    color: "#fff",
+  },
+  locateButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    backgroundColor: "#e9f7f6",
+  },
+  locateButtonText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#1f9c8b",
+    fontFamily: 'System',
+  },
+
+  // MAP
+  map: {
+    flex: 1,
+    marginHorizontal: 16,
+    minHeight: 280,
+  },
+
+  // PANEL
+  panel: {
+    maxHeight: 280,
+  },
+  panelContent: {
+    padding: 16,
+  },
+  panelTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#2c3e50",
+    marginBottom: 4,
+    fontFamily: 'System',
+  },
+  hintText: {
+    fontSize: 12,
+    color: "#999",
+    marginBottom: 8,
+    fontFamily: 'System',
+  },
+  legend: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 12,
+    marginBottom: 12,
+  },
+  legendItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+  },
+  legendDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+  },
+  legendText: {
+    fontSize: 12,
+    color: "#555",
+    fontFamily: 'System',
+  },
+
+  // SELECTED CUSTOMER
+  customerCard: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: "#e9ecef",
+  },
+  customerCardHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  customerName: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#2c3e50",
+    fontFamily: 'System',
+  },
+  customerAddress: {
+    fontSize: 13,
+    color: "#666",
+    marginTop: 2,
+    marginBottom: 8,
+    fontFamily: 'System',
+  },
+  customerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginTop: 4,
+  },
+  customerDetail: {
+    flex: 1,
+    fontSize: 13,
+    color: "#2c3e50",
+    fontFamily: 'System',
+  },
+
+  // TERRITORIES
+  territoryPanel: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 14,
+    borderWidth: 1,
+    borderColor: "#e9ecef",
+  },
+  territoryChips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginTop: 12,
+  },
+  territoryChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    borderWidth: 1,
+    borderRadius: 14,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+  },
+  territoryChipText: {
+    fontSize: 12,
+    fontWeight: "600",
+    fontFamily: 'System',
+  },
+  buttonRow: {
+    flexDirection: "row",
+    gap: 10,
+    marginTop: 4,
+  },
+  panelButton: {
+    flex: 1,
+    flexDirection: "row",
+    justifyContent: "center",
+    alignItems: "center",
+    gap: 6,
+    backgroundColor: "#1f9c8b",
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  panelButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#fff",
+    fontFamily: 'System',
+  },
+  cancelButton: {
+    backgroundColor: "#f8f9fa",
+  },
+  cancelButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#666",
+    fontFamily: 'System',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+
+  // NEW TERRITORY
+  overlay: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.5)",
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 20,
+  },
+  formCard: {
+    width: "100%",
+    maxWidth: 480,
+    backgroundColor: "#fff",
+    borderRadius: 16,
+    padding: 20,
+  },
+  formTitle: {
+    fontSize: 18,
+    fontWeight: "600",
+    color: "#2c3e50",
+    marginBottom: 12,
+    fontFamily: 'System',
+  },
+  formLabel: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#2c3e50",
+    marginTop: 8,
+    marginBottom: 8,
+    fontFamily: 'System',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: "#e9ecef",
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 15,
+    color: "#333",
+    fontFamily: 'System',
+  },
+  techChips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginBottom: 12,
+  },
+});
@@ -9,18 +9,76 @@ import {
   TouchableOpacity,
   SafeAreaView,
   Image,
-  Dimensions
+  Dimensions,
+  Alert,
+  Platform,
+  TextInput
 } from "react-native";
 import { MaterialIcons, FontAwesome5 } from "@expo/vector-icons";
 import Dropdown from "../../components/Dropdown";
 import apiService from "../../services/apiService";
 import ReportScreen from "../Technician/ReportScreen";
 import SwipeableVisitRow from '../../components/SwipeableVisitRow';
+import StationHeatmap from "../../components/StationHeatmap";
 import pestfreeLogo from "../../../assets/pestfree_logo.png";
 import i18n from "../../services/i18n";
+import { exportStationLabelSheet, getMarkerLabel } from "../../utils/stationLabels";
+import { STATION_EVENT_TYPES, getStationKey } from "../../utils/stationLifecycle";
+import { findZoneForStation, getZoneColor } from "../../utils/mapZones";
+import { EXPORT_FORMATS, exportVisitData, loadVisitReport } from "../../utils/visitDataExport";
+import {
+  TREND_METRICS,
+  createTrendRule,
+  describeTrendRule,
+  evaluateTrendAlerts,
+  formatTrendValue,
+  getTrendMetricLabel
+} from "../../utils/trendAlerts";
+import {
+  ACTION_STATUSES,
+  formatDueDate,
+  getActionStationLabel,
+  getFindingLabel,
+  getOwnerLabel,
+  isActionOverdue
+} from "../../utils/correctiveActions";
+import {
+  describeRecurrence,
+  getUpcomingOccurrences,
+  setContractException,
+  toDateKey
+} from "../../utils/recurringContracts";
+
+const STATION_EVENT_ICONS = {
+  [STATION_EVENT_TYPES.INSTALLED]: "add-location",
+  [STATION_EVENT_TYPES.RELOCATED]: "open-with",
+  [STATION_EVENT_TYPES.RETIRED]: "location-off",
+  [STATION_EVENT_TYPES.REPLACED]: "autorenew"
+};
 
 const { width } = Dimensions.get('window');
 
+function showAlert(title, message) {
+  if (Platform.OS === "web") {
+    window.alert(`${title}\n\n${message}`);
+    return;
+  }
+
+  Alert.alert(title, message);
+}
+
+function confirmAction(title, message, onConfirm) {
+  if (Platform.OS === "web") {
+    if (window.confirm(`${title}\n\n${message}`)) onConfirm();
+    return;
+  }
+
+  Alert.alert(title, message, [
+    { text: i18n.t("common.cancel"), style: "cancel" },
+    { text: i18n.t("common.confirm"), style: "destructive", onPress: onConfirm }
+  ]);
+}
+
 export default function CustomerProfile({ customer, onClose}) {
   const customerId = customer.customerId;
   const [customerRevenue, setCustomerRevenue] = useState(null);
@@ -33,6 +91,7 @@ export default function CustomerProfile({ customer, onClose}) {
   const [reportData, setReportData] = useState(null);
   const [showServiceHistory, setShowServiceHistory] = useState(false);
   const [showAnalysis, setShowAnalysis] = useState(true);
+  const [labelMapId, setLabelMapId] = useState(null);
 
   // 🔽 CHART FILTERS
   const [selectedDevice, setSelectedDevice] = useState("BS");
@@ -43,6 +102,20 @@ export default function CustomerProfile({ customer, onClose}) {
   const [chartData, setChartData] = useState([]); 
   const [trendData, setTrendData] = useState([]);
   const [stationHistory, setStationHistory] = useState([]);
+  const [stationEvents, setStationEvents] = useState([]);
+  const [showStationTimeline, setShowStationTimeline] = useState(false);
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const [exportingVisits, setExportingVisits] = useState(null); // format being exported
+  const [trendRules, setTrendRules] = useState([]);
+  const [showTrendRules, setShowTrendRules] = useState(false);
+  const [savingTrendRules, setSavingTrendRules] = useState(false);
+  const [correctiveActions, setCorrectiveActions] = useState([]);
+  const [showCorrectiveActions, setShowCorrectiveActions] = useState(false);
+  const [actionStatusFilter, setActionStatusFilter] = useState(ACTION_STATUSES.OPEN);
+  const [closingActionId, setClosingActionId] = useState(null);
+  const [contracts, setContracts] = useState([]);
+  const [showContracts, setShowContracts] = useState(false);
+  const [updatingContractId, setUpdatingContractId] = useState(null);
   const [latestService, setLatestService] = useState(null);
   
   // Filter states
@@ -95,6 +168,136 @@ export default function CustomerProfile({ customer, onClose}) {
     return isNaN(num) ? 0 : num;
   }
 
+  const handleExportLabels = async (map) => {
+    setLabelMapId(map.mapId);
+    try {
+      await exportStationLabelSheet({ customer: profileCustomer || customer, map });
+    } catch (error) {
+      console.error("❌ Failed to generate label sheet:", error);
+      showAlert(
+        i18n.t("common.error"),
+        i18n.t("admin.customerProfile.maps.labelsFailed")
+      );
+    } finally {
+      setLabelMapId(null);
+    }
+  };
+
+  const updateTrendRule = (ruleId, changes) => {
+    setTrendRules(prev => prev.map(rule => (rule.ruleId === ruleId ? { ...rule, ...changes } : rule)));
+  };
+
+  const handleSaveTrendRules = async () => {
+    // Empty or invalid inputs fall back to the lowest meaningful values
+    const rules = trendRules.map(rule => ({
+      ...rule,
+      threshold: Math.max(0, Number(rule.threshold) || 0),
+      consecutiveVisits: Math.max(1, parseInt(rule.consecutiveVisits, 10) || 1)
+    }));
+
+    setSavingTrendRules(true);
+    const res = await apiService.saveTrendThresholds(customerId, rules);
+    setSavingTrendRules(false);
+
+    if (!res?.success) {
+      console.error("❌ Failed to save trend thresholds:", res?.error);
+      showAlert(i18n.t("common.error"), i18n.t("admin.customerProfile.trendAlerts.saveFailed"));
+      return;
+    }
+
+    setTrendRules(rules);
+    showAlert(i18n.t("common.success"), i18n.t("admin.customerProfile.trendAlerts.saved"));
+  };
+
+  // For actions resolved between visits, e.g. a customer-owned action the customer has confirmed
+  const handleCloseAction = async (action) => {
+    setClosingActionId(action.actionId);
+    const closedAt = new Date().toISOString();
+    const res = await apiService.updateCorrectiveAction(action.actionId, {
+      status: ACTION_STATUSES.CLOSED,
+      closedAt
+    });
+    setClosingActionId(null);
+
+    if (!res?.success) {
+      console.error("❌ Failed to close corrective action:", res?.error);
+      showAlert(i18n.t("common.error"), i18n.t("admin.customerProfile.correctiveActions.closeFailed"));
+      return;
+    }
+
+    setCorrectiveActions(prev =>
+      prev.map(a => (a.actionId === action.actionId ? { ...a, status: ACTION_STATUSES.CLOSED, closedAt } : a))
+    );
+  };
+
+  // Contracts of legacy customers are stored under the legacy key
+  const loadContracts = async (custId) => {
+    const all = await apiService.getServiceContracts();
+    setContracts(
+      all.filter(c => String(c.customerId) === String(custId) || String(c.legacyCustomerKey) === String(custId))
+    );
+  };
+
+  // Scheduled visits a contract has already generated, from today on
+  const getGeneratedVisits = async (contractId) => {
+    const upcoming = await apiService.getAppointmentsWithPricing({ dateFrom: toDateKey(new Date()) });
+    return upcoming.filter(a => a.contractId === contractId && a.status === "scheduled");
+  };
+
+  // Skipping also removes a visit already generated for that date; restoring lets the next sync create it again
+  const handleToggleOccurrence = async (contract, occurrence) => {
+    setUpdatingContractId(contract.contractId);
+    const res = await setContractException(
+      contract.contractId,
+      occurrence.occurrenceDate,
+      occurrence.skipped ? null : { skip: true }
+    );
+
+    if (res?.success && !occurrence.skipped) {
+      const visits = await getGeneratedVisits(contract.contractId);
+      await Promise.all(
+        visits
+          .filter(a => a.occurrenceDate === occurrence.occurrenceDate)
+          .map(a => apiService.deleteAppointment(a.id))
+      );
+    }
+    setUpdatingContractId(null);
+
+    if (!res?.success) {
+      console.error("❌ Failed to update contract exception:", res?.error);
+      showAlert(i18n.t("common.error"), i18n.t("admin.customerProfile.contracts.updateFailed"));
+      return;
+    }
+
+    await loadContracts(customerId);
+  };
+
+  const handleEndContract = (contract) => {
+    confirmAction(
+      i18n.t("admin.customerProfile.contracts.endTitle"),
+      i18n.t("admin.customerProfile.contracts.endConfirm"),
+      async () => {
+        setUpdatingContractId(contract.contractId);
+        const today = toDateKey(new Date());
+        const res = await apiService.updateServiceContract(contract.contractId, { active: false, endDate: today });
+
+        if (res?.success) {
+          const visits = await getGeneratedVisits(contract.contractId);
+          await Promise.all(visits.filter(a => a.date > today).map(a => apiService.deleteAppointment(a.id)));
+        }
+        setUpdatingContractId(null);
+
+        if (!res?.success) {
+          console.error("❌ Failed to end contract:", res?.error);
+          showAlert(i18n.t("common.error"), i18n.t("admin.customerProfile.contracts.updateFailed"));
+          return;
+        }
+
+        await loadContracts(customerId);
+      }
+    );
+  };
+
   const loadCustomer = async () => {
     try {
       setLoading(true);
@@ -123,6 +326,11 @@ export default function CustomerProfile({ customer, onClose}) {
       // Load station history
       await loadStationHistory(freshCustomer.customerId);
 
+      setStationEvents(await apiService.getStationLifecycle(freshCustomer.customerId));
+      setTrendRules(await apiService.getTrendThresholds(freshCustomer.customerId));
+      setCorrectiveActions(await apiService.getCorrectiveActions(freshCustomer.customerId));
+      await loadContracts(freshCustomer.customerId);
+
       try {
         const revenue = await apiService.getRevenueByCustomer(customerId);
         setCustomerRevenue(revenue);
@@ -326,6 +534,7 @@ export default function CustomerProfile({ customer, onClose}) {
               date: visit.startTime,
               stationId: station.station_id,
               stationType: station.station_type,
+              stationUid: station.station_uid ?? null,
               consumption: station.consumption,
               rodentsCaptured: station.rodents_captured,
               mosquitoes: station.mosquitoes,
@@ -344,6 +553,71 @@ export default function CustomerProfile({ customer, onClose}) {
     }
   };
 
+  // One entry per station number on each map; replacements keep the number,
+  // so a single timeline shows every unit that has stood in that spot
+  const stationTimeline = useMemo(() => {
+    const groups = new Map();
+
+    stationEvents.forEach(event => {
+      const station = { id: event.stationId, type: event.type || "BS" };
+      const key = `${event.mapId ?? ""}:${getStationKey(station)}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          key,
+          mapName: maps.find(m => String(m.mapId) === String(event.mapId))?.name || "",
+          label: getMarkerLabel(station),
+          events: []
+        });
+      }
+      groups.get(key).events.push(event);
+    });
+
+    return [...groups.values()]
+      .map(group => {
+        const events = [...group.events].sort((a, b) => new Date(a.at) - new Date(b.at));
+        return {
+          ...group,
+          events,
+          retired: events[events.length - 1].action === STATION_EVENT_TYPES.RETIRED
+        };
+      })
+      .sort((a, b) =>
+        a.mapName.localeCompare(b.mapName) ||
+        a.label.localeCompare(b.label, undefined, { numeric: true })
+      );
+  }, [stationEvents, maps]);
+
+  // Open actions first, the oldest due date at the top
+  const visibleActions = useMemo(() => {
+    const filtered = actionStatusFilter
+      ? correctiveActions.filter(a => a.status === actionStatusFilter)
+      : correctiveActions;
+
+    return [...filtered].sort((a, b) =>
+      (a.status === ACTION_STATUSES.OPEN ? 0 : 1) - (b.status === ACTION_STATUSES.OPEN ? 0 : 1) ||
+      String(a.dueDate || "").localeCompare(String(b.dueDate || ""))
+    );
+  }, [correctiveActions, actionStatusFilter]);
+
+  const openActionsCount = correctiveActions.filter(a => a.status === ACTION_STATUSES.OPEN).length;
+
+  const activeContractsCount = contracts.filter(c => c.active !== false).length;
+
+  // Evaluated against the rules being edited, so changes show before saving
+  const trendAlerts = useMemo(() => evaluateTrendAlerts(trendRules, trendData), [trendRules, trendData]);
+
+  const describeStationEvent = (event) => {
+    const reason = event.reason
+      ? i18n.t(`technician.myocide.lifecycle.reasons.${event.reason}`)
+      : null;
+    const details = [reason, event.note].filter(Boolean).join(" – ");
+
+    return details
+      ? `${i18n.t(`admin.customerProfile.stationTimeline.actions.${event.action}`)} · ${details}`
+      : i18n.t(`admin.customerProfile.stationTimeline.actions.${event.action}`);
+  };
+
   const analyzeData = () => {
     if (!trendData || trendData.length === 0) {
       setChartData([]);
@@ -585,6 +859,66 @@ export default function CustomerProfile({ customer, onClose}) {
     return result;
   }, [trendData, selectedDevice, selectedPeriod, selectedYear]); // Added all dependencies
 
+  // Zone of each station on the current maps, for trend rows logged before
+  // the backend started returning zone_name
+  const zoneByStationKey = useMemo(() => {
+    const lookup = new Map();
+
+    maps.forEach(map => {
+      const mapZones = Array.isArray(map.zones) ? map.zones : [];
+      (Array.isArray(map.stations) ? map.stations : []).forEach(station => {
+        const key = getStationKey(station);
+        const zone = mapZones.find(z => z.zoneId === station.zoneId) || findZoneForStation(station, mapZones);
+        if (zone && !lookup.has(key)) lookup.set(key, zone.name);
+      });
+    });
+
+    return lookup;
+  }, [maps]);
+
+  const getZoneDeviceData = useMemo(() => {
+    if (!trendData || trendData.length === 0) return [];
+
+    const zoneMap = new Map();
+
+    getFilteredData().forEach(entry => {
+      const type = String(entry.station_type || "").toUpperCase().trim();
+      if (type !== selectedDevice) return;
+
+      const zoneName =
+        entry.zone_name ||
+        zoneByStationKey.get(getStationKey({ id: entry.station_id, type })) ||
+        i18n.t("admin.customerProfile.charts.zones.noZone");
+
+      if (!zoneMap.has(zoneName)) {
+        zoneMap.set(zoneName, { label: zoneName, total: 0, count: 0 });
+      }
+
+      let value = 0;
+      if (selectedDevice === "BS") {
+        value = normalizeNumber(entry.consumption);
+      } else if (selectedDevice === "RM" || selectedDevice === "ST") {
+        value = normalizeNumber(entry.rodents_captured);
+      } else if (selectedDevice === "PT") {
+        value = normalizeNumber(entry.insects_captured);
+      } else if (selectedDevice === "LT") {
+        value =
+          normalizeNumber(entry.mosquitoes) +
+          normalizeNumber(entry.lepidoptera) +
+          normalizeNumber(entry.drosophila) +
+          normalizeNumber(entry.flies);
+      }
+
+      const record = zoneMap.get(zoneName);
+      record.total += value;
+      record.count++;
+    });
+
+    return Array.from(zoneMap.values())
+      .map(item => ({ label: item.label, value: item.count > 0 ? Number((item.total / item.count).toFixed(1)) : 0 }))
+      .sort((a, b) => b.value - a.value);
+  }, [trendData, selectedDevice, selectedPeriod, selectedYear, zoneByStationKey]);
+
   const calculateAverage = (data) => {
     if (!data || data.length === 0) return 0;
     
@@ -655,6 +989,35 @@ export default function CustomerProfile({ customer, onClose}) {
     };
   };
 
+  // Every visit in the service history stacked into one spreadsheet
+  const handleExportVisits = async (format) => {
+    setExportingVisits(format);
+    try {
+      const reports = [];
+      for (const visit of visits) {
+        try {
+          const report = await loadVisitReport({ visitId: visit.visitId, serviceType: visit.serviceType });
+          reports.push({
+            ...report,
+            customerName: report.customerName || report.customer_name || profileCustomer?.customerName
+          });
+        } catch (error) {
+          console.warn("⚠️ Skipping visit in export:", visit.visitId, error.message);
+        }
+      }
+
+      const result = await exportVisitData({ reports, format });
+      if (!result) {
+        showAlert(i18n.t("technician.report.export.title"), i18n.t("technician.report.export.noData"));
+      }
+    } catch (error) {
+      console.error("❌ Failed to export visits:", error);
+      showAlert(i18n.t("technician.report.export.failed"), error.message || "");
+    } finally {
+      setExportingVisits(null);
+    }
+  };
+
   const handleVisitPress = (visit) => {
     
     setReportData({
@@ -877,6 +1240,55 @@ export default function CustomerProfile({ customer, onClose}) {
     );
   };
 
+  // Average activity per zone for the selected device and period
+  const renderZoneChart = () => {
+    const hasZones = maps.some(map => Array.isArray(map.zones) && map.zones.length > 0);
+    if (!hasZones || getZoneDeviceData.length === 0) return null;
+
+    const maxValue = Math.max(...getZoneDeviceData.map(item => item.value), 1);
+
+    return (
+      <View style={styles.chartCard}>
+        <Text style={styles.chartTitle}>
+          {selectedDevice === "BS"
+            ? i18n.t("admin.customerProfile.charts.zones.consumptionTitle")
+            : i18n.t("admin.customerProfile.charts.zones.capturesTitle")}
+        </Text>
+
+        {getZoneDeviceData.map((item, index) => (
+          <View key={item.label} style={styles.distributionItem}>
+            <View style={styles.distributionLeft}>
+              <View style={[styles.distributionIcon, { backgroundColor: `${getZoneColor(index)}20` }]}>
+                <View style={[styles.statusDot, { backgroundColor: getZoneColor(index) }]} />
+              </View>
+              <Text style={styles.distributionType} numberOfLines={1}>{item.label}</Text>
+            </View>
+
+            <View style={styles.distributionMiddle}>
+              <View style={styles.distributionBar}>
+                <View
+                  style={[
+                    styles.distributionBarFill,
+                    {
+                      width: `${(item.value / maxValue) * 100}%`,
+                      backgroundColor: getZoneColor(index)
+                    }
+                  ]}
+                />
+              </View>
+            </View>
+
+            <View style={styles.distributionRight}>
+              <Text style={styles.distributionCount}>
+                {item.value}{selectedDevice === "BS" ? "%" : ""}
+              </Text>
+            </View>
+          </View>
+        ))}
+      </View>
+    );
+  };
+
   // Comparison chart
   const renderComparisonChart = () => {
     const currentAvg = calculateAverage(currentPeriodData);
@@ -1358,6 +1770,25 @@ export default function CustomerProfile({ customer, onClose}) {
                           </View>
                         </View>
                       </View>
+                      {Array.isArray(map.stations) && map.stations.length > 0 && (
+                        <TouchableOpacity
+                          style={styles.labelsButton}
+                          onPress={() => handleExportLabels(map)}
+                          disabled={labelMapId !== null}
+                          activeOpacity={0.7}
+                        >
+                          {labelMapId === map.mapId ? (
+                            <ActivityIndicator size="small" color="#1f9c8b" />
+                          ) : (
+                            <>
+                              <MaterialIcons name="qr-code-2" size={16} color="#1f9c8b" />
+                              <Text style={styles.labelsButtonText}>
+                                {i18n.t("admin.customerProfile.maps.labels")}
+                              </Text>
+                            </>
+                          )}
+                        </TouchableOpacity>
+                      )}
                     </View>
                   </View>
                 ))}
@@ -1406,6 +1837,478 @@ export default function CustomerProfile({ customer, onClose}) {
               </View>
             )}
 
+            {/* STATION TIMELINE */}
+            <View style={styles.sectionHeader}>
+              <TouchableOpacity
+                style={styles.serviceHistoryHeader}
+                onPress={() => setShowStationTimeline(!showStationTimeline)}
+                activeOpacity={0.7}
+              >
+                <View style={styles.sectionTitleContainer}>
+                  <MaterialIcons name="timeline" size={20} color="#2c3e50" />
+                  <Text style={styles.sectionTitle}>
+                    {i18n.t("admin.customerProfile.stationTimeline.title")}
+                  </Text>
+                </View>
+                <View style={styles.dropdownIconContainer}>
+                  <MaterialIcons
+                    name={showStationTimeline ? "keyboard-arrow-up" : "keyboard-arrow-down"}
+                    size={24}
+                    color="#333"
+                  />
+                </View>
+              </TouchableOpacity>
+            </View>
+
+            {showStationTimeline && (
+              <View style={styles.dropdownContent}>
+                {stationTimeline.length === 0 ? (
+                  <View style={styles.emptyState}>
+                    <View style={styles.emptyIconContainer}>
+                      <MaterialIcons name="timeline" size={40} color="#ddd" />
+                    </View>
+                    <Text style={styles.emptyStateText}>{i18n.t("admin.customerProfile.stationTimeline.empty")}</Text>
+                  </View>
+                ) : (
+                  <ScrollView
+                    style={styles.dropdownScrollView}
+                    showsVerticalScrollIndicator={true}
+                    nestedScrollEnabled={true}
+                  >
+                    {stationTimeline.map(group => (
+                      <View key={group.key} style={styles.timelineCard}>
+                        <View style={styles.timelineHeader}>
+                          <Text style={styles.timelineLabel}>{group.label}</Text>
+                          {!!group.mapName && (
+                            <Text style={styles.timelineMap} numberOfLines={1}>{group.mapName}</Text>
+                          )}
+                          <Text style={[styles.timelineStatus, group.retired && styles.timelineStatusRetired]}>
+                            {group.retired
+                              ? i18n.t("admin.customerProfile.stationTimeline.retired")
+                              : i18n.t("admin.customerProfile.stationTimeline.active")}
+                          </Text>
+                        </View>
+
+                        {group.events.map((event, index) => (
+                          <View key={`${event.stationUid}-${event.action}-${index}`} style={styles.timelineEvent}>
+                            <MaterialIcons
+                              name={STATION_EVENT_ICONS[event.action] || "place"}
+                              size={18}
+                              color={event.action === STATION_EVENT_TYPES.RETIRED ? "#F44336" : "#1f9c8b"}
+                            />
+                            <View style={{ flex: 1 }}>
+                              <Text style={styles.timelineEventText}>{describeStationEvent(event)}</Text>
+                              <Text style={styles.timelineEventDate}>
+                                {event.at ? new Date(event.at).toLocaleDateString() : "—"}
+                                {event.technicianName ? ` · ${event.technicianName}` : ""}
+                              </Text>
+                            </View>
+                          </View>
+                        ))}
+                      </View>
+                    ))}
+                  </ScrollView>
+                )}
+              </View>
+            )}
+
+            {/* ACTIVITY HEATMAP */}
+            <View style={styles.sectionHeader}>
+              <TouchableOpacity
+                style={styles.serviceHistoryHeader}
+                onPress={() => setShowHeatmap(!showHeatmap)}
+                activeOpacity={0.7}
+              >
+                <View style={styles.sectionTitleContainer}>
+                  <MaterialIcons name="whatshot" size={20} color="#2c3e50" />
+                  <Text style={styles.sectionTitle}>
+                    {i18n.t("admin.customerProfile.activityHeatmap.title")}
+                  </Text>
+                </View>
+                <View style={styles.dropdownIconContainer}>
+                  <MaterialIcons
+                    name={showHeatmap ? "keyboard-arrow-up" : "keyboard-arrow-down"}
+                    size={24}
+                    color="#333"
+                  />
+                </View>
+              </TouchableOpacity>
+            </View>
+
+            {showHeatmap && (
+              <View style={styles.dropdownContent}>
+                <StationHeatmap maps={maps} trendRows={trendData} />
+              </View>
+            )}
+
+            {/* CORRECTIVE ACTIONS */}
+            <View style={styles.sectionHeader}>
+              <TouchableOpacity
+                style={styles.serviceHistoryHeader}
+                onPress={() => setShowCorrectiveActions(!showCorrectiveActions)}
+                activeOpacity={0.7}
+              >
+                <View style={styles.sectionTitleContainer}>
+                  <MaterialIcons name="build-circle" size={20} color="#2c3e50" />
+                  <Text style={styles.sectionTitle}>
+                    {i18n.t("admin.customerProfile.correctiveActions.title")}
+                  </Text>
+                  {openActionsCount > 0 && (
+                    <Text style={[styles.countBadge, { marginLeft: 8 }]}>{openActionsCount}</Text>
+                  )}
+                </View>
+                <View style={styles.dropdownIconContainer}>
+                  <MaterialIcons
+                    name={showCorrectiveActions ? "keyboard-arrow-up" : "keyboard-arrow-down"}
+                    size={24}
+                    color="#333"
+                  />
+                </View>
+              </TouchableOpacity>
+            </View>
+
+            {showCorrectiveActions && (
+              <View style={styles.dropdownContent}>
+                <View style={styles.optionChipRow}>
+                  {[ACTION_STATUSES.OPEN, ACTION_STATUSES.CLOSED, null].map(status => (
+                    <TouchableOpacity
+                      key={status || "all"}
+                      style={[styles.optionChip, actionStatusFilter === status && styles.optionChipActive]}
+                      onPress={() => setActionStatusFilter(status)}
+                    >
+                      <Text style={[styles.optionChipText, actionStatusFilter === status && styles.optionChipTextActive]}>
+                        {i18n.t(`admin.customerProfile.correctiveActions.filters.${status || "all"}`)}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+
+                {visibleActions.length === 0 ? (
+                  <Text style={styles.listEmptyText}>
+                    {i18n.t("admin.customerProfile.correctiveActions.empty")}
+                  </Text>
+                ) : (
+                  visibleActions.map(action => {
+                    const isOpen = action.status === ACTION_STATUSES.OPEN;
+                    const overdue = isActionOverdue(action);
+
+                    return (
+                      <View key={action.actionId} style={styles.timelineCard}>
+                        <View style={styles.timelineHeader}>
+                          <Text style={styles.timelineLabel}>{getActionStationLabel(action)}</Text>
+                          <Text style={styles.timelineMap}>{getFindingLabel(action.finding)}</Text>
+                          <Text
+                            style={[
+                              styles.timelineStatus,
+                              isOpen && styles.actionStatusOpen,
+                              overdue && styles.timelineStatusRetired
+                            ]}
+                          >
+                            {i18n.t(
+                              overdue
+                                ? "admin.customerProfile.correctiveActions.status.overdue"
+                                : `admin.customerProfile.correctiveActions.status.${action.status}`
+                            )}
+                          </Text>
+                        </View>
+
+                        <Text style={styles.timelineEventText}>{action.description}</Text>
+                        <Text style={styles.timelineEventDate}>
+                          {i18n.t("technician.correctiveActions.ownerAndDue", {
+                            owner: getOwnerLabel(action.owner),
+                            date: formatDueDate(action.dueDate)
+                          })}
+                        </Text>
+                        {!!action.openedAt && (
+                          <Text style={styles.timelineEventDate}>
+                            {i18n.t("admin.customerProfile.correctiveActions.openedOn", {
+                              date: new Date(action.openedAt).toLocaleDateString("en-GB")
+                            })}
+                          </Text>
+                        )}
+                        {!isOpen && !!action.closedAt && (
+                          <Text style={styles.timelineEventDate}>
+                            {i18n.t("admin.customerProfile.correctiveActions.closedOn", {
+                              date: new Date(action.closedAt).toLocaleDateString("en-GB")
+                            })}
+                            {action.closingNote ? ` · ${action.closingNote}` : ""}
+                          </Text>
+                        )}
+
+                        {isOpen && (
+                          <View style={[styles.exportRow, { marginTop: 8, marginBottom: 0 }]}>
+                            <TouchableOpacity
+                              style={styles.labelsButton}
+                              onPress={() => handleCloseAction(action)}
+                              disabled={closingActionId === action.actionId}
+                            >
+                              {closingActionId === action.actionId ? (
+                                <ActivityIndicator size="small" color="#1f9c8b" />
+                              ) : (
+                                <MaterialIcons name="check-circle" size={16} color="#1f9c8b" />
+                              )}
+                              <Text style={styles.labelsButtonText}>
+                                {i18n.t("admin.customerProfile.correctiveActions.markClosed")}
+                              </Text>
+                            </TouchableOpacity>
+                          </View>
+                        )}
+                      </View>
+                    );
+                  })
+                )}
+              </View>
+            )}
+
+            {/* SERVICE CONTRACTS */}
+            <View style={styles.sectionHeader}>
+              <TouchableOpacity
+                style={styles.serviceHistoryHeader}
+                onPress={() => setShowContracts(!showContracts)}
+                activeOpacity={0.7}
+              >
+                <View style={styles.sectionTitleContainer}>
+                  <MaterialIcons name="repeat" size={20} color="#2c3e50" />
+                  <Text style={styles.sectionTitle}>
+                    {i18n.t("admin.customerProfile.contracts.title")}
+                  </Text>
+                  {activeContractsCount > 0 && (
+                    <Text style={[styles.countBadge, { marginLeft: 8 }]}>{activeContractsCount}</Text>
+                  )}
+                </View>
+                <View style={styles.dropdownIconContainer}>
+                  <MaterialIcons
+                    name={showContracts ? "keyboard-arrow-up" : "keyboard-arrow-down"}
+                    size={24}
+                    color="#333"
+                  />
+                </View>
+              </TouchableOpacity>
+            </View>
+
+            {showContracts && (
+              <View style={styles.dropdownContent}>
+                {contracts.length === 0 ? (
+                  <Text style={styles.listEmptyText}>
+                    {i18n.t("admin.customerProfile.contracts.empty")}
+                  </Text>
+                ) : (
+                  contracts.map(contract => {
+                    const isActive = contract.active !== false;
+                    const isUpdating = updatingContractId === contract.contractId;
+                    const upcoming = isActive ? getUpcomingOccurrences(contract, toDateKey(new Date())) : [];
+
+                    return (
+                      <View key={contract.contractId} style={styles.timelineCard}>
+                        <View style={styles.timelineHeader}>
+                          <Text style={styles.timelineLabel}>{describeRecurrence(contract)}</Text>
+                          <Text style={styles.timelineMap}>{contract.otherPestName || contract.serviceType}</Text>
+                          <Text style={[styles.timelineStatus, !isActive && styles.timelineStatusRetired]}>
+                            {i18n.t(`admin.customerProfile.contracts.status.${isActive ? "active" : "ended"}`)}
+                          </Text>
+                        </View>
+
+                        <Text style={styles.timelineEventText}>
+                          {i18n.t("admin.customerProfile.contracts.terms", {
+                            time: contract.time,
+                            price: Number(contract.servicePrice || 0).toFixed(2)
+                          })}
+                        </Text>
+                        <Text style={styles.timelineEventDate}>
+                          {contract.endDate
+                            ? i18n.t("admin.customerProfile.contracts.period", { from: contract.startDate, to: contract.endDate })
+                            : i18n.t("admin.customerProfile.contracts.since", { from: contract.startDate })}
+                        </Text>
+
+                        {upcoming.map(occurrence => (
+                          <View key={occurrence.occurrenceDate} style={styles.timelineEvent}>
+                            <MaterialIcons
+                              name={occurrence.skipped ? "event-busy" : "event"}
+                              size={16}
+                              color={occurrence.skipped ? "#999" : "#1f9c8b"}
+                            />
+                            <Text style={[styles.timelineEventText, { flex: 1 }, occurrence.skipped && styles.contractSkippedText]}>
+                              {occurrence.skipped
+                                ? i18n.t("admin.customerProfile.contracts.skipped", { date: occurrence.occurrenceDate })
+                                : occurrence.shifted
+                                  ? i18n.t("admin.customerProfile.contracts.moved", {
+                                      date: occurrence.date,
+                                      from: occurrence.occurrenceDate
+                                    })
+                                  : occurrence.date}
+                            </Text>
+                            <TouchableOpacity
+                              onPress={() => handleToggleOccurrence(contract, occurrence)}
+                              disabled={isUpdating}
+                            >
+                              <Text style={styles.labelsButtonText}>
+                                {i18n.t(`admin.customerProfile.contracts.${occurrence.skipped ? "restore" : "skip"}`)}
+                              </Text>
+                            </TouchableOpacity>
+                          </View>
+                        ))}
+
+                        {isActive && (
+                          <View style={[styles.exportRow, { marginTop: 8, marginBottom: 0 }]}>
+                            <TouchableOpacity
+                              style={styles.labelsButton}
+                              onPress={() => handleEndContract(contract)}
+                              disabled={isUpdating}
+                            >
+                              {isUpdating ? (
+                                <ActivityIndicator size="small" color="#1f9c8b" />
+                              ) : (
+                                <MaterialIcons name="stop-circle" size={16} color="#1f9c8b" />
+                              )}
+                              <Text style={styles.labelsButtonText}>
+                                {i18n.t("admin.customerProfile.contracts.end")}
+                              </Text>
+                            </TouchableOpacity>
+                          </View>
+                        )}
+                      </View>
+                    );
+                  })
+                )}
+              </View>
+            )}
+
+            {/* TREND ALERT THRESHOLDS */}
+            <View style={styles.sectionHeader}>
+              <TouchableOpacity
+                style={styles.serviceHistoryHeader}
+                onPress={() => setShowTrendRules(!showTrendRules)}
+                activeOpacity={0.7}
+              >
+                <View style={styles.sectionTitleContainer}>
+                  <MaterialIcons name="trending-up" size={20} color="#2c3e50" />
+                  <Text style={styles.sectionTitle}>
+                    {i18n.t("admin.customerProfile.trendAlerts.title")}
+                  </Text>
+                  {trendAlerts.length > 0 && (
+                    <Text style={[styles.countBadge, styles.trendAlertBadge]}>{trendAlerts.length}</Text>
+                  )}
+                </View>
+                <View style={styles.dropdownIconContainer}>
+                  <MaterialIcons
+                    name={showTrendRules ? "keyboard-arrow-up" : "keyboard-arrow-down"}
+                    size={24}
+                    color="#333"
+                  />
+                </View>
+              </TouchableOpacity>
+            </View>
+
+            {showTrendRules && (
+              <View style={styles.dropdownContent}>
+                <Text style={styles.exportRowLabel}>
+                  {i18n.t("admin.customerProfile.trendAlerts.hint")}
+                </Text>
+
+                {trendAlerts.map(alert => (
+                  <View key={`${alert.ruleId}-${alert.key}`} style={styles.trendAlertRow}>
+                    <MaterialIcons name="warning" size={16} color="#e74c3c" />
+                    <Text style={styles.trendAlertText}>
+                      {`${alert.stationType}${alert.stationId}: ${describeTrendRule(alert)} (${alert.values
+                        .map(value => formatTrendValue(alert.metric, value))
+                        .join(", ")})`}
+                    </Text>
+                  </View>
+                ))}
+
+                {trendRules.length === 0 && (
+                  <Text style={styles.listEmptyText}>
+                    {i18n.t("admin.customerProfile.trendAlerts.noRules")}
+                  </Text>
+                )}
+
+                {trendRules.map(rule => (
+                  <View key={rule.ruleId} style={styles.timelineCard}>
+                    <View style={styles.timelineHeader}>
+                      <Text style={styles.timelineLabel}>{rule.stationType}</Text>
+                      <Text style={styles.timelineMap} numberOfLines={2}>{describeTrendRule(rule)}</Text>
+                      <TouchableOpacity
+                        onPress={() => setTrendRules(prev => prev.filter(r => r.ruleId !== rule.ruleId))}
+                        hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                      >
+                        <MaterialIcons name="delete-outline" size={20} color="#F44336" />
+                      </TouchableOpacity>
+                    </View>
+
+                    {TREND_METRICS[rule.stationType].length > 1 && (
+                      <View style={styles.optionChipRow}>
+                        {TREND_METRICS[rule.stationType].map(metric => (
+                          <TouchableOpacity
+                            key={metric}
+                            style={[styles.optionChip, rule.metric === metric && styles.optionChipActive]}
+                            onPress={() => updateTrendRule(rule.ruleId, { metric })}
+                          >
+                            <Text style={[styles.optionChipText, rule.metric === metric && styles.optionChipTextActive]}>
+                              {getTrendMetricLabel(metric)}
+                            </Text>
+                          </TouchableOpacity>
+                        ))}
+                      </View>
+                    )}
+
+                    <View style={styles.trendInputsRow}>
+                      <View style={styles.trendInputGroup}>
+                        <Text style={styles.trendInputLabel}>
+                          {i18n.t("admin.customerProfile.trendAlerts.threshold")}
+                        </Text>
+                        <TextInput
+                          style={styles.trendInput}
+                          keyboardType="numeric"
+                          value={String(rule.threshold ?? "")}
+                          onChangeText={value => updateTrendRule(rule.ruleId, { threshold: value })}
+                        />
+                      </View>
+                      <View style={styles.trendInputGroup}>
+                        <Text style={styles.trendInputLabel}>
+                          {i18n.t("admin.customerProfile.trendAlerts.consecutiveVisits")}
+                        </Text>
+                        <TextInput
+                          style={styles.trendInput}
+                          keyboardType="number-pad"
+                          value={String(rule.consecutiveVisits ?? "")}
+                          onChangeText={value => updateTrendRule(rule.ruleId, { consecutiveVisits: value })}
+                        />
+                      </View>
+                    </View>
+                  </View>
+                ))}
+
+                <View style={styles.optionChipRow}>
+                  {deviceTypes.map(device => (
+                    <TouchableOpacity
+                      key={device.value}
+                      style={styles.optionChip}
+                      onPress={() => setTrendRules(prev => [...prev, createTrendRule(device.value)])}
+                    >
+                      <Text style={styles.optionChipText}>
+                        {i18n.t("admin.customerProfile.trendAlerts.addRule", { type: device.value })}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+
+                <View style={styles.exportRow}>
+                  <TouchableOpacity
+                    style={styles.labelsButton}
+                    onPress={handleSaveTrendRules}
+                    disabled={savingTrendRules}
+                  >
+                    {savingTrendRules ? (
+                      <ActivityIndicator size="small" color="#1f9c8b" />
+                    ) : (
+                      <MaterialIcons name="save" size={16} color="#1f9c8b" />
+                    )}
+                    <Text style={styles.labelsButtonText}>{i18n.t("common.save")}</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            )}
+
             {/* ADVANCED CHARTS HEADER (ALWAYS VISIBLE) */}
             <View style={styles.sectionHeader}>
               <TouchableOpacity 
@@ -1527,6 +2430,9 @@ export default function CustomerProfile({ customer, onClose}) {
               {/* Comparison Chart */}
               {renderComparisonChart()}
 
+              {/* Activity per Zone */}
+              {renderZoneChart()}
+
               {/* Monthly Activity Trend */}
               {renderMonthlyActivityChart()}
 
@@ -1634,6 +2540,29 @@ export default function CustomerProfile({ customer, onClose}) {
                   </View>
                 ) : (
                   <View style={styles.dropdownListContainer}>
+                    <View style={styles.exportRow}>
+                      <Text style={styles.exportRowLabel}>
+                        {i18n.t("admin.customerProfile.serviceHistory.exportAll")}
+                      </Text>
+                      {[EXPORT_FORMATS.CSV, EXPORT_FORMATS.XLSX].map(format => (
+                        <TouchableOpacity
+                          key={format}
+                          style={styles.labelsButton}
+                          onPress={() => handleExportVisits(format)}
+                          disabled={exportingVisits !== null}
+                          activeOpacity={0.7}
+                        >
+                          {exportingVisits === format ? (
+                            <ActivityIndicator size="small" color="#1f9c8b" />
+                          ) : (
+                            <>
+                              <MaterialIcons name="file-download" size={16} color="#1f9c8b" />
+                              <Text style={styles.labelsButtonText}>{format.toUpperCase()}</Text>
+                            </>
+                          )}
+                        </TouchableOpacity>
+                      ))}
+                    </View>
                     <ScrollView 
                       style={styles.dropdownScrollView}
                       showsVerticalScrollIndicator={true}
@@ -1870,13 +2799,189 @@ const styles = StyleSheet.create({
   dropdownScrollView: {
     maxHeight: 400,
   },
+
+  // STATION TIMELINE
+  timelineCard: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: "#f0f0f0",
+  },
+  timelineHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginBottom: 8,
+  },
+  timelineLabel: {
+    fontSize: 16,
+    fontWeight: "700",
+    color: "#1f9c8b",
+    fontFamily: 'System',
+  },
+  timelineMap: {
+    flex: 1,
+    fontSize: 12,
+    color: "#666",
+    fontFamily: 'System',
+  },
+  timelineStatus: {
+    fontSize: 11,
+    fontWeight: "600",
+    color: "#1f9c8b",
+    backgroundColor: "#e9f7f6",
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+    overflow: "hidden",
+  },
+  actionStatusOpen: {
+    color: "#e67e22",
+    backgroundColor: "#fdf2e9",
+  },
+  contractSkippedText: {
+    color: "#999",
+    textDecorationLine: "line-through",
+  },
+  timelineStatusRetired: {
+    color: "#F44336",
+    backgroundColor: "#fdecea",
+  },
+  timelineEvent: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    gap: 8,
+    paddingVertical: 6,
+    borderTopWidth: 1,
+    borderTopColor: "#f5f5f5",
+  },
+  timelineEventText: {
+    fontSize: 13,
+    color: "#2c3e50",
+    fontFamily: 'System',
+  },
+  timelineEventDate: {
+    fontSize: 11,
+    color: "#999",
+    marginTop: 2,
+    fontFamily: 'System',
+  },
   
+  // OPTION CHIPS
+  optionChipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginBottom: 10,
+  },
+  optionChip: {
+    paddingVertical: 5,
+    paddingHorizontal: 10,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: "#1f9c8b",
+    backgroundColor: "#fff",
+  },
+  optionChipActive: {
+    backgroundColor: "#1f9c8b",
+  },
+  optionChipText: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#1f9c8b",
+    fontFamily: 'System',
+  },
+  optionChipTextActive: {
+    color: "#fff",
+  },
+  listEmptyText: {
+    fontSize: 13,
+    color: "#999",
+    paddingVertical: 12,
+    fontFamily: 'System',
+  },
+
+  // TREND ALERTS
+  trendAlertBadge: {
+    marginLeft: 8,
+    color: "#e74c3c",
+    backgroundColor: "#fdecea",
+  },
+  trendAlertRow: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    gap: 8,
+    backgroundColor: "#fdecea",
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 8,
+  },
+  trendAlertText: {
+    flex: 1,
+    fontSize: 13,
+    color: "#c0392b",
+    fontFamily: 'System',
+  },
+  trendInputsRow: {
+    flexDirection: "row",
+    gap: 12,
+  },
+  trendInputGroup: {
+    flex: 1,
+  },
+  trendInputLabel: {
+    fontSize: 12,
+    color: "#666",
+    marginBottom: 4,
+    fontFamily: 'System',
+  },
+  trendInput: {
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 14,
+    color: "#2c3e50",
+    backgroundColor: "#fff",
+  },
+
   // CUSTOMER INFO
   customerHeader: {
     flexDirection: "row",
     alignItems: "center",
     marginBottom: 12,
   },
+  labelsButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "rgba(31, 156, 139, 0.1)",
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 6,
+    gap: 6,
+  },
+  labelsButtonText: {
+    color: "#1f9c8b",
+    fontSize: 12,
+    fontWeight: "600",
+    fontFamily: 'System',
+  },
+  exportRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "flex-end",
+    gap: 8,
+    marginBottom: 10,
+  },
+  exportRowLabel: {
+    flex: 1,
+    fontSize: 13,
+    color: "#666",
+    fontFamily: 'System',
+  },
   customerAvatar: {
     width: 48,
     height: 48,
@@ -20,6 +20,13 @@ import apiService from "../../services/apiService";
 import pestfreeLogo from "../../../assets/pestfree_logo.png";
 import { incrementTodayRequests } from './Statistics';
 import i18n from "../../services/i18n";
+import {
+  buildConflictOverride,
+  checkScheduleConflicts,
+  describeConflict
+} from "../../utils/schedulingConflicts";
+import ConflictWarningModal from "../../components/ConflictWarningModal";
+import { findDefaultTechnician } from "../../utils/territories";
 
 export default function CustomerRequestScreen({ onClose }) {
   const [requests, setRequests] = useState([]);
@@ -62,6 +69,7 @@ export default function CustomerRequestScreen({ onClose }) {
   const [isImageViewerVisible, setIsImageViewerVisible] = useState(false);
   const [viewerImages, setViewerImages] = useState([]);
   const [viewerIndex, setViewerIndex] = useState(0);
+  const [conflictReview, setConflictReview] = useState(null); // { warnings, onCancel, onConfirm }
   const APPOINTMENT_CATEGORIES = [
     { id: "first_time", label: i18n.t("admin.schedule.appointmentCategory.first_time") },
     { id: "follow_up", label: i18n.t("admin.schedule.appointmentCategory.follow_up") },
@@ -403,6 +411,22 @@ const MONTH_KEYS = [
     setAppointmentPrice("");
     setAppointmentVatPercent("24");
     setShowAppointmentModal(true);
+
+    if (!request.technician_id && request.customer_id) {
+      preselectTerritoryTechnician(request.customer_id);
+    }
+  };
+
+  // Fills in the technician of the customer's territory, unless one was picked meanwhile
+  const preselectTerritoryTechnician = async (customerId) => {
+    try {
+      const match = await findDefaultTechnician(customerId);
+      if (match) {
+        setAppointmentData(prev => (prev.technicianId ? prev : { ...prev, technicianId: match.technicianId }));
+      }
+    } catch (error) {
+      console.warn("⚠️ Failed to look up the customer's territory:", error);
+    }
   };
 
   const handleDecline = async (request) => {
@@ -653,10 +677,21 @@ const MONTH_KEYS = [
       return;
     }
 
+    const conflictOverride = await confirmScheduleConflicts({
+      id: selectedRequest.original_appointment_id,
+      technicianId: appointmentData.technicianId,
+      date: appointmentData.date,
+      time: appointmentData.time,
+      serviceType: finalServiceType
+    });
+
+    if (!conflictOverride) return;
+
     try {
       setProcessing(true);
 
       const payload = {
+        ...conflictOverride,
         technicianId: appointmentData.technicianId,
         customerId: selectedRequest.customer_id,
         appointmentDate: appointmentData.date,
@@ -740,6 +775,33 @@ const MONTH_KEYS = [
     }
   };
 
+  // Resolves to the override fields to save with the appointment ({} when there is nothing to warn about),
+  // or null when the admin backs out of the warnings
+  const confirmScheduleConflicts = async (appointment) => {
+    let conflicts = [];
+    try {
+      conflicts = await checkScheduleConflicts(appointment);
+    } catch (error) {
+      console.warn("⚠️ Failed to check schedule conflicts:", error);
+    }
+
+    if (!conflicts.length) return {};
+
+    return new Promise((resolve) => {
+      setConflictReview({
+        warnings: conflicts.map(conflict => describeConflict(conflict)),
+        onCancel: () => {
+          setConflictReview(null);
+          resolve(null);
+        },
+        onConfirm: (reason) => {
+          setConflictReview(null);
+          resolve(buildConflictOverride(conflicts, reason));
+        }
+      });
+    });
+  };
+
   const getSpecialServiceLabel = (subtype) => {
     const subtypeLabels = {
       'grass_cutworm': i18n.t("admin.schedule.specialSubtypes.grass_cutworm"),
@@ -870,8 +932,20 @@ const MONTH_KEYS = [
         normalizedVatPercent
       );
 
+      // The appointment being moved is replaced, so it does not count against the new slot
+      const conflictOverride = await confirmScheduleConflicts({
+        id: selectedRequest.original_appointment_id,
+        technicianId: appointmentData.technicianId,
+        date: appointmentData.date,
+        time: appointmentData.time,
+        serviceType: selectedRequest.service_type
+      });
+
+      if (!conflictOverride) return;
+
       // ✅ Create the payload with ALL fields including technicianId
       const payload = {
+        ...conflictOverride,
         action: "approve",
         requestedDate: appointmentData.date,
         requestedTime: appointmentData.time,
@@ -2226,6 +2300,14 @@ const MONTH_KEYS = [
         </View>
       </Modal>
 
+      {/* Scheduling Conflict Warnings */}
+      <ConflictWarningModal
+        visible={!!conflictReview}
+        warnings={conflictReview?.warnings}
+        onCancel={conflictReview?.onCancel}
+        onConfirm={conflictReview?.onConfirm}
+      />
+
       {/* Customer Password Reset Modal */}            
       <Modal visible={showPasswordResetModal} transparent animationType="slide">
         <View style={styles.modalOverlay}>
@@ -21,7 +21,10 @@ import pestfreeLogo from "../../../assets/pestfree_logo.png";
 import DateTimePicker from "@react-native-community/datetimepicker";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import CustomerProfile from "./CustomerProfile";
+import CustomerMapScreen from "./CustomerMapScreen";
+import { MAP_ENABLED } from "../../constants/routingProviders";
 import i18n from "../../services/i18n";
+import { exportStationLabelSheet } from "../../utils/stationLabels";
 
 function showAlert(title, message, buttons = []) {
   const safeTitle = title == null ? "" : String(title);
@@ -857,6 +860,7 @@ function EditCustomerModal({ customer, onClose, onSave }) {
   const [selectedImage, setSelectedImage] = useState(null);
   const [uploadingMap, setUploadingMap] = useState(false);
   const [customerMaps, setCustomerMaps] = useState([]);
+  const [labelMapId, setLabelMapId] = useState(null);
 
   
   useEffect(() => {
@@ -998,6 +1002,21 @@ function EditCustomerModal({ customer, onClose, onSave }) {
     }
   };
 
+  const exportLabels = async (map) => {
+    setLabelMapId(map.mapId);
+    try {
+      await exportStationLabelSheet({
+        customer: { customerId: customer.customerId, customerName },
+        map
+      });
+    } catch (error) {
+      console.error("❌ Failed to generate label sheet:", error);
+      showAlert(i18n.t("common.error"), i18n.t("admin.customers.editModal.labelsFailed"));
+    } finally {
+      setLabelMapId(null);
+    }
+  };
+
   const removeMap = async (map) => {
     showAlert(
       i18n.t("admin.customers.editModal.deleteMapTitle") || "Delete Map",
@@ -1187,6 +1206,23 @@ function EditCustomerModal({ customer, onClose, onSave }) {
                           <MaterialIcons name="map" size={16} color="#1f9c8b" />
                           <Text style={styles.mapItemName}>{map.name}</Text>
                         </View>
+                        {Array.isArray(map.stations) && map.stations.length > 0 && (
+                          <TouchableOpacity
+                            style={styles.labelsMapBtn}
+                            onPress={() => exportLabels(map)}
+                            disabled={labelMapId !== null}
+                            activeOpacity={0.7}
+                          >
+                            {labelMapId === map.mapId ? (
+                              <ActivityIndicator size="small" color="#1f9c8b" />
+                            ) : (
+                              <>
+                                <MaterialIcons name="qr-code-2" size={16} color="#1f9c8b" />
+                                <Text style={styles.labelsMapText}>{i18n.t("admin.customers.editModal.labels")}</Text>
+                              </>
+                            )}
+                          </TouchableOpacity>
+                        )}
                         <TouchableOpacity 
                           style={styles.removeMapBtn}
                           onPress={() => removeMap(map)}
@@ -1388,6 +1424,7 @@ export default function CustomersScreen({ onClose, onOpenReport }) {
   const [showSelectForPermanentDelete, setShowSelectForPermanentDelete] = useState(false);
   const [deletedCustomers, setDeletedCustomers] = useState([]);
   const [showDeletedCustomers, setShowDeletedCustomers] = useState(false);
+  const [showCustomerMap, setShowCustomerMap] = useState(false);
   const [showCustomerList, setShowCustomerList] = useState(true);
   const [usage, setUsage] = useState(null);
   const [customerSearch, setCustomerSearch] = useState("");
@@ -1860,6 +1897,20 @@ export default function CustomersScreen({ onClose, onOpenReport }) {
               {i18n.t("admin.customers.actions.permanentDeleteDesc")}
             </Text>
           </TouchableOpacity>
+
+          {MAP_ENABLED && (
+            <TouchableOpacity
+              style={[styles.actionCard, { backgroundColor: "#1f9c8b" }]}
+              onPress={() => setShowCustomerMap(true)}
+              activeOpacity={0.7}
+            >
+              <MaterialIcons name="map" size={28} color="#fff" />
+              <Text style={styles.actionCardTitle}>{i18n.t("admin.customers.actions.map")}</Text>
+              <Text style={styles.actionCardDescription}>
+                {i18n.t("admin.customers.actions.mapDesc")}
+              </Text>
+            </TouchableOpacity>
+          )}
         </View>
 
         {/* CUSTOMER LIST DROPDOWN */}
@@ -2221,6 +2272,19 @@ export default function CustomersScreen({ onClose, onOpenReport }) {
         </Modal>
       )}
 
+      {/* Customer Map Modal */}
+      {showCustomerMap && (
+        <Modal animationType="slide" visible>
+          <CustomerMapScreen
+            customers={customers}
+            onClose={() => {
+              setShowCustomerMap(false);
+              loadCustomers(); // picks up locations found on the map
+            }}
+          />
+        </Modal>
+      )}
+
       {showSelectForDelete && (
         <CustomerSelectModal
           title={i18n.t("admin.customers.selectModal.select", { action: i18n.t("common.delete").toLowerCase() })}
@@ -2960,6 +3024,23 @@ createModalFormContent: {
     marginLeft: 8,
     fontFamily: 'System',
   },
+  labelsMapBtn: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "rgba(31, 156, 139, 0.1)",
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 6,
+    gap: 6,
+    marginLeft: "auto",
+    marginRight: 8,
+  },
+  labelsMapText: {
+    color: "#1f9c8b",
+    fontSize: 12,
+    fontWeight: "600",
+    fontFamily: 'System',
+  },
   removeMapBtn: {
     flexDirection: "row",
     alignItems: "center",
@@ -0,0 +1,912 @@
+// DispatchBoard.js - Day/week board with technicians as columns, drag to reschedule or reassign
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Animated,
+  PanResponder,
+  Alert,
+  Platform,
+  StyleSheet
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { MaterialIcons } from "@expo/vector-icons";
+import apiService from "../../services/apiService";
+import i18n from "../../services/i18n";
+import ConflictWarningModal from "../../components/ConflictWarningModal";
+import { getWeekdayLabel, parseDateKey, toDateKey } from "../../utils/recurringContracts";
+import {
+  CONFLICT_TYPES,
+  buildConflictOverride,
+  checkScheduleConflicts,
+  describeConflict,
+  findScheduleConflicts,
+  formatMinutes,
+  getServiceDuration,
+  loadServiceDurations,
+  toMinutes
+} from "../../utils/schedulingConflicts";
+
+const BOARD_MODES = {
+  DAY: "day",
+  WEEK: "week"
+};
+
+// Day view: the working hours shown, in rows of SLOT_MINUTES
+const DAY_START_HOUR = 7;
+const DAY_END_HOUR = 20;
+const SLOT_MINUTES = 30;
+const SLOT_HEIGHT = 44;
+const PX_PER_MINUTE = SLOT_HEIGHT / SLOT_MINUTES;
+
+// Drops snap to the 15-minute steps appointments are booked in
+const SNAP_MINUTES = 15;
+
+const COLUMN_WIDTH = 200;
+const GUTTER_WIDTH = 72;
+
+// Week view: one row per day, cards stacked in each cell
+const WEEK_ROW_HEIGHT = 132;
+const WEEK_VISIBLE_CARDS = 3;
+
+// A press that moves less than this is not a drag
+const DRAG_THRESHOLD = 6;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const formatDayLabel = (date) => `${getWeekdayLabel(date.getDay())} ${date.toLocaleDateString("en-GB")}`;
+
+const getWeekStart = (date) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+function normalizeTechnicians(result) {
+  const list = Array.isArray(result)
+    ? result
+    : Array.isArray(result?.technicians)
+      ? result.technicians
+      : Array.isArray(result?.data)
+        ? result.data
+        : [];
+
+  return list.map(tech => ({
+    id: tech.id || tech.technicianId || tech.userId,
+    name:
+      `${tech.first_name || tech.firstName || ""} ${tech.last_name || tech.lastName || ""}`.trim() ||
+      tech.name ||
+      tech.username ||
+      i18n.t("admin.dispatchBoard.unknownTechnician")
+  }));
+}
+
+function showAlert(title, message) {
+  if (Platform.OS === "web") {
+    window.alert(`${title}\n\n${message}`);
+    return;
+  }
+
+  Alert.alert(title, message);
+}
+
+// An appointment card that follows the finger and reports where it was let go
+function BoardCard({ style, draggable, onDragStart, onDrop, children }) {
+  const pan = useRef(new Animated.ValueXY()).current;
+  const [dragging, setDragging] = useState(false);
+
+  // The responder is created once, so it reads the latest callbacks through a ref
+  const callbacks = useRef({});
+  callbacks.current = { draggable, onDragStart, onDrop };
+
+  const responder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => callbacks.current.draggable,
+      onMoveShouldSetPanResponder: () => callbacks.current.draggable,
+      onPanResponderTerminationRequest: () => false,
+      onPanResponderGrant: () => {
+        setDragging(true);
+        callbacks.current.onDragStart();
+      },
+      onPanResponderMove: Animated.event([null, { dx: pan.x, dy: pan.y }], { useNativeDriver: false }),
+      onPanResponderRelease: (_, gesture) => {
+        setDragging(false);
+        pan.setValue({ x: 0, y: 0 });
+        callbacks.current.onDrop(gesture.dx, gesture.dy);
+      },
+      onPanResponderTerminate: () => {
+        setDragging(false);
+        pan.setValue({ x: 0, y: 0 });
+        callbacks.current.onDrop(0, 0);
+      }
+    })
+  ).current;
+
+  return (
+    <Animated.View
+      {...responder.panHandlers}
+      style={[
+        style,
+        { transform: pan.getTranslateTransform() },
+        dragging && styles.cardDragging
+      ]}
+    >
+      {children}
+    </Animated.View>
+  );
+}
+
+export default function DispatchBoard({ onClose }) {
+  const [mode, setMode] = useState(BOARD_MODES.DAY);
+  const [anchorDate, setAnchorDate] = useState(new Date());
+  const [technicians, setTechnicians] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [appointments, setAppointments] = useState([]);
+  const [durations, setDurations] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [loadingBoard, setLoadingBoard] = useState(false);
+  const [draggingId, setDraggingId] = useState(null);
+  const [savingId, setSavingId] = useState(null);
+  const [undoStack, setUndoStack] = useState([]);
+  const [conflictReview, setConflictReview] = useState(null); // { warnings, onCancel, onConfirm }
+
+  const days = useMemo(() => {
+    if (mode === BOARD_MODES.DAY) return [anchorDate];
+    const start = getWeekStart(anchorDate);
+    return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+  }, [mode, anchorDate]);
+
+  const dayKeys = useMemo(() => days.map(toDateKey), [days]);
+
+  useEffect(() => {
+    loadInitialData();
+  }, []);
+
+  useEffect(() => {
+    if (!loading) loadBoard();
+  }, [loading, dayKeys[0], dayKeys[dayKeys.length - 1]]);
+
+  const loadInitialData = async () => {
+    try {
+      const [techResult, custResult, learned] = await Promise.all([
+        apiService.getTechnicians(),
+        apiService.getCustomers(),
+        loadServiceDurations()
+      ]);
+
+      setTechnicians(normalizeTechnicians(techResult));
+      setCustomers(
+        Array.isArray(custResult)
+          ? custResult.map(c => ({ customerId: c.customerId || c.id, customerName: c.customerName || c.name }))
+          : []
+      );
+      setDurations(learned);
+    } catch (error) {
+      console.error("❌ Failed to load dispatch board:", error);
+      showAlert(i18n.t("common.error"), i18n.t("admin.dispatchBoard.loadFailed"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadBoard = async () => {
+    setLoadingBoard(true);
+    try {
+      const data = await apiService.getAppointmentsWithPricing({
+        dateFrom: dayKeys[0],
+        dateTo: dayKeys[dayKeys.length - 1]
+      });
+      setAppointments(data.filter(a => a.status !== "cancelled"));
+    } catch (error) {
+      console.error("❌ Failed to load board appointments:", error);
+      showAlert(i18n.t("common.error"), i18n.t("admin.dispatchBoard.loadFailed"));
+    } finally {
+      setLoadingBoard(false);
+    }
+  };
+
+  const customerNames = useMemo(
+    () => new Map(customers.map(c => [String(c.customerId), c.customerName])),
+    [customers]
+  );
+
+  const getCustomerName = (appointment) =>
+    customerNames.get(String(appointment.customerId)) ||
+    customerNames.get(String(appointment.legacyCustomerKey)) ||
+    i18n.t("admin.schedule.appointments.unknownCustomer");
+
+  const getTechnicianName = (technicianId) =>
+    technicians.find(t => String(t.id) === String(technicianId))?.name || i18n.t("admin.dispatchBoard.unknownTechnician");
+
+  // Cards that overlap another visit of the same technician get a warning border
+  const overlappingIds = useMemo(
+    () =>
+      new Set(
+        appointments
+          .filter(a =>
+            findScheduleConflicts(a, appointments, durations).some(c => c.type === CONFLICT_TYPES.OVERLAP)
+          )
+          .map(a => a.id)
+      ),
+    [appointments, durations]
+  );
+
+  const getCellAppointments = (technicianId, dateKey) =>
+    appointments
+      .filter(a => String(a.technicianId) === String(technicianId) && a.date === dateKey)
+      .sort((a, b) => String(a.time).localeCompare(String(b.time)));
+
+  // Resolves to the override fields to save with the move ({} when there is nothing to warn about),
+  // or null when the admin backs out of the warnings
+  const confirmScheduleConflicts = async (appointment) => {
+    let conflicts = [];
+    try {
+      conflicts = await checkScheduleConflicts(appointment);
+    } catch (error) {
+      console.warn("⚠️ Failed to check schedule conflicts:", error);
+    }
+
+    if (!conflicts.length) return {};
+
+    return new Promise((resolve) => {
+      setConflictReview({
+        warnings: conflicts.map(conflict => describeConflict(conflict, getCustomerName)),
+        onCancel: () => {
+          setConflictReview(null);
+          resolve(null);
+        },
+        onConfirm: (reason) => {
+          setConflictReview(null);
+          resolve(buildConflictOverride(conflicts, reason));
+        }
+      });
+    });
+  };
+
+  const saveMove = async (appointmentId, { technicianId, date, time }, extra = {}) => {
+    setSavingId(appointmentId);
+
+    // Shown in the new place right away, the board reloads if the save fails
+    setAppointments(prev => prev.map(a => (a.id === appointmentId ? { ...a, ...extra, technicianId, date, time } : a)));
+
+    const res = await apiService.updateAppointment(appointmentId, {
+      ...extra,
+      date,
+      time,
+      technicianId,
+      technician_id: technicianId
+    });
+    setSavingId(null);
+
+    if (!res?.success) {
+      console.error("❌ Failed to move appointment:", res?.error);
+      await loadBoard();
+    }
+    return res;
+  };
+
+  const moveAppointment = async (appointment, target) => {
+    const previous = {
+      technicianId: appointment.technicianId,
+      date: appointment.date,
+      time: appointment.time
+    };
+    // Undo puts back the override the appointment had before this move
+    const previousOverride = {
+      conflictOverrideReason: appointment.conflictOverrideReason ?? null,
+      conflictWarnings: appointment.conflictWarnings ?? [],
+      conflictOverriddenAt: appointment.conflictOverriddenAt ?? null
+    };
+
+    if (
+      String(target.technicianId) === String(previous.technicianId) &&
+      target.date === previous.date &&
+      toMinutes(target.time) === toMinutes(previous.time)
+    ) {
+      return;
+    }
+
+    if (appointment.status !== "scheduled") {
+      showAlert(i18n.t("admin.dispatchBoard.notMovableTitle"), i18n.t("admin.dispatchBoard.notMovable"));
+      return;
+    }
+
+    const conflictOverride = await confirmScheduleConflicts({
+      id: appointment.id,
+      technicianId: target.technicianId,
+      date: target.date,
+      time: target.time,
+      serviceType: appointment.serviceType
+    });
+
+    if (!conflictOverride) return;
+
+    const res = await saveMove(appointment.id, target, conflictOverride);
+
+    if (!res?.success) {
+      showAlert(i18n.t("common.error"), res?.error || i18n.t("admin.dispatchBoard.moveFailed"));
+      return;
+    }
+
+    setUndoStack(prev => [
+      ...prev,
+      { appointmentId: appointment.id, customerName: getCustomerName(appointment), previous, previousOverride, next: target }
+    ]);
+  };
+
+  const undoLastMove = async () => {
+    const last = undoStack[undoStack.length - 1];
+    if (!last || savingId) return;
+
+    const res = await saveMove(last.appointmentId, last.previous, last.previousOverride);
+
+    if (!res?.success) {
+      showAlert(i18n.t("common.error"), res?.error || i18n.t("admin.dispatchBoard.undoFailed"));
+      return;
+    }
+
+    setUndoStack(prev => prev.slice(0, -1));
+  };
+
+  // Where a card let go at (dx, dy) from its own place lands on the board
+  const handleDrop = (appointment, dx, dy) => {
+    setDraggingId(null);
+    if (Math.abs(dx) < DRAG_THRESHOLD && Math.abs(dy) < DRAG_THRESHOLD) return;
+
+    const techIndex = technicians.findIndex(t => String(t.id) === String(appointment.technicianId));
+    const technicianId = technicians[clamp(techIndex + Math.round(dx / COLUMN_WIDTH), 0, technicians.length - 1)].id;
+    const start = toMinutes(appointment.time) ?? DAY_START_HOUR * 60;
+
+    if (mode === BOARD_MODES.DAY) {
+      const shift = Math.round(dy / PX_PER_MINUTE / SNAP_MINUTES) * SNAP_MINUTES;
+      const time = formatMinutes(clamp(start + shift, DAY_START_HOUR * 60, DAY_END_HOUR * 60 - SNAP_MINUTES));
+      moveAppointment(appointment, { technicianId, date: appointment.date, time });
+      return;
+    }
+
+    // The week view moves between days and keeps the time
+    const dayIndex = clamp(dayKeys.indexOf(appointment.date) + Math.round(dy / WEEK_ROW_HEIGHT), 0, dayKeys.length - 1);
+    moveAppointment(appointment, { technicianId, date: dayKeys[dayIndex], time: formatMinutes(start) });
+  };
+
+  const shiftRange = (direction) => {
+    setAnchorDate(prev => addDays(prev, direction * (mode === BOARD_MODES.DAY ? 1 : 7)));
+  };
+
+  const renderCard = (appointment, style) => {
+    const isScheduled = appointment.status === "scheduled";
+    const duration = getServiceDuration(durations, appointment.serviceType);
+
+    return (
+      <BoardCard
+        key={appointment.id}
+        style={[
+          styles.card,
+          style,
+          !isScheduled && styles.cardLocked,
+          overlappingIds.has(appointment.id) && styles.cardOverlap
+        ]}
+        draggable={isScheduled && !savingId}
+        onDragStart={() => setDraggingId(appointment.id)}
+        onDrop={(dx, dy) => handleDrop(appointment, dx, dy)}
+      >
+        <View style={styles.cardHeader}>
+          <Text style={styles.cardTime}>
+            {formatMinutes(toMinutes(appointment.time) ?? 0)}–{formatMinutes((toMinutes(appointment.time) ?? 0) + duration)}
+          </Text>
+          {savingId === appointment.id ? (
+            <ActivityIndicator size="small" color="#1f9c8b" />
+          ) : (
+            <MaterialIcons
+              name={isScheduled ? "drag-indicator" : "lock"}
+              size={14}
+              color={isScheduled ? "#999" : "#bbb"}
+            />
+          )}
+        </View>
+        <Text style={styles.cardCustomer} numberOfLines={1}>{getCustomerName(appointment)}</Text>
+        {mode === BOARD_MODES.DAY && (
+          <Text style={styles.cardService} numberOfLines={1}>
+            {i18n.t(`serviceTypes.${appointment.serviceType || "unknown"}`)}
+          </Text>
+        )}
+      </BoardCard>
+    );
+  };
+
+  const renderDayColumn = (technician) => {
+    const cards = getCellAppointments(technician.id, dayKeys[0]);
+    const hasDragged = cards.some(a => a.id === draggingId);
+
+    return (
+      <View
+        key={technician.id}
+        style={[styles.column, { height: (DAY_END_HOUR - DAY_START_HOUR) * 60 * PX_PER_MINUTE }, hasDragged && styles.columnActive]}
+      >
+        {Array.from({ length: ((DAY_END_HOUR - DAY_START_HOUR) * 60) / SLOT_MINUTES }, (_, i) => (
+          <View key={i} style={[styles.slot, { top: i * SLOT_HEIGHT }]} />
+        ))}
+        {cards.map(appointment => {
+          const start = clamp(toMinutes(appointment.time) ?? DAY_START_HOUR * 60, DAY_START_HOUR * 60, DAY_END_HOUR * 60);
+          const duration = getServiceDuration(durations, appointment.serviceType);
+
+          return renderCard(appointment, {
+            position: "absolute",
+            left: 4,
+            right: 4,
+            top: (start - DAY_START_HOUR * 60) * PX_PER_MINUTE,
+            height: Math.max(duration * PX_PER_MINUTE - 2, 36)
+          });
+        })}
+      </View>
+    );
+  };
+
+  const renderWeekCell = (technician, dateKey) => {
+    const cards = getCellAppointments(technician.id, dateKey);
+    const hidden = cards.length - WEEK_VISIBLE_CARDS;
+
+    return (
+      <View key={dateKey} style={styles.weekCell}>
+        {cards.slice(0, WEEK_VISIBLE_CARDS).map(appointment => renderCard(appointment, styles.weekCard))}
+        {hidden > 0 && (
+          <Text style={styles.moreText}>{i18n.t("admin.dispatchBoard.more", { count: hidden })}</Text>
+        )}
+      </View>
+    );
+  };
+
+  const lastMove = undoStack[undoStack.length - 1];
+  const rangeLabel =
+    mode === BOARD_MODES.DAY
+      ? formatDayLabel(days[0])
+      : `${days[0].toLocaleDateString("en-GB")} – ${days[6].toLocaleDateString("en-GB")}`;
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.safeArea}>
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#1f9c8b" />
+          <Text style={styles.loadingText}>{i18n.t("admin.schedule.loading")}</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      {/* HEADER */}
+      <View style={styles.header}>
+        <View style={styles.headerTop}>
+          <View>
+            <Text style={styles.title}>{i18n.t("admin.dispatchBoard.title")}</Text>
+            <Text style={styles.subtitle}>{i18n.t("admin.dispatchBoard.subtitle")}</Text>
+          </View>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose} activeOpacity={0.7}>
+            <MaterialIcons name="close" size={22} color="#fff" />
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {/* TOOLBAR */}
+      <View style={styles.toolbar}>
+        <View style={styles.modeRow}>
+          {Object.values(BOARD_MODES).map(value => (
+            <TouchableOpacity
+              key={value}
+              style={[styles.modeChip, mode === value && styles.modeChipActive]}
+              onPress={() => setMode(value)}
+            >
+              <Text style={[styles.modeChipText, mode === value && styles.modeChipTextActive]}>
+                {i18n.t(`admin.dispatchBoard.modes.${value}`)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <View style={styles.rangeRow}>
+          <TouchableOpacity style={styles.navButton} onPress={() => shiftRange(-1)}>
+            <MaterialIcons name="chevron-left" size={22} color="#1f9c8b" />
+          </TouchableOpacity>
+          <Text style={styles.rangeText}>{rangeLabel}</Text>
+          <TouchableOpacity style={styles.navButton} onPress={() => shiftRange(1)}>
+            <MaterialIcons name="chevron-right" size={22} color="#1f9c8b" />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.todayButton} onPress={() => setAnchorDate(new Date())}>
+            <Text style={styles.todayButtonText}>{i18n.t("admin.dispatchBoard.today")}</Text>
+          </TouchableOpacity>
+          {loadingBoard && <ActivityIndicator size="small" color="#1f9c8b" style={{ marginLeft: 8 }} />}
+        </View>
+
+        <Text style={styles.hintText}>
+          {i18n.t(mode === BOARD_MODES.DAY ? "admin.dispatchBoard.hintDay" : "admin.dispatchBoard.hintWeek")}
+        </Text>
+      </View>
+
+      {/* BOARD */}
+      {technicians.length === 0 ? (
+        <Text style={styles.emptyText}>{i18n.t("admin.dispatchBoard.noTechnicians")}</Text>
+      ) : (
+        <ScrollView style={styles.board} scrollEnabled={!draggingId}>
+          <ScrollView horizontal scrollEnabled={!draggingId}>
+            <View>
+              <View style={styles.columnHeaderRow}>
+                <View style={{ width: GUTTER_WIDTH }} />
+                {technicians.map(technician => (
+                  <View key={technician.id} style={styles.columnHeader}>
+                    <MaterialIcons name="engineering" size={16} color="#1f9c8b" />
+                    <Text style={styles.columnHeaderText} numberOfLines={1}>{technician.name}</Text>
+                  </View>
+                ))}
+              </View>
+
+              {mode === BOARD_MODES.DAY ? (
+                <View style={styles.boardRow}>
+                  <View style={{ width: GUTTER_WIDTH }}>
+                    {Array.from({ length: ((DAY_END_HOUR - DAY_START_HOUR) * 60) / SLOT_MINUTES }, (_, i) => (
+                      <Text key={i} style={[styles.gutterText, { height: SLOT_HEIGHT }]}>
+                        {formatMinutes(DAY_START_HOUR * 60 + i * SLOT_MINUTES)}
+                      </Text>
+                    ))}
+                  </View>
+                  {technicians.map(renderDayColumn)}
+                </View>
+              ) : (
+                days.map((day, index) => (
+                  <View
+                    key={dayKeys[index]}
+                    style={[
+                      styles.boardRow,
+                      { height: WEEK_ROW_HEIGHT },
+                      appointments.some(a => a.id === draggingId && a.date === dayKeys[index]) && styles.columnActive
+                    ]}
+                  >
+                    <View style={[styles.weekGutter, { width: GUTTER_WIDTH }]}>
+                      <Text style={styles.gutterDay}>{getWeekdayLabel(day.getDay())}</Text>
+                      <Text style={styles.gutterText}>{day.toLocaleDateString("en-GB")}</Text>
+                    </View>
+                    {technicians.map(technician => (
+                      <View
+                        key={technician.id}
+                        style={[
+                          styles.weekColumn,
+                          getCellAppointments(technician.id, dayKeys[index]).some(a => a.id === draggingId) &&
+                            styles.columnActive
+                        ]}
+                      >
+                        {renderWeekCell(technician, dayKeys[index])}
+                      </View>
+                    ))}
+                  </View>
+                ))
+              )}
+            </View>
+          </ScrollView>
+        </ScrollView>
+      )}
+
+      {/* UNDO */}
+      {lastMove && (
+        <View style={styles.undoBar}>
+          <Text style={styles.undoText} numberOfLines={2}>
+            {i18n.t("admin.dispatchBoard.moved", {
+              customer: lastMove.customerName,
+              technician: getTechnicianName(lastMove.next.technicianId),
+              date: parseDateKey(lastMove.next.date).toLocaleDateString("en-GB"),
+              time: lastMove.next.time
+            })}
+          </Text>
+          <TouchableOpacity style={styles.undoButton} onPress={undoLastMove} disabled={!!savingId}>
+            <MaterialIcons name="undo" size={18} color="#fff" />
+            <Text style={styles.undoButtonText}>
+              {undoStack.length > 1
+                ? i18n.t("admin.dispatchBoard.undoCount", { count: undoStack.length })
+                : i18n.t("admin.dispatchBoard.undo")}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <ConflictWarningModal
+        visible={!!conflictReview}
+        warnings={conflictReview?.warnings}
+        onCancel={conflictReview?.onCancel}
+        onConfirm={conflictReview?.onConfirm}
+      />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: "#f8f9fa",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  loadingText: {
+    marginTop: 16,
+    fontSize: 16,
+    color: "#666",
+    fontFamily: 'System',
+  },
+
+  // HEADER
+  header: {
+    backgroundColor: "#1f9c8b",
+    paddingTop: 24,
+    paddingBottom: 20,
+    paddingHorizontal: 24,
+    borderBottomLeftRadius: 24,
+    borderBottomRightRadius: 24,
+  },
+  headerTop: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: "700",
+    color: "#fff",
+    marginBottom: 4,
+    fontFamily: 'System',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: "rgba(255, 255, 255, 0.8)",
+    fontFamily: 'System',
+  },
+  closeButton: {
+    backgroundColor: "rgba(255, 255, 255, 0.2)",
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: "center",
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: "rgba(255, 255, 255, 0.3)",
+  },
+
+  // TOOLBAR
+  toolbar: {
+    paddingHorizontal: 24,
+    paddingTop: 16,
+    paddingBottom: 8,
+  },
+  modeRow: {
+    flexDirection: "row",
+    gap: 8,
+    marginBottom: 12,
+  },
+  modeChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#1f9c8b",
+    backgroundColor: "#fff",
+  },
+  modeChipActive: {
+    backgroundColor: "#1f9c8b",
+  },
+  modeChipText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#1f9c8b",
+    fontFamily: 'System',
+  },
+  modeChipTextActive: {
+    color: "#fff",
+  },
+  rangeRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  navButton: {
+    padding: 4,
+  },
+  rangeText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#2c3e50",
+    marginHorizontal: 8,
+    fontFamily: 'System',
+  },
+  todayButton: {
+    marginLeft: 8,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    backgroundColor: "#e9f7f6",
+  },
+  todayButtonText: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#1f9c8b",
+    fontFamily: 'System',
+  },
+  hintText: {
+    fontSize: 12,
+    color: "#999",
+    fontFamily: 'System',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#666",
+    textAlign: "center",
+    marginTop: 40,
+    fontFamily: 'System',
+  },
+
+  // BOARD
+  board: {
+    flex: 1,
+    paddingHorizontal: 12,
+  },
+  columnHeaderRow: {
+    flexDirection: "row",
+    borderBottomWidth: 1,
+    borderBottomColor: "#e9ecef",
+  },
+  columnHeader: {
+    width: COLUMN_WIDTH,
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    paddingVertical: 10,
+    paddingHorizontal: 8,
+  },
+  columnHeaderText: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#2c3e50",
+    fontFamily: 'System',
+  },
+  boardRow: {
+    flexDirection: "row",
+  },
+  gutterText: {
+    fontSize: 11,
+    color: "#999",
+    fontFamily: 'System',
+  },
+  gutterDay: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#2c3e50",
+    fontFamily: 'System',
+  },
+  weekGutter: {
+    paddingTop: 6,
+    borderTopWidth: 1,
+    borderTopColor: "#e9ecef",
+  },
+  column: {
+    width: COLUMN_WIDTH,
+    borderLeftWidth: 1,
+    borderLeftColor: "#e9ecef",
+  },
+  // The column holding the card being dragged stays above its neighbours
+  columnActive: {
+    zIndex: 10,
+    elevation: 10,
+  },
+  slot: {
+    position: "absolute",
+    left: 0,
+    right: 0,
+    height: SLOT_HEIGHT,
+    borderTopWidth: 1,
+    borderTopColor: "#f0f0f0",
+  },
+  weekColumn: {
+    width: COLUMN_WIDTH,
+    borderLeftWidth: 1,
+    borderLeftColor: "#e9ecef",
+    borderTopWidth: 1,
+    borderTopColor: "#e9ecef",
+  },
+  weekCell: {
+    padding: 4,
+    gap: 4,
+  },
+  moreText: {
+    fontSize: 11,
+    color: "#666",
+    paddingHorizontal: 4,
+    fontFamily: 'System',
+  },
+
+  // CARDS
+  card: {
+    backgroundColor: "#e9f7f6",
+    borderLeftWidth: 3,
+    borderLeftColor: "#1f9c8b",
+    borderRadius: 6,
+    paddingHorizontal: 6,
+    paddingVertical: 4,
+    overflow: "hidden",
+  },
+  weekCard: {
+    minHeight: 30,
+  },
+  cardLocked: {
+    backgroundColor: "#f1f3f5",
+    borderLeftColor: "#bbb",
+  },
+  cardOverlap: {
+    borderWidth: 1,
+    borderColor: "#e67e22",
+    borderLeftColor: "#e67e22",
+  },
+  cardDragging: {
+    zIndex: 20,
+    elevation: 20,
+    opacity: 0.9,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.2,
+    shadowRadius: 6,
+  },
+  cardHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  cardTime: {
+    fontSize: 11,
+    fontWeight: "700",
+    color: "#1f9c8b",
+    fontFamily: 'System',
+  },
+  cardCustomer: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#2c3e50",
+    fontFamily: 'System',
+  },
+  cardService: {
+    fontSize: 11,
+    color: "#666",
+    fontFamily: 'System',
+  },
+
+  // UNDO
+  undoBar: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    backgroundColor: "#2c3e50",
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  undoText: {
+    flex: 1,
+    fontSize: 13,
+    color: "#fff",
+    fontFamily: 'System',
+  },
+  undoButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    backgroundColor: "#1f9c8b",
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+  },
+  undoButtonText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#fff",
+    fontFamily: 'System',
+  },
+});
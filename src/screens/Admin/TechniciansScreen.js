@@ -16,9 +16,16 @@ import {
 import { SafeAreaView } from "react-native-safe-area-context";
 import { MaterialIcons, FontAwesome5, Ionicons } from '@expo/vector-icons';
 import apiService from "../../services/apiService";
+import { QUICK_UNLOCK_POLICY, getQuickUnlockPolicy } from "../../services/quickUnlock";
 import pestfreeLogo from "../../../assets/pestfree_logo.png";
 import i18n from "../../services/i18n";
 
+const QUICK_UNLOCK_OPTIONS = [
+  { value: QUICK_UNLOCK_POLICY.OPTIONAL, icon: "lock-open" },
+  { value: QUICK_UNLOCK_POLICY.REQUIRED, icon: "lock" },
+  { value: QUICK_UNLOCK_POLICY.DISABLED, icon: "block" }
+];
+
 function showAlert(title, message, buttons = []) {
   const safeTitle = title == null ? "" : String(title);
   const safeMessage = message == null ? "" : String(message);
@@ -62,6 +69,7 @@ const TechnicianModal = ({ isEdit, visible, onClose, onSubmit, technician, loadi
     username: "",
     email: "",
     password: "",
+    quickUnlock: QUICK_UNLOCK_POLICY.OPTIONAL,
   });
 
   // Update form when technician changes
@@ -74,6 +82,7 @@ const TechnicianModal = ({ isEdit, visible, onClose, onSubmit, technician, loadi
         username: technician.username || "",
         email: technician.email || "",
         password: "",
+        quickUnlock: getQuickUnlockPolicy(technician),
       });
     } else {
       // Reset form for add mode
@@ -84,6 +93,7 @@ const TechnicianModal = ({ isEdit, visible, onClose, onSubmit, technician, loadi
         username: "",
         email: "",
         password: "",
+        quickUnlock: QUICK_UNLOCK_POLICY.OPTIONAL,
       });
     }
   }, [technician, isEdit]);
@@ -228,6 +238,37 @@ const TechnicianModal = ({ isEdit, visible, onClose, onSubmit, technician, loadi
                     </Text>
                   )}
                 </View>
+
+                <View style={styles.inputContainer}>
+                  <Text style={styles.inputLabel}>
+                    {i18n.t("admin.technicians.quickUnlock.label")}
+                  </Text>
+                  <View style={styles.optionRow}>
+                    {QUICK_UNLOCK_OPTIONS.map((option) => {
+                      const active = formData.quickUnlock === option.value;
+                      return (
+                        <TouchableOpacity
+                          key={option.value}
+                          style={[styles.optionChip, active && styles.optionChipActive]}
+                          onPress={() => updateField('quickUnlock', option.value)}
+                          disabled={loading}
+                        >
+                          <MaterialIcons
+                            name={option.icon}
+                            size={14}
+                            color={active ? "#fff" : "#666"}
+                          />
+                          <Text style={[styles.optionChipText, active && styles.optionChipTextActive]}>
+                            {i18n.t(`admin.technicians.quickUnlock.${option.value}`)}
+                          </Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
+                  <Text style={styles.inputHint}>
+                    {i18n.t("admin.technicians.quickUnlock.hint")}
+                  </Text>
+                </View>
               </ScrollView>
 
               <View style={styles.modalButtons}>
@@ -360,6 +401,7 @@ export default function TechniciansScreen({ onClose }) {
         age: formData.age ? parseInt(formData.age) : null,
         username: formData.username,
         email: formData.email, // Now manually entered
+        quickUnlock: formData.quickUnlock,
         // Only update password if provided
         ...(formData.password ? { password: formData.password } : {})
       };
@@ -634,6 +676,19 @@ export default function TechniciansScreen({ onClose }) {
                           <Text style={styles.techMetaText}>{tech.age} {i18n.t("admin.technicians.list.years")}</Text>
                         </View>
                       )}
+
+                      {getQuickUnlockPolicy(tech) !== QUICK_UNLOCK_POLICY.OPTIONAL && (
+                        <View style={styles.techMetaItem}>
+                          <MaterialIcons
+                            name={getQuickUnlockPolicy(tech) === QUICK_UNLOCK_POLICY.REQUIRED ? "lock" : "block"}
+                            size={12}
+                            color="#666"
+                          />
+                          <Text style={styles.techMetaText}>
+                            {i18n.t(`admin.technicians.quickUnlock.${getQuickUnlockPolicy(tech)}`)}
+                          </Text>
+                        </View>
+                      )}
                     </View>
                   </View>
 
@@ -1198,6 +1253,35 @@ screenScrollContent: {
     fontFamily: 'System',
     fontStyle: "italic",
   },
+  optionRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  optionChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+    backgroundColor: "#f8f9fa",
+  },
+  optionChipActive: {
+    backgroundColor: "#1f9c8b",
+    borderColor: "#1f9c8b",
+  },
+  optionChipText: {
+    fontSize: 13,
+    color: "#666",
+    fontWeight: "500",
+    fontFamily: 'System',
+  },
+  optionChipTextActive: {
+    color: "#fff",
+  },
   modalButtons: {
     flexDirection: "row",
     padding: 24,
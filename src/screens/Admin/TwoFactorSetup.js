@@ -0,0 +1,417 @@
+// TwoFactorSetup.js - Authenticator enrolment and recovery codes for admins
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  Linking,
+  Platform,
+  Alert
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { MaterialIcons } from '@expo/vector-icons';
+import * as Clipboard from "expo-clipboard";
+import QRCode from "react-native-qrcode-svg";
+import apiService, { API_ERROR_TYPES } from "../../services/apiService";
+import i18n from "../../services/i18n";
+
+const showAlert = (title, message) => {
+  if (Platform.OS === "web") {
+    window.alert(`${title}\n\n${message}`);
+    return;
+  }
+
+  Alert.alert(title, message);
+};
+
+/**
+ * Steps: "scan" shows the secret as a QR code and asks for the first code,
+ * "recovery" shows the one-time recovery codes. With `enabled` the admin
+ * is already enrolled and can only issue a new set of recovery codes.
+ */
+export default function TwoFactorSetup({
+  enabled = false,
+  required = false,
+  onDone,
+  onClose,
+  onLogout
+}) {
+  const [step, setStep] = useState(enabled ? "regenerate" : "loading");
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (enabled) return;
+
+    startEnrollment();
+  }, [enabled]);
+
+  const startEnrollment = async () => {
+    setStep("loading");
+    const result = await apiService.startTwoFactorEnrollment();
+
+    if (!result?.success) {
+      showAlert(
+        i18n.t("common.error"),
+        result?.error || i18n.t("admin.twoFactor.errors.startFailed")
+      );
+      setStep("error");
+      return;
+    }
+
+    setEnrollment({
+      secret: result.secret,
+      otpauthUrl: result.otpauthUrl || result.otpauth_url
+    });
+    setStep("scan");
+  };
+
+  const submitCode = async () => {
+    const trimmed = code.trim();
+    if (!/^\d{6}$/.test(trimmed)) {
+      showAlert(i18n.t("common.error"), i18n.t("admin.twoFactor.errors.codeFormat"));
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const result = enabled
+        ? await apiService.regenerateRecoveryCodes(trimmed)
+        : await apiService.confirmTwoFactorEnrollment(trimmed);
+
+      if (!result?.success) {
+        setCode("");
+        showAlert(
+          i18n.t("common.error"),
+          result?.errorType === API_ERROR_TYPES.VALIDATION
+            ? i18n.t("admin.twoFactor.errors.invalidCode")
+            : result?.error || i18n.t("admin.twoFactor.errors.failed")
+        );
+        return;
+      }
+
+      setRecoveryCodes(result.recoveryCodes || result.recovery_codes || []);
+      setCode("");
+      setStep("recovery");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const copyToClipboard = async (text) => {
+    await Clipboard.setStringAsync(text);
+    showAlert(i18n.t("admin.twoFactor.copiedTitle"), i18n.t("admin.twoFactor.copiedMessage"));
+  };
+
+  const renderCodeInput = () => (
+    <>
+      <TextInput
+        style={styles.input}
+        placeholder={i18n.t("admin.twoFactor.codePlaceholder")}
+        keyboardType="number-pad"
+        maxLength={6}
+        value={code}
+        onChangeText={(text) => setCode(text.replace(/\D/g, ""))}
+        onSubmitEditing={submitCode}
+      />
+
+      <TouchableOpacity
+        style={[styles.submitButton, submitting && { opacity: 0.6 }]}
+        disabled={submitting}
+        onPress={submitCode}
+      >
+        {submitting ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <Text style={styles.submitText}>{i18n.t("admin.twoFactor.verify")}</Text>
+        )}
+      </TouchableOpacity>
+    </>
+  );
+
+  const renderScan = () => (
+    <>
+      <Text style={styles.description}>
+        {required
+          ? i18n.t("admin.twoFactor.requiredDescription")
+          : i18n.t("admin.twoFactor.description")}
+      </Text>
+
+      {!!enrollment?.otpauthUrl && (
+        <View style={styles.qrContainer}>
+          <QRCode value={enrollment.otpauthUrl} size={180} />
+        </View>
+      )}
+
+      <Text style={styles.label}>{i18n.t("admin.twoFactor.manualEntry")}</Text>
+      <TouchableOpacity
+        style={styles.secretBox}
+        onPress={() => copyToClipboard(enrollment.secret)}
+      >
+        <Text style={styles.secretText} selectable>{enrollment?.secret}</Text>
+        <MaterialIcons name="content-copy" size={18} color="#1f9c8b" />
+      </TouchableOpacity>
+
+      {Platform.OS !== "web" && !!enrollment?.otpauthUrl && (
+        <TouchableOpacity
+          style={styles.linkButton}
+          onPress={() => Linking.openURL(enrollment.otpauthUrl).catch(() => {
+            showAlert(i18n.t("common.error"), i18n.t("admin.twoFactor.errors.noAuthenticator"));
+          })}
+        >
+          <Text style={styles.linkText}>{i18n.t("admin.twoFactor.openAuthenticator")}</Text>
+        </TouchableOpacity>
+      )}
+
+      <Text style={styles.label}>{i18n.t("admin.twoFactor.enterFirstCode")}</Text>
+      {renderCodeInput()}
+    </>
+  );
+
+  const renderRegenerate = () => (
+    <>
+      <Text style={styles.description}>
+        {i18n.t("admin.twoFactor.enabledDescription")}
+      </Text>
+      <Text style={styles.label}>{i18n.t("admin.twoFactor.regenerateHint")}</Text>
+      {renderCodeInput()}
+    </>
+  );
+
+  const renderRecovery = () => (
+    <>
+      <Text style={styles.description}>
+        {i18n.t("admin.twoFactor.recoveryDescription")}
+      </Text>
+
+      <View style={styles.codesBox}>
+        {recoveryCodes.map((recoveryCode) => (
+          <Text key={recoveryCode} style={styles.codeText} selectable>
+            {recoveryCode}
+          </Text>
+        ))}
+      </View>
+
+      <TouchableOpacity
+        style={styles.linkButton}
+        onPress={() => copyToClipboard(recoveryCodes.join("\n"))}
+      >
+        <Text style={styles.linkText}>{i18n.t("admin.twoFactor.copyCodes")}</Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.submitButton} onPress={onDone}>
+        <Text style={styles.submitText}>{i18n.t("admin.twoFactor.savedCodes")}</Text>
+      </TouchableOpacity>
+    </>
+  );
+
+  const renderContent = () => {
+    if (step === "loading") {
+      return <ActivityIndicator size="large" color="#1f9c8b" />;
+    }
+
+    if (step === "error") {
+      return (
+        <TouchableOpacity style={styles.submitButton} onPress={startEnrollment}>
+          <Text style={styles.submitText}>{i18n.t("common.retry")}</Text>
+        </TouchableOpacity>
+      );
+    }
+
+    if (step === "recovery") return renderRecovery();
+    if (step === "regenerate") return renderRegenerate();
+    return renderScan();
+  };
+
+  // Recovery codes must be acknowledged, and a required enrolment can only
+  // be left by signing out
+  const closeDisabled = step === "recovery";
+
+  return (
+    <SafeAreaView style={styles.screen} edges={["top", "right", "bottom", "left"]}>
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+        showsVerticalScrollIndicator={false}
+      >
+        <View style={styles.header}>
+          <TouchableOpacity
+            style={[styles.closeButton, closeDisabled && { opacity: 0 }]}
+            hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+            disabled={closeDisabled}
+            onPress={required ? onLogout : onClose}
+          >
+            <MaterialIcons name={required ? "logout" : "close"} size={26} color="#fff" />
+          </TouchableOpacity>
+
+          <Text style={styles.headerTitle}>{i18n.t("admin.twoFactor.title")}</Text>
+
+          <View style={styles.headerSpacer} />
+        </View>
+
+        <View style={styles.content}>
+          <MaterialIcons name="verified-user" size={58} color="#1f9c8b" />
+          {renderContent()}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    backgroundColor: "#f8f9fa",
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    flexGrow: 1,
+    backgroundColor: "#f8f9fa",
+  },
+
+  // HEADER
+  header: {
+    backgroundColor: "#1f9c8b",
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  closeButton: {
+    width: 44,
+    height: 44,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  headerSpacer: {
+    width: 44,
+    height: 44,
+  },
+  headerTitle: {
+    color: "#fff",
+    fontSize: 18,
+    fontWeight: "700",
+  },
+
+  // CONTENT
+  content: {
+    flexGrow: 1,
+    padding: 24,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  description: {
+    maxWidth: 500,
+    marginTop: 20,
+    marginBottom: 24,
+    color: "#666",
+    fontSize: 15,
+    lineHeight: 22,
+    textAlign: "center",
+  },
+  label: {
+    width: "100%",
+    maxWidth: 500,
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#2c3e50",
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  qrContainer: {
+    padding: 16,
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: "#e1e5e8",
+    marginBottom: 12,
+  },
+  secretBox: {
+    width: "100%",
+    maxWidth: 500,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#e1e5e8",
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+  },
+  secretText: {
+    flex: 1,
+    fontSize: 15,
+    letterSpacing: 2,
+    color: "#2c3e50",
+    fontFamily: Platform.OS === "ios" ? "Menlo" : "monospace",
+  },
+  codesBox: {
+    width: "100%",
+    maxWidth: 500,
+    flexDirection: "row",
+    flexWrap: "wrap",
+    justifyContent: "space-between",
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#e1e5e8",
+    borderRadius: 12,
+    padding: 16,
+  },
+  codeText: {
+    width: "48%",
+    fontSize: 15,
+    paddingVertical: 6,
+    textAlign: "center",
+    color: "#2c3e50",
+    fontFamily: Platform.OS === "ios" ? "Menlo" : "monospace",
+  },
+
+  // INPUT & BUTTONS
+  input: {
+    width: "100%",
+    maxWidth: 500,
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#e1e5e8",
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 15,
+    marginBottom: 14,
+    fontSize: 18,
+    letterSpacing: 6,
+    textAlign: "center",
+  },
+  submitButton: {
+    width: "100%",
+    maxWidth: 500,
+    backgroundColor: "#1f9c8b",
+    borderRadius: 12,
+    paddingVertical: 16,
+    alignItems: "center",
+    marginTop: 10,
+  },
+  submitText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "700",
+  },
+  linkButton: {
+    paddingVertical: 12,
+  },
+  linkText: {
+    color: "#1f9c8b",
+    fontSize: 14,
+    fontWeight: "600",
+  },
+});
@@ -0,0 +1,173 @@
+// CustomerActivityScreen.js - Station activity heatmap for customers (read-only)
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  StyleSheet,
+  RefreshControl,
+  StatusBar
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { MaterialIcons } from '@expo/vector-icons';
+import apiService from "../../services/apiService";
+import StationHeatmap from "../../components/StationHeatmap";
+import i18n from "../../services/i18n";
+
+export default function CustomerActivityScreen({ onBack }) {
+  const [maps, setMaps] = useState([]);
+  const [trendRows, setTrendRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const loadActivity = async () => {
+    const [customerMaps, rows] = await Promise.all([
+      apiService.getCustomerMaps(),
+      apiService.getCustomerStationTrends()
+    ]);
+
+    setMaps(customerMaps);
+    setTrendRows(rows);
+  };
+
+  useEffect(() => {
+    loadActivity().finally(() => setLoading(false));
+  }, []);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await loadActivity();
+    setRefreshing(false);
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#1f9c8b" />
+        <Text style={styles.loadingText}>{i18n.t("customer.activity.loading")}</Text>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="dark-content" backgroundColor="#f8f9fa" />
+
+      {/* HEADER */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={onBack}
+          activeOpacity={0.7}
+        >
+          <MaterialIcons name="arrow-back" size={24} color="#1f9c8b" />
+          <Text style={styles.backButtonText}>{i18n.t("customer.visits.back")}</Text>
+        </TouchableOpacity>
+
+        <View style={styles.headerContent}>
+          <Text style={styles.headerTitle}>{i18n.t("customer.activity.title")}</Text>
+          <Text style={styles.headerSubtitle}>{i18n.t("customer.activity.subtitle")}</Text>
+        </View>
+      </View>
+
+      <ScrollView
+        contentContainerStyle={styles.content}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} colors={["#1f9c8b"]} />
+        }
+      >
+        <View style={styles.infoBanner}>
+          <MaterialIcons name="info" size={18} color="#1f9c8b" />
+          <Text style={styles.infoText}>{i18n.t("customer.activity.infoBanner")}</Text>
+        </View>
+
+        <View style={styles.card}>
+          <StationHeatmap maps={maps} trendRows={trendRows} />
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f8f9fa",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f8f9fa",
+  },
+  loadingText: {
+    marginTop: 16,
+    fontSize: 16,
+    color: "#666",
+  },
+
+  // HEADER
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  backButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 16,
+    padding: 8,
+  },
+  backButtonText: {
+    fontSize: 16,
+    color: '#1f9c8b',
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  headerContent: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: '#2c3e50',
+    marginBottom: 2,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#666',
+  },
+
+  // CONTENT
+  content: {
+    padding: 20,
+  },
+  infoBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#e9f7f6',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+    gap: 8,
+  },
+  infoText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#2c3e50',
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: '#f0f0f0',
+  },
+});
@@ -15,7 +15,7 @@ import {
 import { MaterialIcons, FontAwesome5, Ionicons, Feather, Entypo, MaterialCommunityIcons } from '@expo/vector-icons';
 import i18n from "../../services/i18n";
 
-export default function useCustomerHome({ customer, onLogout, onViewVisits }) {
+export default function useCustomerHome({ customer, onLogout, onViewVisits, onViewActivity }) {
   const [loading, setLoading] = useState(true);
   const [dashboard, setDashboard] = useState(null);
   const [currentPassword, setCurrentPassword] = useState("");
@@ -504,7 +504,7 @@ export default function useCustomerHome({ customer, onLogout, onViewVisits }) {
             }
           }
 
-          result = await apiService.submitCustomerRequest(formData, true);
+          result = await apiService.submitCustomerRequest(formData);
         } else {
           result = await apiService.submitCustomerRequest(requestData);
         }
@@ -1382,6 +1382,7 @@ export default function useCustomerHome({ customer, onLogout, onViewVisits }) {
     /* handlers */
     onLogout,
     onViewVisits,
+    onViewActivity,
     onRefresh,
     toggleNotifications,
     toggleAppointments,
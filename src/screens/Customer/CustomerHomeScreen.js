@@ -32,10 +32,11 @@ import i18n from "../../services/i18n";
 export default function CustomerHomeScreen({
   customer,
   onLogout,
-  onViewVisits
+  onViewVisits,
+  onViewActivity
 }) {
 
-  const home = useCustomerHome({ customer, onLogout, onViewVisits });
+  const home = useCustomerHome({ customer, onLogout, onViewVisits, onViewActivity });
 
   const timeOptions = Array.from({ length: 48 }, (_, i) => {
     const hour = Math.floor(i / 2);
@@ -584,6 +585,16 @@ export default function CustomerHomeScreen({
               </View>
               <Text style={styles.quickActionText}>{i18n.t("customer.quickActions.contactUs")}</Text>
             </TouchableOpacity>
+
+            <TouchableOpacity
+              style={styles.quickActionButton}
+              onPress={home.onViewActivity}
+            >
+              <View style={[styles.quickActionIcon, { backgroundColor: 'rgba(76, 175, 80, 0.1)' }]}>
+                <MaterialIcons name="whatshot" size={24} color="#1f9c8b" />
+              </View>
+              <Text style={styles.quickActionText}>{i18n.t("customer.quickActions.activityMap")}</Text>
+            </TouchableOpacity>
           </View>
 
           {/* Upcoming Appointments Section */}
@@ -1,5 +1,5 @@
 //LoginScreen.js
-import React, { useState } from "react";
+import React, { useState, useRef, useEffect } from "react";
 import { Modal, ScrollView } from "react-native";
 import {
   View,
@@ -12,22 +12,38 @@ import {
 } from "react-native";
 import { StyleSheet } from "react-native";
 
-import apiService from "../services/apiService";
+import apiService, { API_ERROR_TYPES } from "../services/apiService";
+import { getApiErrorMessage } from "../utils/apiRequests";
+import { API_ENVIRONMENTS } from "../constants/apiEnvironments";
 import i18n from "../services/i18n";
 import pestfreeLogo from "../../assets/pestfree_logo.png";
 import loginBackground from "../../assets/background.jpg";
 
+// Taps on the logo that open the developer switch
+const DEV_SWITCH_TAPS = 7;
+
 export default function LoginScreen({
   onTechnicianLogin,
   onAdminLogin,
   onCustomerLogin,
-  onPasswordRecovery
+  onPasswordRecovery,
+  notice
 }) {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [showPrivacy, setShowPrivacy] = useState(false);
   const [showTerms, setShowTerms] = useState(false);
   const [currentLanguage, setCurrentLanguage] = useState(i18n.getLocale()); // Use getter
+  const [showDevSwitch, setShowDevSwitch] = useState(false);
+  const [apiEnvironment, setActiveEnvironment] = useState({ name: "production", label: "" });
+  const [switchingEnvironment, setSwitchingEnvironment] = useState(false);
+  const [switchChallenge, setSwitchChallenge] = useState(null); // { name, challengeToken }
+  const [switchCode, setSwitchCode] = useState("");
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [verifyingCode, setVerifyingCode] = useState(false);
+  const logoTapsRef = useRef({ count: 0, last: 0 });
 
   const changeLanguage = (lang) => {
     i18n.setLocale(lang);
@@ -68,6 +84,99 @@ export default function LoginScreen({
     }
   };
 
+  useEffect(() => {
+    apiService.getApiEnvironment().then(setActiveEnvironment);
+  }, []);
+
+  const handleLogoPress = () => {
+    const now = Date.now();
+    const taps = logoTapsRef.current;
+
+    taps.count = now - taps.last < 1500 ? taps.count + 1 : 1;
+    taps.last = now;
+
+    if (taps.count >= DEV_SWITCH_TAPS) {
+      taps.count = 0;
+      setShowDevSwitch(true);
+    }
+  };
+
+  // Only admins may switch; their credentials are checked against the
+  // backend the app is currently talking to.
+  const selectEnvironment = async (name) => {
+    if (name === apiEnvironment.name) return;
+
+    if (!email || !password) {
+      showAlert(
+        i18n.t("login.devSwitch.title"),
+        i18n.t("login.devSwitch.adminRequired")
+      );
+      return;
+    }
+
+    setSwitchingEnvironment(true);
+    try {
+      const result = await apiService.login(email, password);
+
+      // The password alone is not enough for admins with two-factor enabled
+      if (result?.success && result.twoFactorRequired) {
+        setSwitchChallenge({ name, challengeToken: result.challengeToken });
+        setSwitchCode("");
+        return;
+      }
+
+      await switchEnvironment(name, result);
+    } finally {
+      setSwitchingEnvironment(false);
+    }
+  };
+
+  const verifySwitchCode = async () => {
+    const code = switchCode.trim();
+    if (!code) {
+      showAlert(i18n.t("login.devSwitch.title"), i18n.t("login.twoFactor.enterCode"));
+      return;
+    }
+
+    setSwitchingEnvironment(true);
+    try {
+      const result = await apiService.verifyTwoFactorLogin(switchChallenge.challengeToken, { code });
+      const { name } = switchChallenge;
+      setSwitchChallenge(null);
+      setSwitchCode("");
+
+      await switchEnvironment(name, result);
+    } finally {
+      setSwitchingEnvironment(false);
+    }
+  };
+
+  // result is a completed sign-in, never a pending two-factor challenge
+  const switchEnvironment = async (name, result) => {
+    if (!result?.success || result.twoFactorRequired || result.role !== "admin") {
+      await apiService.clearAuthToken();
+      showAlert(
+        i18n.t("login.devSwitch.title"),
+        i18n.t("login.devSwitch.adminRequired")
+      );
+      return;
+    }
+
+    const switched = await apiService.setApiEnvironment(name);
+    if (!switched.success) {
+      showAlert(i18n.t("login.devSwitch.title"), switched.error);
+      return;
+    }
+
+    setActiveEnvironment(switched.environment);
+    setPassword("");
+    setShowDevSwitch(false);
+    showAlert(
+      i18n.t("login.devSwitch.title"),
+      i18n.t("login.devSwitch.switched", { name: switched.environment.label })
+    );
+  };
+
   const tryLogin = async () => {
     if (!email || !password) {
       showAlert(i18n.t("login.error.title"), i18n.t("login.error.enterEmailAndPassword"));
@@ -82,11 +191,19 @@ export default function LoginScreen({
       return;
     }
 
+    if (result.twoFactorRequired) {
+      setTwoFactorChallenge(result.challengeToken);
+      setTwoFactorCode("");
+      setUseRecoveryCode(false);
+      return;
+    }
+
     if (result.role === "admin") {
       await apiService.setAuthToken(result.token);
 
       onAdminLogin(
-        result.mustChangePassword === true
+        result.mustChangePassword === true,
+        result.twoFactorEnabled === true
       );
 
       return;
@@ -107,13 +224,82 @@ export default function LoginScreen({
     setPassword("");
   };
 
+  const verifyTwoFactorCode = async () => {
+    const code = twoFactorCode.trim();
+    if (!code) {
+      showAlert(i18n.t("login.error.title"), i18n.t("login.twoFactor.enterCode"));
+      return;
+    }
+
+    setVerifyingCode(true);
+    try {
+      const result = await apiService.verifyTwoFactorLogin(
+        twoFactorChallenge,
+        useRecoveryCode ? { recoveryCode: code } : { code }
+      );
+
+      if (!result?.success) {
+        // The challenge expires after a few minutes; start over with the password
+        if (result?.data?.code === "CHALLENGE_EXPIRED") {
+          cancelTwoFactor();
+          showAlert(i18n.t("login.error.title"), i18n.t("login.twoFactor.challengeExpired"));
+          return;
+        }
+
+        // Offline or a server fault says nothing about the code, so it is kept for a retry
+        if (result?.errorType !== API_ERROR_TYPES.VALIDATION && result?.errorType !== API_ERROR_TYPES.AUTH) {
+          showAlert(
+            i18n.t("login.error.title"),
+            getApiErrorMessage(result, i18n.t("login.twoFactor.verifyFailed"))
+          );
+          return;
+        }
+
+        setTwoFactorCode("");
+        showAlert(i18n.t("login.error.title"), i18n.t("login.twoFactor.invalidCode"));
+        return;
+      }
+
+      if (useRecoveryCode && result.recoveryCodesRemaining !== undefined) {
+        showAlert(
+          i18n.t("login.twoFactor.title"),
+          result.recoveryCodesRemaining === 1
+            ? i18n.t("login.twoFactor.recoveryCodesRemaining_one", { count: result.recoveryCodesRemaining })
+            : i18n.t("login.twoFactor.recoveryCodesRemaining_other", { count: result.recoveryCodesRemaining })
+        );
+      }
+
+      setTwoFactorChallenge(null);
+      onAdminLogin(result.mustChangePassword === true, true);
+    } finally {
+      setVerifyingCode(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setTwoFactorChallenge(null);
+    setTwoFactorCode("");
+    setUseRecoveryCode(false);
+    setPassword("");
+  };
+
   return (
     <View style={styles.loginContainer}>
       <Image source={loginBackground} style={styles.backgroundImage} />
       <View style={styles.backgroundOverlay} />
 
       <View style={styles.loginContent}>
-        <Image source={pestfreeLogo} style={styles.logo} resizeMode="contain" />
+        <TouchableOpacity activeOpacity={1} onPress={handleLogoPress}>
+          <Image source={pestfreeLogo} style={styles.logo} resizeMode="contain" />
+        </TouchableOpacity>
+
+        {apiEnvironment.name !== "production" && (
+          <View style={styles.environmentBadge}>
+            <Text style={styles.environmentBadgeText}>
+              {apiEnvironment.label.toUpperCase()}
+            </Text>
+          </View>
+        )}
 
         {/* Language selector buttons */}
         <View style={styles.languageSelector}>
@@ -147,34 +333,100 @@ export default function LoginScreen({
           </TouchableOpacity>
         </View>
 
-        <TextInput
-          style={styles.loginInput}
-          placeholder={i18n.t("login.emailPlaceholder")}
-          value={email}
-          onChangeText={setEmail}
-          autoCapitalize="none"
-        />
-
-        <TextInput
-          style={styles.loginInput}
-          placeholder={i18n.t("login.passwordPlaceholder")}
-          secureTextEntry
-          value={password}
-          onChangeText={setPassword}
-        />
-
-        <TouchableOpacity style={styles.loginButton} onPress={tryLogin}>
-          <Text style={styles.loginButtonText}>{i18n.t("login.loginButton")}</Text>
-        </TouchableOpacity>
-        
-        <TouchableOpacity
-          style={{ marginTop: 14 }}
-          onPress={onPasswordRecovery}
-        >
-          <Text style={{ color: "#fff", textDecorationLine: "underline" }}>
-            {i18n.t("login.forgotPassword")}
-          </Text>
-        </TouchableOpacity>
+        {notice === "expired" && (
+          <View style={styles.noticeBanner}>
+            <Text style={styles.noticeTitle}>{i18n.t("login.sessionExpired.title")}</Text>
+            <Text style={styles.noticeText}>{i18n.t("login.sessionExpired.message")}</Text>
+          </View>
+        )}
+
+        {twoFactorChallenge ? (
+          <>
+            <View style={styles.twoFactorHeader}>
+              <Text style={styles.twoFactorTitle}>{i18n.t("login.twoFactor.title")}</Text>
+              <Text style={styles.twoFactorText}>
+                {useRecoveryCode
+                  ? i18n.t("login.twoFactor.recoveryPrompt")
+                  : i18n.t("login.twoFactor.codePrompt")}
+              </Text>
+            </View>
+
+            <TextInput
+              style={styles.loginInput}
+              placeholder={
+                useRecoveryCode
+                  ? i18n.t("login.twoFactor.recoveryPlaceholder")
+                  : i18n.t("login.twoFactor.codePlaceholder")
+              }
+              value={twoFactorCode}
+              onChangeText={setTwoFactorCode}
+              keyboardType={useRecoveryCode ? "default" : "number-pad"}
+              autoCapitalize="none"
+              autoCorrect={false}
+              maxLength={useRecoveryCode ? 20 : 6}
+              onSubmitEditing={verifyTwoFactorCode}
+            />
+
+            <TouchableOpacity
+              style={[styles.loginButton, verifyingCode && { opacity: 0.6 }]}
+              onPress={verifyTwoFactorCode}
+              disabled={verifyingCode}
+            >
+              <Text style={styles.loginButtonText}>{i18n.t("login.twoFactor.verify")}</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={{ marginTop: 14 }}
+              onPress={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setTwoFactorCode("");
+              }}
+            >
+              <Text style={{ color: "#fff", textDecorationLine: "underline" }}>
+                {useRecoveryCode
+                  ? i18n.t("login.twoFactor.useAuthenticator")
+                  : i18n.t("login.twoFactor.useRecoveryCode")}
+              </Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity style={{ marginTop: 10 }} onPress={cancelTwoFactor}>
+              <Text style={{ color: "#fff", textDecorationLine: "underline" }}>
+                {i18n.t("login.twoFactor.backToLogin")}
+              </Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <>
+            <TextInput
+              style={styles.loginInput}
+              placeholder={i18n.t("login.emailPlaceholder")}
+              value={email}
+              onChangeText={setEmail}
+              autoCapitalize="none"
+            />
+
+            <TextInput
+              style={styles.loginInput}
+              placeholder={i18n.t("login.passwordPlaceholder")}
+              secureTextEntry
+              value={password}
+              onChangeText={setPassword}
+            />
+
+            <TouchableOpacity style={styles.loginButton} onPress={tryLogin}>
+              <Text style={styles.loginButtonText}>{i18n.t("login.loginButton")}</Text>
+            </TouchableOpacity>
+            
+            <TouchableOpacity
+              style={{ marginTop: 14 }}
+              onPress={onPasswordRecovery}
+            >
+              <Text style={{ color: "#fff", textDecorationLine: "underline" }}>
+                {i18n.t("login.forgotPassword")}
+              </Text>
+            </TouchableOpacity>
+          </>
+        )}
         
         <View style={styles.footerLinks}>
           <TouchableOpacity onPress={() => setShowPrivacy(true)}>
@@ -214,6 +466,75 @@ export default function LoginScreen({
         </View>
       </Modal>
 
+      <Modal visible={showDevSwitch} animationType="slide">
+        <View style={styles.modalContainer}>
+          <Text style={styles.modalTitle}>{i18n.t("login.devSwitch.title")}</Text>
+          <Text style={styles.devSwitchHint}>{i18n.t("login.devSwitch.hint")}</Text>
+
+          {switchChallenge && (
+            <View style={styles.devSwitchChallenge}>
+              <Text style={styles.devSwitchHint}>{i18n.t("login.devSwitch.codePrompt")}</Text>
+              <TextInput
+                style={styles.devSwitchCodeInput}
+                placeholder={i18n.t("login.twoFactor.codePlaceholder")}
+                value={switchCode}
+                onChangeText={setSwitchCode}
+                keyboardType="number-pad"
+                maxLength={6}
+                onSubmitEditing={verifySwitchCode}
+              />
+              <TouchableOpacity
+                style={[styles.loginButton, switchingEnvironment && { opacity: 0.6 }]}
+                onPress={verifySwitchCode}
+                disabled={switchingEnvironment}
+              >
+                <Text style={styles.loginButtonText}>{i18n.t("login.twoFactor.verify")}</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          <ScrollView style={styles.modalContent}>
+            {Object.keys(API_ENVIRONMENTS).map((name) => {
+              const environment = API_ENVIRONMENTS[name];
+              const isActive = name === apiEnvironment.name;
+
+              return (
+                <TouchableOpacity
+                  key={name}
+                  style={[
+                    styles.environmentOption,
+                    isActive && styles.environmentOptionActive,
+                    !environment.apiBaseUrl && styles.environmentOptionDisabled
+                  ]}
+                  onPress={() => selectEnvironment(name)}
+                  disabled={switchingEnvironment || !!switchChallenge || !environment.apiBaseUrl}
+                >
+                  <Text style={styles.environmentOptionLabel}>
+                    {environment.label}
+                    {isActive ? ` - ${i18n.t("login.devSwitch.active")}` : ""}
+                  </Text>
+                  <Text style={styles.environmentOptionUrl}>
+                    {environment.apiBaseUrl || i18n.t("login.devSwitch.notConfigured")}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+
+          <TouchableOpacity
+            style={styles.modalCloseButton}
+            onPress={() => {
+              setSwitchChallenge(null);
+              setSwitchCode("");
+              setShowDevSwitch(false);
+            }}
+            disabled={switchingEnvironment}
+          >
+            <Text style={styles.modalCloseText}>{i18n.t("common.close")}</Text>
+          </TouchableOpacity>
+        </View>
+      </Modal>
+
       <Modal visible={showTerms} animationType="slide">
         <View style={styles.modalContainer}>
           <Text style={styles.modalTitle}>{i18n.t("termsOfUse.title")}</Text>
@@ -344,6 +665,96 @@ const styles = StyleSheet.create({
     color: "#fff",
     fontWeight: "bold",
   },
+  noticeBanner: {
+    width: "100%",
+    backgroundColor: "rgba(255, 243, 224, 0.95)",
+    borderLeftWidth: 4,
+    borderLeftColor: "#F57C00",
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 12,
+  },
+  noticeTitle: {
+    fontSize: 14,
+    fontWeight: "700",
+    color: "#E65100",
+    marginBottom: 2,
+  },
+  noticeText: {
+    fontSize: 13,
+    color: "#5D4037",
+  },
+  // Two-factor step
+  twoFactorHeader: {
+    width: "100%",
+    marginBottom: 12,
+  },
+  twoFactorTitle: {
+    color: "#fff",
+    fontSize: 18,
+    fontWeight: "700",
+    textAlign: "center",
+    marginBottom: 6,
+  },
+  twoFactorText: {
+    color: "#fff",
+    fontSize: 13,
+    textAlign: "center",
+  },
+  // Developer environment switch
+  environmentBadge: {
+    backgroundColor: "#F57C00",
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginTop: -20,
+    marginBottom: 20,
+  },
+  environmentBadgeText: {
+    color: "#fff",
+    fontSize: 11,
+    fontWeight: "700",
+  },
+  devSwitchHint: {
+    fontSize: 13,
+    color: "#666",
+    textAlign: "center",
+    marginBottom: 16,
+  },
+  devSwitchChallenge: {
+    marginBottom: 16,
+  },
+  devSwitchCodeInput: {
+    borderWidth: 1,
+    borderColor: "#e9ecef",
+    borderRadius: 10,
+    padding: 14,
+    textAlign: "center",
+  },
+  environmentOption: {
+    borderWidth: 1,
+    borderColor: "#e9ecef",
+    borderRadius: 10,
+    padding: 14,
+    marginBottom: 10,
+  },
+  environmentOptionActive: {
+    borderColor: "#1f9c8d",
+    backgroundColor: "#f1f9f8",
+  },
+  environmentOptionDisabled: {
+    opacity: 0.5,
+  },
+  environmentOptionLabel: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#2c3e50",
+  },
+  environmentOptionUrl: {
+    fontSize: 12,
+    color: "#666",
+    marginTop: 4,
+  },
   // New styles for language selector
   languageSelector: {
     flexDirection: "row",
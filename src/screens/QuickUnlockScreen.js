@@ -0,0 +1,392 @@
+//screens/QuickUnlockScreen.js
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Image,
+  ActivityIndicator
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { MaterialIcons } from '@expo/vector-icons';
+import {
+  QUICK_UNLOCK_METHODS,
+  QUICK_UNLOCK_PIN_LENGTH,
+  getQuickUnlockSettings,
+  getBiometricSupport,
+  enableQuickUnlock,
+  authenticateWithBiometrics,
+  verifyQuickUnlockPin
+} from "../services/quickUnlock";
+import pestfreeLogo from "../../assets/pestfree_logo.png";
+import i18n from "../services/i18n";
+
+/**
+ * mode "unlock" asks for the PIN or biometrics set up earlier.
+ * mode "setup" lets the technician protect the session after a full login;
+ * it can only be skipped when quick unlock is not required.
+ */
+export default function QuickUnlockScreen({
+  mode,
+  technician,
+  required = false,
+  onUnlocked,
+  onSkip,
+  onUsePassword
+}) {
+  const [method, setMethod] = useState(null);
+  const [biometricAvailable, setBiometricAvailable] = useState(false);
+  const [pin, setPin] = useState("");
+  const [confirmPin, setConfirmPin] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const technicianId = technician?.technicianId || technician?.id;
+  const technicianName = [technician?.firstName, technician?.lastName]
+    .filter(Boolean)
+    .join(" ");
+
+  useEffect(() => {
+    (async () => {
+      const support = await getBiometricSupport();
+      setBiometricAvailable(support.available);
+
+      if (mode === "unlock") {
+        const settings = await getQuickUnlockSettings();
+        setMethod(settings?.method || QUICK_UNLOCK_METHODS.PIN);
+
+        if (settings?.method === QUICK_UNLOCK_METHODS.BIOMETRIC) {
+          unlockWithBiometrics();
+        }
+      }
+    })();
+  }, [mode]);
+
+  const unlockWithBiometrics = async () => {
+    setError(null);
+    const result = await authenticateWithBiometrics(
+      i18n.t("quickUnlock.unlock.biometricPrompt")
+    );
+
+    if (result.success) {
+      onUnlocked();
+    } else {
+      setError(i18n.t("quickUnlock.unlock.biometricFailed"));
+    }
+  };
+
+  const unlockWithPin = async () => {
+    if (pin.length < QUICK_UNLOCK_PIN_LENGTH) return;
+
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await verifyQuickUnlockPin(pin);
+
+      if (result.success) {
+        onUnlocked();
+        return;
+      }
+
+      setPin("");
+      if (result.locked) {
+        onUsePassword();
+        return;
+      }
+
+      setError(
+        result.attemptsLeft === 1
+          ? i18n.t("quickUnlock.unlock.wrongPin_one", { count: result.attemptsLeft })
+          : i18n.t("quickUnlock.unlock.wrongPin_other", { count: result.attemptsLeft })
+      );
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const finishSetup = async (selectedMethod) => {
+    if (selectedMethod === QUICK_UNLOCK_METHODS.PIN) {
+      if (pin.length < QUICK_UNLOCK_PIN_LENGTH) {
+        setError(
+          i18n.t("quickUnlock.setup.pinTooShort", { length: QUICK_UNLOCK_PIN_LENGTH })
+        );
+        return;
+      }
+      if (pin !== confirmPin) {
+        setError(i18n.t("quickUnlock.setup.pinMismatch"));
+        return;
+      }
+    } else {
+      // Confirm the technician can actually pass the prompt before relying on it
+      const result = await authenticateWithBiometrics(
+        i18n.t("quickUnlock.unlock.biometricPrompt")
+      );
+      if (!result.success) {
+        setError(i18n.t("quickUnlock.unlock.biometricFailed"));
+        return;
+      }
+    }
+
+    setBusy(true);
+    try {
+      await enableQuickUnlock(technicianId, { method: selectedMethod, pin });
+      onUnlocked();
+    } catch (err) {
+      console.error("❌ Failed to enable quick unlock:", err);
+      setError(i18n.t("quickUnlock.setup.failed"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderPinInput = (value, onChange, placeholder, onSubmit) => (
+    <TextInput
+      style={styles.pinInput}
+      value={value}
+      onChangeText={(text) => onChange(text.replace(/\D/g, "").slice(0, 6))}
+      placeholder={placeholder}
+      placeholderTextColor="#999"
+      keyboardType="number-pad"
+      secureTextEntry
+      maxLength={6}
+      onSubmitEditing={onSubmit}
+      editable={!busy}
+    />
+  );
+
+  const renderUnlock = () => (
+    <>
+      <Text style={styles.title}>{i18n.t("quickUnlock.unlock.title")}</Text>
+      {!!technicianName && (
+        <Text style={styles.subtitle}>
+          {i18n.t("quickUnlock.unlock.subtitle", { name: technicianName })}
+        </Text>
+      )}
+
+      {method === QUICK_UNLOCK_METHODS.BIOMETRIC ? (
+        <TouchableOpacity style={styles.button} onPress={unlockWithBiometrics}>
+          <MaterialIcons name="fingerprint" size={20} color="#fff" />
+          <Text style={styles.buttonText}>{i18n.t("quickUnlock.unlock.useBiometrics")}</Text>
+        </TouchableOpacity>
+      ) : (
+        <>
+          {renderPinInput(pin, setPin, i18n.t("quickUnlock.unlock.pinPlaceholder"), unlockWithPin)}
+          <TouchableOpacity
+            style={[styles.button, (busy || pin.length < QUICK_UNLOCK_PIN_LENGTH) && styles.disabledButton]}
+            onPress={unlockWithPin}
+            disabled={busy || pin.length < QUICK_UNLOCK_PIN_LENGTH}
+          >
+            {busy ? (
+              <ActivityIndicator color="#fff" size="small" />
+            ) : (
+              <Text style={styles.buttonText}>{i18n.t("quickUnlock.unlock.submit")}</Text>
+            )}
+          </TouchableOpacity>
+        </>
+      )}
+
+      <TouchableOpacity style={styles.linkButton} onPress={onUsePassword}>
+        <Text style={styles.linkText}>{i18n.t("quickUnlock.unlock.usePassword")}</Text>
+      </TouchableOpacity>
+    </>
+  );
+
+  const renderSetup = () => (
+    <>
+      <Text style={styles.title}>{i18n.t("quickUnlock.setup.title")}</Text>
+      <Text style={styles.subtitle}>
+        {required
+          ? i18n.t("quickUnlock.setup.requiredSubtitle")
+          : i18n.t("quickUnlock.setup.subtitle")}
+      </Text>
+
+      {biometricAvailable && (
+        <TouchableOpacity
+          style={[styles.button, busy && styles.disabledButton]}
+          onPress={() => finishSetup(QUICK_UNLOCK_METHODS.BIOMETRIC)}
+          disabled={busy}
+        >
+          <MaterialIcons name="fingerprint" size={20} color="#fff" />
+          <Text style={styles.buttonText}>{i18n.t("quickUnlock.setup.useBiometrics")}</Text>
+        </TouchableOpacity>
+      )}
+
+      <Text style={styles.sectionLabel}>
+        {biometricAvailable
+          ? i18n.t("quickUnlock.setup.orPin")
+          : i18n.t("quickUnlock.setup.choosePin")}
+      </Text>
+      {renderPinInput(pin, setPin, i18n.t("quickUnlock.setup.pinPlaceholder", { length: QUICK_UNLOCK_PIN_LENGTH }))}
+      {renderPinInput(confirmPin, setConfirmPin, i18n.t("quickUnlock.setup.confirmPinPlaceholder"))}
+
+      <TouchableOpacity
+        style={[styles.button, busy && styles.disabledButton]}
+        onPress={() => finishSetup(QUICK_UNLOCK_METHODS.PIN)}
+        disabled={busy}
+      >
+        {busy ? (
+          <ActivityIndicator color="#fff" size="small" />
+        ) : (
+          <Text style={styles.buttonText}>{i18n.t("quickUnlock.setup.savePin")}</Text>
+        )}
+      </TouchableOpacity>
+
+      {!required && (
+        <TouchableOpacity style={styles.linkButton} onPress={onSkip}>
+          <Text style={styles.linkText}>{i18n.t("quickUnlock.setup.notNow")}</Text>
+        </TouchableOpacity>
+      )}
+    </>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* HEADER */}
+      <View style={styles.header}>
+        <Image source={pestfreeLogo} style={styles.logo} resizeMode="contain" />
+      </View>
+
+      {/* CONTENT */}
+      <View style={styles.contentContainer}>
+        <View style={styles.card}>
+          <View style={styles.iconContainer}>
+            <MaterialIcons name="lock" size={56} color="#1f9c8b" />
+          </View>
+
+          {mode === "setup" ? renderSetup() : renderUnlock()}
+
+          {!!error && <Text style={styles.errorText}>{error}</Text>}
+        </View>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f8f9fa",
+  },
+
+  // HEADER
+  header: {
+    backgroundColor: "#1f9c8b",
+    paddingTop: 40,
+    paddingBottom: 30,
+    paddingHorizontal: 24,
+    borderBottomLeftRadius: 24,
+    borderBottomRightRadius: 24,
+    alignItems: "center",
+    elevation: 8,
+  },
+  logo: {
+    width: 120,
+    height: 50,
+  },
+
+  // CONTENT
+  contentContainer: {
+    flex: 1,
+    paddingHorizontal: 24,
+    paddingTop: 40,
+  },
+  card: {
+    backgroundColor: "#fff",
+    padding: 24,
+    borderRadius: 16,
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.05,
+    shadowRadius: 8,
+    elevation: 3,
+    borderWidth: 1,
+    borderColor: "#f0f0f0",
+  },
+  iconContainer: {
+    alignItems: "center",
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: "700",
+    color: "#2c3e50",
+    textAlign: "center",
+    marginBottom: 12,
+    fontFamily: 'System',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: "#666",
+    textAlign: "center",
+    lineHeight: 20,
+    marginBottom: 20,
+    fontFamily: 'System',
+  },
+  sectionLabel: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#2c3e50",
+    marginTop: 20,
+    marginBottom: 8,
+    fontFamily: 'System',
+  },
+
+  // PIN
+  pinInput: {
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+    borderRadius: 12,
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    fontSize: 20,
+    letterSpacing: 8,
+    textAlign: "center",
+    color: "#2c3e50",
+    backgroundColor: "#f8f9fa",
+    marginBottom: 12,
+  },
+
+  // BUTTONS
+  button: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#1f9c8b",
+    paddingVertical: 16,
+    borderRadius: 12,
+    gap: 8,
+  },
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+    fontFamily: 'System',
+  },
+  disabledButton: {
+    backgroundColor: "#cccccc",
+    opacity: 0.7,
+  },
+  linkButton: {
+    alignItems: "center",
+    paddingVertical: 14,
+    marginTop: 8,
+  },
+  linkText: {
+    color: "#1f9c8b",
+    fontSize: 14,
+    fontWeight: "600",
+    fontFamily: 'System',
+  },
+  errorText: {
+    color: "#F44336",
+    fontSize: 13,
+    textAlign: "center",
+    marginTop: 12,
+    fontFamily: 'System',
+  },
+});
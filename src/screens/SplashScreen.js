@@ -0,0 +1,43 @@
+//screens/SplashScreen.js
+import React from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  Image,
+  ActivityIndicator
+} from "react-native";
+import pestfreeLogo from "../../assets/pestfree_logo.png";
+import i18n from "../services/i18n";
+
+// Shown while the stored session is checked on startup
+export default function SplashScreen() {
+  return (
+    <View style={styles.container}>
+      <Image source={pestfreeLogo} style={styles.logo} resizeMode="contain" />
+      <ActivityIndicator size="large" color="#fff" />
+      <Text style={styles.text}>{i18n.t("splash.restoringSession")}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#1f9c8b",
+    justifyContent: "center",
+    alignItems: "center",
+    paddingHorizontal: 24,
+  },
+  logo: {
+    width: 180,
+    height: 100,
+    marginBottom: 30,
+  },
+  text: {
+    color: "#fff",
+    fontSize: 14,
+    marginTop: 16,
+    fontFamily: 'System',
+  },
+});
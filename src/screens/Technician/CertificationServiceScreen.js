@@ -32,6 +32,7 @@ import { launchImageLibrary, launchCamera } from "react-native-image-picker";
 import { SafeAreaView } from "react-native-safe-area-context";
 import PheromoneTrapForm from "../../components/PheromoneTrapForm";
 import i18n from "../../services/i18n";
+import { saveVisitDraft, clearVisitDraft, VISIT_DRAFT_AUTOSAVE_DELAY } from "../../services/visitDrafts";
 import ChemicalsDropdown from "../../components/ChemicalsDropdown";
 import { MaterialIcons } from "@expo/vector-icons";
 
@@ -414,6 +415,49 @@ function MapScreen({ customer, onBack, session, technician, onGenerateReport })
     }
   }, [sessionVisitId, session?.status]);
 
+  // Resume work that was interrupted before it was saved
+  useEffect(() => {
+    const draft = session?.draft;
+    if (!draft || draft.serviceType !== "certificate" || !draft.startTime) return;
+
+    const data = draft.data || {};
+    setLoggedStations(Array.isArray(data.loggedStations) ? data.loggedStations : []);
+    setSelectedChemicals(Array.isArray(data.selectedChemicals) ? data.selectedChemicals : []);
+    setTreatedAreas(Array.isArray(data.treatedAreas) ? data.treatedAreas : []);
+    setNotes(data.notes || "");
+    setReportImages(Array.isArray(data.reportImages) ? data.reportImages : []);
+
+    // Keep the original start so the duration covers the whole visit
+    setStartTime(draft.startTime);
+    setElapsedTime(Date.now() - draft.startTime);
+    setTimerActive(true);
+    setWorkStarted(true);
+    setShowSaveCancel(true);
+    setServiceStarted(true);
+    setServiceCompleted(false);
+
+    timerRef.current = setInterval(() => {
+      setElapsedTime(Date.now() - draft.startTime);
+    }, 1000);
+
+    session.draft = null;
+  }, []);
+
+  // Autosave unsaved work so a crash or restart does not lose it
+  useEffect(() => {
+    if (!session?.appointmentId || !workStarted || !startTime || isEditCompletedVisit) return;
+
+    const timeout = setTimeout(() => {
+      saveVisitDraft(session.appointmentId, {
+        serviceType: "certificate",
+        startTime,
+        data: { loggedStations, selectedChemicals, treatedAreas, notes, reportImages }
+      });
+    }, VISIT_DRAFT_AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timeout);
+  }, [workStarted, startTime, loggedStations, selectedChemicals, treatedAreas, notes, reportImages, isEditCompletedVisit]);
+
 
   useEffect(() => {
     if (!customerMaps.length) {
@@ -792,26 +836,6 @@ const handleSaveAll = async () => {
   }
 
   try {
-    const formData = new FormData();
-
-    // Add the data with properly formatted stations
-    formData.append(
-  "data",
-  JSON.stringify({
-    visitSummary: {
-      ...visitSummary,
-      customerId: effectiveCustomer?.customerId,
-      service_type: "certificate"
-    },
-    stations: stationsToSend,
-    chemicalsUsed: selectedChemicals,
-    treatedAreas
-  })
-);
-
-    formData.append("chemicals_used", JSON.stringify(selectedChemicals));
-    formData.append("treated_areas", JSON.stringify(treatedAreas));
-
     // Add new images - limit to prevent timeout
     const MAX_IMAGES = 5;
     const imagesToUpload = reportImages.slice(0, MAX_IMAGES);
@@ -823,32 +847,45 @@ const handleSaveAll = async () => {
       );
     }
 
-    imagesToUpload.forEach((img, index) => {
-      if (!img?.uri) return;
-      
-      const uri = Platform.OS === "ios" ? img.uri.replace("file://", "") : img.uri;
-      const name = img.fileName || img.name || `photo_${Date.now()}_${index}.jpg`;
-      const type = img.type || "image/jpeg";
-      
-      formData.append("images", {
-        uri,
-        name,
-        type,
-      });
-    });
-
-    // Add existing images as JSON string
-    formData.append("existingImages", JSON.stringify(existingImages));
+    // Plain data instead of FormData so the visit can wait in the outbox
+    const serviceLog = {
+      fields: {
+        data: JSON.stringify({
+          visitSummary: {
+            ...visitSummary,
+            customerId: effectiveCustomer?.customerId,
+            service_type: "certificate"
+          },
+          stations: stationsToSend,
+          chemicalsUsed: selectedChemicals,
+          treatedAreas
+        }),
+        chemicals_used: JSON.stringify(selectedChemicals),
+        treated_areas: JSON.stringify(treatedAreas),
+        existingImages: JSON.stringify(existingImages)
+      },
+      images: apiService.toServiceLogImages(imagesToUpload)
+    };
 
     // Show loading indicator
     setSaving(true);
 
-    const result = await apiService.submitServiceLog(formData);
+    const result = await apiService.submitServiceLogWithOutbox(serviceLog, {
+      visitId: generatedVisitId,
+      appointmentId: session?.appointmentId,
+      serviceType: "certificate",
+      customerName: effectiveCustomer?.customerName
+    });
     
     if (!result?.success) {
       throw new Error(result?.error || i18n.t("technician.myocide.alerts.saveFailed"));
     }
 
+    if (result.queued) {
+      handleQueuedResponse(result);
+      return;
+    }
+
     // Success handling...
     if (result?.visitId) {
       session.visitId = result.visitId;
@@ -905,6 +942,8 @@ const handleSaveAll = async () => {
       return;
     }
 
+    await clearVisitDraft(session?.appointmentId);
+
     if (session?.appointmentId) {
       try {
         await markAppointmentCompleted(session.appointmentId, session.visitId, session);
@@ -950,6 +989,23 @@ const handleSaveAll = async () => {
     setHasGeneratedReport(false);
   };
 
+  // The visit is stored on the device and the outbox uploads it (and marks
+  // the appointment completed) once the connection is back.
+  const handleQueuedResponse = (result) => {
+    clearVisitDraft(session?.appointmentId);
+    setReportImages([]);
+    setServiceCompleted(true);
+    setWorkStarted(false);
+    setShowSaveCancel(false);
+    setTimerActive(false);
+
+    showAlert(
+      i18n.t("technician.outbox.savedOffline"),
+      i18n.t("technician.outbox.savedOfflineMessage"),
+      [{ text: i18n.t("technician.common.ok"), onPress: onBack }]
+    );
+  };
+
   const handleCancelWork = () => {
     showAlert(
       i18n.t("technician.myocide.confirmations.cancelWork"),
@@ -963,6 +1019,7 @@ const handleSaveAll = async () => {
           text: i18n.t("technician.myocide.confirmations.yesCancel"), 
           style: "destructive",
           onPress: () => {
+            clearVisitDraft(session?.appointmentId);
             stopTimer();
             setTimerActive(false);
             setWorkStarted(false);
@@ -18,11 +18,13 @@ import {
 import { SafeAreaView } from "react-native-safe-area-context";
 import { Swipeable } from 'react-native-gesture-handler';
 import apiService from '../../services/apiService';
+import { getApiErrorMessage, isLoadFailure, useAbortableEffect } from "../../utils/apiRequests";
 import ChemicalsDropdown from '../../components/ChemicalsDropdown';
 import { MaterialIcons, FontAwesome5, Ionicons } from '@expo/vector-icons';
 import { launchImageLibrary, launchCamera } from "react-native-image-picker";
 import { Image } from "react-native";
 import i18n from "../../services/i18n";
+import { saveVisitDraft, clearVisitDraft, VISIT_DRAFT_AUTOSAVE_DELAY } from "../../services/visitDrafts";
 
 /**
  * InsecticideScreen
@@ -123,7 +125,7 @@ export default function InsecticideScreen({
   /* =========================
     LOAD EXISTING SERVICE (EDIT MODE)
   ========================= */
-  useEffect(() => {
+  useAbortableEffect((signal) => {
     const load = async () => {
       try {
         // Set loading first
@@ -146,7 +148,7 @@ export default function InsecticideScreen({
           const visitIdToUse = session.visitId || session.rawAppointment?.visitId;
         
           try {
-            const res = await apiService.getServiceLogByVisitId(visitIdToUse);
+            const res = await apiService.getServiceLogByVisitId(visitIdToUse, { signal });
 
             if (res?.success) {
               // Handle both response formats
@@ -235,6 +237,11 @@ export default function InsecticideScreen({
                 }
               
               }
+            } else if (isLoadFailure(res)) {
+              showAlert(
+                i18n.t("technician.common.error"),
+                getApiErrorMessage(res, i18n.t("technician.common.loadLogFailed"))
+              );
             }
           } catch (logError) {
             console.warn("⚠️ Could not load service log:", logError.message);
@@ -415,6 +422,44 @@ export default function InsecticideScreen({
     }
   };
 
+  /* =========================
+     DRAFT (CRASH RECOVERY)
+  ========================= */
+  // Resume work that was interrupted before it was saved
+  useEffect(() => {
+    const draft = session?.draft;
+    if (!draft || draft.serviceType !== 'insecticide' || !draft.startTime) return;
+
+    const data = draft.data || {};
+    setSelectedChemicals(Array.isArray(data.selectedChemicals) ? data.selectedChemicals : []);
+    setTreatedAreas(Array.isArray(data.treatedAreas) ? data.treatedAreas : []);
+    setNotes(data.notes || '');
+    setReportImages(Array.isArray(data.reportImages) ? data.reportImages : []);
+
+    // Keep the original start so the duration covers the whole visit
+    setServiceStartTime(draft.startTime);
+    setElapsedTime(Date.now() - draft.startTime);
+    setServiceStarted(true);
+    setServiceCompleted(false);
+
+    session.draft = null;
+  }, []);
+
+  // Autosave unsaved work so a crash or restart does not lose it
+  useEffect(() => {
+    if (!session?.appointmentId || !serviceStarted || serviceCompleted || !serviceStartTime) return;
+
+    const timeout = setTimeout(() => {
+      saveVisitDraft(session.appointmentId, {
+        serviceType: 'insecticide',
+        startTime: serviceStartTime,
+        data: { selectedChemicals, treatedAreas, notes, reportImages }
+      });
+    }, VISIT_DRAFT_AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timeout);
+  }, [serviceStarted, serviceCompleted, serviceStartTime, selectedChemicals, treatedAreas, notes, reportImages]);
+
   /* =========================
      TIMER
   ========================= */
@@ -752,58 +797,42 @@ export default function InsecticideScreen({
         notes: notes || '',
         completedAt: new Date().toISOString(),
       };
-      const formData = new FormData();
-
-      // 🔥 FIX: Properly stringify arrays/objects
-      Object.keys(payload).forEach(key => {
-        const value = payload[key];
+      // Plain data instead of FormData so the visit can wait in the outbox
+      const serviceLog = {
+        fields: {
+          ...apiService.toServiceLogFields(payload),
+          ...(existingImages.length > 0
+            ? { existingImages: JSON.stringify(existingImages) }
+            : {})
+        },
+        images: apiService.toServiceLogImages(reportImages)
+      };
 
-        if (key === 'chemicals_used' || key === 'treated_areas') {
-          formData.append(key, JSON.stringify(value));
-        } else if (typeof value === 'object' && value !== null) {
-          formData.append(key, JSON.stringify(value));
-        } else {
-          formData.append(key, String(value));
-        }
+      const res = await apiService.submitServiceLogWithOutbox(serviceLog, {
+        visitId: payload.visitId,
+        appointmentId: session?.appointmentId,
+        serviceType: payload.serviceType,
+        customerName: payload.customerName
       });
 
-      for (let i = 0; i < reportImages.length; i++) {
-        const img = reportImages[i];
-        if (!img?.uri) continue;
+      if (!res?.success) throw new Error(getApiErrorMessage(res, i18n.t("technician.specialServices.errors.saveFailed") || 'Save failed'));
 
-        const name =
-          img.fileName ||
-          img.name ||
-          `photo_${Date.now()}_${i}.jpg`;
+      await clearVisitDraft(session?.appointmentId);
 
-        const type = img.type || "image/jpeg";
-
-        if (Platform.OS === "web") {
-          const response = await fetch(img.uri);
-          const blob = await response.blob();
-          formData.append("images", blob, name);
-        } else {
-          const uri =
-            Platform.OS === "ios"
-              ? img.uri.replace("file://", "")
-              : img.uri;
-
-          formData.append("images", {
-            uri,
-            name,
-            type,
-          });
-        }
-      }
-      
-      if (existingImages.length > 0) {
-        formData.append("existingImages", JSON.stringify(existingImages));
+      if (res.queued) {
+        // Stored on the device; the outbox uploads it and completes the
+        // appointment once the connection is back
+        setLogId(finalLogId);
+        setVisitId(stableVisitId);
+        setServiceCompleted(true);
+        showAlert(
+          i18n.t("technician.outbox.savedOffline"),
+          i18n.t("technician.outbox.savedOfflineMessage"),
+          [{ text: i18n.t("technician.common.ok"), onPress: onBack }]
+        );
+        return;
       }
 
-      const res = await apiService.submitServiceLog(formData);
-
-      if (!res?.success) throw new Error(i18n.t("technician.specialServices.errors.saveFailed") || 'Save failed');
-
       // MARK APPOINTMENT AS COMPLETED
       if (session?.appointmentId) {
         await markAppointmentCompleted(
@@ -1153,6 +1182,8 @@ export default function InsecticideScreen({
           text: i18n.t("technician.specialServices.alerts.cancelServiceConfirm") || "Yes, Cancel", 
           style: "destructive",
           onPress: () => {
+            clearVisitDraft(session?.appointmentId);
+
             if (timerRef.current) {
               clearInterval(timerRef.current);
               timerRef.current = null;
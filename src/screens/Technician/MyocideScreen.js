@@ -17,6 +17,7 @@ import {
 import { PanGestureHandler, PinchGestureHandler } from "react-native-gesture-handler";
 import React, { useState, useEffect, useRef, useMemo } from "react";
 import Animated from "react-native-reanimated";
+import Svg, { Polygon, Polyline, Circle, Text as SvgText } from "react-native-svg";
 import { formatTime } from "../../utils/timeUtils";
 import apiService, { API_BASE_URL } from "../../services/apiService";
 import BaitStationForm from "../../components/BaitStationForm";
@@ -26,28 +27,52 @@ import LightTrapForm from "../../components/LTForm";
 import { launchImageLibrary, launchCamera } from "react-native-image-picker";  
 import { SafeAreaView } from "react-native-safe-area-context";
 import PheromoneTrapForm from "../../components/PheromoneTrapForm";
+import StationScanner from "../../components/StationScanner";
 import i18n from "../../services/i18n";
+import { saveVisitDraft, clearVisitDraft, VISIT_DRAFT_AUTOSAVE_DELAY } from "../../services/visitDrafts";
+import {
+  getStationLabel,
+  getMarkerLabel,
+  parseStationQrPayload,
+  printStationLabels
+} from "../../utils/stationLabels";
+import {
+  STATION_CHANGE_REASONS,
+  STATION_EVENT_TYPES,
+  getPendingStationSave,
+  getStationKey,
+  getStationUid
+} from "../../utils/stationLifecycle";
+import {
+  MIN_ZONE_POINTS,
+  createZoneId,
+  getZoneColor,
+  getZoneCentroid,
+  findZoneForStation,
+  assignStationZones
+} from "../../utils/mapZones";
+import {
+  ROUTE_ORDERS,
+  buildStationRoute,
+  findNextStation,
+  findSkippedStations,
+  getRouteProgress
+} from "../../utils/stationRoute";
+import {
+  ACTION_OWNERS,
+  formatDueDate,
+  getActionStationLabel,
+  getDefaultAction,
+  getFindingLabel,
+  getOwnerLabel,
+  getVisitFindings,
+  buildCorrectiveActions,
+  isActionOverdue
+} from "../../utils/correctiveActions";
 
 // Real code after imports
 const { width: deviceWidth } = Dimensions.get("window");
 
-// ---- Station label helper ----
-const getStationLabel = (stationType) => {
-  switch (stationType) {
-    case "RM":
-      return i18n.t("technician.myocide.stationTypes.multicatch");
-    case "ST":
-      return i18n.t("technician.myocide.stationTypes.snapTrap");
-    case "LT":
-      return i18n.t("technician.myocide.stationTypes.lightTrap");
-    case "PT":
-      return i18n.t("technician.myocide.stationTypes.pheromoneTrap");
-    case "BS":
-    default:
-      return i18n.t("technician.myocide.stationTypes.baitStation");
-  }
-};
-
 const calculateImageLayout = (containerW, containerH, imageW, imageH) => {
   const imageRatio = imageW / imageH;
   const containerRatio = containerW / containerH;
@@ -86,9 +111,10 @@ const getStationColor = (type, isCompleted) => {
   }
 };
 
-// ---- Marker label layout helpers ----
-const getMarkerLabel = (st) => `${st.type || "BS"}${st.id}`;
+// Edit-mode steps kept for undo
+const MAX_UNDO_STEPS = 50;
 
+// ---- Marker label layout helpers ----
 const getMarkerSize = (label) => {
   return label.length >= 4 ? 34 : 28;
 };
@@ -156,6 +182,23 @@ function MapScreen({ customer, onBack, session, technician, onGenerateReport })
   const [editMode, setEditMode] = useState(false);
   const [addingStation, setAddingStation] = useState(false);
   const [removingStation, setRemovingStation] = useState(false);
+  const [replacingStation, setReplacingStation] = useState(false);
+  const [changingType, setChangingType] = useState(false);
+  const [zones, setZones] = useState([]);
+  const [drawingZone, setDrawingZone] = useState(false);
+  const [zoneDraft, setZoneDraft] = useState([]); // points of the zone being drawn
+  const [zoneNamePrompt, setZoneNamePrompt] = useState(false);
+  const [zoneName, setZoneName] = useState("");
+  // Snapshots of { stations, stationChanges, zones } taken before each edit
+  const [editHistory, setEditHistory] = useState({ past: [], future: [] });
+  const [savePreview, setSavePreview] = useState(null); // { stations, events, stationsWithData }
+  const pendingStationSave = useRef(null);
+  const [loadingPreview, setLoadingPreview] = useState(false);
+  // Reasons given for removed/replaced stations, keyed by getStationKey
+  const [stationChanges, setStationChanges] = useState({ retirements: {}, replacements: {} });
+  const [lifecyclePrompt, setLifecyclePrompt] = useState(null); // { station, action: "retire" | "replace" }
+  const [changeReason, setChangeReason] = useState(null);
+  const [changeNote, setChangeNote] = useState("");
   const [scale, setScale] = useState(1);
   const [offsetX, setOffsetX] = useState(0);
   const [offsetY, setOffsetY] = useState(0);
@@ -213,6 +256,16 @@ function MapScreen({ customer, onBack, session, technician, onGenerateReport })
     return [];
   }, [customerWithMaps, normalizedCustomer]);
 
+  // The map as last saved; edits are compared against it to record lifecycle events
+  const savedStations = useMemo(
+    () => (Array.isArray(selectedMap?.stations) ? selectedMap.stations : []).map(s => ({ ...s, type: s.type || "BS" })),
+    [selectedMap]
+  );
+  const savedZones = useMemo(
+    () => (Array.isArray(selectedMap?.zones) ? selectedMap.zones : []),
+    [selectedMap]
+  );
+
   const buildImageUrl = (imageName) => {
     if (!imageName) return null;
 
@@ -256,7 +309,7 @@ function MapScreen({ customer, onBack, session, technician, onGenerateReport })
       }
     } else {
       // For mobile, use React Native Alert
-      showAlert(title, message, buttons);
+      Alert.alert(title, message, buttons);
     }
   };
 
@@ -275,6 +328,20 @@ function MapScreen({ customer, onBack, session, technician, onGenerateReport })
   const [serviceStarted, setServiceStarted] = useState(false);
   const [serviceCompleted, setServiceCompleted] = useState(false);
   const [refreshKey, setRefreshKey] = useState(0);
+  const [showScanner, setShowScanner] = useState(false);
+  const [printingLabels, setPrintingLabels] = useState(false);
+
+  // GUIDED WALK STATES
+  const [guidedMode, setGuidedMode] = useState(false);
+  const [routeOrder, setRouteOrder] = useState(ROUTE_ORDERS.NUMBER);
+  const [orderingRoute, setOrderingRoute] = useState(false);
+  const [routeDraft, setRouteDraft] = useState([]); // station keys in the order they were tapped
+  const [savingRouteOrder, setSavingRouteOrder] = useState(false);
+  const [missedPrompt, setMissedPrompt] = useState(null); // stations left unvisited at save
+  const [missedReason, setMissedReason] = useState("");
+  const [openActions, setOpenActions] = useState([]); // corrective actions left open by earlier visits
+  const [actionDrafts, setActionDrafts] = useState({}); // edits to new actions, by finding key
+  const [actionClosures, setActionClosures] = useState({}); // closing note, by actionId of actions closed this visit
   const SERVER_BASE_URL = API_BASE_URL.replace("/api", ""); // http://192.168.1.71:3000
   const isAppointmentSession =
     Boolean(session?.fromAppointment) &&
@@ -330,11 +397,55 @@ function MapScreen({ customer, onBack, session, technician, onGenerateReport })
     }
   }, [sessionVisitId, session?.status]);
 
+  // Resume work that was interrupted before it was saved
+  useEffect(() => {
+    const draft = session?.draft;
+    if (!draft || draft.serviceType !== "myocide" || !draft.startTime) return;
+
+    const data = draft.data || {};
+    setLoggedStations(Array.isArray(data.loggedStations) ? data.loggedStations : []);
+    setNotes(data.notes || "");
+    setReportImages(Array.isArray(data.reportImages) ? data.reportImages : []);
+    setActionDrafts(data.actionDrafts || {});
+    setActionClosures(data.actionClosures || {});
+
+    // Keep the original start so the duration covers the whole visit
+    setStartTime(draft.startTime);
+    setElapsedTime(Date.now() - draft.startTime);
+    setTimerActive(true);
+    setWorkStarted(true);
+    setShowSaveCancel(true);
+    setServiceStarted(true);
+    setServiceCompleted(false);
+
+    timerRef.current = setInterval(() => {
+      setElapsedTime(Date.now() - draft.startTime);
+    }, 1000);
+
+    session.draft = null;
+  }, []);
+
+  // Autosave unsaved work so a crash or restart does not lose it
+  useEffect(() => {
+    if (!session?.appointmentId || !workStarted || !startTime || isEditCompletedVisit) return;
+
+    const timeout = setTimeout(() => {
+      saveVisitDraft(session.appointmentId, {
+        serviceType: "myocide",
+        startTime,
+        data: { loggedStations, notes, reportImages, actionDrafts, actionClosures }
+      });
+    }, VISIT_DRAFT_AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timeout);
+  }, [workStarted, startTime, loggedStations, notes, reportImages, actionDrafts, actionClosures, isEditCompletedVisit]);
+
 
   useEffect(() => {
     if (!customerMaps.length) {
       setSelectedMap(null);
       setStations([]);
+      setZones([]);
       return;
     }
 
@@ -347,6 +458,7 @@ function MapScreen({ customer, onBack, session, technician, onGenerateReport })
         type: s.type || "BS"
       }));
       setStations(normalizedStations);
+      setZones(Array.isArray(fresh.zones) ? fresh.zones : []);
       return;
     }
 
@@ -354,6 +466,7 @@ function MapScreen({ customer, onBack, session, technician, onGenerateReport })
     const initial = customerMaps[0];
     setSelectedMap(initial);
     setStations((Array.isArray(initial.stations) ? initial.stations : []).map(s => ({ ...s, type: s.type || "BS" })));
+    setZones(Array.isArray(initial.zones) ? initial.zones : []);
   }, [customerMaps]);
 
   useEffect(() => {
@@ -414,6 +527,14 @@ function MapScreen({ customer, onBack, session, technician, onGenerateReport })
     loadCustomerData();
   }, [normalizedCustomer?.customerId]);
 
+  useEffect(() => {
+    if (!normalizedCustomer?.customerId) return;
+
+    apiService
+      .getCorrectiveActions(normalizedCustomer.customerId, { status: "open" })
+      .then(setOpenActions);
+  }, [normalizedCustomer?.customerId]);
+
 useEffect(() => {
   const loadExistingVisitData = async () => {
     if (isEditCompletedVisit && sessionVisitId && loggedStations.length === 0) {
@@ -481,6 +602,7 @@ useEffect(() => {
             const transformedStations = stationsArray.map(station => ({
               stationId: station.station_id || station.station_number || station.id,
               stationType: station.station_type || station.type || "BS",
+              mapId: station.map_id ?? station.mapId ?? null,
               capture: station.capture,
               rodentsCaptured: station.rodents_captured || station.rodentsCaptured,
               triggered: station.triggered,
@@ -550,6 +672,8 @@ useEffect(() => {
 
     // Clear any old data when starting new work
     setLoggedStations([]); // Clear old stations
+    setActionDrafts({});
+    setActionClosures({});
     setIsEditCompletedVisit(false); // Ensure not in edit mode
     setServiceCompleted(false); // Not completed yet
     setServiceStarted(false); // Reset started status
@@ -625,12 +749,16 @@ useEffect(() => {
 
 // In MyocideScreen.js - Update the handleSaveAll function
 
-const handleSaveAll = async () => {
+const handleSaveAll = async (missedStationsReason = null) => {
   // Transform stations to the format expected by the backend
   const stationsToSend = loggedStations.map(station => ({
     station_id: station.stationId,
     station_number: station.stationId,
     station_type: station.stationType,
+    station_uid: station.stationUid ?? null,
+    map_id: station.mapId ?? null,
+    zone_id: station.zoneId ?? null,
+    zone_name: station.zoneName ?? null,
     consumption: station.consumption,
     bait_type: station.baitType,
     capture: station.capture,
@@ -663,6 +791,14 @@ const handleSaveAll = async () => {
     return;
   }
 
+  // Stations left unvisited need an explanation, which goes into the report
+  const unvisitedStations = getUnvisitedStations();
+  if (unvisitedStations.length > 0 && !missedStationsReason) {
+    setMissedReason("");
+    setMissedPrompt(unvisitedStations);
+    return;
+  }
+
   stopTimer();
 
   // Generate a visitId if not exists
@@ -686,7 +822,14 @@ const handleSaveAll = async () => {
       : (session?.fromAppointment ? "Scheduled Appointment" : "Manual Visit"),
     visitId: generatedVisitId,
     logId: generatedVisitId,
-    notes: notes || ""
+    notes: notes || "",
+    missedStations: unvisitedStations.map(st => ({ stationId: st.id, stationType: st.type || "BS", mapId: st.mapId })),
+    missedStationsReason: unvisitedStations.length > 0 ? missedStationsReason : null,
+    correctiveActions: buildCorrectiveActions(newFindings, actionDrafts),
+    closedCorrectiveActions: Object.entries(actionClosures).map(([actionId, closingNote]) => ({
+      actionId,
+      closingNote: closingNote.trim() || null
+    }))
   };
 
   // Validate required fields
@@ -697,21 +840,6 @@ const handleSaveAll = async () => {
   }
 
   try {
-    const formData = new FormData();
-
-    // Add the data with properly formatted stations
-    formData.append(
-  "data",
-  JSON.stringify({
-    visitSummary: {
-      ...visitSummary,
-      customerId: effectiveCustomer?.customerId,
-      service_type: "myocide"
-    },
-    stations: stationsToSend
-  })
-);
-
     // Add new images - limit to prevent timeout
     const MAX_IMAGES = 5;
     const imagesToUpload = reportImages.slice(0, MAX_IMAGES);
@@ -723,31 +851,41 @@ const handleSaveAll = async () => {
       );
     }
 
-    imagesToUpload.forEach((img, index) => {
-      if (!img?.uri) return;
-      
-      const uri = Platform.OS === "ios" ? img.uri.replace("file://", "") : img.uri;
-      const name = img.fileName || img.name || `photo_${Date.now()}_${index}.jpg`;
-      const type = img.type || "image/jpeg";
-      
-      formData.append("images", {
-        uri,
-        name,
-        type,
-      });
-    });
+    // Plain data instead of FormData so the visit can wait in the outbox
+    const serviceLog = {
+      fields: {
+        data: JSON.stringify({
+          visitSummary: {
+            ...visitSummary,
+            customerId: effectiveCustomer?.customerId,
+            service_type: "myocide"
+          },
+          stations: stationsToSend
+        }),
+        existingImages: JSON.stringify(existingImages)
+      },
+      images: apiService.toServiceLogImages(imagesToUpload)
+    };
 
-    // Add existing images as JSON string
-    formData.append("existingImages", JSON.stringify(existingImages));
     // Show loading indicator
     setSaving(true);
 
-    const result = await apiService.submitServiceLog(formData);
+    const result = await apiService.submitServiceLogWithOutbox(serviceLog, {
+      visitId: generatedVisitId,
+      appointmentId: session?.appointmentId,
+      serviceType: "myocide",
+      customerName: effectiveCustomer?.customerName
+    });
 
     if (!result?.success) {
       throw new Error(result?.error || i18n.t("technician.myocide.alerts.saveFailed"));
     }
 
+    if (result.queued) {
+      handleQueuedResponse(result);
+      return;
+    }
+
     // Success handling...
     if (result?.visitId) {
       session.visitId = result.visitId;
@@ -775,7 +913,7 @@ const handleSaveAll = async () => {
         i18n.t("technician.myocide.alerts.uploadTimeout"),
         i18n.t("technician.myocide.alerts.uploadTimeoutMessage"),
         [
-          { text: i18n.t("technician.myocide.alerts.tryAgain"), onPress: () => handleSaveAll() },
+          { text: i18n.t("technician.myocide.alerts.tryAgain"), onPress: () => handleSaveAll(missedStationsReason) },
           { text: i18n.t("technician.myocide.alerts.cancel"), style: "cancel" }
         ]
       );
@@ -804,6 +942,15 @@ const handleSaveAll = async () => {
       return;
     }
 
+    await clearVisitDraft(session?.appointmentId);
+
+    // Actions opened or closed with the visit now live on the backend
+    setActionDrafts({});
+    setActionClosures({});
+    apiService
+      .getCorrectiveActions(effectiveCustomer?.customerId, { status: "open" })
+      .then(setOpenActions);
+
     if (session?.appointmentId) {
       try {
         await markAppointmentCompleted(session.appointmentId, session.visitId, session);
@@ -849,6 +996,23 @@ const handleSaveAll = async () => {
     setHasGeneratedReport(false);
   };
 
+  // The visit is stored on the device and the outbox uploads it (and marks
+  // the appointment completed) once the connection is back.
+  const handleQueuedResponse = (result) => {
+    clearVisitDraft(session?.appointmentId);
+    setReportImages([]);
+    setServiceCompleted(true);
+    setWorkStarted(false);
+    setShowSaveCancel(false);
+    setTimerActive(false);
+
+    showAlert(
+      i18n.t("technician.outbox.savedOffline"),
+      i18n.t("technician.outbox.savedOfflineMessage"),
+      [{ text: i18n.t("technician.common.ok"), onPress: onBack }]
+    );
+  };
+
   const handleCancelWork = () => {
     showAlert(
       i18n.t("technician.myocide.confirmations.cancelWork"),
@@ -862,6 +1026,7 @@ const handleSaveAll = async () => {
           text: i18n.t("technician.myocide.confirmations.yesCancel"), 
           style: "destructive",
           onPress: () => {
+            clearVisitDraft(session?.appointmentId);
             stopTimer();
             setTimerActive(false);
             setWorkStarted(false);
@@ -1054,10 +1219,20 @@ const handleSaveAll = async () => {
     }
     
     // When access is "No", explicitly set other fields to null
+    const mapStation = stations.find(
+      s => String(s.id) === String(fixedStationId) && (s.type || "BS") === (stationData.stationType || "BS")
+    );
+
     const normalized = {
       ...stationData,
       stationId: fixedStationId,
       stationType: stationData.stationType || "BS",
+      mapId: selectedMap?.mapId ?? null,
+      // Ties the log to the physical unit in case the station is replaced later
+      stationUid: stationData.stationUid ?? getStationUid(mapStation),
+      // Kept with the log so reports group by the zone the station was in at the time
+      zoneId: findZoneForStation(mapStation, zones)?.zoneId ?? null,
+      zoneName: findZoneForStation(mapStation, zones)?.name ?? null,
       // Ensure all fields are properly set (null for "No access", undefined otherwise)
       ...(stationData.access === "No" ? {
         capture: null,
@@ -1079,7 +1254,8 @@ const handleSaveAll = async () => {
       const index = prev.findIndex(
         s =>
           s.stationId === normalized.stationId &&
-          s.stationType === normalized.stationType
+          s.stationType === normalized.stationType &&
+          isLogOnMap(s, normalized.mapId)
       );
 
       if (index !== -1) {
@@ -1107,11 +1283,18 @@ const handleSaveAll = async () => {
     }, 2500);
   };
 
-    // In MyocideScreen.js - Update the isStationCompleted function
-  const isStationCompleted = (stationId, stationType = "BS") => {
-    const foundStation = loggedStations.find(s => 
-      s.stationId === stationId && (s.stationType || "BS") === stationType
+  // Station numbers restart on every map, so a log belongs to the map it was
+  // made on. Logs loaded from a visit saved without maps match any map.
+  const isLogOnMap = (log, mapId) => log.mapId == null || String(log.mapId) === String(mapId);
+
+  const findLoggedStation = (stationId, stationType = "BS", mapId = selectedMap?.mapId) =>
+    loggedStations.find(
+      s => s.stationId === stationId && (s.stationType || "BS") === stationType && isLogOnMap(s, mapId)
     );
+
+    // In MyocideScreen.js - Update the isStationCompleted function
+  const isStationCompleted = (stationId, stationType = "BS", mapId = selectedMap?.mapId) => {
+    const foundStation = findLoggedStation(stationId, stationType, mapId);
     
     if (!foundStation) {
       return false;
@@ -1138,6 +1321,120 @@ const handleSaveAll = async () => {
     return hasData;
   };
 
+  const isRouteStationDone = (st) => isStationCompleted(st.id, st.type || "BS");
+
+  // Guided walk over the selected map
+  const stationRoute = buildStationRoute(stations, {
+    order: routeOrder,
+    customOrder: Array.isArray(selectedMap?.routeOrder) ? selectedMap.routeOrder : []
+  });
+  const routeProgress = getRouteProgress(stationRoute, isRouteStationDone);
+  const nextRouteStation = guidedMode ? findNextStation(stationRoute, isRouteStationDone) : null;
+  const skippedStations = guidedMode ? findSkippedStations(stationRoute, isRouteStationDone) : [];
+  const skippedKeys = new Set(skippedStations.map(getStationKey));
+
+  // An action closed on this visit no longer covers its finding, so a station
+  // that is still damaged gets a new one
+  const newFindings = getVisitFindings(
+    loggedStations,
+    openActions.filter((action) => !(action.actionId in actionClosures))
+  );
+
+  const updateActionDraft = (finding, changes) => {
+    setActionDrafts((prev) => ({
+      ...prev,
+      [finding.key]: { ...getDefaultAction(finding), ...prev[finding.key], ...changes }
+    }));
+  };
+
+  const canEditActions = workStarted || isEditCompletedVisit;
+
+  const toggleActionClosed = (actionId) => {
+    setActionClosures((prev) => {
+      if (!(actionId in prev)) return { ...prev, [actionId]: "" };
+
+      const { [actionId]: _removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  // Every station on the customer's maps without a log in this visit
+  const getUnvisitedStations = () => {
+    const seen = new Set();
+    const allStations = customerMaps
+      .flatMap((map) =>
+        (Array.isArray(map.stations) ? map.stations : []).map((st) => ({
+          ...st,
+          type: st.type || "BS",
+          mapId: map.mapId
+        }))
+      )
+      .filter((st) => {
+        const key = `${st.mapId}:${getStationKey(st)}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+
+    return buildStationRoute(allStations).filter((st) => !isStationCompleted(st.id, st.type, st.mapId));
+  };
+
+  // With several maps the same number can be on each, so the map is named too
+  const getMissedStationLabel = (st) => {
+    const map = customerMaps.length > 1 ? customerMaps.find((m) => m.mapId === st.mapId) : null;
+    return map?.name ? `${map.name} ${getMarkerLabel(st)}` : getMarkerLabel(st);
+  };
+
+  const confirmMissedStations = () => {
+    const reason = missedReason.trim();
+    if (!reason) return;
+
+    setMissedPrompt(null);
+    handleSaveAll(reason);
+  };
+
+  const startRouteOrdering = () => {
+    setRouteDraft([]);
+    setOrderingRoute(true);
+  };
+
+  // Tapped stations come first; the rest keep their number order after them
+  const saveRouteOrder = async () => {
+    if (!selectedMap || !routeDraft.length) return;
+
+    const order = buildStationRoute(stations, {
+      order: ROUTE_ORDERS.CUSTOM,
+      customOrder: routeDraft
+    }).map(getStationKey);
+
+    setSavingRouteOrder(true);
+    try {
+      const result = await apiService.saveMapRouteOrder(selectedMap.mapId, order);
+
+      if (!result?.success) {
+        showAlert(i18n.t("common.error"), result?.error || i18n.t("technician.myocide.route.saveFailed"));
+        return;
+      }
+
+      try {
+        const freshCustomerData = await apiService.getCustomerWithMaps(effectiveCustomer.customerId);
+        setCustomerWithMaps(freshCustomerData);
+      } catch (refreshError) {
+        console.error("❌ Error refreshing:", refreshError);
+      }
+
+      setSelectedMap((prev) => (prev ? { ...prev, routeOrder: order } : prev));
+      setRouteOrder(ROUTE_ORDERS.CUSTOM);
+      setOrderingRoute(false);
+      setRouteDraft([]);
+    } catch (error) {
+      console.error("❌ Save route order error:", error);
+      showAlert(i18n.t("common.error"), error.message || i18n.t("technician.myocide.route.saveFailed"));
+    } finally {
+      setSavingRouteOrder(false);
+    }
+  };
+
   const debugStationData = (stationId, stationType) => {
     const station = loggedStations.find(s => 
       s.stationId === stationId && s.stationType === stationType
@@ -1148,25 +1445,139 @@ const handleSaveAll = async () => {
   const handleMapSelect = (map) => {
     setSelectedMap(map);
     setStations((Array.isArray(map.stations) ? map.stations : []).map(s => ({ ...s, type: s.type || "BS" })));
+    setZones(Array.isArray(map.zones) ? map.zones : []);
     setShowMapDropdown(false);
   };
 
-  const saveStations = async () => {
+  // Stations with visits on record, or logged in the current visit, matched
+  // by uid when both sides have one and by type and number otherwise
+  const findStationsWithLoggedData = async (candidates) => {
+    if (!candidates.length) return [];
+
+    let rows = [];
+    try {
+      const trendRes = await apiService.request(
+        "GET",
+        `/reports/customer-trends/${effectiveCustomer.customerId}`
+      );
+      rows = Array.isArray(trendRes?.data) ? trendRes.data : [];
+    } catch (error) {
+      console.warn("⚠️ Could not check station history before save:", error);
+    }
+
+    return candidates.filter((st) =>
+      loggedStations.some(
+        (logged) => String(logged.stationId) === String(st.id) && (logged.stationType || "BS") === st.type
+      ) ||
+      rows.some((row) => {
+        if (row.station_uid && getStationUid(st)) {
+          return row.station_uid === getStationUid(st);
+        }
+        return (
+          String(row.station_id ?? row.station_number) === String(st.id) &&
+          (row.station_type || "BS") === st.type
+        );
+      })
+    );
+  };
+
+  const openSavePreview = async () => {
+    if (!selectedMap) return;
+
+    pendingStationSave.current = getPendingStationSave(
+      pendingStationSave.current,
+      savedStations,
+      stations,
+      stationChanges
+    );
+    const { stations: stationsToSave, events } = pendingStationSave.current.save;
+    const zonesChanged = JSON.stringify(zones) !== JSON.stringify(savedZones);
+
+    if (!events.length && !zonesChanged) {
+      showAlert(
+        i18n.t("technician.myocide.savePreview.noChangesTitle"),
+        i18n.t("technician.myocide.savePreview.noChangesMessage")
+      );
+      return;
+    }
+
+    setLoadingPreview(true);
+    try {
+      const removedKeys = new Set(
+        events
+          .filter((event) => event.action === STATION_EVENT_TYPES.RETIRED)
+          .map((event) => getStationKey({ id: event.stationId, type: event.type }))
+      );
+      const stationsWithData = await findStationsWithLoggedData(
+        savedStations.filter((st) => removedKeys.has(getStationKey(st)))
+      );
+
+      setSavePreview({
+        stations: assignStationZones(stationsToSave, zones),
+        events,
+        zones: zonesChanged ? zones : null,
+        stationsWithData: stationsWithData.map(getStationKey)
+      });
+    } finally {
+      setLoadingPreview(false);
+    }
+  };
+
+  const confirmSavePreview = () => {
+    const preview = savePreview;
+    if (!preview) return;
+
+    if (!preview.stationsWithData.length) {
+      setSavePreview(null);
+      saveStations(preview);
+      return;
+    }
+
+    const labels = preview.stationsWithData
+      .map((key) => {
+        const [type, id] = key.split(":");
+        return getMarkerLabel({ id, type });
+      })
+      .join(", ");
+
+    showAlert(
+      i18n.t("technician.myocide.savePreview.loggedDataTitle"),
+      i18n.t("technician.myocide.savePreview.loggedDataMessage", { stations: labels }),
+      [
+        { text: i18n.t("common.cancel"), style: "cancel" },
+        {
+          text: i18n.t("technician.myocide.savePreview.removeAnyway"),
+          style: "destructive",
+          onPress: () => {
+            setSavePreview(null);
+            saveStations(preview);
+          }
+        }
+      ]
+    );
+  };
+
+  // preview: { stations, events, zones } as shown in the save preview; zones is null when unchanged
+  const saveStations = async ({ stations: stationsToSave, events, zones: zonesToSave }) => {
     if (!selectedMap) return;
 
     setSaving(true);
     try {
-      // Format stations for backend
-      const stationsToSave = stations.map(st => ({
-        id: st.id,
-        type: st.type || "BS",
-        x: st.x,
-        y: st.y
-      }));
+      // Zones go first so the zone ids on the stations exist
+      if (zonesToSave) {
+        const zonesResult = await apiService.saveMapZones(selectedMap.mapId, zonesToSave);
+        if (!zonesResult?.success) {
+          showAlert(i18n.t("common.error"), zonesResult?.error || i18n.t("technician.myocide.alerts.saveFailed"));
+          return;
+        }
+      }
+
       // Save to SQL using new endpoint
-      const result = await apiService.saveMapStations(selectedMap.mapId, stationsToSave);
+      const result = await apiService.saveMapStations(selectedMap.mapId, stationsToSave, events);
 
       if (result && result.success) {     
+        pendingStationSave.current = null;
+
         // Immediately refresh the customer data to see if stations were saved
         try {
           const freshCustomerData = await apiService.getCustomerWithMaps(effectiveCustomer.customerId);
@@ -1178,8 +1589,9 @@ const handleSaveAll = async () => {
 
         showAlert(i18n.t("common.success"), i18n.t("technician.myocide.editButtons.save") + " " + i18n.t("common.success"));
         setEditMode(false);
-        setAddingStation(false);
-        setRemovingStation(false);
+        selectEditTool(null);
+        setStationChanges({ retirements: {}, replacements: {} });
+        setEditHistory({ past: [], future: [] });
       } else {
         console.error("❌ Save failed:", result);
         showAlert(i18n.t("common.error"), result?.error || i18n.t("technician.myocide.alerts.saveFailed"));
@@ -1194,6 +1606,8 @@ const handleSaveAll = async () => {
   };
 
   const handleDragStart = (id, type) => {
+    if (!editMode || removingStation || replacingStation || changingType || drawingZone) return;
+
     const st = stations.find(s => s.id === id && (s.type || "BS") === type);
     if (!st) return;
 
@@ -1201,10 +1615,30 @@ const handleSaveAll = async () => {
       id,
       type,
       startX: st.x,
-      startY: st.y
+      startY: st.y,
+      snapshot: { stations, stationChanges, zones }
     };
   };
 
+  // A drag becomes one undo step, and only if the marker actually moved
+  const finishDrag = (drag) => {
+    const st = stations.find(
+      s => String(s.id) === String(drag.id) && (s.type || "BS") === drag.type
+    );
+
+    if (st && drag.snapshot && (st.x !== drag.startX || st.y !== drag.startY)) {
+      recordEdit(drag.snapshot);
+    }
+  };
+
+  const handleDragEnd = () => {
+    const drag = dragStartRef.current;
+    if (!drag?.id) return;
+
+    finishDrag(drag);
+    dragStartRef.current = {};
+  };
+
   const handleDragMove = (evt) => {
     const { translationX, translationY } = evt.nativeEvent;
     const drag = dragStartRef.current;
@@ -1231,7 +1665,7 @@ const handleSaveAll = async () => {
     // pointer-down from being claimed by the map underneath it.
     event.stopPropagation();
 
-    if (!editMode || removingStation) return;
+    if (!editMode || removingStation || replacingStation || changingType || drawingZone) return;
 
     const imageWidth = Number(imageLayout.width);
     const imageHeight = Number(imageLayout.height);
@@ -1248,7 +1682,8 @@ const handleSaveAll = async () => {
       startY: Number(station.y) || 0,
       pointerId: event.pointerId,
       pointerX: event.clientX,
-      pointerY: event.clientY
+      pointerY: event.clientY,
+      snapshot: { stations, stationChanges, zones }
     };
 
     event.currentTarget.style.cursor = "grabbing";
@@ -1302,20 +1737,171 @@ const handleSaveAll = async () => {
     }
 
     event.currentTarget.style.cursor = "grab";
+    finishDrag(drag);
     dragStartRef.current = {};
   };
 
+  // tool: "add" | "remove" | "replace" | "type" | "zone" | null
+  const selectEditTool = (tool) => {
+    setAddingStation(tool === "add");
+    setRemovingStation(tool === "remove");
+    setReplacingStation(tool === "replace");
+    setChangingType(tool === "type");
+    setDrawingZone(tool === "zone");
+    setZoneDraft([]);
+  };
+
+  const startEditMode = () => {
+    setEditHistory({ past: [], future: [] });
+    setOrderingRoute(false);
+    setEditMode(true);
+  };
+
+  // Leaving edit mode without saving puts the map back the way it was saved
+  const cancelEditMode = () => {
+    setEditMode(false);
+    selectEditTool(null);
+    setStations(savedStations);
+    setZones(savedZones);
+    setStationChanges({ retirements: {}, replacements: {} });
+    setEditHistory({ past: [], future: [] });
+  };
+
+  // Call before changing stations; the snapshot defaults to the current state
+  const recordEdit = (snapshot = { stations, stationChanges, zones }) => {
+    setEditHistory((prev) => ({
+      past: [...prev.past, snapshot].slice(-MAX_UNDO_STEPS),
+      future: []
+    }));
+  };
+
+  const undoEdit = () => {
+    const previous = editHistory.past[editHistory.past.length - 1];
+    if (!previous) return;
+
+    setEditHistory({
+      past: editHistory.past.slice(0, -1),
+      future: [{ stations, stationChanges, zones }, ...editHistory.future]
+    });
+    setStations(previous.stations);
+    setStationChanges(previous.stationChanges);
+    setZones(previous.zones);
+  };
+
+  const redoEdit = () => {
+    const [next, ...future] = editHistory.future;
+    if (!next) return;
+
+    setEditHistory({
+      past: [...editHistory.past, { stations, stationChanges, zones }],
+      future
+    });
+    setStations(next.stations);
+    setStationChanges(next.stationChanges);
+    setZones(next.zones);
+  };
+
+  const finishZoneDraft = () => {
+    if (zoneDraft.length < MIN_ZONE_POINTS) {
+      showAlert(
+        i18n.t("technician.myocide.zones.title"),
+        i18n.t("technician.myocide.zones.tooFewPoints", { count: MIN_ZONE_POINTS })
+      );
+      return;
+    }
+
+    setZoneName("");
+    setZoneNamePrompt(true);
+  };
+
+  const confirmZoneName = () => {
+    const name = zoneName.trim();
+    if (!name) {
+      showAlert(i18n.t("common.error"), i18n.t("technician.myocide.zones.nameRequired"));
+      return;
+    }
+
+    recordEdit();
+    setZones((prev) => [...prev, { zoneId: createZoneId(), name, points: zoneDraft }]);
+    setZoneDraft([]);
+    setZoneNamePrompt(false);
+  };
+
+  const removeZone = (zoneId) => {
+    recordEdit();
+    setZones((prev) => prev.filter((zone) => zone.zoneId !== zoneId));
+  };
+
+  const openLifecyclePrompt = (station, action) => {
+    setChangeReason(null);
+    setChangeNote("");
+    setLifecyclePrompt({ station, action });
+  };
+
+  const confirmLifecycleChange = () => {
+    if (!lifecyclePrompt) return;
+
+    if (!changeReason || (changeReason === "other" && !changeNote.trim())) {
+      showAlert(
+        i18n.t("common.error"),
+        i18n.t("technician.myocide.lifecycle.reasonRequired")
+      );
+      return;
+    }
+
+    const { station, action } = lifecyclePrompt;
+    const key = getStationKey(station);
+    const change = { reason: changeReason, note: changeNote.trim() || null };
+
+    recordEdit();
+
+    if (action === "retire") {
+      setStations((previousStations) =>
+        previousStations.filter((item) => getStationKey(item) !== key)
+      );
+      setStationChanges((prev) => ({
+        ...prev,
+        retirements: { ...prev.retirements, [key]: change }
+      }));
+    } else {
+      setStationChanges((prev) => ({
+        ...prev,
+        replacements: { ...prev.replacements, [key]: change }
+      }));
+    }
+
+    setLifecyclePrompt(null);
+  };
+
   const handleStationPress = (station) => {
     const stationType = station.type || "BS";
 
     debugStationData(station.id, stationType);
 
+    // While recording a custom route a tap adds the station to it, or takes it out again
+    if (orderingRoute) {
+      const key = getStationKey({ ...station, type: stationType });
+      setRouteDraft((prev) => (prev.includes(key) ? prev.filter((item) => item !== key) : [...prev, key]));
+      return;
+    }
+
     // In map-edit mode a click is reserved for removal. Normal editing uses
     // pointer movement, so releasing a dragged marker does not open its form.
     if (editMode) {
+      const isSaved = savedStations.some(
+        (item) => getStationKey(item) === getStationKey({ ...station, type: stationType })
+      );
+
       if (removingStation) {
         if (stationType !== editStationType) return;
 
+        // Stations that were never saved have no history, so they just go
+        if (isSaved) {
+          openLifecyclePrompt({ ...station, type: stationType }, "retire");
+          return;
+        }
+
+        recordEdit();
         setStations((previousStations) =>
           previousStations.filter(
             (item) =>
@@ -1325,6 +1911,43 @@ const handleSaveAll = async () => {
               )
           )
         );
+      } else if (changingType) {
+        if (stationType === editStationType) return;
+
+        // A different kind of device is a new station: it takes the next
+        // number of its type and the old one is retired
+        const key = getStationKey({ ...station, type: stationType });
+        const converted = {
+          id: getNextIdForType(editStationType),
+          type: editStationType,
+          x: station.x,
+          y: station.y
+        };
+
+        recordEdit();
+        setStations((previousStations) =>
+          previousStations.map((item) => (getStationKey(item) === key ? converted : item))
+        );
+
+        if (isSaved) {
+          setStationChanges((prev) => ({
+            ...prev,
+            retirements: {
+              ...prev.retirements,
+              [key]: { reason: "typeChanged", note: getMarkerLabel(converted) }
+            }
+          }));
+        }
+      } else if (replacingStation) {
+        if (!isSaved) {
+          showAlert(
+            i18n.t("technician.myocide.lifecycle.replaceTitle"),
+            i18n.t("technician.myocide.lifecycle.replaceUnsaved")
+          );
+          return;
+        }
+
+        openLifecyclePrompt({ ...station, type: stationType }, "replace");
       }
 
       return;
@@ -1373,6 +1996,96 @@ const handleSaveAll = async () => {
     );
   };
 
+  // A scanned label opens the station's form, unless it was put up at
+  // another customer or on a map other than the one being serviced
+  const handleStationScanned = (data) => {
+    setShowScanner(false);
+
+    const scanned = parseStationQrPayload(data);
+    if (!scanned) {
+      showAlert(
+        i18n.t("technician.myocide.scanner.unknownTitle"),
+        i18n.t("technician.myocide.scanner.unknownMessage")
+      );
+      return;
+    }
+
+    if (String(scanned.customerId) !== String(effectiveCustomer?.customerId)) {
+      showAlert(
+        i18n.t("technician.myocide.scanner.wrongCustomerTitle"),
+        i18n.t("technician.myocide.scanner.wrongCustomerMessage", {
+          customer: effectiveCustomer?.customerName || ""
+        })
+      );
+      return;
+    }
+
+    const map = customerMaps.find((m) => String(m.mapId) === String(scanned.mapId));
+    const station = (Array.isArray(map?.stations) ? map.stations : []).find(
+      (st) =>
+        String(st.id) === String(scanned.stationId) &&
+        (st.type || "BS") === scanned.type
+    );
+
+    if (!map || !station) {
+      showAlert(
+        i18n.t("technician.myocide.scanner.notFoundTitle"),
+        i18n.t("technician.myocide.scanner.notFoundMessage", {
+          label: getMarkerLabel({ id: scanned.stationId, type: scanned.type })
+        })
+      );
+      return;
+    }
+
+    const openStation = () => {
+      if (String(map.mapId) !== String(selectedMap?.mapId)) {
+        handleMapSelect(map);
+      }
+      handleStationPress({ ...station, type: station.type || "BS" });
+    };
+
+    if (selectedMap && String(map.mapId) !== String(selectedMap.mapId)) {
+      showAlert(
+        i18n.t("technician.myocide.scanner.otherMapTitle"),
+        i18n.t("technician.myocide.scanner.otherMapMessage", {
+          label: getMarkerLabel(station),
+          map: map.name || "",
+          current: selectedMap.name || ""
+        }),
+        [
+          { text: i18n.t("common.cancel"), style: "cancel" },
+          {
+            text: i18n.t("technician.myocide.scanner.switchMap"),
+            onPress: openStation
+          }
+        ]
+      );
+      return;
+    }
+
+    openStation();
+  };
+
+  const handlePrintLabels = async () => {
+    if (!selectedMap || !stations.length) return;
+
+    setPrintingLabels(true);
+    try {
+      await printStationLabels({
+        customer: effectiveCustomer,
+        map: { ...selectedMap, stations }
+      });
+    } catch (error) {
+      console.error("❌ Failed to print station labels:", error);
+      showAlert(
+        i18n.t("technician.common.error"),
+        i18n.t("technician.myocide.labels.printFailed")
+      );
+    } finally {
+      setPrintingLabels(false);
+    }
+  };
+
   const debugStationCompletion = () => {
     
     stations.forEach(st => {
@@ -1384,7 +2097,8 @@ const handleSaveAll = async () => {
   };
 
   const getNextIdForType = (type) => {
-    const sameType = stations.filter(s => (s.type || "BS") === type);
+    // Numbers removed in this edit stay reserved until it is saved as a retirement
+    const sameType = [...stations, ...savedStations].filter(s => (s.type || "BS") === type);
     if (sameType.length === 0) return 1;
     return Math.max(...sameType.map(s => Number(s.id) || 0)) + 1;
   };
@@ -1406,6 +2120,10 @@ const handleSaveAll = async () => {
     station_id: station.stationId,
     station_number: station.stationId,
     station_type: station.stationType,
+    station_uid: station.stationUid ?? null,
+    map_id: station.mapId ?? null,
+    zone_id: station.zoneId ?? null,
+    zone_name: station.zoneName ?? null,
     consumption: station.consumption,
     bait_type: station.baitType,
     capture: station.capture,
@@ -1578,11 +2296,24 @@ const handleSaveAll = async () => {
 
 
   const handleMapPress = (evt) => {
-    if (!addingStation || !selectedMap) return;
+    if (!selectedMap) return;
 
     const x = evt.nativeEvent.locationX;
     const y = evt.nativeEvent.locationY;
 
+    if (drawingZone) {
+      setZoneDraft((prev) => [
+        ...prev,
+        {
+          x: (x - (Number(imageLayout.offsetX) || 0)) / imageLayout.width,
+          y: (y - (Number(imageLayout.offsetY) || 0)) / imageLayout.height
+        }
+      ]);
+      return;
+    }
+
+    if (!addingStation) return;
+
     const newStation = {
       id: getNextIdForType(editStationType),
       type: editStationType,
@@ -1590,6 +2321,7 @@ const handleSaveAll = async () => {
       y: (y - imageLayout.offsetY) / imageLayout.height
     };
 
+    recordEdit();
     setStations([...stations, newStation]);
     setAddingStation(false);
   };
@@ -1702,11 +2434,7 @@ const handleSaveAll = async () => {
             {editMode ? (
               <TouchableOpacity
                 style={styles.backBtn}
-                onPress={() => {
-                  setEditMode(false);
-                  setAddingStation(false);
-                  setRemovingStation(false);
-                }}
+                onPress={cancelEditMode}
               >
                 <Text style={styles.backBtnText}>{i18n.t("technician.myocide.cancelEdit")}</Text>
               </TouchableOpacity>
@@ -1716,6 +2444,25 @@ const handleSaveAll = async () => {
               </TouchableOpacity>
             )}
 
+            {editMode && (
+              <>
+                <TouchableOpacity
+                  style={[styles.editBtnTop, !editHistory.past.length && { opacity: 0.5 }]}
+                  onPress={undoEdit}
+                  disabled={!editHistory.past.length}
+                >
+                  <Text style={styles.editBtnText}>↶ {i18n.t("technician.myocide.editButtons.undo")}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.editBtnTop, !editHistory.future.length && { opacity: 0.5 }]}
+                  onPress={redoEdit}
+                  disabled={!editHistory.future.length}
+                >
+                  <Text style={styles.editBtnText}>↷ {i18n.t("technician.myocide.editButtons.redo")}</Text>
+                </TouchableOpacity>
+              </>
+            )}
+
             {/* Timer Display */}
             {timerActive && (
               <View style={styles.timerContainer}>
@@ -1729,12 +2476,21 @@ const handleSaveAll = async () => {
             {!editMode && !workStarted && !timerActive && (
               <TouchableOpacity 
                 style={styles.editBtnTop} 
-                onPress={() => setEditMode(true)}
+                onPress={startEditMode}
               >
                 <Text style={styles.editBtnText}>{i18n.t("technician.myocide.editMap")}</Text>
               </TouchableOpacity>
             )}
 
+            {!editMode && (workStarted || isEditCompletedVisit) && Platform.OS !== "web" && (
+              <TouchableOpacity
+                style={styles.scanBtnTop}
+                onPress={() => setShowScanner(true)}
+              >
+                <Text style={styles.editBtnText}>{i18n.t("technician.myocide.scanner.button")}</Text>
+              </TouchableOpacity>
+            )}
+
             <TouchableOpacity
               style={styles.chooseMapBtn}
               onPress={() => setShowMapDropdown(!showMapDropdown)}
@@ -1833,6 +2589,69 @@ const handleSaveAll = async () => {
                         <Text>{i18n.t("technician.myocide.noMaps")}</Text>
                       </View>
                     )}
+                    {(zones.length > 0 || zoneDraft.length > 0) && imageLayout.width > 0 && (
+                      <Svg
+                        pointerEvents="none"
+                        width={imageLayout.width}
+                        height={imageLayout.height}
+                        style={{
+                          position: "absolute",
+                          left: Number(imageLayout.offsetX) || 0,
+                          top: Number(imageLayout.offsetY) || 0
+                        }}
+                      >
+                        {zones.map((zone, index) => {
+                          const toPixels = (point) =>
+                            `${point.x * imageLayout.width},${point.y * imageLayout.height}`;
+                          const centroid = getZoneCentroid(zone.points);
+
+                          return (
+                            <React.Fragment key={zone.zoneId}>
+                              <Polygon
+                                points={zone.points.map(toPixels).join(" ")}
+                                fill={getZoneColor(index)}
+                                fillOpacity={0.15}
+                                stroke={getZoneColor(index)}
+                                strokeWidth={2}
+                              />
+                              <SvgText
+                                x={centroid.x * imageLayout.width}
+                                y={centroid.y * imageLayout.height}
+                                fill={getZoneColor(index)}
+                                fontSize={12}
+                                fontWeight="bold"
+                                textAnchor="middle"
+                              >
+                                {zone.name}
+                              </SvgText>
+                            </React.Fragment>
+                          );
+                        })}
+
+                        {zoneDraft.length > 0 && (
+                          <>
+                            <Polyline
+                              points={zoneDraft
+                                .map((point) => `${point.x * imageLayout.width},${point.y * imageLayout.height}`)
+                                .join(" ")}
+                              fill="none"
+                              stroke="#f39c12"
+                              strokeWidth={2}
+                              strokeDasharray="6,4"
+                            />
+                            {zoneDraft.map((point, index) => (
+                              <Circle
+                                key={index}
+                                cx={point.x * imageLayout.width}
+                                cy={point.y * imageLayout.height}
+                                r={4}
+                                fill="#f39c12"
+                              />
+                            ))}
+                          </>
+                        )}
+                      </Svg>
+                    )}
                     {stations.map((st, index) => {
                       const stationType = st.type || "BS";
                       const uniqueKey = `${stationType}_${st.id}_${index}`;
@@ -1852,6 +2671,18 @@ const handleSaveAll = async () => {
                         stationType,
                         isCompletedValue
                       );
+                      const pendingReplacement = Boolean(
+                        stationChanges.replacements[getStationKey(st)]
+                      );
+                      const markerBorder = pendingReplacement
+                        ? "#f39c12"
+                        : orderingRoute && routeDraft.includes(getStationKey(st))
+                        ? "#2980b9"
+                        : skippedKeys.has(getStationKey(st))
+                        ? "#e74c3c"
+                        : nextRouteStation && getStationKey(nextRouteStation) === getStationKey(st)
+                        ? "#f1c40f"
+                        : "#fff";
 
                       if (Platform.OS === "web") {
                         return (
@@ -1877,7 +2708,7 @@ const handleSaveAll = async () => {
                               height: 28,
                               transform: "translate(-50%, -50%)",
                               borderRadius: 14,
-                              border: "2px solid #fff",
+                              border: `2px ${pendingReplacement ? "dashed" : "solid"} ${markerBorder}`,
                               padding: 0,
                               margin: 0,
                               display: "flex",
@@ -1890,7 +2721,7 @@ const handleSaveAll = async () => {
                               letterSpacing: label.length >= 4 ? -0.3 : 0,
                               opacity: isCompletedValue ? 0.4 : 1,
                               cursor:
-                                editMode && !removingStation
+                                editMode && !removingStation && !replacingStation && !changingType && !drawingZone
                                   ? "grab"
                                   : "pointer",
                               touchAction: "none",
@@ -1910,6 +2741,7 @@ const handleSaveAll = async () => {
                               handleDragStart(st.id, stationType)
                             }
                             onGestureEvent={handleDragMove}
+                            onEnded={handleDragEnd}
                           >
                             <Animated.View
                               style={[
@@ -1922,6 +2754,7 @@ const handleSaveAll = async () => {
                                   height: 28,
                                   borderRadius: 14,
                                   backgroundColor: markerColor,
+                                  borderColor: markerBorder,
                                   transform: [
                                     { translateX: -(size / 2) },
                                     { translateY: -14 }
@@ -2027,7 +2860,7 @@ const handleSaveAll = async () => {
               <View style={{ flexDirection: "row", gap: 10 }}>
                 <TouchableOpacity
                   style={[styles.editBtn, { flex: 1 }, saving && { opacity: 0.7 }]}
-                  onPress={() => setAddingStation(true)}
+                  onPress={() => selectEditTool("add")}
                   disabled={saving}
                 >
                   <Text style={styles.editBtnText}>
@@ -2042,7 +2875,7 @@ const handleSaveAll = async () => {
 
                 <TouchableOpacity
                   style={[styles.editBtn, { flex: 1 }, saving && { opacity: 0.7 }]}
-                  onPress={() => setRemovingStation(true)}
+                  onPress={() => selectEditTool("remove")}
                   disabled={saving}
                 >
                   <Text style={styles.editBtnText}>
@@ -2056,17 +2889,318 @@ const handleSaveAll = async () => {
                 </TouchableOpacity>
 
                 <TouchableOpacity
-                  style={[styles.editBtn, { flex: 1 }, saving && { opacity: 0.7 }]}
-                  onPress={saveStations}
-                  disabled={saving}
+                  style={[styles.editBtn, { flex: 1 }, (saving || loadingPreview) && { opacity: 0.7 }]}
+                  onPress={openSavePreview}
+                  disabled={saving || loadingPreview}
                 >
-                  {saving ? (
+                  {saving || loadingPreview ? (
                     <ActivityIndicator color="#fff" />
                   ) : (
                     <Text style={styles.editBtnText}>{i18n.t("technician.myocide.editButtons.save")}</Text>
                   )}
                 </TouchableOpacity>
               </View>
+
+              <View style={{ flexDirection: "row", gap: 10, marginTop: 10 }}>
+                <TouchableOpacity
+                  style={[styles.editBtn, { flex: 1 }, saving && { opacity: 0.7 }]}
+                  onPress={() => selectEditTool("replace")}
+                  disabled={saving}
+                >
+                  <Text style={styles.editBtnText}>{i18n.t("technician.myocide.editButtons.replace")}</Text>
+                </TouchableOpacity>
+
+                <TouchableOpacity
+                  style={[styles.editBtn, { flex: 1 }, saving && { opacity: 0.7 }]}
+                  onPress={() => selectEditTool("type")}
+                  disabled={saving}
+                >
+                  <Text style={styles.editBtnText}>
+                    {i18n.t("technician.myocide.editButtons.changeType", { type: editStationType })}
+                  </Text>
+                </TouchableOpacity>
+
+              </View>
+
+              <TouchableOpacity
+                style={[styles.editBtn, { marginTop: 10 }, (printingLabels || !stations.length) && { opacity: 0.7 }]}
+                onPress={handlePrintLabels}
+                disabled={printingLabels || !stations.length}
+              >
+                {printingLabels ? (
+                  <ActivityIndicator color="#fff" />
+                ) : (
+                  <Text style={styles.editBtnText}>{i18n.t("technician.myocide.labels.print")}</Text>
+                )}
+              </TouchableOpacity>
+
+              {/* Zones */}
+              <View style={styles.zonePanel}>
+                <Text style={styles.zonePanelTitle}>{i18n.t("technician.myocide.zones.title")}</Text>
+
+                {drawingZone ? (
+                  <>
+                    <Text style={styles.zoneHint}>
+                      {i18n.t("technician.myocide.zones.drawHint", { count: zoneDraft.length })}
+                    </Text>
+                    <View style={{ flexDirection: "row", gap: 10 }}>
+                      <TouchableOpacity
+                        style={[styles.editBtn, { flex: 1, backgroundColor: "#999" }]}
+                        onPress={() => selectEditTool(null)}
+                      >
+                        <Text style={styles.editBtnText}>{i18n.t("common.cancel")}</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={[styles.editBtn, { flex: 1 }, zoneDraft.length < MIN_ZONE_POINTS && { opacity: 0.7 }]}
+                        onPress={finishZoneDraft}
+                      >
+                        <Text style={styles.editBtnText}>{i18n.t("technician.myocide.zones.finish")}</Text>
+                      </TouchableOpacity>
+                    </View>
+                  </>
+                ) : (
+                  <TouchableOpacity
+                    style={[styles.editBtn, saving && { opacity: 0.7 }]}
+                    onPress={() => selectEditTool("zone")}
+                    disabled={saving}
+                  >
+                    <Text style={styles.editBtnText}>{i18n.t("technician.myocide.zones.draw")}</Text>
+                  </TouchableOpacity>
+                )}
+
+                {zones.length > 0 && (
+                  <View style={styles.zoneChips}>
+                    {zones.map((zone, index) => (
+                      <View key={zone.zoneId} style={[styles.zoneChip, { borderColor: getZoneColor(index) }]}>
+                        <Text style={[styles.zoneChipText, { color: getZoneColor(index) }]}>
+                          {zone.name} ({stations.filter((st) => findZoneForStation(st, zones)?.zoneId === zone.zoneId).length})
+                        </Text>
+                        <TouchableOpacity
+                          onPress={() => removeZone(zone.zoneId)}
+                          hitSlop={{ top: 8, right: 8, bottom: 8, left: 8 }}
+                        >
+                          <Text style={[styles.zoneChipText, { color: getZoneColor(index) }]}>✕</Text>
+                        </TouchableOpacity>
+                      </View>
+                    ))}
+                  </View>
+                )}
+              </View>
+            </View>
+          )}
+
+          {/* Guided walk */}
+          {!editMode && stations.length > 0 && (
+            <View style={styles.routePanel}>
+              <View style={styles.routePanelHeader}>
+                <Text style={styles.zonePanelTitle}>{i18n.t("technician.myocide.route.title")}</Text>
+                <TouchableOpacity
+                  style={[styles.reasonChip, guidedMode && styles.reasonChipActive]}
+                  onPress={() => {
+                    setGuidedMode((value) => !value);
+                    setOrderingRoute(false);
+                  }}
+                >
+                  <Text style={[styles.reasonChipText, guidedMode && styles.reasonChipTextActive]}>
+                    {i18n.t(guidedMode ? "technician.myocide.route.on" : "technician.myocide.route.off")}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+
+              {guidedMode && orderingRoute && (
+                <>
+                  <Text style={styles.zoneHint}>
+                    {i18n.t("technician.myocide.route.orderHint", {
+                      count: routeDraft.length,
+                      total: stations.length
+                    })}
+                  </Text>
+                  <View style={{ flexDirection: "row", gap: 10 }}>
+                    <TouchableOpacity
+                      style={[styles.editBtn, { flex: 1, backgroundColor: "#999" }]}
+                      onPress={() => setOrderingRoute(false)}
+                    >
+                      <Text style={styles.editBtnText}>{i18n.t("common.cancel")}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[styles.editBtn, { flex: 1 }, (!routeDraft.length || savingRouteOrder) && { opacity: 0.7 }]}
+                      onPress={saveRouteOrder}
+                      disabled={!routeDraft.length || savingRouteOrder}
+                    >
+                      {savingRouteOrder ? (
+                        <ActivityIndicator color="#fff" />
+                      ) : (
+                        <Text style={styles.editBtnText}>{i18n.t("technician.myocide.route.saveOrder")}</Text>
+                      )}
+                    </TouchableOpacity>
+                  </View>
+                </>
+              )}
+
+              {guidedMode && !orderingRoute && (
+                <>
+                  <View style={styles.reasonList}>
+                    <TouchableOpacity
+                      style={[styles.reasonChip, routeOrder === ROUTE_ORDERS.NUMBER && styles.reasonChipActive]}
+                      onPress={() => setRouteOrder(ROUTE_ORDERS.NUMBER)}
+                    >
+                      <Text style={[styles.reasonChipText, routeOrder === ROUTE_ORDERS.NUMBER && styles.reasonChipTextActive]}>
+                        {i18n.t("technician.myocide.route.byNumber")}
+                      </Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[
+                        styles.reasonChip,
+                        routeOrder === ROUTE_ORDERS.CUSTOM && styles.reasonChipActive,
+                        !selectedMap?.routeOrder?.length && { opacity: 0.5 }
+                      ]}
+                      onPress={() => setRouteOrder(ROUTE_ORDERS.CUSTOM)}
+                      disabled={!selectedMap?.routeOrder?.length}
+                    >
+                      <Text style={[styles.reasonChipText, routeOrder === ROUTE_ORDERS.CUSTOM && styles.reasonChipTextActive]}>
+                        {i18n.t("technician.myocide.route.custom")}
+                      </Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.reasonChip} onPress={startRouteOrdering}>
+                      <Text style={styles.reasonChipText}>{i18n.t("technician.myocide.route.setOrder")}</Text>
+                    </TouchableOpacity>
+                  </View>
+
+                  <View style={styles.routeNextRow}>
+                    <Text style={styles.routeNextText}>
+                      {nextRouteStation
+                        ? i18n.t("technician.myocide.route.next", { station: getMarkerLabel(nextRouteStation) })
+                        : i18n.t("technician.myocide.route.allDone")}
+                    </Text>
+                    {nextRouteStation && (workStarted || isEditCompletedVisit) && (
+                      <TouchableOpacity
+                        style={[styles.editBtn, styles.routeOpenBtn]}
+                        onPress={() => handleStationPress(nextRouteStation)}
+                      >
+                        <Text style={styles.editBtnText}>{i18n.t("technician.myocide.route.open")}</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+
+                  <Text style={styles.zoneHint}>
+                    {i18n.t("technician.myocide.route.progress", {
+                      done: routeProgress.done,
+                      total: routeProgress.total
+                    })}
+                    {Object.entries(routeProgress.byType)
+                      .map(([type, counts]) => ` · ${type} ${counts.done}/${counts.total}`)
+                      .join("")}
+                  </Text>
+
+                  {skippedStations.length > 0 && (
+                    <Text style={[styles.zoneHint, styles.previewItemWarning]}>
+                      {i18n.t("technician.myocide.route.skipped", {
+                        stations: skippedStations.map(getMarkerLabel).join(", ")
+                      })}
+                    </Text>
+                  )}
+                </>
+              )}
+            </View>
+          )}
+
+          {/* Corrective actions */}
+          {!editMode && (openActions.length > 0 || newFindings.length > 0) && (
+            <View style={styles.routePanel}>
+              <Text style={styles.zonePanelTitle}>{i18n.t("technician.correctiveActions.title")}</Text>
+
+              {openActions.length > 0 && (
+                <Text style={styles.previewGroupTitle}>
+                  {i18n.t("technician.correctiveActions.openFromEarlier", { count: openActions.length })}
+                </Text>
+              )}
+              {openActions.map((action) => {
+                const closing = action.actionId in actionClosures;
+
+                return (
+                  <View key={action.actionId} style={styles.actionCard}>
+                    <View style={styles.routeNextRow}>
+                      <Text style={[styles.actionTitle, closing && styles.actionTitleClosed]}>
+                        {`${getActionStationLabel(action)} · ${getFindingLabel(action.finding)}`}
+                      </Text>
+                      <TouchableOpacity
+                        style={[styles.reasonChip, closing && styles.reasonChipActive, !canEditActions && { opacity: 0.5 }]}
+                        onPress={() => toggleActionClosed(action.actionId)}
+                        disabled={!canEditActions}
+                      >
+                        <Text style={[styles.reasonChipText, closing && styles.reasonChipTextActive]}>
+                          {i18n.t(closing ? "technician.correctiveActions.closed" : "technician.correctiveActions.close")}
+                        </Text>
+                      </TouchableOpacity>
+                    </View>
+                    <Text style={styles.zoneHint}>{action.description}</Text>
+                    <Text style={[styles.zoneHint, isActionOverdue(action) && styles.previewItemWarning]}>
+                      {i18n.t("technician.correctiveActions.ownerAndDue", {
+                        owner: getOwnerLabel(action.owner),
+                        date: formatDueDate(action.dueDate)
+                      })}
+                    </Text>
+                    {closing && (
+                      <TextInput
+                        style={[styles.reasonNoteInput, styles.actionNoteInput]}
+                        value={actionClosures[action.actionId]}
+                        onChangeText={(text) => setActionClosures((prev) => ({ ...prev, [action.actionId]: text }))}
+                        placeholder={i18n.t("technician.correctiveActions.closingNotePlaceholder")}
+                        multiline
+                      />
+                    )}
+                  </View>
+                );
+              })}
+
+              {newFindings.length > 0 && (
+                <Text style={styles.previewGroupTitle}>
+                  {i18n.t("technician.correctiveActions.newFromVisit", { count: newFindings.length })}
+                </Text>
+              )}
+              {newFindings.map((finding) => {
+                const action = { ...getDefaultAction(finding), ...actionDrafts[finding.key] };
+
+                return (
+                  <View key={finding.key} style={styles.actionCard}>
+                    <Text style={styles.actionTitle}>
+                      {`${getActionStationLabel(finding)} · ${getFindingLabel(finding.finding)}`}
+                    </Text>
+                    <TextInput
+                      style={[styles.reasonNoteInput, styles.actionNoteInput]}
+                      value={action.description}
+                      onChangeText={(description) => updateActionDraft(finding, { description })}
+                      editable={canEditActions}
+                      multiline
+                    />
+                    <View style={styles.reasonList}>
+                      {Object.values(ACTION_OWNERS).map((owner) => (
+                        <TouchableOpacity
+                          key={owner}
+                          style={[styles.reasonChip, action.owner === owner && styles.reasonChipActive]}
+                          onPress={() => updateActionDraft(finding, { owner })}
+                          disabled={!canEditActions}
+                        >
+                          <Text style={[styles.reasonChipText, action.owner === owner && styles.reasonChipTextActive]}>
+                            {getOwnerLabel(owner)}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                    <View style={styles.routeNextRow}>
+                      <Text style={styles.zoneHint}>{i18n.t("technician.correctiveActions.dueDate")}</Text>
+                      <TextInput
+                        style={styles.actionDateInput}
+                        value={action.dueDate}
+                        onChangeText={(dueDate) => updateActionDraft(finding, { dueDate })}
+                        placeholder="YYYY-MM-DD"
+                        maxLength={10}
+                        editable={canEditActions}
+                      />
+                    </View>
+                  </View>
+                );
+              })}
             </View>
           )}
 
@@ -2167,7 +3301,7 @@ const handleSaveAll = async () => {
               <View style={styles.saveCancelContainer}>
                 <TouchableOpacity 
                   style={styles.saveWorkButton}
-                  onPress={handleSaveAll}
+                  onPress={() => handleSaveAll()}
                 >
                   <Text style={styles.saveWorkButtonText}>{i18n.t("technician.myocide.actionButtons.finishAndSave")}</Text>
                 </TouchableOpacity>
@@ -2203,10 +3337,7 @@ const handleSaveAll = async () => {
                     });
                   }}
                   existingStationData={
-                    loggedStations.find(
-                      s => s.stationId === selectedStation.id && 
-                      s.stationType === (selectedStation.type || "BS")
-                    ) || null
+                    findLoggedStation(selectedStation.id, selectedStation.type || "BS") || null
                   }
                   onClose={() => setSelectedStation(null)}
                 />
@@ -2232,11 +3363,7 @@ const handleSaveAll = async () => {
                     });
                   }}
                   existingStationData={
-                    loggedStations.find(
-                      s =>
-                        s.stationId === selectedStation.id &&
-                        s.stationType === selectedStation.type
-                    ) || null
+                    findLoggedStation(selectedStation.id, selectedStation.type) || null
                   }
                   onClose={() => setSelectedStation(null)}
                 />
@@ -2259,9 +3386,7 @@ const handleSaveAll = async () => {
                     });
                   }}
                   existingStationData={
-                    loggedStations.find(
-                      s => s.stationId === selectedStation.id && s.stationType === "LT"
-                    ) || null
+                    findLoggedStation(selectedStation.id, "LT") || null
                   }
                   onClose={() => setSelectedStation(null)}
                 />
@@ -2284,15 +3409,224 @@ const handleSaveAll = async () => {
                     });
                   }}
                   existingStationData={
-                    loggedStations.find(
-                      s => s.stationId === selectedStation.id && s.stationType === "PT"
-                    ) || null
+                    findLoggedStation(selectedStation.id, "PT") || null
                   }
                   onClose={() => setSelectedStation(null)}
                 />
               )}
             </View>
           )}
+          <StationScanner
+            visible={showScanner}
+            onScanned={handleStationScanned}
+            onClose={() => setShowScanner(false)}
+          />
+
+          {/* Changes about to be saved */}
+          {savePreview && (
+            <View style={styles.lifecycleOverlay}>
+              <View style={styles.lifecycleCard}>
+                <Text style={styles.lifecycleTitle}>{i18n.t("technician.myocide.savePreview.title")}</Text>
+
+                <ScrollView style={{ maxHeight: 320, marginBottom: 14 }}>
+                  {[
+                    {
+                      title: "added",
+                      events: savePreview.events.filter(
+                        (event) => event.action === STATION_EVENT_TYPES.INSTALLED && !event.replacesUid
+                      )
+                    },
+                    {
+                      title: "moved",
+                      events: savePreview.events.filter((event) => event.action === STATION_EVENT_TYPES.RELOCATED)
+                    },
+                    {
+                      title: "replaced",
+                      events: savePreview.events.filter((event) => event.action === STATION_EVENT_TYPES.REPLACED)
+                    },
+                    {
+                      title: "removed",
+                      events: savePreview.events.filter((event) => event.action === STATION_EVENT_TYPES.RETIRED)
+                    }
+                  ]
+                    .filter((group) => group.events.length > 0)
+                    .map((group) => (
+                      <View key={group.title} style={styles.previewGroup}>
+                        <Text style={styles.previewGroupTitle}>
+                          {i18n.t(`technician.myocide.savePreview.${group.title}`, { count: group.events.length })}
+                        </Text>
+                        {group.events.map((event) => {
+                          const key = getStationKey({ id: event.stationId, type: event.type });
+                          const hasData = group.title === "removed" && savePreview.stationsWithData.includes(key);
+
+                          return (
+                            <Text key={`${group.title}-${key}`} style={[styles.previewItem, hasData && styles.previewItemWarning]}>
+                              • {getMarkerLabel({ id: event.stationId, type: event.type })}
+                              {hasData ? `  ⚠️ ${i18n.t("technician.myocide.savePreview.hasLoggedData")}` : ""}
+                            </Text>
+                          );
+                        })}
+                      </View>
+                    ))}
+
+                  {savePreview.zones && (
+                    <View style={styles.previewGroup}>
+                      <Text style={styles.previewGroupTitle}>
+                        {i18n.t("technician.myocide.savePreview.zones", { count: savePreview.zones.length })}
+                      </Text>
+                    </View>
+                  )}
+                </ScrollView>
+
+                <View style={{ flexDirection: "row", gap: 10 }}>
+                  <TouchableOpacity
+                    style={[styles.editBtn, { flex: 1, backgroundColor: "#999" }]}
+                    onPress={() => setSavePreview(null)}
+                  >
+                    <Text style={styles.editBtnText}>{i18n.t("technician.myocide.savePreview.keepEditing")}</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.editBtn, { flex: 1 }]}
+                    onPress={confirmSavePreview}
+                  >
+                    <Text style={styles.editBtnText}>{i18n.t("technician.myocide.editButtons.save")}</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            </View>
+          )}
+
+          {/* Name for a newly drawn zone */}
+          {zoneNamePrompt && (
+            <View style={styles.lifecycleOverlay}>
+              <View style={styles.lifecycleCard}>
+                <Text style={styles.lifecycleTitle}>{i18n.t("technician.myocide.zones.nameTitle")}</Text>
+                <TextInput
+                  style={styles.reasonNoteInput}
+                  value={zoneName}
+                  onChangeText={setZoneName}
+                  placeholder={i18n.t("technician.myocide.zones.namePlaceholder")}
+                  autoFocus
+                  onSubmitEditing={confirmZoneName}
+                />
+                <View style={{ flexDirection: "row", gap: 10 }}>
+                  <TouchableOpacity
+                    style={[styles.editBtn, { flex: 1, backgroundColor: "#999" }]}
+                    onPress={() => setZoneNamePrompt(false)}
+                  >
+                    <Text style={styles.editBtnText}>{i18n.t("common.cancel")}</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.editBtn, { flex: 1 }]}
+                    onPress={confirmZoneName}
+                  >
+                    <Text style={styles.editBtnText}>{i18n.t("technician.myocide.zones.add")}</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            </View>
+          )}
+
+          {/* Explanation for stations left unvisited */}
+          {missedPrompt && (
+            <View style={styles.lifecycleOverlay}>
+              <View style={styles.lifecycleCard}>
+                <Text style={styles.lifecycleTitle}>{i18n.t("technician.myocide.route.missedTitle")}</Text>
+                <Text style={styles.lifecycleMessage}>
+                  {missedPrompt.length === 1
+                    ? i18n.t("technician.myocide.route.missedMessage_one", { count: missedPrompt.length })
+                    : i18n.t("technician.myocide.route.missedMessage_other", { count: missedPrompt.length })}
+                </Text>
+                <Text style={[styles.previewItem, styles.previewItemWarning, { marginBottom: 10 }]}>
+                  {missedPrompt.map(getMissedStationLabel).join(", ")}
+                </Text>
+                <TextInput
+                  style={styles.reasonNoteInput}
+                  value={missedReason}
+                  onChangeText={setMissedReason}
+                  placeholder={i18n.t("technician.myocide.route.missedPlaceholder")}
+                  multiline
+                  autoFocus
+                />
+                <View style={{ flexDirection: "row", gap: 10 }}>
+                  <TouchableOpacity
+                    style={[styles.editBtn, { flex: 1, backgroundColor: "#999" }]}
+                    onPress={() => setMissedPrompt(null)}
+                  >
+                    <Text style={styles.editBtnText}>{i18n.t("common.cancel")}</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.editBtn, { flex: 1 }, !missedReason.trim() && { opacity: 0.7 }]}
+                    onPress={confirmMissedStations}
+                    disabled={!missedReason.trim()}
+                  >
+                    <Text style={styles.editBtnText}>{i18n.t("technician.myocide.route.missedSave")}</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            </View>
+          )}
+
+          {/* Reason for retiring or replacing a saved station */}
+          {lifecyclePrompt && (
+            <View style={styles.lifecycleOverlay}>
+              <View style={styles.lifecycleCard}>
+                <Text style={styles.lifecycleTitle}>
+                  {i18n.t(
+                    lifecyclePrompt.action === "retire"
+                      ? "technician.myocide.lifecycle.retireTitle"
+                      : "technician.myocide.lifecycle.replaceTitle"
+                  )}{" "}
+                  {getMarkerLabel(lifecyclePrompt.station)}
+                </Text>
+                <Text style={styles.lifecycleMessage}>
+                  {i18n.t(
+                    lifecyclePrompt.action === "retire"
+                      ? "technician.myocide.lifecycle.retireMessage"
+                      : "technician.myocide.lifecycle.replaceMessage"
+                  )}
+                </Text>
+
+                <View style={styles.reasonList}>
+                  {STATION_CHANGE_REASONS.map((reason) => (
+                    <TouchableOpacity
+                      key={reason}
+                      style={[styles.reasonChip, changeReason === reason && styles.reasonChipActive]}
+                      onPress={() => setChangeReason(reason)}
+                    >
+                      <Text style={[styles.reasonChipText, changeReason === reason && styles.reasonChipTextActive]}>
+                        {i18n.t(`technician.myocide.lifecycle.reasons.${reason}`)}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+
+                <TextInput
+                  style={styles.reasonNoteInput}
+                  value={changeNote}
+                  onChangeText={setChangeNote}
+                  placeholder={i18n.t("technician.myocide.lifecycle.notePlaceholder")}
+                  multiline
+                />
+
+                <View style={{ flexDirection: "row", gap: 10 }}>
+                  <TouchableOpacity
+                    style={[styles.editBtn, { flex: 1, backgroundColor: "#999" }]}
+                    onPress={() => setLifecyclePrompt(null)}
+                  >
+                    <Text style={styles.editBtnText}>{i18n.t("common.cancel")}</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.editBtn, { flex: 1 }]}
+                    onPress={confirmLifecycleChange}
+                  >
+                    <Text style={styles.editBtnText}>{i18n.t("technician.myocide.lifecycle.confirm")}</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            </View>
+          )}
+
           {showPhotoViewer && (
   <SafeAreaView style={styles.photoViewer}>
 
@@ -2576,6 +3910,13 @@ const styles = StyleSheet.create({
     zIndex: 9999,
     elevation: 9999,
   },
+  scanBtnTop: {
+    backgroundColor: "#1f9c8d",
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 8,
+    marginLeft: 10,
+  },
   editBtnTop: {
     backgroundColor: "#1f9c8d",
     paddingVertical: 8,
@@ -2625,6 +3966,94 @@ const styles = StyleSheet.create({
     bottom: 0,
     pointerEvents: "box-none",
   },
+  lifecycleOverlay: {
+    position: "absolute",
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: "rgba(0,0,0,0.4)",
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 20,
+    zIndex: 9998,
+  },
+  lifecycleCard: {
+    width: "100%",
+    maxWidth: 420,
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 20,
+  },
+  lifecycleTitle: { fontSize: 18, fontWeight: "bold", color: "#2c3e50", marginBottom: 6 },
+  lifecycleMessage: { fontSize: 14, color: "#666", marginBottom: 14 },
+  reasonList: { flexDirection: "row", flexWrap: "wrap", gap: 8, marginBottom: 12 },
+  reasonChip: {
+    borderWidth: 1,
+    borderColor: "#1f9c8d",
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  reasonChipActive: { backgroundColor: "#1f9c8d" },
+  reasonChipText: { color: "#1f9c8d", fontWeight: "600" },
+  reasonChipTextActive: { color: "#fff" },
+  previewGroup: { marginBottom: 12 },
+  zonePanel: { gap: 8 },
+  zonePanelTitle: { fontSize: 15, fontWeight: "bold", color: "#2c3e50" },
+  zoneHint: { fontSize: 13, color: "#666" },
+  zoneChips: { flexDirection: "row", flexWrap: "wrap", gap: 8 },
+  zoneChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+  },
+  zoneChipText: { fontSize: 13, fontWeight: "600" },
+  routePanel: {
+    gap: 8,
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderColor: "#eee",
+  },
+  routePanelHeader: { flexDirection: "row", alignItems: "center", justifyContent: "space-between" },
+  routeNextRow: { flexDirection: "row", alignItems: "center", gap: 10 },
+  routeNextText: { flex: 1, fontSize: 15, fontWeight: "600", color: "#2c3e50" },
+  routeOpenBtn: { paddingVertical: 8, paddingHorizontal: 16 },
+  actionCard: {
+    gap: 6,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderColor: "#f2f2f2",
+  },
+  actionTitle: { flex: 1, fontSize: 14, fontWeight: "bold", color: "#2c3e50" },
+  actionTitleClosed: { color: "#999", textDecorationLine: "line-through" },
+  actionNoteInput: { minHeight: 44, marginBottom: 0 },
+  actionDateInput: {
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    minWidth: 120,
+  },
+  previewGroupTitle: { fontSize: 14, fontWeight: "bold", color: "#2c3e50", marginBottom: 4 },
+  previewItem: { fontSize: 14, color: "#444", paddingVertical: 2 },
+  previewItemWarning: { color: "#c0392b", fontWeight: "600" },
+  reasonNoteInput: {
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 8,
+    padding: 10,
+    minHeight: 60,
+    textAlignVertical: "top",
+    marginBottom: 14,
+  },
+
   photoViewer: {
   flex: 1,
   backgroundColor: "#fff",
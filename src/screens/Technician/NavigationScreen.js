@@ -11,10 +11,17 @@ import {
   ActivityIndicator,
 } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
+import * as Location from "expo-location";
+import apiService from "../../services/apiService";
 import i18n from "../../services/i18n";
+import DayRouteModal from "../../components/DayRouteModal";
+import { toDateKey } from "../../utils/recurringContracts";
 
 export default function NavigationScreen({ customer, technician, onBack, onNavigateToMap }) {
   const [loading, setLoading] = useState(false);
+  const [showDayRoute, setShowDayRoute] = useState(false);
+  const [location, setLocation] = useState(customer?.location || null);
+  const [pinning, setPinning] = useState(false);
 
   const openNavigationApp = (appType) => {
     if (!customer || !customer.address) {
@@ -56,6 +63,63 @@ export default function NavigationScreen({ customer, technician, onBack, onNavig
       });
   };
 
+  // Pins the customer to where the technician is standing, replacing a geocoded guess
+  const pinCurrentLocation = async () => {
+    setPinning(true);
+    try {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== "granted") {
+        Alert.alert(
+          i18n.t("technician.navigation.pinLocation.permissionTitle"),
+          i18n.t("technician.navigation.pinLocation.permissionMessage")
+        );
+        return;
+      }
+
+      const position = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.High });
+      const { latitude, longitude, accuracy } = position.coords;
+
+      Alert.alert(
+        i18n.t("technician.navigation.pinLocation.confirmTitle"),
+        i18n.t("technician.navigation.pinLocation.confirmMessage", {
+          name: customer.customerName,
+          accuracy: Math.round(accuracy ?? 0)
+        }),
+        [
+          { text: i18n.t("common.cancel"), style: "cancel" },
+          {
+            text: i18n.t("common.confirm"),
+            onPress: () => savePinnedLocation({ latitude, longitude })
+          }
+        ]
+      );
+    } catch (error) {
+      console.error("❌ Failed to read current location:", error);
+      Alert.alert(i18n.t("common.error"), i18n.t("technician.navigation.pinLocation.unavailable"));
+    } finally {
+      setPinning(false);
+    }
+  };
+
+  const savePinnedLocation = async ({ latitude, longitude }) => {
+    const pinned = {
+      latitude,
+      longitude,
+      address: customer.address,
+      source: "pinned",
+      pinnedAt: new Date().toISOString()
+    };
+
+    const res = await apiService.updateCustomer(customer.customerId, { location: pinned });
+    if (!res?.success) {
+      Alert.alert(i18n.t("common.error"), res?.error || i18n.t("technician.navigation.pinLocation.saveFailed"));
+      return;
+    }
+
+    setLocation(pinned);
+    Alert.alert(i18n.t("common.success"), i18n.t("technician.navigation.pinLocation.saved"));
+  };
+
   const quickNavigate = () => {
     Alert.alert(
       i18n.t("technician.navigation.quickNav.chooseApp"),
@@ -101,6 +165,24 @@ export default function NavigationScreen({ customer, technician, onBack, onNavig
           <View style={styles.addressSection}>
             <Text style={styles.sectionLabel}>{i18n.t("technician.navigation.customerInfo.address")}</Text>
             <Text style={styles.address}>{customer.address || i18n.t("technician.common.noAddress")}</Text>
+            <Text style={styles.locationStatus}>
+              {location?.source === "pinned"
+                ? i18n.t("technician.navigation.pinLocation.pinned")
+                : location
+                  ? i18n.t("technician.navigation.pinLocation.geocoded")
+                  : i18n.t("technician.navigation.pinLocation.none")}
+            </Text>
+            <TouchableOpacity
+              style={styles.pinButton}
+              onPress={pinCurrentLocation}
+              disabled={pinning}
+            >
+              {pinning ? (
+                <ActivityIndicator size="small" color="#1f9c8d" />
+              ) : (
+                <Text style={styles.pinButtonText}>📍 {i18n.t("technician.navigation.pinLocation.button")}</Text>
+              )}
+            </TouchableOpacity>
           </View>
 
           <View style={styles.technicianSection}>
@@ -170,6 +252,18 @@ export default function NavigationScreen({ customer, technician, onBack, onNavig
           </View>
         </TouchableOpacity>
 
+        {/* Day Route */}
+        <TouchableOpacity
+          style={[styles.appButton, styles.dayRouteButton]}
+          onPress={() => setShowDayRoute(true)}
+        >
+          <Text style={styles.appIcon}>🧭</Text>
+          <View style={styles.appInfo}>
+            <Text style={styles.appName}>{i18n.t("technician.navigation.dayRoute.name")}</Text>
+            <Text style={styles.appDescription}>{i18n.t("technician.navigation.dayRoute.description")}</Text>
+          </View>
+        </TouchableOpacity>
+
         {/* Action Buttons */}
         <View style={styles.actionButtons}>
           {onNavigateToMap && (
@@ -191,6 +285,13 @@ export default function NavigationScreen({ customer, technician, onBack, onNavig
           <Text style={styles.tip}>{i18n.t("technician.navigation.tips.tip4")}</Text>
         </View>
       </ScrollView>
+
+      <DayRouteModal
+        visible={showDayRoute}
+        technicianId={technician?.technicianId || technician?.id}
+        date={toDateKey(new Date())}
+        onClose={() => setShowDayRoute(false)}
+      />
     </SafeAreaView>
   );
 }
@@ -250,6 +351,25 @@ const styles = StyleSheet.create({
   addressSection: {
     marginBottom: 16,
   },
+  locationStatus: {
+    fontSize: 12,
+    color: "#666",
+    marginTop: 6,
+  },
+  pinButton: {
+    alignSelf: "flex-start",
+    borderWidth: 1,
+    borderColor: "#1f9c8d",
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    marginTop: 10,
+  },
+  pinButtonText: {
+    color: "#1f9c8d",
+    fontSize: 14,
+    fontWeight: "600",
+  },
   technicianSection: {
     paddingTop: 16,
     borderTopWidth: 1,
@@ -320,6 +440,10 @@ const styles = StyleSheet.create({
     borderLeftWidth: 4,
     borderLeftColor: "#000",
   },
+  dayRouteButton: {
+    borderLeftWidth: 4,
+    borderLeftColor: "#1f9c8d",
+  },
   appIcon: {
     fontSize: 28,
     marginRight: 15,
@@ -9,11 +9,14 @@ import {
   ActivityIndicator,
   Image,
   Modal,
+  Alert,
+  Platform,
 } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
 import { MaterialIcons, FontAwesome5, Ionicons } from '@expo/vector-icons';
 import apiService from "../../services/apiService";
 import { formatTime } from "../../utils/timeUtils";
+import { useAbortableEffect } from "../../utils/apiRequests";
 import pestfreeLogo from "../../../assets/pestfree_logo.png";
 import { 
   formatTimeInGreece, 
@@ -21,6 +24,16 @@ import {
   debugTimeConversion 
 } from "../../utils/timeZoneUtils";
 import i18n from "../../services/i18n";
+import { getMarkerLabel } from "../../utils/stationLabels";
+import { EXPORT_FORMATS, exportVisitData } from "../../utils/visitDataExport";
+import { getStationKey } from "../../utils/stationLifecycle";
+import { describeTrendRule, evaluateTrendAlerts, formatTrendValue } from "../../utils/trendAlerts";
+import {
+  formatDueDate,
+  getActionStationLabel,
+  getFindingLabel,
+  getOwnerLabel
+} from "../../utils/correctiveActions";
 
 
 export default function ReportScreen({ route, navigation, context, onBack }) { 
@@ -31,6 +44,9 @@ export default function ReportScreen({ route, navigation, context, onBack }) {
   const [chemicals, setChemicals] = useState([]);
   const [loadingMaterials, setLoadingMaterials] = useState(false);
   const [selectedReportImage, setSelectedReportImage] = useState(null);
+  const [exportingFormat, setExportingFormat] = useState(null);
+  const [trendAlerts, setTrendAlerts] = useState([]);
+  const [visitActions, setVisitActions] = useState({ opened: [], closed: [] });
   const normalizeReportServiceType = (value) => {
     const type = String(value || "")
       .trim()
@@ -85,13 +101,13 @@ export default function ReportScreen({ route, navigation, context, onBack }) {
     contextParams.startTime;
 
   // Fetch report function
-  const fetchReport = async (visitId) => {
+  const fetchReport = async (visitId, signal) => {
   setLoading(true);
   setError(null);
 
   try {
     // ✅ Decide serviceType from the best available source
-    const st = normalizeReportServiceType(
+    let st = normalizeReportServiceType(
       route?.params?.serviceType ||
       route?.params?.service_type ||
       context?.serviceType ||
@@ -99,9 +115,26 @@ export default function ReportScreen({ route, navigation, context, onBack }) {
       serviceType ||
       ""
     );
+    let serviceLog = null;
+
+    // Deep links (pestfree://visit/<id>/report) carry only the visit id, so
+    // the visit's service log tells which report it has
+    if (!st) {
+      serviceLog = await apiService.getServiceLogByVisitId(visitId, { signal });
+      if (serviceLog?.cancelled) return;
+
+      if (!serviceLog?.success) {
+        throw new Error(serviceLog?.error || i18n.t("technician.report.errors.reportUnavailable") || "Report not found");
+      }
+
+      const loggedLog = serviceLog.log || serviceLog.report;
+      st = normalizeReportServiceType(loggedLog?.service_type || loggedLog?.serviceType);
+    }
+
     // ✅ MYOCIDE -> VISIT REPORT endpoint (visits + station_logs)
     if (st === "myocide" || st === "certificate") {
-      const res = await apiService.getVisitReport(visitId);
+      const res = await apiService.getVisitReport(visitId, { signal });
+      if (res?.cancelled) return;
 
       if (!res?.success || !res?.report) {
         throw new Error(res?.error || i18n.t("technician.report.errors.reportUnavailable") || "Myocide report not found");
@@ -135,7 +168,8 @@ export default function ReportScreen({ route, navigation, context, onBack }) {
     }
 
     // ✅ NON-MYOCIDE -> SERVICE LOG endpoint
-    const res = await apiService.getServiceLogByVisitId(visitId);
+    const res = serviceLog || await apiService.getServiceLogByVisitId(visitId, { signal });
+    if (res?.cancelled) return;
 
     if (!res?.success) {
       throw new Error(res?.error || i18n.t("technician.report.errors.reportUnavailable") || "Report not found");
@@ -184,7 +218,7 @@ export default function ReportScreen({ route, navigation, context, onBack }) {
   }
 };
 
-  useEffect(() => {
+  useAbortableEffect((signal) => {
     const visitIdFromSources =
       route?.params?.visitId ||
       route?.params?.visit_id ||
@@ -202,7 +236,7 @@ export default function ReportScreen({ route, navigation, context, onBack }) {
       return;
     }
 
-    fetchReport(visitIdFromSources);
+    fetchReport(visitIdFromSources, signal);
   }, [route?.params?.visitId, context?.visitId]);
 
 
@@ -243,6 +277,40 @@ export default function ReportScreen({ route, navigation, context, onBack }) {
     }) || [],
   };
 
+  // Per-zone totals; empty unless at least one station was logged inside a zone
+  const getZoneSummary = () => {
+    const rows = report?.stations || [];
+    if (!rows.some(s => s.zone_name)) return [];
+
+    const toNumber = (value) => parseFloat(String(value ?? "").replace("%", "")) || 0;
+    const zones = new Map();
+
+    rows.forEach(s => {
+      const name = s.zone_name || i18n.t("technician.report.zoneSummary.noZone");
+      const type = String(s.station_type || s.type || "").toUpperCase();
+
+      if (!zones.has(name)) {
+        zones.set(name, { name, devices: 0, consumptionTotal: 0, consumptionCount: 0, rodents: 0, insects: 0 });
+      }
+
+      const zone = zones.get(name);
+      zone.devices++;
+
+      if (type === "BS" && s.consumption !== null && s.consumption !== undefined && s.consumption !== "") {
+        zone.consumptionTotal += toNumber(s.consumption);
+        zone.consumptionCount++;
+      } else if (type === "RM" || type === "ST") {
+        zone.rodents += toNumber(s.rodents_captured);
+      } else if (type === "LT") {
+        zone.insects += toNumber(s.mosquitoes) + toNumber(s.lepidoptera) + toNumber(s.drosophila) + toNumber(s.flies);
+      } else if (type === "PT") {
+        zone.insects += toNumber(s.insects_captured);
+      }
+    });
+
+    return [...zones.values()].sort((a, b) => a.name.localeCompare(b.name));
+  };
+
   // Sort function for myocide stations
   const sortByStationNumber = (a, b) => {
     const idA = parseInt(a.station_id || a.station_number || 0);
@@ -260,6 +328,54 @@ export default function ReportScreen({ route, navigation, context, onBack }) {
     }
   }, [report?.visitId]);
 
+  useEffect(() => {
+    if (["myocide", "certificate"].includes(report?.serviceType)) {
+      loadTrendAlerts();
+      loadVisitActions();
+    } else {
+      setTrendAlerts([]);
+      setVisitActions({ opened: [], closed: [] });
+    }
+  }, [report?.visitId]);
+
+  // Corrective actions opened from this visit's findings or closed during it
+  const loadVisitActions = async () => {
+    const customerId = report.customerId || report.customer_id;
+    if (!customerId) return;
+
+    const actions = await apiService.getCorrectiveActions(customerId);
+    setVisitActions({
+      opened: actions.filter(a => a.visitId === report.visitId),
+      closed: actions.filter(a => a.closedVisitId === report.visitId)
+    });
+  };
+
+  // Thresholds crossed as of this visit; later visits are left out so an
+  // old report shows what was true when it was written
+  const loadTrendAlerts = async () => {
+    const customerId = report.customerId || report.customer_id;
+    if (!customerId) return;
+
+    try {
+      const [rules, rows] = await Promise.all([
+        apiService.getTrendThresholds(customerId),
+        apiService.getCustomerTrendRows(customerId)
+      ]);
+
+      const visitDate = new Date(report.date);
+      const cutoff = Number.isNaN(visitDate.getTime()) ? null : visitDate.setHours(23, 59, 59, 999);
+      const rowsUntilVisit = cutoff ? rows.filter(row => new Date(row.date).getTime() <= cutoff) : rows;
+
+      setTrendAlerts(evaluateTrendAlerts(rules, rowsUntilVisit));
+    } catch (err) {
+      console.warn("⚠️ Failed to load trend alerts:", err);
+      setTrendAlerts([]);
+    }
+  };
+
+  const hasTrendAlert = (type, s) =>
+    trendAlerts.some(alert => alert.key === getStationKey({ id: s.station_id ?? s.station_number, type }));
+
   // Helper function to get full material details with safety info
   const getMaterialSafetyInfo = (materialName, type) => {
     if (type === 'bait') {
@@ -604,6 +720,132 @@ export default function ReportScreen({ route, navigation, context, onBack }) {
     );
   };
 
+  const showAlert = (title, message) => {
+    if (Platform.OS === "web") {
+      window.alert(`${title}\n\n${message}`);
+    } else {
+      Alert.alert(title, message);
+    }
+  };
+
+  const handleExportData = async (format) => {
+    setExportingFormat(format);
+    try {
+      const result = await exportVisitData({ reports: [report], format });
+      if (!result) {
+        showAlert(i18n.t("technician.report.export.title"), i18n.t("technician.report.export.noData"));
+      }
+    } catch (err) {
+      console.error("❌ Visit data export failed:", err);
+      showAlert(i18n.t("technician.report.export.failed"), err.message || "");
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  const renderDataExport = () => (
+    <View style={styles.section}>
+      <View style={styles.sectionHeader}>
+        <MaterialIcons name="file-download" size={20} color="#2c3e50" />
+        <Text style={styles.sectionTitle}>{i18n.t("technician.report.export.title")}</Text>
+      </View>
+      <View style={styles.exportButtons}>
+        {[EXPORT_FORMATS.CSV, EXPORT_FORMATS.XLSX].map(format => (
+          <TouchableOpacity
+            key={format}
+            style={[styles.exportButton, !!exportingFormat && { opacity: 0.6 }]}
+            onPress={() => handleExportData(format)}
+            disabled={!!exportingFormat}
+          >
+            {exportingFormat === format ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <>
+                <MaterialIcons name={format === EXPORT_FORMATS.CSV ? "description" : "grid-on"} size={18} color="#fff" />
+                <Text style={styles.exportButtonText}>{i18n.t(`technician.report.export.${format}`)}</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+
+  // Stations the technician did not reach, with the explanation given at save
+  const renderCorrectiveActions = () => {
+    const { opened, closed } = visitActions;
+    if (opened.length === 0 && closed.length === 0) return null;
+
+    const renderAction = (action) => (
+      <View key={action.actionId} style={{ marginBottom: 8 }}>
+        <Text style={styles.notesText}>
+          {`${getActionStationLabel(action)} · ${getFindingLabel(action.finding)}: ${action.description}`}
+        </Text>
+        <Text style={styles.actionMeta}>
+          {i18n.t("technician.correctiveActions.ownerAndDue", {
+            owner: getOwnerLabel(action.owner),
+            date: formatDueDate(action.dueDate)
+          })}
+          {action.closingNote ? ` · ${action.closingNote}` : ""}
+        </Text>
+      </View>
+    );
+
+    return (
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <MaterialIcons name="build-circle" size={20} color="#2c3e50" />
+          <Text style={styles.sectionTitle}>{i18n.t("technician.report.correctiveActions.title")}</Text>
+        </View>
+        <View style={styles.notesCard}>
+          {opened.length > 0 && (
+            <>
+              <Text style={styles.actionGroupTitle}>{i18n.t("technician.report.correctiveActions.opened")}</Text>
+              {opened.map(renderAction)}
+            </>
+          )}
+          {closed.length > 0 && (
+            <>
+              <Text style={styles.actionGroupTitle}>{i18n.t("technician.report.correctiveActions.closed")}</Text>
+              {closed.map(renderAction)}
+            </>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  const renderMissedStations = () => {
+    const missed = report?.missedStations || report?.missed_stations;
+    const reason = report?.missedStationsReason || report?.missed_stations_reason;
+    if (!Array.isArray(missed) || missed.length === 0) return null;
+
+    return (
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <MaterialIcons name="report-problem" size={20} color="#2c3e50" />
+          <Text style={styles.sectionTitle}>{i18n.t("technician.report.missedStations.title")}</Text>
+          <Text style={styles.badge}>{missed.length}</Text>
+        </View>
+        <View style={styles.notesCard}>
+          <Text style={styles.notesText}>
+            {missed
+              .map(st => getMarkerLabel({
+                id: st.stationId ?? st.station_id,
+                type: st.stationType ?? st.station_type
+              }))
+              .join(", ")}
+          </Text>
+          {!!reason && (
+            <Text style={[styles.notesText, { marginTop: 8 }]}>
+              {i18n.t("technician.report.missedStations.reason", { reason })}
+            </Text>
+          )}
+        </View>
+      </View>
+    );
+  };
+
     const renderTreatmentPhotos = () => {
     if (!report?.images || report.images.length === 0) return null;
 
@@ -1010,6 +1252,79 @@ export default function ReportScreen({ route, navigation, context, onBack }) {
           </View>
         </View>
 
+        {/* TREND ALERTS */}
+        {trendAlerts.length > 0 && (
+          <View style={styles.section}>
+            <View style={styles.sectionHeader}>
+              <MaterialIcons name="trending-up" size={20} color="#2c3e50" />
+              <Text style={styles.sectionTitle}>{i18n.t("technician.report.trendAlerts.title")}</Text>
+              <Text style={styles.badge}>{trendAlerts.length}</Text>
+            </View>
+            <View style={[styles.notesCard, styles.trendAlertsCard]}>
+              {trendAlerts.map(alert => (
+                <Text key={`${alert.ruleId}-${alert.key}`} style={styles.notesText}>
+                  {`${getMarkerLabel({ id: alert.stationId, type: alert.stationType })}: ${describeTrendRule(alert)} (${alert.values
+                    .map(value => formatTrendValue(alert.metric, value))
+                    .join(", ")})`}
+                </Text>
+              ))}
+              <Text style={[styles.notesText, { marginTop: 8 }]}>
+                {i18n.t("technician.report.trendAlerts.hint")}
+              </Text>
+            </View>
+          </View>
+        )}
+
+        {/* ZONES */}
+        {getZoneSummary().length > 0 && (
+          <View style={styles.section}>
+            <View style={styles.sectionHeader}>
+              <MaterialIcons name="layers" size={20} color="#2c3e50" />
+              <Text style={styles.sectionTitle}>{i18n.t("technician.report.zoneSummary.title")}</Text>
+            </View>
+            <View style={styles.stationTable}>
+              <View style={styles.tableHeader}>
+                <Text style={[styles.tableHeaderCell, styles.deviceHeader, { flex: 1.8 }]} numberOfLines={1} ellipsizeMode="clip">
+                  {i18n.t("technician.report.zoneSummary.zone")}
+                </Text>
+                <Text style={[styles.tableHeaderCell, { flex: 1 }]} numberOfLines={1} ellipsizeMode="clip">
+                  {i18n.t("technician.report.zoneSummary.devices")}
+                </Text>
+                <Text style={[styles.tableHeaderCell, { flex: 1.2 }]} numberOfLines={1} ellipsizeMode="clip">
+                  {i18n.t("technician.report.zoneSummary.avgConsumption")}
+                </Text>
+                <Text style={[styles.tableHeaderCell, { flex: 1 }]} numberOfLines={1} ellipsizeMode="clip">
+                  {i18n.t("technician.report.zoneSummary.rodents")}
+                </Text>
+                <Text style={[styles.tableHeaderCell, { flex: 1 }]} numberOfLines={1} ellipsizeMode="clip">
+                  {i18n.t("technician.report.zoneSummary.insects")}
+                </Text>
+              </View>
+              {getZoneSummary().map(zone => (
+                <View key={zone.name} style={styles.tableRow}>
+                  <Text style={[styles.tableCell, styles.deviceCell, { flex: 1.8 }]}>{zone.name}</Text>
+                  <View style={[styles.tableCellContainer, styles.centerCell, { flex: 1 }]}>
+                    <Text style={styles.tableCellText}>{zone.devices}</Text>
+                  </View>
+                  <View style={[styles.tableCellContainer, styles.centerCell, { flex: 1.2 }]}>
+                    <Text style={styles.tableCellText}>
+                      {zone.consumptionCount > 0
+                        ? `${Math.round(zone.consumptionTotal / zone.consumptionCount)}%`
+                        : "—"}
+                    </Text>
+                  </View>
+                  <View style={[styles.tableCellContainer, styles.centerCell, { flex: 1 }]}>
+                    <Text style={styles.tableCellText}>{zone.rodents}</Text>
+                  </View>
+                  <View style={[styles.tableCellContainer, styles.centerCell, { flex: 1 }]}>
+                    <Text style={styles.tableCellText}>{zone.insects}</Text>
+                  </View>
+                </View>
+              ))}
+            </View>
+          </View>
+        )}
+
         {/* BAIT STATIONS */}
         {stationsByType.BS.length > 0 && (
           <View style={styles.section}>
@@ -1079,7 +1394,7 @@ export default function ReportScreen({ route, navigation, context, onBack }) {
 
               </View>
               {stationsByType.BS.map((s, i) => (
-                <View key={i} style={styles.tableRow}>
+                <View key={i} style={[styles.tableRow, hasTrendAlert("BS", s) && styles.tableRowAlert]}>
                   <Text style={[styles.tableCell, styles.deviceCell, { flex: 1.2 }]}>
                     BS{s.station_id || s.station_number}
                   </Text>
@@ -1193,7 +1508,7 @@ export default function ReportScreen({ route, navigation, context, onBack }) {
 
               </View>
               {stationsByType.RM.map((s, i) => (
-                <View key={i} style={styles.tableRow}>
+                <View key={i} style={[styles.tableRow, hasTrendAlert("RM", s) && styles.tableRowAlert]}>
                   <Text style={[styles.tableCell, styles.deviceCell, { flex: 1.2 }]}>
                     RM{s.station_id || s.station_number}
                   </Text>
@@ -1305,7 +1620,7 @@ export default function ReportScreen({ route, navigation, context, onBack }) {
                 </Text>
               </View>
               {stationsByType.ST.map((s, i) => (
-                <View key={i} style={styles.tableRow}>
+                <View key={i} style={[styles.tableRow, hasTrendAlert("ST", s) && styles.tableRowAlert]}>
                   <Text style={[styles.tableCell, styles.deviceCell, { flex: 1.2 }]}>
                     ST{s.station_id || s.station_number}
                   </Text>
@@ -1372,7 +1687,7 @@ export default function ReportScreen({ route, navigation, context, onBack }) {
                 <Text style={[styles.tableHeaderCell, { flex: 0.8 }]}>{i18n.t("technician.report.stationTables.status")}</Text>
               </View>
               {stationsByType.LT.map((s, i) => (
-                <View key={i} style={styles.tableRow}>
+                <View key={i} style={[styles.tableRow, hasTrendAlert("LT", s) && styles.tableRowAlert]}>
                   <Text style={[styles.tableCell, { flex: 1.2, fontWeight: '600' }]}>
                     LT{s.station_id || s.station_number}
                   </Text>
@@ -1415,7 +1730,7 @@ export default function ReportScreen({ route, navigation, context, onBack }) {
               </View>
 
               {stationsByType.PT.map((s, i) => (
-                <View key={i} style={styles.tableRow}>
+                <View key={i} style={[styles.tableRow, hasTrendAlert("PT", s) && styles.tableRowAlert]}>
                   <Text style={[styles.tableCell, { flex: 1.2, fontWeight: "600" }]}>
                     PT{s.station_id || s.station_number}
                   </Text>
@@ -1824,8 +2139,13 @@ export default function ReportScreen({ route, navigation, context, onBack }) {
         
         {renderTreatmentPhotos()}  
       
+        {renderMissedStations()}
+        {renderCorrectiveActions()}
+
         {renderServiceNotes()}
 
+        {renderDataExport()}
+
         {/* FOOTER */}
         <View style={styles.footer}>
           <Text style={styles.footerText}>
@@ -2269,6 +2589,11 @@ const styles = StyleSheet.create({
     borderBottomColor: "#f8f9fa",
     alignItems: "center",
   },
+  tableRowAlert: {
+    backgroundColor: "#fdecea",
+    borderLeftWidth: 3,
+    borderLeftColor: "#e74c3c",
+  },
   tableCell: {
     fontSize: 12,
     color: "#333",
@@ -2290,6 +2615,26 @@ const styles = StyleSheet.create({
   },
   
   // NOTES
+  exportButtons: {
+    flexDirection: "row",
+    gap: 12,
+  },
+  exportButton: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 8,
+    backgroundColor: "#1f9c8b",
+    borderRadius: 12,
+    paddingVertical: 12,
+  },
+  exportButtonText: {
+    color: "#fff",
+    fontSize: 15,
+    fontWeight: "600",
+    fontFamily: 'System',
+  },
   notesCard: {
     backgroundColor: "#fff",
     borderRadius: 12,
@@ -2297,6 +2642,22 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: "#f8f9fa",
   },
+  trendAlertsCard: {
+    borderColor: "#e74c3c",
+    borderLeftWidth: 4,
+  },
+  actionGroupTitle: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#2c3e50",
+    marginBottom: 6,
+    fontFamily: 'System',
+  },
+  actionMeta: {
+    fontSize: 12,
+    color: "#666",
+    fontFamily: 'System',
+  },
   notesText: {
     fontSize: 14,
     color: "#333",
@@ -18,11 +18,13 @@ import {
 import { SafeAreaView } from "react-native-safe-area-context";
 import { Swipeable } from 'react-native-gesture-handler';
 import apiService from '../../services/apiService';
+import { getApiErrorMessage, isLoadFailure, useAbortableEffect } from "../../utils/apiRequests";
 import ChemicalsDropdown from '../../components/ChemicalsDropdown';
 import { MaterialIcons, FontAwesome5, Ionicons } from '@expo/vector-icons';
 import { launchImageLibrary, launchCamera } from "react-native-image-picker";
 import { Image } from "react-native";
 import i18n from "../../services/i18n";
+import { saveVisitDraft, clearVisitDraft, VISIT_DRAFT_AUTOSAVE_DELAY } from "../../services/visitDrafts";
 
 export default function SpecialServicesScreen({ 
   technician, 
@@ -197,7 +199,7 @@ export default function SpecialServicesScreen({
   /* =========================
      LOAD EXISTING SERVICE (EDIT MODE)
   ========================= */
-  useEffect(() => {
+  useAbortableEffect((signal) => {
     const load = async () => {
 
       try {
@@ -271,7 +273,7 @@ export default function SpecialServicesScreen({
         if (session?.visitId) {
           
           try {
-            const res = await apiService.getServiceLogByVisitId(session.visitId);
+            const res = await apiService.getServiceLogByVisitId(session.visitId, { signal });
 
             if (res?.success) {
               const log = res.log || res.report;
@@ -351,6 +353,11 @@ export default function SpecialServicesScreen({
                 setElapsedTime(log.duration || 0);
                          
               } 
+            } else if (isLoadFailure(res)) {
+              showAlert(
+                i18n.t("technician.common.error"),
+                getApiErrorMessage(res, i18n.t("technician.common.loadLogFailed"))
+              );
             }
           } catch (logError) {
             console.error("❌ Failed to load service log:", logError);
@@ -519,6 +526,44 @@ export default function SpecialServicesScreen({
     );
   };
 
+  /* =========================
+     DRAFT (CRASH RECOVERY)
+  ========================= */
+  // Resume work that was interrupted before it was saved
+  useEffect(() => {
+    const draft = session?.draft;
+    if (!draft || !draft.startTime) return;
+
+    const data = draft.data || {};
+    setSelectedChemicals(Array.isArray(data.selectedChemicals) ? data.selectedChemicals : []);
+    setTreatedAreas(Array.isArray(data.treatedAreas) ? data.treatedAreas : []);
+    setNotes(data.notes || '');
+    setReportImages(Array.isArray(data.reportImages) ? data.reportImages : []);
+
+    // Keep the original start so the duration covers the whole visit
+    setServiceStartTime(draft.startTime);
+    setElapsedTime(Date.now() - draft.startTime);
+    setServiceStarted(true);
+    setServiceCompleted(false);
+
+    session.draft = null;
+  }, []);
+
+  // Autosave unsaved work so a crash or restart does not lose it
+  useEffect(() => {
+    if (!session?.appointmentId || !serviceStarted || serviceCompleted || !serviceStartTime) return;
+
+    const timeout = setTimeout(() => {
+      saveVisitDraft(session.appointmentId, {
+        serviceType: serviceType,
+        startTime: serviceStartTime,
+        data: { selectedChemicals, treatedAreas, notes, reportImages }
+      });
+    }, VISIT_DRAFT_AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timeout);
+  }, [serviceStarted, serviceCompleted, serviceStartTime, selectedChemicals, treatedAreas, notes, reportImages]);
+
   /* =========================
      TIMER
   ========================= */
@@ -812,60 +857,42 @@ export default function SpecialServicesScreen({
         completedAt: new Date().toISOString(),
       };
 
-      const formData = new FormData();
-
-      // 🔥 FIX: Properly stringify arrays/objects
-      Object.keys(payload).forEach(key => {
-        const value = payload[key];
-        if (value === undefined) return;
+      // Plain data instead of FormData so the visit can wait in the outbox
+      const serviceLog = {
+        fields: {
+          ...apiService.toServiceLogFields(payload),
+          ...(existingImages.length > 0
+            ? { existingImages: JSON.stringify(existingImages) }
+            : {})
+        },
+        images: apiService.toServiceLogImages(reportImages)
+      };
 
-        if (key === 'chemicals_used' || key === 'treated_areas') {
-          formData.append(key, JSON.stringify(value));
-        } else if (typeof value === "object" && value !== null) {
-          formData.append(key, JSON.stringify(value));
-        } else {
-          formData.append(key, String(value));
-        }
+      const res = await apiService.submitServiceLogWithOutbox(serviceLog, {
+        visitId: payload.visitId,
+        appointmentId: session?.appointmentId,
+        serviceType: payload.serviceType,
+        customerName: payload.customerName
       });
 
-      // append images
-      for (let i = 0; i < reportImages.length; i++) {
-      const img = reportImages[i];
-      if (!img?.uri) continue;
+      if (!res?.success) throw new Error(getApiErrorMessage(res, i18n.t("technician.specialServices.errors.saveFailed")));
 
-      const name =
-        img.fileName ||
-        img.name ||
-        `photo_${Date.now()}_${i}.jpg`;
-
-      const type = img.type || "image/jpeg";
-
-      if (Platform.OS === "web") {
-        const response = await fetch(img.uri);
-        const blob = await response.blob();
-        formData.append("images", blob, name);
-      } else {
-        const uri =
-          Platform.OS === "ios"
-            ? img.uri.replace("file://", "")
-            : img.uri;
+      await clearVisitDraft(session?.appointmentId);
 
-        formData.append("images", {
-          uri,
-          name,
-          type,
-        });
-      }
-    }
-      
-      if (existingImages.length > 0) {
-        formData.append("existingImages", JSON.stringify(existingImages));
+      if (res.queued) {
+        // Stored on the device; the outbox uploads it and completes the
+        // appointment once the connection is back
+        setLogId(finalLogId);
+        setVisitId(stableVisitId);
+        setServiceCompleted(true);
+        showAlert(
+          i18n.t("technician.outbox.savedOffline"),
+          i18n.t("technician.outbox.savedOfflineMessage"),
+          [{ text: i18n.t("technician.common.ok"), onPress: onBack }]
+        );
+        return;
       }
 
-      const res = await apiService.submitServiceLog(formData);
-
-      if (!res?.success) throw new Error(i18n.t("technician.specialServices.errors.saveFailed"));
-
       // Mark appointment as completed
       if (session?.appointmentId) {
         await markAppointmentCompleted(session.appointmentId, payload.visitId);
@@ -1136,6 +1163,8 @@ export default function SpecialServicesScreen({
           text: i18n.t("technician.specialServices.alerts.cancelServiceConfirm"), 
           style: "destructive",
           onPress: () => {
+            clearVisitDraft(session?.appointmentId);
+
             if (timerRef.current) {
               clearInterval(timerRef.current);
               timerRef.current = null;
@@ -1,5 +1,5 @@
 // TechnicianHomeScreen.js - DEsktop
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import {
   View,
   Text,
@@ -16,6 +16,7 @@ import { SafeAreaView } from "react-native-safe-area-context";
 import { MaterialIcons, FontAwesome5, Ionicons, Feather } from '@expo/vector-icons';
 import { Calendar, LocaleConfig } from 'react-native-calendars';
 import apiService from "../../services/apiService";
+import { getVisitDraft, clearVisitDraft } from "../../services/visitDrafts";
 import pestfreeLogo from "../../../assets/pestfree_logo.png";
 import { useFocusEffect } from '@react-navigation/native';
 import { Modal, TextInput } from 'react-native';
@@ -122,6 +123,8 @@ export default function TechnicianHomeScreen({
   onLogout,
   onSelectCustomer,
   onEditCustomer,
+  openAppointmentId,
+  onAppointmentOpened,
 }) {
   const [customers, setCustomers] = useState([]);
   const [showCustomerDropdown, setShowCustomerDropdown] = useState(false);
@@ -151,6 +154,8 @@ export default function TechnicianHomeScreen({
   });
   const [loadingCustomerDetails, setLoadingCustomerDetails] = useState(false);
   const [updatingCustomer, setUpdatingCustomer] = useState(false);
+  const [outboxEntries, setOutboxEntries] = useState([]);
+  const [syncingOutbox, setSyncingOutbox] = useState(false);
 
   const showAlert = (title, message, buttons) => {
     if (Platform.OS === 'web') {
@@ -182,7 +187,7 @@ export default function TechnicianHomeScreen({
       }
     } else {
       // For mobile, use React Native Alert
-      showAlert(title, message, buttons);
+      Alert.alert(title, message, buttons);
     }
   };  
 
@@ -213,8 +218,17 @@ export default function TechnicianHomeScreen({
     return timeStr;
   };
 
+  // Reload whenever the screen comes back into view, e.g. after a visit
+  useFocusEffect(
+    useCallback(() => {
+      loadInitialData();
+    }, [])
+  );
+
+  // Visits saved offline, with their upload status
   useEffect(() => {
-    loadInitialData();
+    apiService.getServiceLogOutbox().then(setOutboxEntries);
+    return apiService.subscribeToServiceLogOutbox(setOutboxEntries);
   }, []);
 
   useEffect(() => {
@@ -493,7 +507,61 @@ export default function TechnicianHomeScreen({
     }
   };
 
+  const getOutboxEntryForAppointment = (appointmentId) =>
+    outboxEntries.find((entry) => entry.appointmentId && entry.appointmentId === appointmentId);
+
+  const handleSyncOutbox = async () => {
+    setSyncingOutbox(true);
+    try {
+      const result = await apiService.flushServiceLogOutbox();
+
+      if (result?.synced > 0) {
+        loadInitialData();
+      }
+    } finally {
+      setSyncingOutbox(false);
+    }
+  };
+
+  const handleRetryOutboxEntry = async (entry) => {
+    setSyncingOutbox(true);
+    try {
+      await apiService.retryServiceLogOutboxEntry(entry.id);
+    } finally {
+      setSyncingOutbox(false);
+    }
+  };
+
+  const handleDiscardOutboxEntry = (entry) => {
+    showAlert(
+      i18n.t("technician.outbox.discardTitle"),
+      i18n.t("technician.outbox.discardMessage", { name: entry.customerName }),
+      [
+        { text: i18n.t("common.cancel"), style: "cancel" },
+        {
+          text: i18n.t("technician.outbox.discard"),
+          style: "destructive",
+          onPress: () => apiService.discardServiceLogOutboxEntry(entry.id)
+        }
+      ]
+    );
+  };
+
+  const getOutboxStatusLabel = (entry) => {
+    if (entry.status === "syncing") return i18n.t("technician.outbox.status.syncing");
+    if (entry.status === "failed") return i18n.t("technician.outbox.status.failed");
+    return i18n.t("technician.outbox.status.pending");
+  };
+
   const handleAppointmentSelect = async (appointment) => {
+    if (getOutboxEntryForAppointment(appointment.id)) {
+      showAlert(
+        i18n.t("technician.outbox.status.pending"),
+        i18n.t("technician.outbox.appointmentQueuedMessage")
+      );
+      return;
+    }
+
     if (appointment.status === "cancelled") {
       showAlert(
         i18n.t("technician.home.appointments.status.cancelled"),
@@ -502,6 +570,60 @@ export default function TechnicianHomeScreen({
       return;
     }
 
+    // A draft means the app was closed in the middle of this visit
+    const draft = await getVisitDraft(appointment.id);
+    if (draft) {
+      const savedAt = new Date(draft.updatedAt);
+      showAlert(
+        i18n.t("technician.drafts.title"),
+        i18n.t("technician.drafts.message", {
+          time: savedAt.toLocaleString()
+        }),
+        [
+          {
+            text: i18n.t("technician.drafts.discard"),
+            style: "destructive",
+            onPress: async () => {
+              await clearVisitDraft(appointment.id);
+              await continueAppointmentSelect(appointment);
+            }
+          },
+          {
+            text: i18n.t("technician.drafts.resume"),
+            onPress: async () => {
+              await proceedToAppointment(appointment, { viewOnly: false, draft });
+            }
+          }
+        ]
+      );
+      return;
+    }
+
+    await continueAppointmentSelect(appointment);
+  };
+
+  // Opened from a pestfree://appointment/<id> link
+  useEffect(() => {
+    if (!openAppointmentId || loading) return;
+
+    const appointment = appointments.find(
+      (appt) => String(appt.id) === String(openAppointmentId)
+    );
+    onAppointmentOpened?.();
+
+    if (!appointment) {
+      showAlert(
+        i18n.t("technician.home.appointments.notFoundTitle"),
+        i18n.t("technician.home.appointments.notFoundMessage")
+      );
+      return;
+    }
+
+    if (appointment.date) setSelectedDate(appointment.date);
+    handleAppointmentSelect(appointment);
+  }, [openAppointmentId, loading, appointments]);
+
+  const continueAppointmentSelect = async (appointment) => {
     if (appointment.status === "completed") {
       showAlert(
         i18n.t("technician.home.appointments.status.completed"),
@@ -530,7 +652,7 @@ export default function TechnicianHomeScreen({
   };
 
   const proceedToAppointment = async (appointment, options = {}) => {
-  const { viewOnly = false } = options;
+  const { viewOnly = false, draft = null } = options;
     setLoadingAppointmentId(appointment.id);
     try {
 
@@ -619,6 +741,7 @@ export default function TechnicianHomeScreen({
         status: appointment.status || "scheduled",
         visitId: appointment.visit_id || appointment.visitId || null,  
         viewOnly,
+        draft,
         rawAppointment: appointment
       };
       
@@ -742,6 +865,65 @@ export default function TechnicianHomeScreen({
           </View>
         </View>
 
+        {/* Offline Outbox */}
+        {outboxEntries.length > 0 && (
+          <View style={styles.section}>
+            <View style={styles.sectionHeader}>
+              <MaterialIcons name="cloud-upload" size={20} color="#2c3e50" />
+              <Text style={styles.sectionTitle}>
+                {i18n.t("technician.outbox.title", { count: outboxEntries.length })}
+              </Text>
+            </View>
+
+            {outboxEntries.map((entry) => (
+              <View key={entry.id} style={styles.outboxItem}>
+                <View style={styles.outboxItemContent}>
+                  <Text style={styles.outboxItemName}>{entry.customerName}</Text>
+                  <Text style={styles.outboxItemMeta}>
+                    {new Date(entry.createdAt).toLocaleString()}
+                  </Text>
+                  <Text
+                    style={[
+                      styles.outboxItemStatus,
+                      entry.status === "failed" && styles.outboxItemStatusFailed
+                    ]}
+                  >
+                    {getOutboxStatusLabel(entry)}
+                    {entry.lastError ? ` • ${entry.lastError}` : ""}
+                  </Text>
+                </View>
+
+                {entry.status === "failed" && (
+                  <View style={styles.outboxItemActions}>
+                    <TouchableOpacity
+                      onPress={() => handleRetryOutboxEntry(entry)}
+                      disabled={syncingOutbox}
+                    >
+                      <MaterialIcons name="refresh" size={22} color="#1f9c8b" />
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={() => handleDiscardOutboxEntry(entry)}>
+                      <MaterialIcons name="delete-outline" size={22} color="#F44336" />
+                    </TouchableOpacity>
+                  </View>
+                )}
+              </View>
+            ))}
+
+            <TouchableOpacity
+              style={styles.refreshButtonSmall}
+              onPress={handleSyncOutbox}
+              disabled={syncingOutbox}
+            >
+              {syncingOutbox ? (
+                <ActivityIndicator size="small" color="#1f9c8b" />
+              ) : (
+                <MaterialIcons name="sync" size={16} color="#1f9c8b" />
+              )}
+              <Text style={styles.refreshButtonSmallText}>{i18n.t("technician.outbox.syncNow")}</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
         {/* Manual Customer Selection */}
         <View style={styles.section}>
           <View style={styles.sectionHeader}>
@@ -949,6 +1131,7 @@ export default function TechnicianHomeScreen({
                 const isCancelled = appointment.status === "cancelled";
                 const isCompleted = appointment.status === "completed" 
                 const serviceType = resolveAppointmentServiceType(appointment);
+                const isQueued = Boolean(getOutboxEntryForAppointment(appointment.id));
 
 
                 return (
@@ -998,6 +1181,15 @@ export default function TechnicianHomeScreen({
                         </View>
                       )}
                         
+                      {isQueued && !isCompleted && !isCancelled && (
+                        <View style={[styles.completedBadge, styles.queuedBadge]}>
+                          <MaterialIcons name="cloud-upload" size={12} color="#9C6713" />
+                          <Text style={[styles.completedText, styles.queuedText]}>
+                            {i18n.t("technician.outbox.status.pending")}
+                          </Text>
+                        </View>
+                      )}
+
                       {isCompleted && !isCancelled && loadingAppointmentId !== appointment.id && (
                         <View style={styles.completedBadge}>
                           <MaterialIcons name="check-circle" size={12} color="#1f9c8b" />
@@ -1590,6 +1782,51 @@ const styles = StyleSheet.create({
     marginLeft: 4,
     fontFamily: 'System',
   },
+  queuedBadge: {
+    backgroundColor: "rgba(156, 103, 19, 0.12)",
+  },
+  queuedText: {
+    color: "#9C6713",
+  },
+
+  // OFFLINE OUTBOX
+  outboxItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  outboxItemContent: {
+    flex: 1,
+  },
+  outboxItemName: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#2c3e50",
+    fontFamily: 'System',
+  },
+  outboxItemMeta: {
+    fontSize: 12,
+    color: "#666",
+    marginTop: 2,
+    fontFamily: 'System',
+  },
+  outboxItemStatus: {
+    fontSize: 12,
+    color: "#9C6713",
+    fontWeight: "600",
+    marginTop: 4,
+    fontFamily: 'System',
+  },
+  outboxItemStatusFailed: {
+    color: "#F44336",
+  },
+  outboxItemActions: {
+    flexDirection: "row",
+    gap: 12,
+    marginLeft: 12,
+  },
   customerName: {
     fontSize: 16,
     fontWeight: "600",
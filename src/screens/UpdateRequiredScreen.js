@@ -0,0 +1,170 @@
+//screens/UpdateRequiredScreen.js
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Image,
+  ActivityIndicator
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { MaterialIcons } from '@expo/vector-icons';
+import { CLIENT_VERSION, COMPATIBILITY_STATUS } from "../services/apiService";
+import pestfreeLogo from "../../assets/pestfree_logo.png";
+import i18n from "../services/i18n";
+
+export default function UpdateRequiredScreen({ compatibility, onRetry }) {
+  const [checking, setChecking] = useState(false);
+
+  const isClientOutdated =
+    compatibility?.status === COMPATIBILITY_STATUS.CLIENT_OUTDATED;
+
+  const handleRetry = async () => {
+    setChecking(true);
+    try {
+      await onRetry();
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {/* HEADER */}
+      <View style={styles.header}>
+        <Image source={pestfreeLogo} style={styles.logo} resizeMode="contain" />
+      </View>
+
+      {/* CONTENT */}
+      <View style={styles.contentContainer}>
+        <View style={styles.card}>
+          <View style={styles.iconContainer}>
+            <MaterialIcons name="system-update" size={56} color="#1f9c8b" />
+          </View>
+
+          <Text style={styles.title}>{i18n.t("updateRequired.title")}</Text>
+          <Text style={styles.subtitle}>
+            {isClientOutdated
+              ? i18n.t("updateRequired.clientOutdated", {
+                  version: compatibility?.minClientVersion
+                })
+              : i18n.t("updateRequired.backendOutdated")}
+          </Text>
+
+          <Text style={styles.versionText}>
+            {i18n.t("updateRequired.installedVersion", { version: CLIENT_VERSION })}
+          </Text>
+
+          <TouchableOpacity
+            style={[styles.button, checking && styles.disabledButton]}
+            onPress={handleRetry}
+            disabled={checking}
+          >
+            {checking ? (
+              <ActivityIndicator color="#fff" size="small" />
+            ) : (
+              <>
+                <MaterialIcons name="refresh" size={18} color="#fff" />
+                <Text style={styles.buttonText}>{i18n.t("updateRequired.checkAgain")}</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f8f9fa",
+  },
+
+  // HEADER
+  header: {
+    backgroundColor: "#1f9c8b",
+    paddingTop: 40,
+    paddingBottom: 30,
+    paddingHorizontal: 24,
+    borderBottomLeftRadius: 24,
+    borderBottomRightRadius: 24,
+    alignItems: "center",
+    elevation: 8,
+  },
+  logo: {
+    width: 120,
+    height: 50,
+  },
+
+  // CONTENT
+  contentContainer: {
+    flex: 1,
+    paddingHorizontal: 24,
+    paddingTop: 40,
+  },
+  card: {
+    backgroundColor: "#fff",
+    padding: 24,
+    borderRadius: 16,
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.05,
+    shadowRadius: 8,
+    elevation: 3,
+    borderWidth: 1,
+    borderColor: "#f0f0f0",
+  },
+  iconContainer: {
+    alignItems: "center",
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: "700",
+    color: "#2c3e50",
+    textAlign: "center",
+    marginBottom: 12,
+    fontFamily: 'System',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: "#666",
+    textAlign: "center",
+    lineHeight: 20,
+    marginBottom: 16,
+    fontFamily: 'System',
+  },
+  versionText: {
+    fontSize: 12,
+    color: "#999",
+    textAlign: "center",
+    marginBottom: 24,
+    fontFamily: 'System',
+  },
+
+  // BUTTON
+  button: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#1f9c8b",
+    paddingVertical: 16,
+    borderRadius: 12,
+    gap: 8,
+  },
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+    fontFamily: 'System',
+  },
+  disabledButton: {
+    backgroundColor: "#cccccc",
+    opacity: 0.7,
+  },
+});
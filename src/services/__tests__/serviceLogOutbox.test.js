@@ -0,0 +1,45 @@
+import * as FileSystem from "expo-file-system/legacy";
+import { addOutboxEntry, getOutboxEntries, markOutboxLogSubmitted } from "../serviceLogOutbox";
+
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock")
+);
+
+jest.mock("expo-file-system/legacy", () => ({
+  documentDirectory: "file:///documents/",
+  makeDirectoryAsync: jest.fn(() => Promise.resolve()),
+  copyAsync: jest.fn(() => Promise.resolve()),
+  deleteAsync: jest.fn(() => Promise.resolve())
+}));
+
+const serviceLog = {
+  fields: { notes: "All stations checked" },
+  images: [{ uri: "file:///cache/photo.jpg", name: "photo.jpg", type: "image/jpeg" }]
+};
+
+const deletedUris = () => FileSystem.deleteAsync.mock.calls.map(([uri]) => uri);
+
+describe("service log outbox", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("deletes the photos of an entry a newer save replaces", async () => {
+    const first = await addOutboxEntry(serviceLog, { visitId: "visit-1", appointmentId: "10" });
+    const second = await addOutboxEntry(serviceLog, { visitId: "visit-1", appointmentId: "10" });
+
+    const entries = await getOutboxEntries();
+    expect(entries.map((entry) => entry.id)).toEqual([second.id]);
+    expect(deletedUris()).toEqual(first.images.map((img) => img.uri));
+  });
+
+  it("keeps an uploaded entry for its completion and drops its photos", async () => {
+    const entry = await addOutboxEntry(serviceLog, { visitId: "visit-2", appointmentId: "11" });
+
+    await markOutboxLogSubmitted(entry.id, "server-visit-2");
+
+    const stored = (await getOutboxEntries()).find((item) => item.id === entry.id);
+    expect(stored).toMatchObject({ logSubmitted: true, visitId: "server-visit-2", appointmentId: "11", images: [] });
+    expect(deletedUris()).toEqual(entry.images.map((img) => img.uri));
+  });
+});
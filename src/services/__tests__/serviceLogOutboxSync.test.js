@@ -0,0 +1,106 @@
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock")
+);
+
+jest.mock("expo-file-system/legacy", () => ({
+  documentDirectory: "file:///documents/",
+  makeDirectoryAsync: jest.fn(() => Promise.resolve()),
+  copyAsync: jest.fn(() => Promise.resolve()),
+  deleteAsync: jest.fn(() => Promise.resolve())
+}));
+
+const queuedEntry = (id, images = [], technicianId = "7") => ({
+  id,
+  visitId: `visit-${id}`,
+  appointmentId: null,
+  technicianId,
+  customerName: "",
+  createdAt: "2026-03-02T09:00:00.000Z",
+  attempts: 0,
+  lastError: null,
+  status: "pending",
+  fields: { notes: id },
+  images
+});
+
+const jsonResponse = (status, body) => ({
+  ok: status < 400,
+  status,
+  text: async () => JSON.stringify(body)
+});
+
+// Fresh modules per test, loaded after the stored state is in place
+async function loadOutbox(entries, { platform = "ios" } = {}) {
+  jest.resetModules();
+  require("react-native").Platform.OS = platform;
+
+  const AsyncStorage = require("@react-native-async-storage/async-storage");
+  const { SERVICE_LOG_OUTBOX_STORAGE_KEY } = require("../serviceLogOutbox");
+
+  await AsyncStorage.setItem("authToken", "token");
+  await AsyncStorage.setItem("sessionProfile", JSON.stringify({ role: "tech", technician: { technicianId: 7 } }));
+  await AsyncStorage.setItem(SERVICE_LOG_OUTBOX_STORAGE_KEY, JSON.stringify(entries));
+
+  return {
+    apiService: require("../apiService").default,
+    getOutboxEntries: require("../serviceLogOutbox").getOutboxEntries
+  };
+}
+
+describe("flushServiceLogOutbox", () => {
+  const uploads = [];
+  let uploadStatus;
+
+  beforeEach(() => {
+    uploads.length = 0;
+    uploadStatus = 200;
+    global.fetch = jest.fn(async (url, options) => {
+      if (String(url).startsWith("blob:")) {
+        throw new TypeError("Failed to fetch");
+      }
+
+      uploads.push({ url, options });
+      return jsonResponse(uploadStatus, { success: uploadStatus < 400 });
+    });
+  });
+
+  it("marks an entry whose photos cannot be read as failed and still uploads the rest", async () => {
+    const unreadable = queuedEntry("a", [{ uri: "blob:expired", name: "photo.jpg", type: "image/jpeg" }]);
+    const { apiService, getOutboxEntries } = await loadOutbox([unreadable, queuedEntry("b")], { platform: "web" });
+
+    const result = await apiService.flushServiceLogOutbox();
+
+    expect(result.synced).toBe(1);
+    expect(uploads.map(({ url }) => url)).toEqual([expect.stringMatching(/\/service-logs$/)]);
+    expect(await getOutboxEntries()).toEqual([
+      expect.objectContaining({ id: "a", status: "failed", lastError: "Failed to fetch" })
+    ]);
+  });
+
+  it("sends the visit id as the idempotency key", async () => {
+    const { apiService } = await loadOutbox([queuedEntry("a")]);
+
+    await apiService.flushServiceLogOutbox();
+
+    expect(uploads[0].options.headers["Idempotency-Key"]).toBe("visit-a");
+  });
+
+  it("keeps an entry pending when the session has expired", async () => {
+    uploadStatus = 401;
+    const { apiService, getOutboxEntries } = await loadOutbox([queuedEntry("a")]);
+
+    await apiService.flushServiceLogOutbox();
+
+    expect(await getOutboxEntries()).toEqual([expect.objectContaining({ id: "a", status: "pending" })]);
+  });
+
+  it("leaves the entries of another technician alone", async () => {
+    const { apiService, getOutboxEntries } = await loadOutbox([queuedEntry("a", [], "8")]);
+
+    expect(await apiService.getServiceLogOutbox()).toEqual([]);
+    await apiService.flushServiceLogOutbox();
+
+    expect(uploads).toEqual([]);
+    expect(await getOutboxEntries()).toEqual([expect.objectContaining({ id: "a", status: "pending" })]);
+  });
+});
@@ -1,9 +1,77 @@
 // apiService.js - Android with FULL iOS functionality
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState, Platform } from "react-native";
 import { normalizeAppointment } from "./normalizeAppointment";
+import appConfig from "../../app.json";
+import {
+  API_ENVIRONMENTS,
+  DEFAULT_API_ENVIRONMENT
+} from "../constants/apiEnvironments";
+import {
+  OUTBOX_STATUS,
+  addOutboxEntry,
+  getOutboxEntries,
+  markOutboxLogSubmitted,
+  removeOutboxEntry,
+  subscribeToOutbox,
+  updateOutboxEntry
+} from "./serviceLogOutbox";
+
+const API_ENVIRONMENT_STORAGE_KEY = "@PestFree_ApiEnvironment";
+
+let apiEnvironment = DEFAULT_API_ENVIRONMENT;
+
+// Live binding: modules importing API_BASE_URL see profile switches
+export let API_BASE_URL = API_ENVIRONMENTS[apiEnvironment].apiBaseUrl;
+
+function applyApiEnvironment(name) {
+  apiEnvironment = name;
+  API_BASE_URL = API_ENVIRONMENTS[name].apiBaseUrl;
+  apiCapabilities = null;
+}
+
+// A profile picked at runtime on the login screen overrides the build default
+const apiEnvironmentReady = (async () => {
+  try {
+    const stored = await AsyncStorage.getItem(API_ENVIRONMENT_STORAGE_KEY);
+    if (stored && API_ENVIRONMENTS[stored]?.apiBaseUrl) {
+      applyApiEnvironment(stored);
+    }
+  } catch (error) {
+    console.error("❌ Failed to load API environment:", error);
+  }
+})();
+
+function describeApiEnvironment() {
+  return {
+    name: apiEnvironment,
+    ...API_ENVIRONMENTS[apiEnvironment]
+  };
+}
+
+async function getApiEnvironment() {
+  await apiEnvironmentReady;
+  return describeApiEnvironment();
+}
+
+// Tokens are only valid on the backend that issued them, so switching
+// profiles also signs out.
+async function setApiEnvironment(name) {
+  if (!API_ENVIRONMENTS[name]?.apiBaseUrl) {
+    return { success: false, error: `Unknown API environment: ${name}` };
+  }
+
+  applyApiEnvironment(name);
+  await clearAuthToken();
+
+  try {
+    await AsyncStorage.setItem(API_ENVIRONMENT_STORAGE_KEY, name);
+  } catch (error) {
+    console.error("❌ Failed to save API environment:", error);
+  }
 
-export const API_BASE_URL = 
-  "https://field-inspections-backend-production.up.railway.app/api";
+  return { success: true, environment: describeApiEnvironment() };
+}
 function normalizeAmaNumbers(value) {
   const sourceValues = Array.isArray(value) ? value : [value];
 
@@ -31,6 +99,25 @@ function getCustomerAmaNumbers(customer) {
   );
 }
 
+// Geocoded from the address or pinned on site, and kept on the customer
+// together with the address it belongs to
+function getCustomerLocation(customer) {
+  const location = customer?.location;
+  const latitude = Number(location?.latitude ?? customer?.latitude);
+  const longitude = Number(location?.longitude ?? customer?.longitude);
+
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return null;
+  }
+
+  return {
+    latitude,
+    longitude,
+    address: location?.address ?? customer?.address ?? "",
+    source: location?.source ?? "geocoded"
+  };
+}
+
 function normalizeCustomerAma(customer) {
   if (!customer || typeof customer !== "object") {
     return customer;
@@ -46,14 +133,23 @@ function normalizeCustomerAma(customer) {
 }
 
 let authToken = null;
+let refreshToken = null;
 
-// Load token from storage when module loads
-(async () => {
+const SESSION_PROFILE_STORAGE_KEY = 'sessionProfile';
+
+// Load tokens from storage when module loads
+const authTokenReady = (async () => {
   try {
-    const token = await AsyncStorage.getItem('authToken');
+    const [token, storedRefreshToken] = await Promise.all([
+      AsyncStorage.getItem('authToken'),
+      AsyncStorage.getItem('refreshToken')
+    ]);
     if (token) {
       authToken = token;
     }
+    if (storedRefreshToken) {
+      refreshToken = storedRefreshToken;
+    }
   } catch (error) {
     console.error("❌ Failed to load token from storage:", error);
   }
@@ -119,8 +215,9 @@ async function getVisitFrequency(customerId = null) {
   }
 }
 
-// Set auth token and persist it
-async function setAuthToken(token) {
+// Set auth token and persist it. The refresh token is only touched when
+// one is passed, so re-saving the access token keeps the current one.
+async function setAuthToken(token, newRefreshToken) {
   authToken = token;
   try {
     if (token) {
@@ -128,6 +225,15 @@ async function setAuthToken(token) {
     } else {
       await AsyncStorage.removeItem('authToken');
     }
+
+    if (newRefreshToken !== undefined) {
+      refreshToken = newRefreshToken || null;
+      if (refreshToken) {
+        await AsyncStorage.setItem('refreshToken', refreshToken);
+      } else {
+        await AsyncStorage.removeItem('refreshToken');
+      }
+    }
   } catch (error) {
     console.error("❌ Failed to save token to storage:", error);
   }
@@ -136,13 +242,111 @@ async function setAuthToken(token) {
 // Clear auth token (for logout)
 async function clearAuthToken() {
   authToken = null;
+  refreshToken = null;
   try {
-    await AsyncStorage.removeItem('authToken');
+    await AsyncStorage.multiRemove([
+      'authToken',
+      'refreshToken',
+      SESSION_PROFILE_STORAGE_KEY
+    ]);
   } catch (error) {
     console.error("❌ Failed to clear token:", error);
   }
 }
 
+// The signed-in role and profile ({ role, technician, customer,
+// mustChangePassword, twoFactorEnabled }) are kept next to the token so a restart can skip
+// the login screen.
+async function setSessionProfile(profile) {
+  try {
+    await AsyncStorage.setItem(
+      SESSION_PROFILE_STORAGE_KEY,
+      JSON.stringify(profile)
+    );
+  } catch (error) {
+    console.error("❌ Failed to save session profile:", error);
+  }
+}
+
+async function getSessionProfile() {
+  try {
+    const stored = await AsyncStorage.getItem(SESSION_PROFILE_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error("❌ Failed to load session profile:", error);
+    return null;
+  }
+}
+
+async function updateSessionProfile(changes) {
+  const profile = await getSessionProfile();
+  if (!profile) return;
+
+  await setSessionProfile({ ...profile, ...changes });
+}
+
+// SESSION EXPIRY
+const sessionExpiredListeners = new Set();
+let refreshPromise = null;
+
+function subscribeToSessionExpired(listener) {
+  sessionExpiredListeners.add(listener);
+
+  return () => {
+    sessionExpiredListeners.delete(listener);
+  };
+}
+
+async function expireSession() {
+  // Parallel requests can all see the 401; only the first one signs out
+  if (!authToken) return;
+
+  await clearAuthToken();
+
+  sessionExpiredListeners.forEach((listener) => {
+    try {
+      listener();
+    } catch (error) {
+      console.error("❌ Session expiry listener failed:", error);
+    }
+  });
+}
+
+// Exchanges the refresh token for a new access token. Concurrent 401s
+// share one exchange.
+async function refreshAuthToken() {
+  if (!refreshToken) {
+    return createApiError(API_ERROR_TYPES.AUTH, "No refresh token");
+  }
+
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const result = await request("POST", "/refresh-token", { refreshToken }, {
+        retries: 0,
+        skipAuthRefresh: true
+      });
+
+      if (result?.success && result.token) {
+        await setAuthToken(
+          result.token,
+          result.refreshToken || result.refresh_token || refreshToken
+        );
+        return { success: true };
+      }
+
+      return result?.errorType
+        ? result
+        : createApiError(API_ERROR_TYPES.AUTH, result?.error || "Token refresh failed");
+    })();
+  }
+
+  try {
+    return await refreshPromise;
+  } finally {
+    refreshPromise = null;
+  }
+}
+
 // Get current token (useful for debugging)
 function getCurrentToken() {
   return authToken;
@@ -150,36 +354,224 @@ function getCurrentToken() {
 
 // Helper function to verify token with backend
 async function verifyTokenWithBackend(token) {
-  try {
-    const response = await fetch(`${API_BASE_URL}/verify-token`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`
+  const result = await request("POST", "/verify-token", null, {
+    headers: { Authorization: `Bearer ${token}` },
+    retries: 0
+  });
+
+  if (result?.errorType) {
+    console.error("❌ Token verification failed:", result.error);
+  }
+
+  return result;
+}
+
+// Restores the signed-in user on cold start from the stored token and
+// profile, so the password is not asked for again while the session is
+// still valid. Without a connection the stored profile is trusted, which
+// lets technicians keep working offline.
+async function restoreSession() {
+  await authTokenReady;
+
+  if (!authToken) {
+    return { success: false };
+  }
+
+  const storedProfile = await getSessionProfile();
+
+  let verification = await verifyTokenWithBackend(authToken);
+
+  if (verification?.status === 401) {
+    const refreshed = await refreshAuthToken();
+    if (refreshed.success) {
+      verification = await verifyTokenWithBackend(authToken);
+    }
+  }
+
+  if (verification?.networkError) {
+    return storedProfile?.role
+      ? { success: true, offline: true, ...storedProfile }
+      : { success: false, networkError: true };
+  }
+
+  if (!verification?.success) {
+    await clearAuthToken();
+    return { success: false, expired: true };
+  }
+
+  // Fresh data from the backend wins over what was stored at login
+  const user = verification.user || {};
+  const role = verification.role || user.role || storedProfile?.role;
+  const mustChangePassword =
+    user.mustChangePassword ?? user.must_change_password;
+  const twoFactorEnabled =
+    user.twoFactorEnabled ?? user.two_factor_enabled;
+
+  const profile = {
+    role,
+    technician:
+      verification.technician ||
+      (role === "tech" && verification.user) ||
+      storedProfile?.technician ||
+      null,
+    customer:
+      verification.customer ||
+      (role === "customer" && verification.user) ||
+      storedProfile?.customer ||
+      null,
+    mustChangePassword:
+      mustChangePassword === undefined
+        ? storedProfile?.mustChangePassword === true
+        : mustChangePassword === true,
+    twoFactorEnabled:
+      twoFactorEnabled === undefined
+        ? storedProfile?.twoFactorEnabled === true
+        : twoFactorEnabled === true
+  };
+
+  await setSessionProfile(profile);
+
+  return { success: true, ...profile };
+}
+
+// Stores the token and session profile from a successful login response
+async function completeLogin(result) {
+  // Set the token immediately upon successful login
+  if (result.token) {
+    await setAuthToken(
+      result.token,
+      result.refreshToken || result.refresh_token || null
+    );
+    
+    // Verify token was set
+    const currentToken = getCurrentToken();
+    
+    // Test the token immediately
+    if (currentToken) {
+      const verification = await verifyTokenWithBackend(currentToken);
+      
+      if (!verification.success) {
+        console.error("❌ Token is invalid! Clearing...");
+        await clearAuthToken();
+        return {
+          success: false,
+          error: "Token validation failed. Please try again."
+        };
       }
-    });
+    }
+  }
 
-    const result = await response.json();
-    return result;
-  } catch (error) {
-    console.error("❌ Token verification failed:", error);
-    return { success: false, error: error.message };
+  if (result.role === "admin") {
+    const mustChangePassword =
+      result.mustChangePassword === true ||
+      result.must_change_password === true;
+    const twoFactorEnabled =
+      result.twoFactorEnabled === true ||
+      result.two_factor_enabled === true;
+
+    await setSessionProfile({ role: "admin", mustChangePassword, twoFactorEnabled });
+
+    return {
+      success: true,
+      role: "admin",
+      token: result.token,
+      mustChangePassword,
+      twoFactorEnabled
+    };
   }
+
+  if (result.role === "tech" && result.technician) {
+    await setSessionProfile({ role: "tech", technician: result.technician });
+
+    return {
+      success: true,
+      role: "tech",
+      token: result.token,
+      technician: result.technician
+    };
+  }
+
+  if (result.role === "customer" && result.customer) {
+    await setSessionProfile({ role: "customer", customer: result.customer });
+
+    return {
+      success: true,
+      role: "customer",
+      token: result.token,
+      customer: result.customer
+    };
+  }
+
+  return { success: false, error: "Invalid credentials" };
 }
 
-// Generic request wrapper
-async function request(method, endpoint, body = null) {
-  const options = {
-    method,
-    headers: {
-      "Content-Type": "application/json",
-      ...(authToken ? { Authorization: `Bearer ${authToken}` } : {})
-    },
+export const API_ERROR_TYPES = {
+  NETWORK: "network",
+  AUTH: "auth",
+  VALIDATION: "validation",
+  SERVER: "server",
+  CANCELLED: "cancelled"
+};
+
+const DEFAULT_TIMEOUT_MS = 20000;
+const UPLOAD_TIMEOUT_MS = 60000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE"];
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+
+// Failed calls resolve to this shape instead of throwing, so screens can
+// branch on errorType rather than parsing messages.
+function createApiError(errorType, error, extra = {}) {
+  return {
+    success: false,
+    error,
+    errorType,
+    networkError: errorType === API_ERROR_TYPES.NETWORK,
+    ...extra
   };
+}
+
+function getErrorTypeForStatus(status) {
+  if (status === 401 || status === 403) return API_ERROR_TYPES.AUTH;
+  if (status >= 400 && status < 500) return API_ERROR_TYPES.VALIDATION;
+  return API_ERROR_TYPES.SERVER;
+}
 
-  if (body) options.body = JSON.stringify(body);
+function isRetryable(result) {
+  return (
+    result.errorType === API_ERROR_TYPES.NETWORK ||
+    RETRYABLE_STATUSES.includes(result.status)
+  );
+}
+
+function wait(ms, signal) {
+  return new Promise(resolve => {
+    const timeoutId = setTimeout(resolve, ms);
+    signal?.addEventListener?.("abort", () => {
+      clearTimeout(timeoutId);
+      resolve();
+    });
+  });
+}
+
+async function sendRequest(endpoint, fetchOptions, timeout, signal) {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+
+  const onAbort = () => controller.abort();
+  signal?.addEventListener?.("abort", onAbort);
 
   try {
-    const res = await fetch(`${API_BASE_URL}${endpoint}`, options);
+    const res = await fetch(`${API_BASE_URL}${endpoint}`, {
+      ...fetchOptions,
+      signal: controller.signal
+    });
 
     // Get the raw text first
     const text = await res.text();
@@ -193,25 +585,372 @@ async function request(method, endpoint, body = null) {
     }
 
     if (!res.ok) {
-      return { 
-        success: false, 
-        error: json?.error || `Request failed with status ${res.status}`,
-        status: res.status,
-        data: json
-      };
+      return createApiError(
+        getErrorTypeForStatus(res.status),
+        json?.error || `Request failed with status ${res.status}`,
+        { status: res.status, data: json }
+      );
     }
 
     // Return the parsed JSON directly (not wrapped in {data: ...})
     return json || { success: true };
 
   } catch (err) {
+    if (err?.name === "AbortError" && !timedOut) {
+      return createApiError(API_ERROR_TYPES.CANCELLED, "Request cancelled", {
+        cancelled: true
+      });
+    }
+
     console.error(`❌ API Error for ${endpoint}:`, err);
-    return { 
-      success: false, 
-      error: err.message,
-      networkError: true 
+    return createApiError(
+      API_ERROR_TYPES.NETWORK,
+      timedOut ? "Request timed out" : err.message,
+      { timedOut }
+    );
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener?.("abort", onAbort);
+  }
+}
+
+/**
+ * Generic request wrapper used by every API call.
+ *
+ * Idempotent methods are retried with exponential backoff on network errors
+ * and gateway/throttling statuses. Pass an AbortController signal to cancel
+ * the call, e.g. when a screen unmounts.
+ *
+ * @param {string} method
+ * @param {string} endpoint
+ * @param {Object|FormData|null} body - FormData is sent as multipart
+ * @param {{ timeout?: number, retries?: number, signal?: AbortSignal, headers?: Object }} options
+ */
+async function request(method, endpoint, body = null, options = {}) {
+  const {
+    timeout = DEFAULT_TIMEOUT_MS,
+    retries = IDEMPOTENT_METHODS.includes(method) ? DEFAULT_RETRIES : 0,
+    signal,
+    headers = {},
+    skipAuthRefresh = false
+  } = options;
+
+  await Promise.all([apiEnvironmentReady, authTokenReady]);
+
+  const isFormData =
+    typeof FormData !== "undefined" && body instanceof FormData;
+
+  // Rebuilt per send so a refreshed token is picked up
+  const buildFetchOptions = () => ({
+    method,
+    headers: {
+      // Let fetch set the multipart boundary for FormData
+      ...(isFormData ? {} : { "Content-Type": "application/json" }),
+      ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+      ...headers
+    },
+    ...(body ? { body: isFormData ? body : JSON.stringify(body) } : {})
+  });
+
+  const retryOptions = { timeout, retries, signal };
+
+  let result = await sendWithRetries(endpoint, buildFetchOptions(), retryOptions);
+
+  // An expired access token gets one refresh, then the call is replayed.
+  // Calls that bring their own Authorization header are left alone.
+  if (
+    result?.status === 401 &&
+    authToken &&
+    !skipAuthRefresh &&
+    !headers.Authorization
+  ) {
+    const refreshed = await refreshAuthToken();
+
+    if (refreshed.success) {
+      result = await sendWithRetries(endpoint, buildFetchOptions(), retryOptions);
+    }
+
+    // Offline during the refresh is not a reason to sign the user out
+    if (!refreshed.networkError && result?.status === 401) {
+      await expireSession();
+      return { ...result, sessionExpired: true };
+    }
+  }
+
+  return result;
+}
+
+async function sendWithRetries(endpoint, fetchOptions, { timeout, retries, signal }) {
+  let result;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      await wait(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), signal);
+    }
+
+    if (signal?.aborted) {
+      return createApiError(API_ERROR_TYPES.CANCELLED, "Request cancelled", {
+        cancelled: true
+      });
+    }
+
+    result = await sendRequest(endpoint, fetchOptions, timeout, signal);
+
+    if (!result?.errorType || !isRetryable(result)) {
+      return result;
+    }
+  }
+
+  return result;
+}
+
+// Service logs are described as plain, storable data ({ fields, images }) so a
+// failed upload can be kept in the outbox and rebuilt into FormData later.
+function toServiceLogFields(payload) {
+  const fields = {};
+
+  Object.keys(payload || {}).forEach(key => {
+    const value = payload[key];
+    if (value === undefined) return;
+
+    fields[key] =
+      typeof value === "object" && value !== null
+        ? JSON.stringify(value)
+        : String(value);
+  });
+
+  return fields;
+}
+
+function toServiceLogImages(images) {
+  if (!Array.isArray(images)) return [];
+
+  return images
+    .filter(img => img?.uri)
+    .map((img, index) => ({
+      uri: img.uri,
+      name: img.fileName || img.name || `photo_${Date.now()}_${index}.jpg`,
+      type: img.type || "image/jpeg"
+    }));
+}
+
+async function buildServiceLogFormData(serviceLog) {
+  const formData = new FormData();
+
+  Object.keys(serviceLog.fields || {}).forEach(key => {
+    formData.append(key, serviceLog.fields[key]);
+  });
+
+  for (const img of serviceLog.images || []) {
+    if (Platform.OS === "web") {
+      const response = await fetch(img.uri);
+      const blob = await response.blob();
+      formData.append("images", blob, img.name);
+    } else {
+      formData.append("images", {
+        uri: Platform.OS === "ios" ? img.uri.replace("file://", "") : img.uri,
+        name: img.name,
+        type: img.type
+      });
+    }
+  }
+
+  return formData;
+}
+
+const OUTBOX_SYNC_INTERVAL_MS = 30000;
+let outboxFlushPromise = null;
+
+function getTechnicianId(technician) {
+  const id = technician?.technicianId || technician?.id;
+  return id ? String(id) : null;
+}
+
+// Queued logs belong to the technician who saved them. After a logout or an
+// expired session they stay on the device, hidden and not uploaded, until
+// that technician signs in again.
+async function getOwnOutboxEntries(entries) {
+  const profile = await getSessionProfile();
+  const technicianId = profile?.role === "tech" ? getTechnicianId(profile.technician) : null;
+
+  if (!technicianId) return [];
+
+  return entries.filter(entry => entry.technicianId === technicianId);
+}
+
+async function flushServiceLogOutbox() {
+  // Interval, app-resume and manual triggers can overlap
+  if (outboxFlushPromise) return outboxFlushPromise;
+
+  outboxFlushPromise = (async () => {
+    const entries = await getOwnOutboxEntries(await getOutboxEntries());
+    let synced = 0;
+
+    for (const entry of entries.filter(e => e.status !== OUTBOX_STATUS.FAILED)) {
+      await updateOutboxEntry(entry.id, {
+        status: OUTBOX_STATUS.SYNCING,
+        attempts: (entry.attempts || 0) + 1
+      });
+
+      let result;
+      if (entry.logSubmitted) {
+        // Uploaded on an earlier attempt; only the completion is left
+        result = { success: true, visitId: entry.visitId };
+      } else {
+        let formData = null;
+
+        try {
+          formData = await buildServiceLogFormData(entry);
+        } catch (error) {
+          // A stored photo that cannot be read now will not be readable on a retry
+          console.error("❌ Could not rebuild queued service log:", error);
+          result = { success: false, error: error.message };
+        }
+
+        if (formData) {
+          result = await apiService.submitServiceLog(formData, {
+            idempotencyKey: entry.visitId
+          });
+        }
+      }
+
+      if (result?.success) {
+        const visitId = result.visitId || entry.visitId;
+
+        if (entry.appointmentId) {
+          if (!entry.logSubmitted) {
+            await markOutboxLogSubmitted(entry.id, visitId);
+          }
+
+          result = await apiService.updateAppointment({
+            id: entry.appointmentId,
+            status: "completed",
+            visitId
+          });
+        }
+      }
+
+      if (result?.success) {
+        await removeOutboxEntry(entry.id);
+        synced++;
+        continue;
+      }
+
+      if (result?.networkError || result?.status === 401) {
+        // Still offline, or signed out meanwhile - keep the rest queued for the next attempt
+        await updateOutboxEntry(entry.id, {
+          status: OUTBOX_STATUS.PENDING,
+          lastError: result.error || null
+        });
+        break;
+      }
+
+      // The server rejected the log; retrying will not help until someone looks at it
+      await updateOutboxEntry(entry.id, {
+        status: OUTBOX_STATUS.FAILED,
+        lastError: result?.error || "Upload failed"
+      });
+    }
+
+    return { success: true, synced };
+  })();
+
+  try {
+    return await outboxFlushPromise;
+  } finally {
+    outboxFlushPromise = null;
+  }
+}
+
+// Retries queued service logs periodically and whenever the app returns to
+// the foreground. Returns a function that stops the background sync.
+function startServiceLogOutboxSync() {
+  flushServiceLogOutbox();
+
+  const intervalId = setInterval(flushServiceLogOutbox, OUTBOX_SYNC_INTERVAL_MS);
+
+  const subscription = AppState.addEventListener("change", (state) => {
+    if (state === "active") {
+      flushServiceLogOutbox();
+    }
+  });
+
+  return () => {
+    clearInterval(intervalId);
+    subscription?.remove?.();
+  };
+}
+
+// VERSION HANDSHAKE
+// The backend publishes its API version and the oldest app build it still
+// supports at /capabilities. Backends without that document predate it.
+export const CLIENT_VERSION = appConfig.expo.version;
+export const MIN_API_VERSION = "1.0.0";
+
+export const COMPATIBILITY_STATUS = {
+  OK: "ok",
+  CLIENT_OUTDATED: "client_outdated",
+  BACKEND_OUTDATED: "backend_outdated"
+};
+
+let apiCapabilities = null;
+
+function compareVersions(a, b) {
+  const left = String(a || "0").split(".").map(n => parseInt(n, 10) || 0);
+  const right = String(b || "0").split(".").map(n => parseInt(n, 10) || 0);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff > 0 ? 1 : -1;
+  }
+
+  return 0;
+}
+
+async function getApiCapabilities() {
+  if (apiCapabilities) return apiCapabilities;
+
+  const result = await request("GET", "/capabilities");
+
+  if (result?.errorType) {
+    return result;
+  }
+
+  apiCapabilities = result;
+  return apiCapabilities;
+}
+
+// Only a definite answer from the backend blocks the app; when the
+// handshake cannot reach the server the technician keeps working offline.
+async function checkApiCompatibility() {
+  const capabilities = await getApiCapabilities();
+
+  if (capabilities?.errorType) {
+    if (capabilities.status === 404) {
+      return { status: COMPATIBILITY_STATUS.BACKEND_OUTDATED };
+    }
+
+    console.warn("⚠️ Could not check API compatibility:", capabilities.error);
+    return { status: COMPATIBILITY_STATUS.OK, unchecked: true };
+  }
+
+  const apiVersion = capabilities.apiVersion || capabilities.api_version;
+  const minClientVersion =
+    capabilities.minClientVersion || capabilities.min_client_version;
+
+  if (compareVersions(apiVersion, MIN_API_VERSION) < 0) {
+    return { status: COMPATIBILITY_STATUS.BACKEND_OUTDATED, apiVersion };
+  }
+
+  if (minClientVersion && compareVersions(CLIENT_VERSION, minClientVersion) < 0) {
+    return {
+      status: COMPATIBILITY_STATUS.CLIENT_OUTDATED,
+      apiVersion,
+      minClientVersion
     };
   }
+
+  return { status: COMPATIBILITY_STATUS.OK, apiVersion };
 }
 
 const apiService = {
@@ -220,11 +959,22 @@ const apiService = {
   clearAuthToken,
   getCurrentToken,
   verifyTokenWithBackend,
+  restoreSession,
+  updateSessionProfile,
+  subscribeToSessionExpired,
+  getApiEnvironment,
+  setApiEnvironment,
   request,
   getEnhancedKPIs,
   getTopPerformance,
   getRetentionRate,
   getVisitFrequency,
+  toServiceLogFields,
+  toServiceLogImages,
+  flushServiceLogOutbox,
+  startServiceLogOutboxSync,
+  getApiCapabilities,
+  checkApiCompatibility,
   updateRescheduleStatus(appointmentId, payload) {
     return apiService.updateAppointmentRescheduleStatus(appointmentId, payload);
   },
@@ -234,22 +984,14 @@ const apiService = {
   },
 
   async getTotalRequestsToday() {
-    try {
-      // Try the new endpoint for total count
-      const result = await request("GET", "/customer-requests/today-total-count");
-      
-      if (result?.success) {
-        return result;
-      }
-      
-      // Fallback to the old endpoint
-      const pendingResult = await getTodayCustomerRequestsCount();
-      return pendingResult;
-      
-    } catch (error) {
-      console.error("❌ Error getting total requests today:", error);
-      return { success: false, count: 0, error: error.message };
+    const result = await request("GET", "/customer-requests/today-total-count");
+
+    if (!result?.success) {
+      console.error("❌ Error getting total requests today:", result?.error);
+      return { success: false, count: 0, error: result?.error };
     }
+
+    return result;
   },
 
   async getTotalRequestsCreatedToday() {
@@ -263,50 +1005,15 @@ const apiService = {
   },
 
   // Customer Requests
-  async submitCustomerRequest(requestData, isMultipart = false) {
-    try {
-      const headers = {
-        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {})
-      };
-
-      const response = await fetch(`${API_BASE_URL}/customer-requests`, {
-        method: "POST",
-        headers: isMultipart
-          ? headers // DO NOT set Content-Type for multipart
-          : { 
-              ...headers,
-              "Content-Type": "application/json"
-            },
-        body: isMultipart
-          ? requestData
-          : JSON.stringify(requestData)
-      });
-
-      const text = await response.text();
-      let json;
+  async submitCustomerRequest(requestData) {
+    // FormData bodies are sent as multipart by request()
+    const result = await request("POST", "/customer-requests", requestData);
 
-      try {
-        json = text ? JSON.parse(text) : null;
-      } catch {
-        json = null;
-      }
-
-      if (!response.ok) {
-        return {
-          success: false,
-          error: json?.error || `Request failed with status ${response.status}`
-        };
-      }
-
-      return json || { success: true };
-
-    } catch (error) {
-      console.error("❌ Submit customer request error:", error);
-      return {
-        success: false,
-        error: error.message
-      };
+    if (result?.errorType) {
+      console.error("❌ Submit customer request error:", result.error);
     }
+
+    return result;
   },
 
   async getCustomerRequests(status = null) {
@@ -393,64 +1100,75 @@ const apiService = {
 
   // LOGIN
   async login(email, password) {
-    const result = await request("POST", "/login", { email, password });
+    const result = await request("POST", "/login", { email, password }, {
+      skipAuthRefresh: true
+    });
 
     if (!result || !result.success) {
       return result;
     }
 
-    // Set the token immediately upon successful login
-    if (result.token) {
-      await setAuthToken(result.token);
-      
-      // Verify token was set
-      const currentToken = getCurrentToken();
-      
-      // Test the token immediately
-      if (currentToken) {
-        const verification = await verifyTokenWithBackend(currentToken);
-        
-        if (!verification.success) {
-          console.error("❌ Token is invalid! Clearing...");
-          await clearAuthToken();
-          return {
-            success: false,
-            error: "Token validation failed. Please try again."
-          };
-        }
-      }
-    }
-
-    if (result.role === "admin") {
+    // Admins with two-factor enabled get a challenge instead of a token
+    if (result.twoFactorRequired || result.two_factor_required) {
       return {
         success: true,
         role: "admin",
-        token: result.token,
-        mustChangePassword:
-          result.mustChangePassword === true ||
-          result.must_change_password === true
+        twoFactorRequired: true,
+        challengeToken: result.challengeToken || result.challenge_token
       };
     }
 
-    if (result.role === "tech" && result.technician) {
-      return {
-        success: true,
-        role: "tech",
-        token: result.token,
-        technician: result.technician
-      };
+    return completeLogin(result);
+  },
+
+  // Second login step: a code from the authenticator app or a recovery code
+  async verifyTwoFactorLogin(challengeToken, { code, recoveryCode }) {
+    const result = await request(
+      "POST",
+      "/login/2fa",
+      recoveryCode
+        ? { challengeToken, recoveryCode }
+        : { challengeToken, code },
+      { skipAuthRefresh: true }
+    );
+
+    if (!result || !result.success) {
+      return result;
     }
 
-    if (result.role === "customer" && result.customer) {
-      return {
-        success: true,
-        role: "customer",
-        token: result.token,
-        customer: result.customer
-      };
+    const completed = await completeLogin(result);
+    if (completed.success && result.recoveryCodesRemaining !== undefined) {
+      completed.recoveryCodesRemaining = result.recoveryCodesRemaining;
+    }
+
+    return completed;
+  },
+
+  // TWO-FACTOR AUTHENTICATION (admin)
+  async startTwoFactorEnrollment() {
+    return request("POST", "/admin/2fa/enroll");
+  },
+
+  // Returns { recoveryCodes } once the first code from the app checks out
+  async confirmTwoFactorEnrollment(code) {
+    const result = await request("POST", "/admin/2fa/confirm", { code });
+
+    if (result?.success) {
+      await updateSessionProfile({ twoFactorEnabled: true });
     }
 
-    return { success: false, error: "Invalid credentials" };
+    return result;
+  },
+
+  async regenerateRecoveryCodes(code) {
+    return request("POST", "/admin/2fa/recovery-codes", { code });
+  },
+
+  async changeAdminPassword(currentPassword, newPassword) {
+    return request("POST", "/admin/change-password", {
+      currentPassword,
+      newPassword
+    });
   },
 
   async getCustomerStats() {
@@ -472,61 +1190,84 @@ const apiService = {
   },
 
   // SERVICE LOG SUBMISSION WITH MULTIPART SUPPORT
-  async submitServiceLog(formData) {
-    try {
-      const headers = {
-        ...(authToken ? { Authorization: `Bearer ${authToken}` } : {})
-      };
-      // Note: Don't set Content-Type header when using FormData
-      // The browser will set it automatically with the correct boundary
-
-      // Create an AbortController for timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 second timeout
-
-      const response = await fetch(`${API_BASE_URL}/service-logs`, {
-        method: "POST",
-        headers, // No Content-Type here - let browser set it
-        body: formData,
-        signal: controller.signal
-      });
+  // idempotencyKey: the visitId generated on the device, so an upload that
+  // is sent again after a lost response is stored once
+  async submitServiceLog(formData, { idempotencyKey } = {}) {
+    const result = await request("POST", "/service-logs", formData, {
+      timeout: UPLOAD_TIMEOUT_MS,
+      ...(idempotencyKey ? { headers: { "Idempotency-Key": idempotencyKey } } : {})
+    });
 
-      clearTimeout(timeoutId);
+    if (result?.errorType) {
+      console.error("❌ Service log upload error:", result.error);
+    }
 
-      const text = await response.text();
-      
-      let json;
-      try {
-        json = text ? JSON.parse(text) : null;
-      } catch {
-        json = null;
-      }
+    if (result?.timedOut) {
+      return {
+        ...result,
+        error: "Upload timeout - please try again with fewer or smaller images"
+      };
+    }
 
-      if (!response.ok) {
-        return {
-          success: false,
-          error: json?.error || `Request failed with status ${response.status}`
-        };
-      }
+    return result;
+  },
 
-      return json || { success: true };
+  // SERVICE LOG OUTBOX
+  // Uploads a completed visit, or keeps it in the outbox when the device is
+  // offline. Queued results come back as { success: true, queued: true }.
+  async submitServiceLogWithOutbox(serviceLog, meta = {}) {
+    let formData;
 
+    try {
+      formData = await buildServiceLogFormData(serviceLog);
     } catch (error) {
-      console.error("❌ Service log upload error:", error);
-      
-      // Handle abort/timeout errors
-      if (error.name === 'AbortError') {
-        return {
-          success: false,
-          error: "Upload timeout - please try again with fewer or smaller images"
-        };
-      }
-      
-      return {
-        success: false,
-        error: error.message
-      };
+      // The photos could not be read; queueing them would fail the same way
+      console.error("❌ Could not build service log upload:", error);
+      return { success: false, error: error.message };
     }
+
+    const result = await this.submitServiceLog(formData, {
+      idempotencyKey: meta.visitId
+    });
+
+    if (result?.success || !result?.networkError) {
+      return result;
+    }
+
+    const profile = await getSessionProfile();
+    const entry = await addOutboxEntry(serviceLog, {
+      ...meta,
+      technicianId: getTechnicianId(profile?.technician)
+    });
+
+    return {
+      success: true,
+      queued: true,
+      outboxId: entry.id,
+      visitId: entry.visitId
+    };
+  },
+
+  async getServiceLogOutbox() {
+    return getOwnOutboxEntries(await getOutboxEntries());
+  },
+
+  subscribeToServiceLogOutbox(listener) {
+    return subscribeToOutbox(async (entries) => {
+      listener(await getOwnOutboxEntries(entries));
+    });
+  },
+
+  async retryServiceLogOutboxEntry(id) {
+    await updateOutboxEntry(id, {
+      status: OUTBOX_STATUS.PENDING,
+      lastError: null
+    });
+    return flushServiceLogOutbox();
+  },
+
+  async discardServiceLogOutboxEntry(id) {
+    return removeOutboxEntry(id);
   },
 
   // CUSTOMERS
@@ -589,6 +1330,8 @@ const apiService = {
           c.compliance_valid_until ??
           null,
 
+        location: getCustomerLocation(c),
+
         maps: Array.isArray(c.maps) ? c.maps : []
       };
     });
@@ -822,7 +1565,11 @@ const apiService = {
 
       service_net_price: payload.serviceNetPrice ?? null,
       service_vat_percent: payload.serviceVatPercent ?? 0,
-      service_vat_amount: payload.serviceVatAmount ?? 0
+      service_vat_amount: payload.serviceVatAmount ?? 0,
+
+      // Set on appointments generated from a recurring contract
+      contractId: payload.contractId || null,
+      occurrenceDate: payload.occurrenceDate || null
 
     };
 
@@ -830,6 +1577,13 @@ const apiService = {
       appointmentData.compliance_valid_until = payload.compliance_valid_until;
     }
 
+    // Booked despite an overlap or a full day, see utils/schedulingConflicts
+    if (payload.conflictOverrideReason) {
+      appointmentData.conflictOverrideReason = payload.conflictOverrideReason;
+      appointmentData.conflictWarnings = payload.conflictWarnings || [];
+      appointmentData.conflictOverriddenAt = payload.conflictOverriddenAt || new Date().toISOString();
+    }
+
     // 🚨 CRITICAL: Make sure this is UNCOMMENTED
     if (payload.servicePrice !== undefined) {
       appointmentData.servicePrice = payload.servicePrice;
@@ -842,7 +1596,12 @@ const apiService = {
     if (payload.disinfection_details) {
       appointmentData.disinfection_details = payload.disinfection_details;
     }
-    const result = await request("POST", "/appointments", appointmentData);
+    // A contract occurrence is created once, however often the sync is repeated
+    const options = appointmentData.contractId && appointmentData.occurrenceDate
+      ? { headers: { "Idempotency-Key": `contract:${appointmentData.contractId}:${appointmentData.occurrenceDate}` } }
+      : {};
+
+    const result = await request("POST", "/appointments", appointmentData, options);
     
     return result;
   },
@@ -942,6 +1701,35 @@ const apiService = {
   });
 },
 
+  // Completed visits with how long they took, to estimate appointment durations from
+  async getCompletedVisitDurations(params = {}) {
+    const query = new URLSearchParams({ ...params, status: "completed" }).toString();
+    const res = await request("GET", `/appointments?${query}`);
+
+    const rows = Array.isArray(res)
+      ? res
+      : Array.isArray(res?.appointments)
+        ? res.appointments
+        : res?.success && Array.isArray(res.data)
+          ? res.data
+          : null;
+
+    if (!rows) {
+      return { success: false, error: res?.error || "Unexpected appointments response" };
+    }
+
+    return {
+      success: true,
+      visits: rows.map((a) => ({
+        serviceType: a.service_type || a.serviceType,
+        technicianId: a.technician_id ?? a.technicianId ?? null,
+        startTime: a.start_time || a.startTime || null,
+        endTime: a.end_time || a.endTime || null,
+        duration: a.duration ?? null // seconds
+      }))
+    };
+  },
+
   async updateAppointment(appointmentData) {
     // Handle both formats: appointmentData can be an object with id property OR separate id and updates
     let appointmentId;
@@ -978,6 +1766,59 @@ const apiService = {
     return request("DELETE", `/appointments/${appointmentId}`);
   },
 
+  // Recurring service contracts; appointments are generated from them by utils/recurringContracts
+  async getServiceContracts(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    const res = await request("GET", query ? `/contracts?${query}` : "/contracts");
+    if (!res?.success) {
+      console.warn("⚠️ getServiceContracts failed:", res?.error);
+      return [];
+    }
+
+    return Array.isArray(res.contracts) ? res.contracts : [];
+  },
+
+  // Unlike getAppointmentsWithPricing, a failed load is reported instead of read as "no appointments"
+  // Unlike getAppointmentsWithPricing, a failed load comes back as
+  // { success: false } instead of an empty list, for callers that must not
+  // mistake it for a free day
+  async getAppointmentList(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    const res = await request("GET", query ? `/appointments?${query}` : "/appointments");
+
+    const list = Array.isArray(res)
+      ? res
+      : Array.isArray(res?.appointments)
+        ? res.appointments
+        : res?.success && Array.isArray(res.data)
+          ? res.data
+          : null;
+
+    if (!list) {
+      return { success: false, error: res?.error || "Unexpected appointments response" };
+    }
+
+    return { success: true, appointments: list.map(normalizeAppointment) };
+  },
+
+  async getContractAppointments(params = {}) {
+    const res = await this.getAppointmentList(params);
+    if (!res.success) return res;
+
+    return {
+      success: true,
+      appointments: res.appointments.filter((appointment) => appointment.contractId)
+    };
+  },
+
+  async createServiceContract(contract) {
+    return request("POST", "/contracts", contract);
+  },
+
+  async updateServiceContract(contractId, changes) {
+    return request("PUT", `/contracts/${encodeURIComponent(contractId)}`, changes);
+  },
+
   async getAppointmentsForCustomer(customerId) {
     if (!customerId) {
       console.error("❌ No customerId provided");
@@ -1075,8 +1916,8 @@ const apiService = {
   },
 
   // REPORTS
-  async getVisitReport(visitId) {
-    return request("GET", `/reports/visit/${visitId}`);
+  async getVisitReport(visitId, options = {}) {
+    return request("GET", `/reports/visit/${visitId}`, null, options);
   },
 
   getCertificatePdfUrl(visitId) {
@@ -1204,45 +2045,13 @@ const apiService = {
       isVisitSummary: false
     };
     
-    // 🚨 FIX: Use the correct endpoint for saving stations
-    // Try multiple endpoints to find the right one
-    try {
-      // First try /station-logs (most logical)
-      const result = await request("POST", "/station-logs", stationData);
-      
-      if (result?.success) {
-        return result;
-      }
-    } catch (error) {
-      console.warn("⚠️ /station-logs failed, trying /log-station...");
-    }
-    
-    try {
-      // Try /log-station (alternative)
-      const result = await request("POST", "/log-station", stationData);
-      if (result?.success) {
-        return result;
-      }
-    } catch (error) {
-      console.warn("⚠️ /log-station failed, trying /log...");
-    }
-    
-    // Last resort: try /log with different structure
-    try {
-      const fallbackData = {
-        ...stationData,
-        action: 'station-log',
-        serviceType: 'myocide'
-      };
-      const result = await request("POST", "/log", fallbackData);
-      return result;
-    } catch (error) {
-      console.error("❌ All endpoints failed:", error);
-      return { 
-        success: false, 
-        error: "No endpoint available to save station data" 
-      };
+    const result = await request("POST", "/station-logs", stationData);
+
+    if (!result?.success) {
+      console.error("❌ Failed to save station log:", result?.error);
     }
+
+    return result;
   },
 
   async logService(serviceData) {
@@ -1279,47 +2088,82 @@ const apiService = {
     }
   },
 
-  async getServiceLogByVisitId(visitId) {
-    try {
-      const response = await fetch(`${API_BASE_URL}/service-logs/${visitId}`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${authToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      const text = await response.text();
-
-      let data;
-      try {
-        data = text ? JSON.parse(text) : null;
-      } catch (e) {
-        console.error("❌ Failed to parse response:", e);
-        return { success: false, error: "Invalid response format" };
-      }
-      
-      if (!response.ok) {
-        return {
-          success: false,
-          error: data?.error || `HTTP ${response.status}`
-        };
+  async getServiceLogByVisitId(visitId, options = {}) {
+    const data = await request("GET", `/service-logs/${visitId}`, null, options);
+
+    if (data?.errorType) {
+      if (!data.cancelled) {
+        console.error("❌ Error in getServiceLogByVisitId:", data.error);
       }
-      
-      // Ensure data has the expected structure
-      return {
-        success: true,
-        log: data.log || data.report || data,
-        report: data.report || data.log || data
-      };
-      
-    } catch (error) {
-      console.error("❌ Error in getServiceLogByVisitId:", error);
-      return {
-        success: false,
-        error: error.message
-      };
+      return data;
+    }
+
+    // Ensure data has the expected structure
+    return {
+      success: true,
+      log: data.log || data.report || data,
+      report: data.report || data.log || data
+    };
+  },
+
+  // Logged station values for one customer, one row per station per visit
+  async getCustomerTrendRows(customerId) {
+    const result = await request("GET", `/reports/customer-trends/${encodeURIComponent(customerId)}`);
+    if (Array.isArray(result)) return result;
+    if (!result?.success) {
+      console.warn("⚠️ getCustomerTrendRows failed:", result?.error);
+      return [];
+    }
+
+    return Array.isArray(result.data) ? result.data : [];
+  },
+
+  // rules: [{ ruleId, stationType, metric, threshold, consecutiveVisits }]
+  async getTrendThresholds(customerId) {
+    const result = await request("GET", `/customers/${encodeURIComponent(customerId)}/trend-thresholds`);
+    if (!result?.success) {
+      console.warn("⚠️ getTrendThresholds failed:", result?.error);
+      return [];
+    }
+
+    return Array.isArray(result.rules) ? result.rules : [];
+  },
+
+  async saveTrendThresholds(customerId, rules) {
+    return request("PUT", `/customers/${encodeURIComponent(customerId)}/trend-thresholds`, { rules });
+  },
+
+  // [{ customerId, rules }] for every customer with thresholds set
+  async getAllTrendThresholds() {
+    const result = await request("GET", "/trend-thresholds");
+    if (!result?.success) {
+      console.warn("⚠️ getAllTrendThresholds failed:", result?.error);
+      return [];
     }
+
+    return Array.isArray(result.thresholds) ? result.thresholds : [];
+  },
+
+  // Floor plans with station positions for the signed-in customer
+  async getCustomerMaps() {
+    const result = await request("GET", "/customer/maps");
+    if (!result?.success) {
+      console.warn("⚠️ getCustomerMaps failed:", result?.error);
+      return [];
+    }
+
+    return Array.isArray(result.maps) ? result.maps : [];
+  },
+
+  // Logged station values for the signed-in customer, same rows as /reports/customer-trends
+  async getCustomerStationTrends() {
+    const result = await request("GET", "/customer/station-trends");
+    if (!result?.success) {
+      console.warn("⚠️ getCustomerStationTrends failed:", result?.error);
+      return [];
+    }
+
+    return Array.isArray(result.data) ? result.data : [];
   },
 
   async getCustomerVisitHistory() {
@@ -1336,19 +2180,18 @@ const apiService = {
     return request("GET", `/visits/by-appointment/${appointmentId}`);
   },
   
-  async getVisitIdByAppointmentId(appointmentId) {
-    try {
-      const response = await fetch(`${API_BASE_URL}/visits/by-appointment/${appointmentId}`);
-      const data = await response.json();
-      
-      if (data.success && data.visitId) {
-        return data.visitId;
-      }
-      return null;
-    } catch (error) {
-      console.error("Error getting visitId by appointment:", error);
-      return null;
+  async getVisitIdByAppointmentId(appointmentId, options = {}) {
+    const data = await request(
+      "GET",
+      `/visits/by-appointment/${appointmentId}`,
+      null,
+      options
+    );
+
+    if (data?.success && data.visitId) {
+      return data.visitId;
     }
+    return null;
   },
 
   async getBaitTypeNames() {
@@ -1414,8 +2257,72 @@ const apiService = {
     return request("POST", "/log", visitData);
   },
 
-  async saveMapStations(mapId, stations) {
-    return request("PUT", `/maps/${mapId}/stations`, { stations });
+  // events: lifecycle changes from buildStationSave (installs, relocations, retirements, replacements).
+  // They are appended on the server, so the call is not retried here. Saving
+  // the same edit again resends the same eventIds (see getPendingStationSave).
+  async saveMapStations(mapId, stations, events = []) {
+    return request("PUT", `/maps/${mapId}/stations`, { stations, events }, events.length ? { retries: 0 } : {});
+  },
+
+  // zones: [{ zoneId, name, points: [{ x, y }] }] in normalised map coordinates
+  async saveMapZones(mapId, zones) {
+    return request("PUT", `/maps/${mapId}/zones`, { zones });
+  },
+
+  // Service-area territories; each one names the technician scheduled there by default
+  async getTerritories() {
+    const res = await request("GET", "/territories");
+    if (!res?.success) {
+      console.warn("⚠️ getTerritories failed:", res?.error);
+      return [];
+    }
+
+    return Array.isArray(res.territories) ? res.territories : [];
+  },
+
+  async saveTerritories(territories) {
+    return request("PUT", "/territories", { territories });
+  },
+
+  // routeOrder: station keys ("BS:4") in the order the technician walks them
+  async saveMapRouteOrder(mapId, routeOrder) {
+    return request("PUT", `/maps/${mapId}/route-order`, { routeOrder });
+  },
+
+  async getStationLifecycle(customerId) {
+    if (!customerId) {
+      console.warn("⚠️ getStationLifecycle called without customerId");
+      return [];
+    }
+
+    const res = await request("GET", `/customers/${encodeURIComponent(customerId)}/station-events`);
+    if (!res || res.success !== true) {
+      console.warn("⚠️ getStationLifecycle failed:", res?.error);
+      return [];
+    }
+
+    return Array.isArray(res.events) ? res.events : [];
+  },
+
+  // Corrective actions opened from station findings; status "open" | "closed", or all when omitted
+  async getCorrectiveActions(customerId, { status } = {}) {
+    if (!customerId) {
+      console.warn("⚠️ getCorrectiveActions called without customerId");
+      return [];
+    }
+
+    const query = status ? `?status=${encodeURIComponent(status)}` : "";
+    const res = await request("GET", `/customers/${encodeURIComponent(customerId)}/corrective-actions${query}`);
+    if (!res || res.success !== true) {
+      console.warn("⚠️ getCorrectiveActions failed:", res?.error);
+      return [];
+    }
+
+    return Array.isArray(res.actions) ? res.actions : [];
+  },
+
+  async updateCorrectiveAction(actionId, changes) {
+    return request("PUT", `/corrective-actions/${encodeURIComponent(actionId)}`, changes);
   },
 
   async logCompleteVisit(visitSummary, stations) {
@@ -1424,74 +2331,25 @@ const apiService = {
       stations,
       action: 'complete-visit'
     };
-    
-    try {
-      // Try the correct endpoint
-      const result = await request("POST", "/visits/log-complete", completeData);
 
-      if (!result) {
-        throw new Error("No response from server");
-      }
-      
-      // Check if we got a success response
-      if (result.success === true) {
-        return result;
-      }
-      
-      // If not successful, check for error
-      if (result.success === false) {
-        throw new Error(result.error || "Save failed");
-      }
-      
-      // Some endpoints might not have 'success' property
-      if (result.visitId) {
-        return { success: true, ...result };
-      }
-      
-      throw new Error("Unexpected response format");
-      
-    } catch (error) {
-      console.error("❌ logCompleteVisit error:", error);
-      
-      // Provide a more helpful error message
-      const errorMessage = error.message || "Failed to save visit";
-      
-      // Check if it's a network error
-      if (error.networkError) {
+    const result = await request("POST", "/visits/log-complete", completeData);
+
+    if (result?.success === false) {
+      console.error("❌ logCompleteVisit error:", result.error);
+
+      if (result.networkError) {
         throw new Error("Network error: Please check your internet connection");
       }
-      
-      // Check if endpoint doesn't exist
-      if (error.message.includes('404') || error.message.includes('Not Found')) {
-        console.warn("⚠️ /visits/log-complete endpoint not found");
-        
-        // Try alternative: Fallback to old /log endpoint
-        try {
-          const visitData = {
-            ...visitSummary,
-            isVisitSummary: true,
-            stationData: {
-              totalStations: stations.length,
-              loggedStations: stations.length
-            }
-          };
-          
-          const fallbackResult = await request("POST", "/log", visitData);
-
-          if (fallbackResult?.success) {
-            return {
-              success: true,
-              visitId: fallbackResult.visitId || fallbackResult.logId,
-              message: "Visit saved via fallback"
-            };
-          }
-        } catch (fallbackError) {
-          console.error("❌ Fallback also failed:", fallbackError);
-        }
-      }
-      
-      throw new Error(`Save failed: ${errorMessage}`);
+
+      throw new Error(`Save failed: ${result.error || "Failed to save visit"}`);
+    }
+
+    // Some endpoints might not have 'success' property
+    if (result?.visitId) {
+      return { success: true, ...result };
     }
+
+    return result;
   },
 
   async debugAppointment(id) {
@@ -1562,6 +2420,8 @@ const apiService = {
 };
 
 export default {
-  API_BASE_URL,
+  get API_BASE_URL() {
+    return API_BASE_URL;
+  },
   ...apiService
 };
\ No newline at end of file
@@ -54,6 +54,38 @@ export function normalizeAppointment(a) {
       a.other_pest_name ?? null,
 
     visitId:
-      a.visit_id ?? null
+      a.visit_id ?? null,
+
+    contractId:
+      a.contract_id ??
+      a.contractId ??
+      null,
+
+    occurrenceDate:
+      a.occurrence_date ??
+      a.occurrenceDate ??
+      null,
+
+    // Set when booked or moved despite scheduling warnings
+    conflictOverrideReason:
+      a.conflict_override_reason ??
+      a.conflictOverrideReason ??
+      null,
+
+    conflictWarnings:
+      a.conflict_warnings ??
+      a.conflictWarnings ??
+      [],
+
+    conflictOverriddenAt:
+      a.conflict_overridden_at ??
+      a.conflictOverriddenAt ??
+      null,
+
+    // Route suggestions keep these at their booked time
+    fixedTime:
+      a.fixed_time ??
+      a.fixedTime ??
+      false
   };
 }
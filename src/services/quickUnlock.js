@@ -0,0 +1,143 @@
+//quickUnlock.js
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as LocalAuthentication from "expo-local-authentication";
+import * as Crypto from "expo-crypto";
+
+const QUICK_UNLOCK_STORAGE_KEY = "@PestFree_QuickUnlock";
+
+// Set per technician by an admin in TechniciansScreen
+export const QUICK_UNLOCK_POLICY = {
+  OPTIONAL: "optional",
+  REQUIRED: "required",
+  DISABLED: "disabled"
+};
+
+export const QUICK_UNLOCK_METHODS = {
+  BIOMETRIC: "biometric",
+  PIN: "pin"
+};
+
+export const QUICK_UNLOCK_PIN_LENGTH = 4;
+
+// Wrong PINs allowed before the technician has to type the password again
+export const QUICK_UNLOCK_MAX_ATTEMPTS = 5;
+
+// Time in the background after which the app locks again
+export const QUICK_UNLOCK_RELOCK_AFTER_MS = 5 * 60 * 1000;
+
+export function getQuickUnlockPolicy(technician) {
+  const policy = technician?.quickUnlock;
+  return Object.values(QUICK_UNLOCK_POLICY).includes(policy)
+    ? policy
+    : QUICK_UNLOCK_POLICY.OPTIONAL;
+}
+
+const hashPin = (pin, salt) =>
+  Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, `${salt}:${pin}`);
+
+export async function getQuickUnlockSettings() {
+  try {
+    const stored = await AsyncStorage.getItem(QUICK_UNLOCK_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error("❌ Failed to load quick unlock settings:", error);
+    return null;
+  }
+}
+
+async function saveQuickUnlockSettings(settings) {
+  await AsyncStorage.setItem(QUICK_UNLOCK_STORAGE_KEY, JSON.stringify(settings));
+  return settings;
+}
+
+export async function clearQuickUnlock() {
+  try {
+    await AsyncStorage.removeItem(QUICK_UNLOCK_STORAGE_KEY);
+  } catch (error) {
+    console.error("❌ Failed to clear quick unlock settings:", error);
+  }
+}
+
+/**
+ * Whether this device can unlock with a fingerprint or face. Devices
+ * without enrolled biometrics fall back to an app PIN.
+ */
+export async function getBiometricSupport() {
+  try {
+    const [hasHardware, isEnrolled] = await Promise.all([
+      LocalAuthentication.hasHardwareAsync(),
+      LocalAuthentication.isEnrolledAsync()
+    ]);
+    return { available: hasHardware && isEnrolled };
+  } catch (error) {
+    console.warn("⚠️ Biometric support check failed:", error);
+    return { available: false };
+  }
+}
+
+/**
+ * Protect the current session on this device. Only one technician can
+ * have quick unlock set up per device; enabling it replaces any other.
+ *
+ * @param {string} technicianId
+ * @param {{ method: "biometric"|"pin", pin?: string }} options
+ */
+export async function enableQuickUnlock(technicianId, { method, pin }) {
+  const settings = {
+    technicianId,
+    method,
+    failedAttempts: 0,
+    enabledAt: new Date().toISOString()
+  };
+
+  if (method === QUICK_UNLOCK_METHODS.PIN) {
+    settings.salt = Crypto.randomUUID();
+    settings.pinHash = await hashPin(pin, settings.salt);
+  }
+
+  return saveQuickUnlockSettings(settings);
+}
+
+export async function authenticateWithBiometrics(promptMessage) {
+  try {
+    const result = await LocalAuthentication.authenticateAsync({
+      promptMessage,
+      disableDeviceFallback: false
+    });
+    return { success: result.success, error: result.error };
+  } catch (error) {
+    console.error("❌ Biometric authentication failed:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Check a PIN against the stored hash. Too many wrong attempts remove
+ * quick unlock so the next sign-in needs the password.
+ *
+ * @returns {Promise<{ success: boolean, attemptsLeft?: number, locked?: boolean }>}
+ */
+export async function verifyQuickUnlockPin(pin) {
+  const settings = await getQuickUnlockSettings();
+  if (!settings?.pinHash) return { success: false, locked: true };
+
+  const pinHash = await hashPin(pin, settings.salt);
+  if (pinHash === settings.pinHash) {
+    if (settings.failedAttempts) {
+      await saveQuickUnlockSettings({ ...settings, failedAttempts: 0 });
+    }
+    return { success: true };
+  }
+
+  const failedAttempts = (settings.failedAttempts || 0) + 1;
+  if (failedAttempts >= QUICK_UNLOCK_MAX_ATTEMPTS) {
+    await clearQuickUnlock();
+    return { success: false, locked: true };
+  }
+
+  await saveQuickUnlockSettings({ ...settings, failedAttempts });
+  return {
+    success: false,
+    attemptsLeft: QUICK_UNLOCK_MAX_ATTEMPTS - failedAttempts
+  };
+}
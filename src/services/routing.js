@@ -0,0 +1,102 @@
+//routing.js
+import {
+  DEFAULT_DISTANCE_MATRIX_PROVIDER,
+  DISTANCE_MATRIX_PROVIDERS,
+  GEOCODER_URL,
+  GEOCODING_ENABLED
+} from "../constants/routingProviders";
+
+// Used by the local stand-in: roads are rarely straight, and town traffic is slow
+const ROAD_FACTOR = 1.3;
+const AVERAGE_SPEED_KMH = 35;
+
+// The geocoder allows one lookup per second
+const GEOCODE_INTERVAL_MS = 1000;
+
+let lastGeocodeAt = 0;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export function getDistanceKm(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Looks an address up with the geocoder. Lookups are spaced out to its
+ * rate limit, so geocoding many customers just takes a while.
+ *
+ * @param {string} address
+ * @returns {Promise<{ latitude, longitude }|null>} null when nothing matched
+ *   or no geocoder is configured
+ */
+export async function geocodeAddress(address) {
+  if (!GEOCODING_ENABLED) return null;
+
+  const sinceLast = Date.now() - lastGeocodeAt;
+  if (sinceLast < GEOCODE_INTERVAL_MS) await wait(GEOCODE_INTERVAL_MS - sinceLast);
+  lastGeocodeAt = Date.now();
+
+  const query = new URLSearchParams({ format: "jsonv2", limit: "1", countrycodes: "gr", q: address });
+  const response = await fetch(`${GEOCODER_URL}/search?${query}`, {
+    headers: { Accept: "application/json" }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Geocoder responded with ${response.status}`);
+  }
+
+  const [match] = await response.json();
+  return match ? { latitude: Number(match.lat), longitude: Number(match.lon) } : null;
+}
+
+// Minutes from every point to every other, estimated from straight-line distance
+export function getLocalTravelMatrix(points) {
+  return points.map((from) =>
+    points.map((to) =>
+      from === to ? 0 : Math.ceil((getDistanceKm(from, to) * ROAD_FACTOR * 60) / AVERAGE_SPEED_KMH)
+    )
+  );
+}
+
+async function getOsrmTravelMatrix(points) {
+  const coordinates = points.map((p) => `${p.longitude},${p.latitude}`).join(";");
+  const response = await fetch(
+    `${DISTANCE_MATRIX_PROVIDERS.osrm.baseUrl}/table/v1/driving/${coordinates}?annotations=duration`
+  );
+  const data = await response.json();
+
+  if (!response.ok || data.code !== "Ok") {
+    throw new Error(data.message || `Distance matrix responded with ${response.status}`);
+  }
+
+  return data.durations.map((row) => row.map((seconds) => Math.ceil((seconds ?? 0) / 60)));
+}
+
+/**
+ * Driving minutes between every pair of points, from the configured
+ * provider. Falls back to the local estimate when the provider cannot be
+ * reached, so a route can still be suggested.
+ *
+ * @param {Array<{ latitude, longitude }>} points
+ * @returns {Promise<Array<Array<number>>>} matrix[from][to] in minutes
+ */
+export async function getTravelMatrix(points, provider = DEFAULT_DISTANCE_MATRIX_PROVIDER) {
+  if (points.length < 2 || provider === "local" || !DISTANCE_MATRIX_PROVIDERS.osrm.baseUrl) {
+    return getLocalTravelMatrix(points);
+  }
+
+  try {
+    return await getOsrmTravelMatrix(points);
+  } catch (error) {
+    console.warn("⚠️ Distance matrix unavailable, using local estimate:", error);
+    return getLocalTravelMatrix(points);
+  }
+}
@@ -0,0 +1,224 @@
+//serviceLogOutbox.js
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { Platform } from "react-native";
+import * as FileSystem from "expo-file-system/legacy";
+
+export const SERVICE_LOG_OUTBOX_STORAGE_KEY = "@PestFree_ServiceLogOutbox";
+
+export const OUTBOX_STATUS = {
+  PENDING: "pending",
+  SYNCING: "syncing",
+  FAILED: "failed"
+};
+
+const OUTBOX_IMAGES_DIR = FileSystem.documentDirectory
+  ? `${FileSystem.documentDirectory}outbox/`
+  : null;
+
+const listeners = new Set();
+
+let cachedEntries = null;
+
+const notify = (entries) => {
+  listeners.forEach((listener) => {
+    try {
+      listener(entries);
+    } catch (error) {
+      console.error("❌ Outbox listener failed:", error);
+    }
+  });
+};
+
+export async function getOutboxEntries() {
+  if (cachedEntries) return cachedEntries;
+
+  try {
+    const stored = await AsyncStorage.getItem(SERVICE_LOG_OUTBOX_STORAGE_KEY);
+    const parsed = stored ? JSON.parse(stored) : [];
+    cachedEntries = Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error("❌ Failed to load service log outbox:", error);
+    cachedEntries = [];
+  }
+
+  return cachedEntries;
+}
+
+async function saveOutboxEntries(entries) {
+  cachedEntries = entries;
+
+  try {
+    await AsyncStorage.setItem(
+      SERVICE_LOG_OUTBOX_STORAGE_KEY,
+      JSON.stringify(entries)
+    );
+  } catch (error) {
+    console.error("❌ Failed to save service log outbox:", error);
+  }
+
+  notify(entries);
+  return entries;
+}
+
+function readAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// On web the picker returns blob: URIs, which die with the page, so the
+// photos are stored inline with the entry instead.
+async function persistWebImages(images) {
+  const persisted = [];
+
+  for (const img of images) {
+    try {
+      const response = await fetch(img.uri);
+      const uri = await readAsDataUrl(await response.blob());
+      persisted.push({ ...img, uri });
+    } catch (error) {
+      console.warn("⚠️ Could not store outbox photo, keeping original uri:", error);
+      persisted.push(img);
+    }
+  }
+
+  return persisted;
+}
+
+// Picker URIs point into the OS cache, which may be purged before the
+// technician is back online, so native photos are copied next to the outbox.
+async function persistImages(entryId, images) {
+  if (Platform.OS === "web") {
+    return persistWebImages(images);
+  }
+
+  if (!OUTBOX_IMAGES_DIR) {
+    return images;
+  }
+
+  const persisted = [];
+
+  try {
+    await FileSystem.makeDirectoryAsync(OUTBOX_IMAGES_DIR, { intermediates: true });
+  } catch (error) {
+    // Directory already exists
+  }
+
+  for (let i = 0; i < images.length; i++) {
+    const img = images[i];
+    const target = `${OUTBOX_IMAGES_DIR}${entryId}_${i}_${img.name}`;
+
+    try {
+      await FileSystem.copyAsync({ from: img.uri, to: target });
+      persisted.push({ ...img, uri: target });
+    } catch (error) {
+      console.warn("⚠️ Could not copy outbox photo, keeping original uri:", error);
+      persisted.push(img);
+    }
+  }
+
+  return persisted;
+}
+
+async function deleteImages(entry) {
+  if (Platform.OS === "web" || !OUTBOX_IMAGES_DIR) return;
+
+  for (const img of entry.images || []) {
+    if (!String(img.uri).startsWith(OUTBOX_IMAGES_DIR)) continue;
+
+    try {
+      await FileSystem.deleteAsync(img.uri, { idempotent: true });
+    } catch (error) {
+      console.warn("⚠️ Could not delete outbox photo:", error);
+    }
+  }
+}
+
+/**
+ * Store a service log that could not be uploaded.
+ *
+ * @param {{ fields: Object<string,string>, images: Array }} serviceLog
+ * @param {{ visitId?: string, appointmentId?: string, serviceType?: string, customerName?: string, technicianId?: string }} meta
+ */
+export async function addOutboxEntry(serviceLog, meta = {}) {
+  const id = `outbox_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const images = await persistImages(id, serviceLog.images || []);
+
+  const entry = {
+    id,
+    visitId: meta.visitId || null,
+    appointmentId: meta.appointmentId || null,
+    technicianId: meta.technicianId || null,
+    serviceType: meta.serviceType || null,
+    customerName: meta.customerName || "",
+    createdAt: new Date().toISOString(),
+    attempts: 0,
+    lastError: null,
+    status: OUTBOX_STATUS.PENDING,
+    fields: serviceLog.fields || {},
+    images
+  };
+
+  const entries = await getOutboxEntries();
+
+  // A newer save of the same visit supersedes the queued one
+  const isSuperseded = (item) => entry.visitId && item.visitId === entry.visitId;
+
+  for (const item of entries.filter(isSuperseded)) {
+    await deleteImages(item);
+  }
+
+  await saveOutboxEntries([...entries.filter((item) => !isSuperseded(item)), entry]);
+  return entry;
+}
+
+export async function updateOutboxEntry(id, changes) {
+  const entries = await getOutboxEntries();
+
+  return saveOutboxEntries(
+    entries.map((entry) =>
+      entry.id === id ? { ...entry, ...changes } : entry
+    )
+  );
+}
+
+// The log itself is on the server; only marking the appointment complete is
+// left, so the payload and photos are dropped and the entry kept for that.
+export async function markOutboxLogSubmitted(id, visitId) {
+  const entries = await getOutboxEntries();
+  const entry = entries.find((item) => item.id === id);
+
+  if (entry) {
+    await deleteImages(entry);
+  }
+
+  return saveOutboxEntries(
+    entries.map((item) =>
+      item.id === id
+        ? { ...item, visitId, logSubmitted: true, fields: {}, images: [] }
+        : item
+    )
+  );
+}
+
+export async function removeOutboxEntry(id) {
+  const entries = await getOutboxEntries();
+  const entry = entries.find((item) => item.id === id);
+
+  if (entry) {
+    await deleteImages(entry);
+  }
+
+  return saveOutboxEntries(entries.filter((item) => item.id !== id));
+}
+
+export function subscribeToOutbox(listener) {
+  listeners.add(listener);
+
+  return () => {
+    listeners.delete(listener);
+  };
+}
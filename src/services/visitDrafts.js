@@ -0,0 +1,57 @@
+//visitDrafts.js
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+export const VISIT_DRAFT_STORAGE_PREFIX = "@PestFree_VisitDraft_";
+
+// How long the service screens wait after the last change before writing
+export const VISIT_DRAFT_AUTOSAVE_DELAY = 1500;
+
+const draftKey = (appointmentId) =>
+  `${VISIT_DRAFT_STORAGE_PREFIX}${appointmentId}`;
+
+/**
+ * Persist the in-progress state of a visit so it survives the app being
+ * killed. The shape of `data` belongs to the service screen that wrote it.
+ *
+ * @param {string} appointmentId
+ * @param {{ serviceType: string, startTime?: number, data: Object }} draft
+ */
+export async function saveVisitDraft(appointmentId, draft) {
+  if (!appointmentId) return null;
+
+  const stored = {
+    ...draft,
+    appointmentId,
+    updatedAt: new Date().toISOString()
+  };
+
+  try {
+    await AsyncStorage.setItem(draftKey(appointmentId), JSON.stringify(stored));
+  } catch (error) {
+    console.error("❌ Failed to save visit draft:", error);
+  }
+
+  return stored;
+}
+
+export async function getVisitDraft(appointmentId) {
+  if (!appointmentId) return null;
+
+  try {
+    const stored = await AsyncStorage.getItem(draftKey(appointmentId));
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error("❌ Failed to load visit draft:", error);
+    return null;
+  }
+}
+
+export async function clearVisitDraft(appointmentId) {
+  if (!appointmentId) return;
+
+  try {
+    await AsyncStorage.removeItem(draftKey(appointmentId));
+  } catch (error) {
+    console.error("❌ Failed to clear visit draft:", error);
+  }
+}
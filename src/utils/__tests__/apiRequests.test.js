@@ -0,0 +1,34 @@
+import { API_ERROR_TYPES } from "../../services/apiService";
+import i18n from "../../services/i18n";
+import { getApiErrorMessage, isLoadFailure } from "../apiRequests";
+
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock")
+);
+
+describe("getApiErrorMessage", () => {
+  it("words network and auth errors the same everywhere", () => {
+    expect(getApiErrorMessage({ errorType: API_ERROR_TYPES.NETWORK, error: "Network request failed" }, "Save failed"))
+      .toBe(i18n.t("common.errors.network"));
+    expect(getApiErrorMessage({ errorType: API_ERROR_TYPES.AUTH, error: "Unauthorized" }, "Save failed"))
+      .toBe(i18n.t("common.errors.auth"));
+  });
+
+  it("passes on the server's explanation of a validation error", () => {
+    expect(getApiErrorMessage({ errorType: API_ERROR_TYPES.VALIDATION, error: "Notes are required" }, "Save failed"))
+      .toBe("Notes are required");
+  });
+
+  it("falls back to the caller's message for server errors", () => {
+    expect(getApiErrorMessage({ errorType: API_ERROR_TYPES.SERVER, error: "Internal error" }, "Save failed"))
+      .toBe("Save failed");
+  });
+});
+
+describe("isLoadFailure", () => {
+  it("does not count a lookup that found nothing or was cancelled", () => {
+    expect(isLoadFailure({ success: false, errorType: API_ERROR_TYPES.VALIDATION, status: 404 })).toBe(false);
+    expect(isLoadFailure({ success: false, errorType: API_ERROR_TYPES.CANCELLED, cancelled: true })).toBe(false);
+    expect(isLoadFailure({ success: false, errorType: API_ERROR_TYPES.NETWORK })).toBe(true);
+  });
+});
@@ -0,0 +1,78 @@
+import { isFixedStop, optimizeDayRoute } from "../dayRoute";
+
+jest.mock("../../services/apiService", () => ({}));
+jest.mock("../../services/routing", () => ({}));
+
+// Small deterministic generator, so a failing day can be reproduced
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+// Enough to cover fixed, flexible and completed stops together, quick to run
+const DAYS = 50;
+
+function createDay(random) {
+  const count = 2 + Math.floor(random() * 7);
+  const stops = Array.from({ length: count }, (_, index) => ({
+    id: `visit-${index}`,
+    index,
+    status: random() < 0.15 ? "completed" : "scheduled",
+    fixed: random() < 0.3,
+    time: 8 * 60 + Math.floor(random() * 18) * 30,
+    duration: 30 + Math.floor(random() * 4) * 15
+  }));
+  const matrix = stops.map((from) =>
+    stops.map((to) => (from === to ? 0 : 5 + Math.floor(random() * 55)))
+  );
+
+  return { stops, matrix };
+}
+
+describe("optimizeDayRoute", () => {
+  it("visits every stop exactly once", () => {
+    const random = createRandom(42);
+
+    for (let day = 0; day < DAYS; day++) {
+      const { stops, matrix } = createDay(random);
+      const ids = optimizeDayRoute(stops, matrix).visits.map(({ stop }) => stop.id);
+
+      expect(ids.sort()).toEqual(stops.map((stop) => stop.id).sort());
+    }
+  });
+
+  it("keeps fixed stops in their booked order and never starts them early", () => {
+    const random = createRandom(7);
+
+    for (let day = 0; day < DAYS; day++) {
+      const { stops, matrix } = createDay(random);
+      const fixedVisits = optimizeDayRoute(stops, matrix).visits.filter(({ stop }) => isFixedStop(stop));
+      const bookedOrder = stops
+        .filter(isFixedStop)
+        .sort((a, b) => a.time - b.time)
+        .map((stop) => stop.time);
+
+      expect(fixedVisits.map(({ stop }) => stop.time)).toEqual(bookedOrder);
+      fixedVisits.forEach(({ stop, start }) => expect(start).toBeGreaterThanOrEqual(stop.time));
+    }
+  });
+
+  it("puts a flexible stop between the two fixed stops it lies between", () => {
+    const stops = [
+      { id: "a", index: 0, status: "scheduled", fixed: true, time: 8 * 60, duration: 30 },
+      { id: "b", index: 1, status: "scheduled", fixed: false, time: 15 * 60, duration: 30 },
+      { id: "c", index: 2, status: "scheduled", fixed: true, time: 10 * 60, duration: 30 }
+    ];
+    const matrix = [
+      [0, 10, 40],
+      [10, 0, 10],
+      [40, 10, 0]
+    ];
+
+    const ids = optimizeDayRoute(stops, matrix).visits.map(({ stop }) => stop.id);
+    expect(ids).toEqual(["a", "b", "c"]);
+  });
+});
@@ -0,0 +1,57 @@
+import apiService from "../../services/apiService";
+import { syncContractAppointments } from "../recurringContracts";
+
+jest.mock("../../services/apiService", () => ({
+  getServiceContracts: jest.fn(),
+  getContractAppointments: jest.fn(),
+  createAppointment: jest.fn()
+}));
+
+const contract = {
+  contractId: "contract-1",
+  customerId: "42",
+  technicianId: "7",
+  serviceType: "myocide",
+  frequency: "weekly",
+  interval: 1,
+  startDate: "2026-01-05",
+  time: "09:00"
+};
+
+const today = new Date(2026, 0, 5);
+
+describe("syncContractAppointments", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    apiService.getServiceContracts.mockResolvedValue([contract]);
+  });
+
+  it("creates nothing when the existing appointments cannot be loaded", async () => {
+    apiService.getContractAppointments.mockResolvedValue({ success: false, error: "Network request failed" });
+
+    await expect(syncContractAppointments({ today, horizonDays: 28 })).rejects.toThrow("Network request failed");
+    expect(apiService.createAppointment).not.toHaveBeenCalled();
+  });
+
+  it("runs overlapping syncs one after the other, so an occurrence is created once", async () => {
+    const created = [];
+    apiService.getContractAppointments.mockImplementation(async () => ({
+      success: true,
+      appointments: created.map((payload) => ({ ...payload }))
+    }));
+    apiService.createAppointment.mockImplementation(async (payload) => {
+      created.push(payload);
+      return { success: true };
+    });
+
+    const [first, second] = await Promise.all([
+      syncContractAppointments({ today, horizonDays: 28 }),
+      syncContractAppointments({ today, horizonDays: 28 })
+    ]);
+
+    const keys = created.map((payload) => `${payload.contractId}:${payload.occurrenceDate}`);
+    expect(first).toBeGreaterThan(0);
+    expect(second).toBe(0);
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+});
@@ -0,0 +1,69 @@
+import apiService from "../../services/apiService";
+import {
+  CONFLICT_TYPES,
+  DEFAULT_SERVICE_DURATIONS,
+  checkScheduleConflicts,
+  formatMinutes,
+  learnServiceDurations,
+  loadServiceDurations,
+  toMinutes
+} from "../schedulingConflicts";
+
+jest.mock("../../services/apiService", () => ({
+  getAppointmentList: jest.fn(),
+  getCompletedVisitDurations: jest.fn()
+}));
+
+describe("learnServiceDurations", () => {
+  it("reads logged durations as seconds", () => {
+    const visits = [2400, 2700, 3000].map((duration) => ({ serviceType: "myocide", duration }));
+
+    expect(learnServiceDurations(visits).myocide).toBe(45);
+  });
+
+  it("prefers the start and end times when both are known", () => {
+    const visits = Array.from({ length: 3 }, () => ({
+      serviceType: "insecticide",
+      startTime: "2026-03-02T09:00:00Z",
+      endTime: "2026-03-02T09:30:00Z",
+      duration: 99999
+    }));
+
+    expect(learnServiceDurations(visits).insecticide).toBe(30);
+  });
+
+  it("keeps the default for service types with too few visits", () => {
+    const visits = [{ serviceType: "disinfection", duration: 600 }];
+
+    expect(learnServiceDurations(visits).disinfection).toBe(DEFAULT_SERVICE_DURATIONS.disinfection);
+  });
+});
+
+describe("formatMinutes", () => {
+  it("is the inverse of toMinutes", () => {
+    ["00:00", "07:05", "13:30", "23:55"].forEach((time) => expect(formatMinutes(toMinutes(time))).toBe(time));
+  });
+});
+
+describe("loadServiceDurations", () => {
+  it("loads again after a failed load instead of keeping the defaults", async () => {
+    apiService.getCompletedVisitDurations.mockResolvedValueOnce({ success: false, error: "Network request failed" });
+    expect(await loadServiceDurations()).toEqual(DEFAULT_SERVICE_DURATIONS);
+
+    apiService.getCompletedVisitDurations.mockResolvedValueOnce({
+      success: true,
+      visits: [2400, 2700, 3000].map((duration) => ({ serviceType: "myocide", duration }))
+    });
+    expect((await loadServiceDurations()).myocide).toBe(45);
+  });
+});
+
+describe("checkScheduleConflicts", () => {
+  it("warns that nothing was checked when the day cannot be loaded", async () => {
+    apiService.getAppointmentList.mockResolvedValue({ success: false, error: "Network request failed" });
+
+    const conflicts = await checkScheduleConflicts({ technicianId: "7", date: "2026-03-02", time: "09:00", serviceType: "myocide" });
+
+    expect(conflicts).toEqual([{ type: CONFLICT_TYPES.UNCHECKED }]);
+  });
+});
@@ -0,0 +1,38 @@
+import { getPendingStationSave } from "../stationLifecycle";
+
+let mockNextId = 0;
+jest.mock("expo-crypto", () => ({ randomUUID: () => `uuid-${++mockNextId}` }));
+
+const original = [
+  { id: 1, type: "BS", uid: "station-1", x: 0.1, y: 0.1 },
+  { id: 2, type: "BS", uid: "station-2", x: 0.5, y: 0.5 }
+];
+
+// Station 1 moved, station 2 removed and a new station 3 placed
+const edited = [
+  { id: 1, type: "BS", uid: "station-1", x: 0.3, y: 0.1 },
+  { id: 3, type: "BS", x: 0.8, y: 0.8 }
+];
+const changes = { retirements: { "BS:2": { reason: "damaged" } }, replacements: {} };
+
+const eventIds = ({ save }) => save.events.map((event) => event.eventId);
+const stationUids = ({ save }) => save.stations.map((st) => st.uid);
+
+describe("getPendingStationSave", () => {
+  it("resends the same event ids and station uids when the same edit is saved again", () => {
+    const first = getPendingStationSave(null, original, edited, changes);
+    const retry = getPendingStationSave(first, original, edited, changes);
+
+    expect(first.save.events.length).toBeGreaterThan(0);
+    expect(eventIds(retry)).toEqual(eventIds(first));
+    expect(stationUids(retry)).toEqual(stationUids(first));
+  });
+
+  it("builds a new save once the edit changes", () => {
+    const first = getPendingStationSave(null, original, edited, changes);
+    const moved = edited.map((st) => (st.id === 3 ? { ...st, x: 0.9 } : st));
+    const next = getPendingStationSave(first, original, moved, changes);
+
+    expect(eventIds(next)).not.toEqual(eventIds(first));
+  });
+});
@@ -0,0 +1,44 @@
+// utils/apiRequests.js
+import { useEffect } from "react";
+import { API_ERROR_TYPES } from "../services/apiService";
+import i18n from "../services/i18n";
+
+/**
+ * useEffect whose callback gets an AbortSignal to pass to apiService. The
+ * signal aborts when the deps change or the screen unmounts, so a response
+ * that arrives late does not update a screen that has moved on.
+ */
+export function useAbortableEffect(effect, deps) {
+  useEffect(() => {
+    const controller = new AbortController();
+    effect(controller.signal);
+
+    return () => controller.abort();
+  }, deps);
+}
+
+/**
+ * The message to show for a failed apiService call. Validation errors carry
+ * the server's own explanation; network and auth errors get one wording
+ * everywhere; anything else falls back to the caller's message.
+ *
+ * @param {{ errorType?: string, error?: string }} result
+ * @param {string} fallback
+ */
+export function getApiErrorMessage(result, fallback) {
+  switch (result?.errorType) {
+    case API_ERROR_TYPES.NETWORK:
+      return i18n.t("common.errors.network");
+    case API_ERROR_TYPES.AUTH:
+      return i18n.t("common.errors.auth");
+    case API_ERROR_TYPES.VALIDATION:
+      return result.error || fallback;
+    default:
+      return fallback;
+  }
+}
+
+// A lookup that found nothing (404, e.g. a visit with no log yet) is not an
+// error to show; one that could not be answered is
+export const isLoadFailure = (result) =>
+  !result?.success && !result?.cancelled && result?.status !== 404;
@@ -0,0 +1,121 @@
+// utils/correctiveActions.js
+import * as Crypto from "expo-crypto";
+import i18n from "../services/i18n";
+import { getMarkerLabel } from "./stationLabels";
+import { getStationKey } from "./stationLifecycle";
+
+export const ACTION_FINDINGS = {
+  DAMAGED: "damaged",
+  NO_ACCESS: "noAccess"
+};
+
+export const ACTION_OWNERS = {
+  US: "us",
+  CUSTOMER: "customer"
+};
+
+export const ACTION_STATUSES = {
+  OPEN: "open",
+  CLOSED: "closed"
+};
+
+// We repair or swap damaged stations; the customer has to clear blocked ones
+const DEFAULT_OWNERS = {
+  [ACTION_FINDINGS.DAMAGED]: ACTION_OWNERS.US,
+  [ACTION_FINDINGS.NO_ACCESS]: ACTION_OWNERS.CUSTOMER
+};
+
+const DEFAULT_DUE_DAYS = 14;
+
+export const getFindingLabel = (finding) => i18n.t(`technician.correctiveActions.findings.${finding}`);
+
+export const getOwnerLabel = (owner) => i18n.t(`technician.correctiveActions.owners.${owner}`);
+
+export const getActionStationLabel = (action) => getMarkerLabel({ id: action.stationId, type: action.stationType });
+
+// Pheromone traps record damage as `damaged: "Yes"`, the other types as a condition
+export function getStationFindings(station) {
+  const findings = [];
+  if (String(station.access || "").toLowerCase() === "no") findings.push(ACTION_FINDINGS.NO_ACCESS);
+  if (station.condition === "Damaged" || station.damaged === "Yes") findings.push(ACTION_FINDINGS.DAMAGED);
+  return findings;
+}
+
+export const getFindingKey = ({ stationId, stationType, finding }) =>
+  `${getStationKey({ id: stationId, type: stationType })}:${finding}`;
+
+/**
+ * Findings from the stations logged on this visit that need a corrective
+ * action. A finding that already has an open action (from an earlier visit)
+ * is left out, so a station that stays damaged is not reported twice.
+ *
+ * @param {Array} loggedStations stations as logged in MyocideScreen
+ * @param {Array} openActions actions still open for the customer
+ * @returns {Array<{ key, stationId, stationType, finding }>}
+ */
+export function getVisitFindings(loggedStations, openActions = []) {
+  const openKeys = new Set(openActions.map(getFindingKey));
+
+  return loggedStations.flatMap((station) =>
+    getStationFindings(station)
+      .map((finding) => ({
+        stationId: station.stationId,
+        stationType: station.stationType || "BS",
+        finding
+      }))
+      .map((finding) => ({ ...finding, key: getFindingKey(finding) }))
+      .filter((finding) => !openKeys.has(finding.key))
+  );
+}
+
+// YYYY-MM-DD, the format the due date is typed in
+export const getDefaultDueDate = (from = new Date()) => {
+  const due = new Date(from);
+  due.setDate(due.getDate() + DEFAULT_DUE_DAYS);
+  return due.toISOString().slice(0, 10);
+};
+
+export const isValidDueDate = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value || "") && !Number.isNaN(new Date(value).getTime());
+
+export const getDefaultAction = (finding) => ({
+  description: i18n.t(`technician.correctiveActions.defaults.${finding.finding}`, {
+    station: getMarkerLabel({ id: finding.stationId, type: finding.stationType })
+  }),
+  owner: DEFAULT_OWNERS[finding.finding],
+  dueDate: getDefaultDueDate()
+});
+
+/**
+ * One open action per finding, with the technician's edits (keyed by
+ * finding key) over the defaults. Sent with the visit so the actions are
+ * created together with it, also when the visit waits in the outbox.
+ */
+export function buildCorrectiveActions(findings, drafts = {}) {
+  const openedAt = new Date().toISOString();
+
+  return findings.map((finding) => {
+    const defaults = getDefaultAction(finding);
+    const draft = drafts[finding.key] || {};
+
+    return {
+      actionId: Crypto.randomUUID(),
+      stationId: finding.stationId,
+      stationType: finding.stationType,
+      finding: finding.finding,
+      description: draft.description?.trim() || defaults.description,
+      owner: draft.owner || defaults.owner,
+      dueDate: isValidDueDate(draft.dueDate) ? draft.dueDate : defaults.dueDate,
+      status: ACTION_STATUSES.OPEN,
+      openedAt
+    };
+  });
+}
+
+export const formatDueDate = (value) =>
+  isValidDueDate(value) ? new Date(`${value}T00:00:00`).toLocaleDateString("en-GB") : value || "";
+
+export const isActionOverdue = (action, now = new Date()) =>
+  action.status === ACTION_STATUSES.OPEN &&
+  isValidDueDate(action.dueDate) &&
+  new Date(`${action.dueDate}T23:59:59`) < now;
@@ -0,0 +1,96 @@
+// utils/customerMapStatus.js
+import i18n from "../services/i18n";
+import { buildComplianceNotifications } from "./complianceNotifications";
+import { parseDateKey, toDateKey } from "./recurringContracts";
+
+export const MAP_COLOR_MODES = {
+  COMPLIANCE: "compliance",
+  NEXT_SERVICE: "nextService"
+};
+
+// Pin colour per status, in legend order
+export const STATUS_COLORS = {
+  [MAP_COLOR_MODES.COMPLIANCE]: {
+    expired: "#c0392b",
+    expiring: "#e67e22",
+    valid: "#1f9c8b",
+    none: "#95a5a6"
+  },
+  [MAP_COLOR_MODES.NEXT_SERVICE]: {
+    overdue: "#c0392b",
+    dueSoon: "#e67e22",
+    planned: "#1f9c8b",
+    none: "#95a5a6"
+  }
+};
+
+// A visit this close counts as due soon
+const DUE_SOON_DAYS = 14;
+
+export const getStatusLabel = (mode, status) => i18n.t(`admin.customerMap.status.${mode}.${status}`);
+
+// Expiry windows follow the compliance alerts, so the map and the alerts agree
+export function getComplianceStatuses(customers) {
+  const { expiring, expired } = buildComplianceNotifications(customers);
+  const expiringIds = new Set(expiring.map((c) => c.customerId));
+  const expiredIds = new Set(expired.map((c) => c.customerId));
+
+  return new Map(
+    customers.map((c) => [
+      c.customerId,
+      {
+        status: expiredIds.has(c.customerId)
+          ? "expired"
+          : expiringIds.has(c.customerId)
+            ? "expiring"
+            : c.complianceValidUntil
+              ? "valid"
+              : "none",
+        date: c.complianceValidUntil || null
+      }
+    ])
+  );
+}
+
+/**
+ * Each customer's earliest visit still scheduled, and how soon it is. A
+ * scheduled visit in the past was missed and counts as overdue.
+ *
+ * @param {Array} customers
+ * @param {Array} appointments normalized appointments around today
+ * @returns {Map<string, { status, date }>}
+ */
+export function getNextServiceStatuses(customers, appointments, today = new Date()) {
+  const todayKey = toDateKey(today);
+  const soonKey = toDateKey(
+    new Date(today.getFullYear(), today.getMonth(), today.getDate() + DUE_SOON_DAYS)
+  );
+
+  const nextDates = new Map();
+  appointments
+    .filter((a) => a.status === "scheduled" && a.date)
+    .forEach((a) => {
+      [a.customerId, a.legacyCustomerKey]
+        .filter((key) => key != null)
+        .forEach((key) => {
+          const current = nextDates.get(String(key));
+          if (!current || a.date < current) nextDates.set(String(key), a.date);
+        });
+    });
+
+  return new Map(
+    customers.map((c) => {
+      const date = nextDates.get(c.customerId) || null;
+      const status = !date ? "none" : date < todayKey ? "overdue" : date <= soonKey ? "dueSoon" : "planned";
+
+      return [c.customerId, { status, date }];
+    })
+  );
+}
+
+export const formatStatusDate = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value || "")
+    ? parseDateKey(value).toLocaleDateString("en-GB")
+    : value
+      ? new Date(value).toLocaleDateString("en-GB")
+      : "";
@@ -0,0 +1,275 @@
+// utils/dayRoute.js
+import apiService from "../services/apiService";
+import { geocodeAddress, getTravelMatrix } from "../services/routing";
+import { formatMinutes, getServiceDuration, loadServiceDurations, toMinutes } from "./schedulingConflicts";
+
+// Used when none of the day's visits has a time yet
+const DEFAULT_DAY_START = 8 * 60;
+
+// A minute late for a fixed-time visit weighs as much as this many minutes of driving
+const LATE_PENALTY = 10;
+
+// Google Maps takes a destination and up to 9 waypoints
+export const MAX_ROUTE_LINK_STOPS = 10;
+
+const roundUpTo5 = (minutes) => Math.ceil(minutes / 5) * 5;
+
+// Visits already started or done cannot be moved, whatever the flag says
+export const isFixedStop = (stop) => stop.fixed || stop.status !== "scheduled";
+
+/**
+ * Walks the stops in order and works out when each visit starts. A fixed
+ * visit starts at its booked time (the technician waits if early); any other
+ * visit starts as soon as the technician gets there.
+ *
+ * @param {Array} order stops as returned by loadDayRoute, in visiting order
+ * @param {Array<Array<number>>} matrix driving minutes, indexed by stop.index
+ * @param {number} dayStart minutes after midnight the first flexible visit starts
+ * @returns {{ visits: Array, travelMinutes, lateMinutes, finish }}
+ */
+export function scheduleRoute(order, matrix, dayStart = DEFAULT_DAY_START) {
+  const visits = [];
+  let travelMinutes = 0;
+  let lateMinutes = 0;
+  let clock = null;
+  let previous = null;
+
+  order.forEach((stop) => {
+    const travel = previous ? matrix[previous.index][stop.index] : 0;
+    const arrival = clock === null ? (isFixedStop(stop) ? stop.time : dayStart) : clock + travel;
+    let start = roundUpTo5(arrival);
+    let late = 0;
+
+    if (isFixedStop(stop) && stop.time !== null) {
+      late = Math.max(0, arrival - stop.time);
+      start = Math.max(arrival, stop.time);
+    }
+
+    visits.push({ stop, start, travelMinutes: travel, waitMinutes: start - arrival, lateMinutes: late });
+    travelMinutes += travel;
+    lateMinutes += late;
+    clock = start + stop.duration;
+    previous = stop;
+  });
+
+  return { visits, travelMinutes, lateMinutes, finish: clock ?? dayStart };
+}
+
+// Lateness first, then driving, then the earlier finish
+const getRouteCost = (schedule) =>
+  schedule.lateMinutes * LATE_PENALTY + schedule.travelMinutes + schedule.finish / 1000;
+
+const insertAt = (list, index, item) => [...list.slice(0, index), item, ...list.slice(index)];
+
+// The first single-visit move that makes the day cheaper, or null
+function findBetterMove(order, bestCost, costOf) {
+  for (let from = 0; from < order.length; from++) {
+    const stop = order[from];
+    if (isFixedStop(stop)) continue;
+
+    const without = order.filter((_, i) => i !== from);
+    for (let to = 0; to <= without.length; to++) {
+      if (to === from) continue;
+
+      const candidate = insertAt(without, to, stop);
+      const cost = costOf(candidate);
+      if (cost < bestCost - 1e-9) return { order: candidate, cost };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Suggests a visiting order. Fixed visits keep their booked order; the
+ * others are put in by cheapest insertion and then moved one at a time
+ * while that still shortens the day.
+ *
+ * @param {Array} stops stops as returned by loadDayRoute
+ * @param {Array<Array<number>>} matrix driving minutes, indexed by stop.index
+ * @returns {{ visits: Array, travelMinutes, lateMinutes, finish }}
+ */
+export function optimizeDayRoute(stops, matrix) {
+  const dayStart = getDayStart(stops);
+  const costOf = (order) => getRouteCost(scheduleRoute(order, matrix, dayStart));
+
+  let order = stops.filter(isFixedStop).sort((a, b) => (a.time ?? 0) - (b.time ?? 0));
+  let remaining = stops.filter((stop) => !isFixedStop(stop));
+
+  while (remaining.length) {
+    let best = null;
+
+    remaining.forEach((stop) => {
+      for (let position = 0; position <= order.length; position++) {
+        const candidate = insertAt(order, position, stop);
+        const cost = costOf(candidate);
+        if (!best || cost < best.cost) best = { order: candidate, stop, cost };
+      }
+    });
+
+    order = best.order;
+    remaining = remaining.filter((stop) => stop !== best.stop);
+  }
+
+  // Each accepted move changes the order, so the scan starts over from it
+  let bestCost = costOf(order);
+  for (let rounds = 0; rounds < 50; rounds++) {
+    const move = findBetterMove(order, bestCost, costOf);
+    if (!move) break;
+
+    order = move.order;
+    bestCost = move.cost;
+  }
+
+  return scheduleRoute(order, matrix, dayStart);
+}
+
+// The day as it is booked now, to compare the suggestion against
+export function getBookedRoute(stops, matrix) {
+  const order = [...stops].sort((a, b) => (a.time ?? 0) - (b.time ?? 0));
+  return scheduleRoute(order, matrix, getDayStart(stops));
+}
+
+export function getDayStart(stops) {
+  const times = stops.map((stop) => stop.time).filter((time) => time !== null);
+  return times.length ? Math.min(...times) : DEFAULT_DAY_START;
+}
+
+/**
+ * The customer's coordinates, geocoded from the address the first time and
+ * then read from the customer record. A changed address is looked up again.
+ */
+export async function resolveCustomerLocation(customer) {
+  const address = customer?.address?.trim();
+  if (!address) return null;
+
+  if (customer.location && customer.location.address === customer.address) {
+    return customer.location;
+  }
+
+  const found = await geocodeAddress(address);
+  if (!found) return null;
+
+  const location = {
+    ...found,
+    address: customer.address,
+    source: "geocoded",
+    geocodedAt: new Date().toISOString()
+  };
+  const res = await apiService.updateCustomer(customer.customerId, { location });
+  if (!res?.success) {
+    console.warn("⚠️ Customer location not saved:", customer.customerId, res?.error);
+  }
+
+  return location;
+}
+
+/**
+ * Loads a technician's visits for a day with their customers' locations
+ * and the driving times between them. Visits whose address cannot be
+ * located are returned separately and left out of the route.
+ *
+ * @param {{ technicianId, date }} params date as YYYY-MM-DD
+ * @returns {Promise<{ stops: Array, unlocated: Array, matrix: Array<Array<number>> }>}
+ */
+export async function loadDayRoute({ technicianId, date }) {
+  const [appointments, customers, durations] = await Promise.all([
+    apiService.getAppointments({ dateFrom: date, dateTo: date, technicianId }),
+    apiService.getCustomers(),
+    loadServiceDurations()
+  ]);
+
+  const visits = appointments.filter(
+    (a) => a.status !== "cancelled" && a.date === date && String(a.technicianId) === String(technicianId)
+  );
+
+  const stops = [];
+  const unlocated = [];
+
+  for (const appointment of visits) {
+    const customer = customers.find(
+      (c) => c.customerId === String(appointment.customerId) || c.customerId === String(appointment.legacyCustomerKey)
+    );
+
+    let location = null;
+    try {
+      location = await resolveCustomerLocation(customer);
+    } catch (error) {
+      console.warn("⚠️ Failed to geocode customer address:", customer?.customerId, error);
+    }
+
+    const stop = {
+      id: appointment.id,
+      appointment,
+      customerName: customer?.customerName || "",
+      address: customer?.address || "",
+      location,
+      status: appointment.status,
+      fixed: !!appointment.fixedTime,
+      time: toMinutes(appointment.time),
+      duration: getServiceDuration(durations, appointment.serviceType)
+    };
+
+    if (location) {
+      stops.push({ ...stop, index: stops.length });
+    } else {
+      unlocated.push(stop);
+    }
+  }
+
+  const matrix = await getTravelMatrix(stops.map((stop) => stop.location));
+  return { stops, unlocated, matrix };
+}
+
+/**
+ * Saves the suggested start times, and the fixed flags the admin set, on
+ * the visits that changed. Visits already started or done are left alone.
+ *
+ * @returns {Promise<{ updated: number, failed: number }>}
+ */
+export async function applyDayRoute(schedule) {
+  let updated = 0;
+  let failed = 0;
+
+  for (const { stop, start } of schedule.visits) {
+    if (stop.status !== "scheduled") continue;
+    if (start === stop.time && stop.fixed === !!stop.appointment.fixedTime) continue;
+
+    const res = await apiService.updateAppointment({ id: stop.id, time: formatMinutes(start), fixedTime: stop.fixed });
+    if (res?.success) {
+      updated++;
+    } else {
+      failed++;
+      console.error("❌ Failed to update visit time:", stop.id, res?.error);
+    }
+  }
+
+  return { updated, failed };
+}
+
+/**
+ * A Google Maps link that drives from the current location through the
+ * visits in order. Only the first MAX_ROUTE_LINK_STOPS fit in one link.
+ *
+ * @param {Array} visits scheduled visits, in order
+ * @returns {{ url: string|null, truncated: boolean }}
+ */
+export function buildRouteLink(visits) {
+  const points = visits
+    .filter(({ stop }) => stop.status !== "completed")
+    .map(({ stop }) => `${stop.location.latitude},${stop.location.longitude}`);
+
+  if (!points.length) return { url: null, truncated: false };
+
+  const included = points.slice(0, MAX_ROUTE_LINK_STOPS);
+  const destination = included[included.length - 1];
+  const waypoints = included.slice(0, -1);
+
+  const params = new URLSearchParams({ api: "1", destination, travelmode: "driving" });
+  if (waypoints.length) params.set("waypoints", waypoints.join("|"));
+
+  return {
+    url: `https://www.google.com/maps/dir/?${params}`,
+    truncated: points.length > included.length
+  };
+}
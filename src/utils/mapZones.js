@@ -0,0 +1,58 @@
+// utils/mapZones.js
+import * as Crypto from "expo-crypto";
+
+// A zone needs at least a triangle to enclose anything
+export const MIN_ZONE_POINTS = 3;
+
+export const ZONE_COLORS = ["#1f9c8b", "#e67e22", "#8e44ad", "#2980b9", "#c0392b", "#7f8c8d"];
+
+export const createZoneId = () => Crypto.randomUUID();
+
+export const getZoneColor = (index) => ZONE_COLORS[index % ZONE_COLORS.length];
+
+// Ray casting; points are normalised { x, y } like station positions
+export function isPointInZone(point, zonePoints) {
+  let inside = false;
+
+  for (let i = 0, j = zonePoints.length - 1; i < zonePoints.length; j = i++) {
+    const a = zonePoints[i];
+    const b = zonePoints[j];
+
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * The zone a station stands in. Where zones overlap the one drawn last wins,
+ * so a small room drawn inside a larger area takes its stations.
+ */
+export function findZoneForStation(station, zones = []) {
+  if (!station) return null;
+
+  for (let i = zones.length - 1; i >= 0; i--) {
+    const zone = zones[i];
+    if (Array.isArray(zone.points) && zone.points.length >= MIN_ZONE_POINTS &&
+        isPointInZone({ x: Number(station.x), y: Number(station.y) }, zone.points)) {
+      return zone;
+    }
+  }
+
+  return null;
+}
+
+export const assignStationZones = (stations, zones = []) =>
+  stations.map((st) => ({ ...st, zoneId: findZoneForStation(st, zones)?.zoneId ?? null }));
+
+export function getZoneCentroid(points) {
+  const total = points.reduce(
+    (acc, point) => ({ x: acc.x + point.x, y: acc.y + point.y }),
+    { x: 0, y: 0 }
+  );
+
+  return { x: total.x / points.length, y: total.y / points.length };
+}
@@ -0,0 +1,308 @@
+// utils/recurringContracts.js
+import * as Crypto from "expo-crypto";
+import apiService from "../services/apiService";
+import i18n from "../services/i18n";
+
+export const RECURRENCE_FREQUENCIES = {
+  WEEKLY: "weekly", // every `interval` weeks on the start date's weekday
+  MONTHLY: "monthly", // the `weekOfMonth`-th `weekday` of every month, -1 for the last one
+  QUARTERLY: "quarterly" // every three months on the start date's day of the month
+};
+
+// Generated appointments always cover this many days ahead
+export const CONTRACT_HORIZON_DAYS = 90;
+
+export const WEEKS_OF_MONTH = [1, 2, 3, 4, -1];
+
+export const createContractId = () => Crypto.randomUUID();
+
+// Local calendar dates as YYYY-MM-DD, the format appointments are stored with
+export const toDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+export const parseDateKey = (key) => {
+  const [year, month, day] = String(key).split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Day-of-month clamped so the 31st becomes the last day of shorter months
+const dayInMonth = (year, month, day) => new Date(year, month, Math.min(day, new Date(year, month + 1, 0).getDate()));
+
+const nthWeekdayOfMonth = (year, month, weekday, nth) => {
+  if (nth === -1) {
+    const last = new Date(year, month + 1, 0);
+    return addDays(last, -((last.getDay() - weekday + 7) % 7));
+  }
+
+  const first = new Date(year, month, 1);
+  return addDays(first, ((weekday - first.getDay() + 7) % 7) + (nth - 1) * 7);
+};
+
+// Orthodox Easter Sunday (Julian computus moved to the Gregorian calendar, valid 1900-2099)
+const getOrthodoxEaster = (year) => {
+  const d = (19 * (year % 19) + 15) % 30;
+  const e = (2 * (year % 4) + 4 * (year % 7) - d + 34) % 7;
+  const month = Math.floor((d + e + 114) / 31);
+  const day = ((d + e + 114) % 31) + 1;
+
+  return new Date(year, month - 1, day + 13);
+};
+
+const holidayCache = new Map();
+
+/**
+ * Greek public holidays for a year as a set of date keys: the fixed ones
+ * plus Clean Monday, Good Friday, Easter Monday and Whit Monday.
+ */
+export function getPublicHolidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+
+  const fixed = ["01-01", "01-06", "03-25", "05-01", "08-15", "10-28", "12-25", "12-26"].map(
+    (day) => `${year}-${day}`
+  );
+  const easter = getOrthodoxEaster(year);
+  const movable = [-48, -2, 1, 50].map((offset) => toDateKey(addDays(easter, offset)));
+
+  const holidays = new Set([...fixed, ...movable]);
+  holidayCache.set(year, holidays);
+  return holidays;
+}
+
+export const isPublicHoliday = (date) => getPublicHolidays(date.getFullYear()).has(toDateKey(date));
+
+// Occurrences on a holiday move to the next working day
+const shiftOffHolidays = (date) => {
+  if (!isPublicHoliday(date)) return date;
+
+  let shifted = addDays(date, 1);
+  while (isPublicHoliday(shifted) || shifted.getDay() === 0 || shifted.getDay() === 6) {
+    shifted = addDays(shifted, 1);
+  }
+  return shifted;
+};
+
+/**
+ * Dates the contract's rule falls on between two dates, before holidays and
+ * exceptions are applied. These are the occurrence keys appointments are
+ * matched by, so they must not depend on anything but the rule.
+ *
+ * @param {Object} contract { startDate, endDate?, frequency, interval?, weekOfMonth?, weekday? }
+ * @param {string} fromKey first date to include (YYYY-MM-DD)
+ * @param {string} toKey last date to include (YYYY-MM-DD)
+ * @returns {Array<string>} date keys in order
+ */
+export function getRuleDates(contract, fromKey, toKey) {
+  const start = parseDateKey(contract.startDate);
+  const last = contract.endDate && contract.endDate < toKey ? parseDateKey(contract.endDate) : parseDateKey(toKey);
+  const from = parseDateKey(fromKey);
+  const dates = [];
+
+  const push = (date) => {
+    if (date >= start && date >= from && date <= last) dates.push(toDateKey(date));
+  };
+
+  if (contract.frequency === RECURRENCE_FREQUENCIES.WEEKLY) {
+    const step = Math.max(1, Number(contract.interval) || 1) * 7;
+    for (let date = start; date <= last; date = addDays(date, step)) push(date);
+    return dates;
+  }
+
+  const monthStep = contract.frequency === RECURRENCE_FREQUENCIES.QUARTERLY ? 3 : 1;
+  for (let i = 0; ; i += monthStep) {
+    const year = start.getFullYear() + Math.floor((start.getMonth() + i) / 12);
+    const month = (start.getMonth() + i) % 12;
+    if (new Date(year, month, 1) > last) break;
+
+    push(
+      contract.frequency === RECURRENCE_FREQUENCIES.MONTHLY
+        ? nthWeekdayOfMonth(year, month, Number(contract.weekday), Number(contract.weekOfMonth))
+        : dayInMonth(year, month, start.getDate())
+    );
+  }
+
+  return dates;
+}
+
+/**
+ * Occurrences to schedule between two dates. Holidays push an occurrence to
+ * the next working day; an exception keyed by the occurrence date either
+ * skips it or moves it to another date, time or technician.
+ *
+ * @returns {Array<{ occurrenceDate, date, time, technicianId, shifted }>}
+ */
+export function getContractOccurrences(contract, fromKey, toKey) {
+  const exceptions = contract.exceptions || {};
+
+  return getRuleDates(contract, fromKey, toKey)
+    .filter((occurrenceDate) => !exceptions[occurrenceDate]?.skip)
+    .map((occurrenceDate) => {
+      const exception = exceptions[occurrenceDate] || {};
+      const date = exception.date || toDateKey(shiftOffHolidays(parseDateKey(occurrenceDate)));
+
+      return {
+        occurrenceDate,
+        date,
+        time: exception.time || contract.time,
+        technicianId: exception.technicianId || contract.technicianId,
+        shifted: date !== occurrenceDate
+      };
+    });
+}
+
+// The next rule dates from a day on, skipped ones included so they can be restored
+export function getUpcomingOccurrences(contract, fromKey, count = 4) {
+  const until = parseDateKey(fromKey);
+  until.setFullYear(until.getFullYear() + 1);
+
+  const scheduled = new Map(
+    getContractOccurrences(contract, fromKey, toDateKey(until)).map((o) => [o.occurrenceDate, o])
+  );
+
+  return getRuleDates(contract, fromKey, toDateKey(until))
+    .slice(0, count)
+    .map((occurrenceDate) => scheduled.get(occurrenceDate) || { occurrenceDate, skipped: true });
+}
+
+const WEEKDAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+export const getWeekdayLabel = (weekday) => i18n.t(`admin.contracts.weekdays.${WEEKDAY_KEYS[weekday]}`);
+
+export const getWeekOfMonthLabel = (weekOfMonth) =>
+  i18n.t(`admin.contracts.weekOfMonth.${weekOfMonth === -1 ? "last" : weekOfMonth}`);
+
+// "Every 2 weeks", "Monthly on the 2nd Tuesday", "Quarterly"
+export function describeRecurrence(contract) {
+  if (contract.frequency === RECURRENCE_FREQUENCIES.WEEKLY) {
+    const interval = Math.max(1, Number(contract.interval) || 1);
+    return interval === 1
+      ? i18n.t("admin.contracts.describe.weekly_one")
+      : i18n.t("admin.contracts.describe.weekly_other", { count: interval });
+  }
+
+  if (contract.frequency === RECURRENCE_FREQUENCIES.MONTHLY) {
+    return i18n.t("admin.contracts.describe.monthly", {
+      week: getWeekOfMonthLabel(Number(contract.weekOfMonth)),
+      weekday: getWeekdayLabel(Number(contract.weekday))
+    });
+  }
+
+  return i18n.t("admin.contracts.describe.quarterly");
+}
+
+// The contract's compliance date is kept as an offset from the visit, so each visit gets its own
+export const getComplianceValidUntil = (contract, dateKey) =>
+  contract.complianceValidDays == null
+    ? null
+    : toDateKey(addDays(parseDateKey(dateKey), Number(contract.complianceValidDays)));
+
+export const buildOccurrencePayload = (contract, occurrence) => ({
+  contractId: contract.contractId,
+  occurrenceDate: occurrence.occurrenceDate,
+  technicianId: occurrence.technicianId,
+  customerId: contract.customerId,
+  legacyCustomerKey: contract.legacyCustomerKey,
+  appointmentDate: occurrence.date,
+  appointmentTime: occurrence.time,
+  serviceType: contract.serviceType,
+  specialServiceSubtype: contract.specialServiceSubtype,
+  otherPestName: contract.otherPestName,
+  insecticideDetails: contract.insecticideDetails,
+  disinfection_details: contract.disinfection_details,
+  appointmentCategory: contract.appointmentCategory || "contract_service",
+  serviceNetPrice: contract.serviceNetPrice,
+  serviceVatPercent: contract.serviceVatPercent,
+  serviceVatAmount: contract.serviceVatAmount,
+  servicePrice: contract.servicePrice,
+  status: "scheduled",
+  compliance_valid_until: getComplianceValidUntil(contract, occurrence.date)
+});
+
+/**
+ * Sets or clears the exception for one occurrence. Exceptions are saved as a
+ * whole, so they are merged into the contract as the server has it.
+ *
+ * @param {string} contractId
+ * @param {string} occurrenceDate rule date the exception is keyed by
+ * @param {Object|null} exception { skip: true } or { date, time, technicianId }, null to restore
+ */
+export async function setContractException(contractId, occurrenceDate, exception) {
+  const contract = (await apiService.getServiceContracts()).find((c) => c.contractId === contractId);
+  if (!contract) return { success: false, error: i18n.t("admin.contracts.notFound") };
+
+  const exceptions = { ...(contract.exceptions || {}) };
+  if (exception) {
+    exceptions[occurrenceDate] = exception;
+  } else {
+    delete exceptions[occurrenceDate];
+  }
+
+  return apiService.updateServiceContract(contractId, { exceptions });
+}
+
+// The sync in progress; the next one waits for it, so it sees what was just created
+let syncInFlight = null;
+
+/**
+ * Creates the appointments active contracts are missing up to the rolling
+ * horizon. Appointments are matched by contract and occurrence date, so a
+ * visit that was moved or edited on its own is not generated again. Syncs
+ * run one at a time, and throw when the existing appointments cannot be
+ * loaded rather than generate every occurrence again.
+ *
+ * @param {{ today?: Date, horizonDays?: number }} options
+ * @returns {Promise<number>} number of appointments created
+ */
+export function syncContractAppointments(options) {
+  const run = (syncInFlight || Promise.resolve())
+    .catch(() => {})
+    .then(() => createMissingOccurrences(options));
+
+  const clear = () => {
+    if (syncInFlight === run) syncInFlight = null;
+  };
+  syncInFlight = run;
+  run.then(clear, clear);
+
+  return run;
+}
+
+async function createMissingOccurrences({ today = new Date(), horizonDays = CONTRACT_HORIZON_DAYS } = {}) {
+  const contracts = (await apiService.getServiceContracts()).filter((contract) => contract.active !== false);
+  if (!contracts.length) return 0;
+
+  const fromKey = toDateKey(today);
+  const toKey = toDateKey(addDays(today, horizonDays));
+
+  // Moved visits can sit a little outside the window they were generated for
+  const existing = await apiService.getContractAppointments({
+    dateFrom: toDateKey(addDays(today, -31)),
+    dateTo: toDateKey(addDays(today, horizonDays + 31))
+  });
+  if (!existing.success) {
+    throw new Error(existing.error || "Existing contract appointments could not be loaded");
+  }
+
+  const generated = new Set(
+    existing.appointments.filter((a) => a.contractId).map((a) => `${a.contractId}:${a.occurrenceDate}`)
+  );
+
+  let created = 0;
+  for (const contract of contracts) {
+    const missing = getContractOccurrences(contract, fromKey, toKey).filter(
+      (occurrence) => !generated.has(`${contract.contractId}:${occurrence.occurrenceDate}`)
+    );
+
+    for (const occurrence of missing) {
+      const res = await apiService.createAppointment(buildOccurrencePayload(contract, occurrence));
+      if (res?.success) {
+        created++;
+      } else {
+        console.warn("⚠️ Contract appointment not created:", contract.contractId, occurrence.occurrenceDate, res?.error);
+      }
+    }
+  }
+
+  return created;
+}
@@ -0,0 +1,208 @@
+// utils/schedulingConflicts.js
+import apiService from "../services/apiService";
+import i18n from "../services/i18n";
+
+export const CONFLICT_TYPES = {
+  OVERLAP: "overlap",
+  CAPACITY: "capacity",
+  // The day could not be loaded, so nothing was checked
+  UNCHECKED: "unchecked"
+};
+
+// Minutes per service type until enough visits are logged to learn from
+export const DEFAULT_SERVICE_DURATIONS = {
+  myocide: 60,
+  certificate: 45,
+  insecticide: 60,
+  disinfection: 90,
+  special: 120
+};
+
+const FALLBACK_DURATION = 60;
+
+// Driving time kept free between two visits of the same technician
+export const TRAVEL_BUFFER_MINUTES = 20;
+
+// A technician's working day
+export const DAY_CAPACITY_MINUTES = 8 * 60;
+
+// Fewer logged visits than this keep the default for the service type
+const MIN_SAMPLES = 3;
+const LEARN_FROM_DAYS = 180;
+
+export const toMinutes = (time) => {
+  const match = String(time || "").match(/^(\d{1,2}):(\d{2})/);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+// Minutes after midnight back to "HH:MM"
+export const formatMinutes = (total) =>
+  `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+
+const formatHours = (minutes) => String(Math.round((minutes / 60) * 10) / 10);
+
+const getVisitMinutes = (visit) => {
+  if (visit.startTime && visit.endTime) {
+    return Math.round((new Date(visit.endTime) - new Date(visit.startTime)) / 60000);
+  }
+  // The visit timer saves the duration in seconds
+  return typeof visit.duration === "number" ? Math.round(visit.duration / 60) : null;
+};
+
+/**
+ * Estimated minutes per service type, learned from completed visits. The
+ * median is used so a visit whose timer was left running does not skew it,
+ * and types with too few visits keep their default.
+ *
+ * @param {Array} visits the `visits` of apiService.getCompletedVisitDurations
+ * @returns {Object} minutes per service type
+ */
+export function learnServiceDurations(visits) {
+  const samples = {};
+
+  visits.forEach((visit) => {
+    const minutes = getVisitMinutes(visit);
+    if (!visit.serviceType || !(minutes >= 5 && minutes <= 600)) return;
+
+    samples[visit.serviceType] = samples[visit.serviceType] || [];
+    samples[visit.serviceType].push(minutes);
+  });
+
+  const durations = { ...DEFAULT_SERVICE_DURATIONS };
+  Object.entries(samples).forEach(([serviceType, list]) => {
+    if (list.length < MIN_SAMPLES) return;
+
+    list.sort((a, b) => a - b);
+    const mid = Math.floor(list.length / 2);
+    const median = list.length % 2 ? list[mid] : (list[mid - 1] + list[mid]) / 2;
+
+    // Rounded to the 5-minute steps appointments are booked in
+    durations[serviceType] = Math.max(5, Math.round(median / 5) * 5);
+  });
+
+  return durations;
+}
+
+let durationsPromise = null;
+
+// Learned once per session, the estimates barely move from one booking to the next
+export function loadServiceDurations() {
+  if (!durationsPromise) {
+    const from = new Date();
+    from.setDate(from.getDate() - LEARN_FROM_DAYS);
+
+    durationsPromise = apiService
+      .getCompletedVisitDurations({ dateFrom: from.toISOString().split("T")[0] })
+      .then((res) => {
+        if (!res.success) throw new Error(res.error);
+        return learnServiceDurations(res.visits);
+      })
+      .catch((error) => {
+        console.warn("⚠️ Failed to learn service durations:", error);
+        durationsPromise = null;
+        return { ...DEFAULT_SERVICE_DURATIONS };
+      });
+  }
+
+  return durationsPromise;
+}
+
+export const getServiceDuration = (durations, serviceType) =>
+  durations?.[serviceType] ?? DEFAULT_SERVICE_DURATIONS[serviceType] ?? FALLBACK_DURATION;
+
+/**
+ * Checks a planned appointment against the technician's other appointments
+ * that day. Each visit takes its estimated duration, and the travel buffer
+ * has to fit between two visits whichever comes first.
+ *
+ * @param {{ id?, technicianId, date, time, serviceType }} appointment the planned appointment
+ * @param {Array} dayAppointments normalized appointments on that date
+ * @param {Object} durations minutes per service type
+ * @returns {Array<{ type, appointment?, end?, bookedMinutes?, capacityMinutes? }>} empty when there is nothing to warn about
+ */
+export function findScheduleConflicts(appointment, dayAppointments, durations) {
+  const start = toMinutes(appointment.time);
+  if (start === null) return [];
+
+  const others = dayAppointments.filter(
+    (a) =>
+      String(a.id) !== String(appointment.id) &&
+      a.status !== "cancelled" &&
+      a.date === appointment.date &&
+      String(a.technicianId) === String(appointment.technicianId) &&
+      toMinutes(a.time) !== null
+  );
+  const end = start + getServiceDuration(durations, appointment.serviceType);
+  const conflicts = [];
+
+  others.forEach((other) => {
+    const otherStart = toMinutes(other.time);
+    const otherEnd = otherStart + getServiceDuration(durations, other.serviceType);
+
+    if (start < otherEnd + TRAVEL_BUFFER_MINUTES && otherStart < end + TRAVEL_BUFFER_MINUTES) {
+      conflicts.push({ type: CONFLICT_TYPES.OVERLAP, appointment: other, end: formatMinutes(otherEnd) });
+    }
+  });
+
+  const bookedMinutes = [...others, appointment].reduce(
+    (sum, a, index) => sum + getServiceDuration(durations, a.serviceType) + (index ? TRAVEL_BUFFER_MINUTES : 0),
+    0
+  );
+  if (bookedMinutes > DAY_CAPACITY_MINUTES) {
+    conflicts.push({ type: CONFLICT_TYPES.CAPACITY, bookedMinutes, capacityMinutes: DAY_CAPACITY_MINUTES });
+  }
+
+  return conflicts;
+}
+
+/**
+ * Loads the technician's day and the learned durations, then checks the
+ * planned appointment against them. When the day cannot be loaded the
+ * result is a single UNCHECKED warning, so the admin decides whether to
+ * book blind.
+ */
+export async function checkScheduleConflicts(appointment) {
+  const [durations, day] = await Promise.all([
+    loadServiceDurations(),
+    apiService.getAppointmentList({
+      dateFrom: appointment.date,
+      dateTo: appointment.date,
+      technicianId: appointment.technicianId
+    })
+  ]);
+
+  if (!day.success) {
+    console.warn("⚠️ Could not load the day to check for conflicts:", day.error);
+    return [{ type: CONFLICT_TYPES.UNCHECKED }];
+  }
+
+  return findScheduleConflicts(appointment, day.appointments, durations);
+}
+
+// `getCustomerName` turns an appointment into the name shown in the warning
+export function describeConflict(conflict, getCustomerName = () => "") {
+  if (conflict.type === CONFLICT_TYPES.UNCHECKED) {
+    return i18n.t("admin.scheduleConflicts.unchecked");
+  }
+
+  if (conflict.type === CONFLICT_TYPES.CAPACITY) {
+    return i18n.t("admin.scheduleConflicts.capacity", {
+      booked: formatHours(conflict.bookedMinutes),
+      capacity: formatHours(conflict.capacityMinutes)
+    });
+  }
+
+  return i18n.t("admin.scheduleConflicts.overlap", {
+    customer: getCustomerName(conflict.appointment) || i18n.t("admin.scheduleConflicts.anotherCustomer"),
+    start: formatMinutes(toMinutes(conflict.appointment.time)),
+    end: conflict.end,
+    buffer: TRAVEL_BUFFER_MINUTES
+  });
+}
+
+// Saved with the appointment so the override can be looked up later
+export const buildConflictOverride = (conflicts, reason) => ({
+  conflictOverrideReason: reason.trim(),
+  conflictWarnings: conflicts.map((conflict) => conflict.type),
+  conflictOverriddenAt: new Date().toISOString()
+});
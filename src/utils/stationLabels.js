@@ -0,0 +1,157 @@
+// utils/stationLabels.js
+import QRCode from "qrcode";
+import { Platform } from "react-native";
+import * as Print from "expo-print";
+import * as Sharing from "expo-sharing";
+import i18n from "../services/i18n";
+
+// PFSTATION/<customerId>/<mapId>/<type>/<stationId>
+// Plain text rather than a pestfree:// link: a phone camera would otherwise
+// offer to open the app on a route it does not have. Labels are only read by
+// the scanner on the myocide screen.
+const STATION_QR_PREFIX = "PFSTATION/";
+
+// ---- Station label helpers ----
+export const getStationLabel = (stationType) => {
+  switch (stationType) {
+    case "RM":
+      return i18n.t("technician.myocide.stationTypes.multicatch");
+    case "ST":
+      return i18n.t("technician.myocide.stationTypes.snapTrap");
+    case "LT":
+      return i18n.t("technician.myocide.stationTypes.lightTrap");
+    case "PT":
+      return i18n.t("technician.myocide.stationTypes.pheromoneTrap");
+    case "BS":
+    default:
+      return i18n.t("technician.myocide.stationTypes.baitStation");
+  }
+};
+
+export const getMarkerLabel = (st) => `${st.type || "BS"}${st.id}`;
+
+export function buildStationQrPayload({ customerId, mapId, stationId, type }) {
+  return `${STATION_QR_PREFIX}${[customerId, mapId, type || "BS", stationId]
+    .map((part) => encodeURIComponent(String(part)))
+    .join("/")}`;
+}
+
+/**
+ * Reads a scanned label back into its parts.
+ *
+ * @returns {{ customerId: string, mapId: string, type: string, stationId: string } | null}
+ *   null when the code is not one of our station labels
+ */
+export function parseStationQrPayload(data) {
+  if (typeof data !== "string" || !data.startsWith(STATION_QR_PREFIX)) {
+    return null;
+  }
+
+  const parts = data.slice(STATION_QR_PREFIX.length).split("/");
+  if (parts.length !== 4 || parts.some((part) => !part)) return null;
+
+  const [customerId, mapId, type, stationId] = parts.map(decodeURIComponent);
+  return { customerId, mapId, type, stationId };
+}
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+export async function buildStationLabelsHtml({ customer, map }) {
+  const customerId = customer?.customerId ?? customer?.id;
+  const customerName = customer?.customerName ?? customer?.name ?? "";
+  const stations = Array.isArray(map?.stations) ? map.stations : [];
+
+  const labels = await Promise.all(
+    stations.map(async (station) => {
+      const type = station.type || "BS";
+      const qrSvg = await QRCode.toString(
+        buildStationQrPayload({
+          customerId,
+          mapId: map.mapId,
+          stationId: station.id,
+          type
+        }),
+        { type: "svg", margin: 0, errorCorrectionLevel: "M" }
+      );
+
+      return `
+        <div class="label">
+          <div class="qr">${qrSvg}</div>
+          <div class="text">
+            <div class="code">${escapeHtml(getMarkerLabel({ ...station, type }))}</div>
+            <div class="type">${escapeHtml(getStationLabel(type))}</div>
+            <div class="meta">${escapeHtml(customerName)}</div>
+            <div class="meta">${escapeHtml(map.name)}</div>
+          </div>
+        </div>`;
+    })
+  );
+
+  return `
+    <html>
+      <head>
+        <meta charset="utf-8" />
+        <style>
+          @page { size: A4; margin: 10mm; }
+          body { font-family: -apple-system, Helvetica, Arial, sans-serif; margin: 0; }
+          .sheet { display: flex; flex-wrap: wrap; gap: 4mm; }
+          .label {
+            width: 60mm; height: 30mm; box-sizing: border-box;
+            border: 1px dashed #999; border-radius: 2mm; padding: 2mm;
+            display: flex; align-items: center; gap: 2mm;
+            page-break-inside: avoid;
+          }
+          .qr { width: 25mm; height: 25mm; flex-shrink: 0; }
+          .qr svg { width: 100%; height: 100%; }
+          .text { overflow: hidden; }
+          .code { font-size: 18pt; font-weight: 700; color: #1f9c8b; }
+          .type { font-size: 9pt; font-weight: 600; }
+          .meta { font-size: 7pt; color: #555; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+          .heading { font-size: 10pt; color: #333; margin-bottom: 4mm; }
+        </style>
+      </head>
+      <body>
+        <div class="heading">
+          <strong>${escapeHtml(customerName)}</strong> · ${escapeHtml(map?.name)} ·
+          ${escapeHtml(
+            stations.length === 1
+              ? i18n.t("technician.myocide.labels.stationCount_one", { count: stations.length })
+              : i18n.t("technician.myocide.labels.stationCount_other", { count: stations.length })
+          )}
+        </div>
+        <div class="sheet">${labels.join("")}</div>
+      </body>
+    </html>`;
+}
+
+// Opens the system print dialog with one label per station on the map
+export async function printStationLabels({ customer, map }) {
+  const html = await buildStationLabelsHtml({ customer, map });
+  await Print.printAsync({ html });
+}
+
+/**
+ * Produces a PDF label sheet for a map and hands it to the share sheet so
+ * it can be saved or sent to a printer. Browsers get the print dialog,
+ * where "Save as PDF" does the same.
+ */
+export async function exportStationLabelSheet({ customer, map }) {
+  const html = await buildStationLabelsHtml({ customer, map });
+
+  if (Platform.OS === "web") {
+    await Print.printAsync({ html });
+    return;
+  }
+
+  const { uri } = await Print.printToFileAsync({ html });
+  await Sharing.shareAsync(uri, {
+    mimeType: "application/pdf",
+    UTI: "com.adobe.pdf",
+    dialogTitle: map?.name
+  });
+}
@@ -0,0 +1,136 @@
+// utils/stationLifecycle.js
+import * as Crypto from "expo-crypto";
+
+export const STATION_EVENT_TYPES = {
+  INSTALLED: "installed",
+  RELOCATED: "relocated",
+  RETIRED: "retired",
+  REPLACED: "replaced"
+};
+
+// Offered when a station is removed or swapped; "other" asks for a note
+export const STATION_CHANGE_REASONS = [
+  "damaged",
+  "missing",
+  "noLongerNeeded",
+  "customerRequest",
+  "other"
+];
+
+// Moves smaller than this (in normalised map units) are drag jitter, not a relocation
+const RELOCATION_TOLERANCE = 0.005;
+
+export const getStationKey = (st) => `${st.type || "BS"}:${st.id}`;
+
+// Stations saved before lifecycle tracking have no uid until the backend assigns one
+export const getStationUid = (st) => st?.uid ?? st?.stationUid ?? null;
+
+export const createStationUid = () => Crypto.randomUUID();
+
+const getPosition = (st) => ({ x: st.x, y: st.y });
+
+const hasMoved = (before, after) =>
+  Math.abs(before.x - after.x) > RELOCATION_TOLERANCE ||
+  Math.abs(before.y - after.y) > RELOCATION_TOLERANCE;
+
+/**
+ * Compares the stations a map was opened with against the edited set and
+ * returns what to save: the stations with their uids and install dates,
+ * plus one lifecycle event per change.
+ *
+ * Stations are matched by type and number. A replaced station keeps its
+ * number but gets a new uid, so visits logged against the old uid stay
+ * with the unit that was physically there at the time.
+ *
+ * @param {Array} original stations as last saved
+ * @param {Array} edited stations as they are now on the map
+ * @param {{ retirements?: Object, replacements?: Object }} changes
+ *   `{ reason, note }` per station, keyed by getStationKey
+ * @returns {{ stations: Array, events: Array }}
+ */
+export function buildStationSave(original, edited, { retirements = {}, replacements = {} } = {}) {
+  const at = new Date().toISOString();
+  const originalByKey = new Map(original.map((st) => [getStationKey(st), st]));
+  const editedKeys = new Set(edited.map(getStationKey));
+  const events = [];
+
+  // eventId lets the backend drop an event it has already recorded
+  const eventFor = (st, stationUid, action, extra) => ({
+    eventId: Crypto.randomUUID(),
+    stationUid,
+    stationId: st.id,
+    type: st.type || "BS",
+    action,
+    at,
+    ...extra
+  });
+
+  const stations = edited.map((st) => {
+    const key = getStationKey(st);
+    const previous = originalByKey.get(key);
+    let uid = previous ? getStationUid(previous) : null;
+    let installedAt = previous?.installedAt ?? null;
+
+    if (!previous) {
+      uid = createStationUid();
+      installedAt = at;
+      events.push(eventFor(st, uid, STATION_EVENT_TYPES.INSTALLED, { to: getPosition(st) }));
+    } else if (replacements[key]) {
+      const replacedByUid = createStationUid();
+      events.push(eventFor(previous, uid, STATION_EVENT_TYPES.REPLACED, {
+        from: getPosition(previous),
+        reason: replacements[key].reason ?? null,
+        note: replacements[key].note ?? null,
+        replacedByUid
+      }));
+      events.push(eventFor(st, replacedByUid, STATION_EVENT_TYPES.INSTALLED, {
+        to: getPosition(st),
+        replacesUid: uid
+      }));
+      uid = replacedByUid;
+      installedAt = at;
+    } else if (hasMoved(previous, st)) {
+      events.push(eventFor(st, uid, STATION_EVENT_TYPES.RELOCATED, {
+        from: getPosition(previous),
+        to: getPosition(st)
+      }));
+    }
+
+    return {
+      id: st.id,
+      type: st.type || "BS",
+      x: st.x,
+      y: st.y,
+      uid,
+      installedAt
+    };
+  });
+
+  original.forEach((st) => {
+    const key = getStationKey(st);
+    if (editedKeys.has(key)) return;
+
+    events.push(eventFor(st, getStationUid(st), STATION_EVENT_TYPES.RETIRED, {
+      from: getPosition(st),
+      reason: retirements[key]?.reason ?? null,
+      note: retirements[key]?.note ?? null
+    }));
+  });
+
+  return { stations, events };
+}
+
+/**
+ * The save to send for an edit. Until a save of the same edit goes through
+ * it is resent unchanged, with the same event ids and station uids, so a
+ * save that reached the server before timing out is not recorded twice.
+ *
+ * @param {{ input: string, save: Object }|null} pending returned by the last call, null once saved
+ * @returns {{ input: string, save: { stations: Array, events: Array } }}
+ */
+export function getPendingStationSave(pending, original, edited, changes) {
+  const input = JSON.stringify({ original, edited, changes });
+  if (pending?.input === input) return pending;
+
+  return { input, save: buildStationSave(original, edited, changes) };
+}
@@ -0,0 +1,69 @@
+// utils/stationRoute.js
+import { getStationKey } from "./stationLifecycle";
+
+export const ROUTE_ORDERS = {
+  NUMBER: "number",
+  CUSTOM: "custom"
+};
+
+// Walking by number goes through one kind of device before the next
+const TYPE_ORDER = ["BS", "RM", "ST", "LT", "PT"];
+
+const compareByNumber = (a, b) => {
+  const typeDiff = TYPE_ORDER.indexOf(a.type || "BS") - TYPE_ORDER.indexOf(b.type || "BS");
+  return typeDiff || Number(a.id) - Number(b.id);
+};
+
+/**
+ * Orders a map's stations into the route the technician walks.
+ *
+ * A custom order is a list of station keys saved with the map. Stations
+ * added to the map after it was saved are not in it yet, so they follow
+ * at the end in number order.
+ *
+ * @param {Array} stations stations on the map
+ * @param {{ order?: string, customOrder?: Array<string> }} options
+ * @returns {Array} the stations in walking order
+ */
+export function buildStationRoute(stations, { order = ROUTE_ORDERS.NUMBER, customOrder = [] } = {}) {
+  const byNumber = [...stations].sort(compareByNumber);
+  if (order !== ROUTE_ORDERS.CUSTOM || !customOrder.length) return byNumber;
+
+  const position = new Map(customOrder.map((key, index) => [key, index]));
+  const ordered = byNumber
+    .filter((st) => position.has(getStationKey(st)))
+    .sort((a, b) => position.get(getStationKey(a)) - position.get(getStationKey(b)));
+
+  return [...ordered, ...byNumber.filter((st) => !position.has(getStationKey(st)))];
+}
+
+export const findNextStation = (route, isDone) => route.find((st) => !isDone(st)) ?? null;
+
+// Stations left behind: not done, yet a station further along the route is
+export function findSkippedStations(route, isDone) {
+  let lastDone = -1;
+  route.forEach((st, index) => {
+    if (isDone(st)) lastDone = index;
+  });
+
+  return route.slice(0, lastDone).filter((st) => !isDone(st));
+}
+
+// { total, done, byType: { BS: { total, done }, ... } } in route order of types
+export function getRouteProgress(route, isDone) {
+  const byType = {};
+  let done = 0;
+
+  route.forEach((st) => {
+    const type = st.type || "BS";
+    byType[type] = byType[type] || { total: 0, done: 0 };
+    byType[type].total++;
+
+    if (isDone(st)) {
+      byType[type].done++;
+      done++;
+    }
+  });
+
+  return { total: route.length, done, byType };
+}
@@ -0,0 +1,46 @@
+// utils/territories.js
+import * as Crypto from "expo-crypto";
+import apiService from "../services/apiService";
+import { MIN_ZONE_POINTS, getZoneColor, isPointInZone } from "./mapZones";
+
+// Territories are drawn like station map zones, with at least a triangle
+export const MIN_TERRITORY_POINTS = MIN_ZONE_POINTS;
+
+export const createTerritoryId = () => Crypto.randomUUID();
+
+export const getTerritoryColor = getZoneColor;
+
+// Longitude and latitude stand in for x and y; over a service area the curvature does not matter
+const toPoint = ({ latitude, longitude }) => ({ x: longitude, y: latitude });
+
+/**
+ * The territory a location lies in. Where territories overlap the one drawn
+ * last wins, so a town drawn inside a larger region takes its customers.
+ */
+export function findTerritory(location, territories = []) {
+  if (!location) return null;
+
+  for (let i = territories.length - 1; i >= 0; i--) {
+    const territory = territories[i];
+    if (Array.isArray(territory.points) && territory.points.length >= MIN_TERRITORY_POINTS &&
+        isPointInZone(toPoint(location), territory.points.map(toPoint))) {
+      return territory;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The technician scheduled by default for a customer: the one named by the
+ * territory the customer's location lies in.
+ *
+ * @returns {Promise<{ technicianId, territory }|null>} null when no territory applies
+ */
+export async function findDefaultTechnician(customerId) {
+  const [customers, territories] = await Promise.all([apiService.getCustomers(), apiService.getTerritories()]);
+  const customer = customers.find((c) => c.customerId === String(customerId));
+  const territory = findTerritory(customer?.location, territories);
+
+  return territory?.technicianId ? { technicianId: territory.technicianId, territory } : null;
+}
@@ -0,0 +1,135 @@
+// utils/trendAlerts.js
+import * as Crypto from "expo-crypto";
+import apiService from "../services/apiService";
+import i18n from "../services/i18n";
+import { getStationKey } from "./stationLifecycle";
+
+// Logged values a threshold can be set on, per device type
+export const TREND_METRICS = {
+  BS: ["consumption"],
+  RM: ["rodents_captured"],
+  ST: ["rodents_captured"],
+  LT: ["flies", "mosquitoes", "lepidoptera", "drosophila"],
+  PT: ["insects_captured"]
+};
+
+// Consumption is a percentage; the rest are counts per visit
+const DEFAULT_THRESHOLDS = { consumption: 50 };
+const DEFAULT_COUNT_THRESHOLD = 10;
+
+export const createTrendRule = (stationType = "BS") => {
+  const metric = TREND_METRICS[stationType][0];
+
+  return {
+    ruleId: Crypto.randomUUID(),
+    stationType,
+    metric,
+    threshold: DEFAULT_THRESHOLDS[metric] ?? DEFAULT_COUNT_THRESHOLD,
+    consecutiveVisits: stationType === "BS" ? 3 : 1
+  };
+};
+
+export const getTrendMetricLabel = (metric) => i18n.t(`admin.trendAlerts.metrics.${metric}`);
+
+export const formatTrendValue = (metric, value) => (metric === "consumption" ? `${value}%` : String(value));
+
+// "Consumption above 50% on 3 consecutive visits"
+export const describeTrendRule = (rule) => {
+  const count = Math.max(1, Number(rule.consecutiveVisits) || 1);
+  const params = {
+    metric: getTrendMetricLabel(rule.metric),
+    threshold: formatTrendValue(rule.metric, rule.threshold),
+    count
+  };
+
+  return count === 1
+    ? i18n.t("admin.trendAlerts.rule_one", params)
+    : i18n.t("admin.trendAlerts.rule_other", params);
+};
+
+// Missing values (no access, field left empty) come back as NaN and break a streak
+const toNumber = (value) =>
+  value === null || value === undefined || value === ""
+    ? NaN
+    : parseFloat(String(value).replace("%", ""));
+
+const getTime = (row) => new Date(row.date).getTime() || 0;
+
+/**
+ * Checks each station's latest logs against the rules. A rule is crossed
+ * when the station's last `consecutiveVisits` logs are all above the
+ * threshold, so one bad visit does not raise an alert for a rule that asks
+ * for three.
+ *
+ * @param {Array} rules [{ ruleId, stationType, metric, threshold, consecutiveVisits }]
+ * @param {Array} trendRows logged station rows (station_id, station_type, date, values)
+ * @returns {Array} one alert per station and rule crossed, with the values that crossed it
+ */
+export function evaluateTrendAlerts(rules, trendRows) {
+  if (!rules?.length || !trendRows?.length) return [];
+
+  const historyByKey = new Map();
+  trendRows.forEach((row) => {
+    const type = String(row.station_type || "BS").toUpperCase();
+    const key = getStationKey({ id: row.station_id ?? row.station_number, type });
+    if (!historyByKey.has(key)) historyByKey.set(key, []);
+    historyByKey.get(key).push({ ...row, station_type: type });
+  });
+  historyByKey.forEach((rows) => rows.sort((a, b) => getTime(a) - getTime(b)));
+
+  const alerts = [];
+  rules.forEach((rule) => {
+    const visits = Math.max(1, Number(rule.consecutiveVisits) || 1);
+    const threshold = Number(rule.threshold);
+
+    historyByKey.forEach((rows, key) => {
+      if (rows[0].station_type !== rule.stationType || rows.length < visits) return;
+
+      const recent = rows.slice(-visits);
+      const values = recent.map((row) => toNumber(row[rule.metric]));
+      if (!values.every((value) => value > threshold)) return;
+
+      alerts.push({
+        key,
+        ruleId: rule.ruleId,
+        stationType: rule.stationType,
+        stationId: recent[0].station_id ?? recent[0].station_number,
+        metric: rule.metric,
+        threshold,
+        consecutiveVisits: visits,
+        values,
+        lastDate: recent[recent.length - 1].date
+      });
+    });
+  });
+
+  return alerts;
+}
+
+/**
+ * Trend alerts for every customer with thresholds set, for the admin
+ * notifications next to the compliance ones. Customers without rules are
+ * not queried.
+ *
+ * @param {Array} customers as returned by apiService.getCustomers
+ */
+export async function loadTrendNotifications(customers) {
+  const thresholds = await apiService.getAllTrendThresholds();
+  const names = new Map(customers.map((customer) => [String(customer.customerId), customer.customerName]));
+
+  const perCustomer = await Promise.all(
+    thresholds
+      .filter((entry) => Array.isArray(entry.rules) && entry.rules.length > 0)
+      .map(async ({ customerId, rules }) => {
+        const rows = await apiService.getCustomerTrendRows(customerId);
+
+        return evaluateTrendAlerts(rules, rows).map((alert) => ({
+          ...alert,
+          customerId,
+          customerName: names.get(String(customerId)) || ""
+        }));
+      })
+  );
+
+  return perCustomer.flat();
+}
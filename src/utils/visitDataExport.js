@@ -0,0 +1,273 @@
+// utils/visitDataExport.js
+import { Platform } from "react-native";
+import * as FileSystem from "expo-file-system/legacy";
+import * as Sharing from "expo-sharing";
+import * as XLSX from "xlsx";
+import apiService from "../services/apiService";
+import i18n from "../services/i18n";
+
+export const EXPORT_FORMATS = {
+  CSV: "csv",
+  XLSX: "xlsx"
+};
+
+const FILE_TYPES = {
+  csv: { mimeType: "text/csv", UTI: "public.comma-separated-values-text" },
+  xlsx: {
+    mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    UTI: "org.openxmlformats.spreadsheetml.sheet"
+  }
+};
+
+const STATION_TYPES = ["BS", "RM", "ST", "LT", "PT"];
+
+// Logged fields per station type, in the order the report tables show them
+const STATION_COLUMNS = {
+  BS: ["consumption", "bait_type", "dosage_g", "condition", "access"],
+  RM: ["capture", "rodents_captured", "replaced_surface", "condition", "access"],
+  ST: ["triggered", "capture", "rodents_captured", "condition", "access"],
+  LT: ["mosquitoes", "lepidoptera", "drosophila", "flies", "replace_bulb", "condition", "access"],
+  PT: ["pheromone_type", "replaced_pheromone", "insects_captured", "damaged", "condition", "access"]
+};
+
+const column = (key) => i18n.t(`technician.report.export.columns.${key}`);
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "boolean") return value ? i18n.t("common.yes") : i18n.t("common.no");
+  if (Array.isArray(value)) return value.join(", ");
+  return value;
+};
+
+// The day the visit took place, not the day of the export
+const getVisitDate = (report) => {
+  const value =
+    report.date ||
+    report.start_time ||
+    report.startTime ||
+    report.service_start_time ||
+    report.created_at;
+  const date = value ? new Date(value) : null;
+
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const getVisitColumns = (report) => {
+  const date = getVisitDate(report);
+
+  return [
+    report.customerName || report.customer_name || "",
+    date ? date.toLocaleDateString("en-GB") : "",
+    report.visitId || report.visit_id || "",
+    report.technicianName || report.technician_name || ""
+  ];
+};
+
+const getStationType = (station) => String(station.station_type || station.type || "BS").toUpperCase();
+
+/**
+ * Turns one or more visit reports into sheets: one per station type that
+ * was logged, one for the chemicals and one for the treated areas. Each row
+ * starts with the customer, visit date, visit id and technician, so reports
+ * from several visits can be stacked in the same sheet.
+ *
+ * @param {Array} reports visit reports as returned by the report endpoints
+ * @returns {Array<{ name: string, headers: Array, rows: Array }>} non-empty sheets only
+ */
+export function buildVisitDataSheets(reports) {
+  const visitHeaders = ["customer", "date", "visitId", "technician"].map(column);
+  const sheets = [];
+
+  STATION_TYPES.forEach((type) => {
+    const entries = reports.flatMap((report) =>
+      (Array.isArray(report.stations) ? report.stations : [])
+        .filter((station) => getStationType(station) === type)
+        .map((station) => ({ report, station }))
+    );
+    if (!entries.length) return;
+
+    // Light traps list "others" as free text, one column per entry
+    const othersCount = type === "LT"
+      ? Math.max(0, ...entries.map(({ station }) => (Array.isArray(station.others) ? station.others.length : 0)))
+      : 0;
+    const otherHeaders = Array.from({ length: othersCount }, (_, i) =>
+      i18n.t("technician.report.export.columns.other", { number: i + 1 })
+    );
+
+    sheets.push({
+      name: type,
+      headers: [...visitHeaders, column("station"), column("zone"), ...STATION_COLUMNS[type].map(column), ...otherHeaders],
+      rows: entries.map(({ report, station }) => [
+        ...getVisitColumns(report),
+        `${type}${station.station_number ?? station.station_id ?? ""}`,
+        station.zone_name || "",
+        ...STATION_COLUMNS[type].map((field) => formatCell(station[field])),
+        ...Array.from({ length: othersCount }, (_, i) => formatCell(station.others?.[i]))
+      ])
+    });
+  });
+
+  const chemicalRows = reports.flatMap((report) =>
+    (report.chemicalsUsed || report.chemicals_used || []).map((chemical) => [
+      ...getVisitColumns(report),
+      typeof chemical === "string" ? chemical : chemical.name || chemical.chemicalName || "",
+      formatCell(chemical.concentration ?? chemical.concentration_percent ?? chemical.concentrationPercent),
+      formatCell(chemical.volume ?? chemical.volume_ml ?? chemical.volumeMl)
+    ])
+  );
+  if (chemicalRows.length) {
+    sheets.push({
+      name: i18n.t("technician.report.export.sheets.chemicals"),
+      headers: [...visitHeaders, column("chemical"), column("concentration"), column("volume")],
+      rows: chemicalRows
+    });
+  }
+
+  // One row per chemical applied in an area, or one per area recorded without a chemical list
+  const areaRows = reports.flatMap((report) =>
+    (report.treatedAreas || report.treated_areas || []).flatMap((area, index) => {
+      const name = area.name || `${i18n.t("technician.report.treatedAreas.area")} ${index + 1}`;
+      const notes = area.areaNotes || area.notes || "";
+      const chemicals = Array.isArray(area.chemicals) && area.chemicals.length
+        ? area.chemicals
+        : [{
+            name: area.chemical || area.chemicalName,
+            concentration: area.concentrationPercent,
+            volume: area.volumeMl
+          }];
+
+      return chemicals.map((chemical) => [
+        ...getVisitColumns(report),
+        name,
+        chemical.name || chemical.chemicalName || "",
+        formatCell(chemical.concentration ?? chemical.concentrationPercent),
+        formatCell(chemical.volume ?? chemical.volumeMl),
+        notes
+      ]);
+    })
+  );
+  if (areaRows.length) {
+    sheets.push({
+      name: i18n.t("technician.report.export.sheets.treatedAreas"),
+      headers: [...visitHeaders, column("area"), column("chemical"), column("concentration"), column("volume"), column("notes")],
+      rows: areaRows
+    });
+  }
+
+  return sheets;
+}
+
+const escapeCsv = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+
+// A CSV has no sheets, so each one becomes a titled block separated by a blank line.
+// The byte order mark makes Excel read Greek text as UTF-8.
+export function buildVisitCsv(sheets) {
+  const blocks = sheets.map((sheet) =>
+    [
+      escapeCsv(sheet.name),
+      sheet.headers.map(escapeCsv).join(","),
+      ...sheet.rows.map((row) => row.map(escapeCsv).join(","))
+    ].join("\n")
+  );
+
+  return `\uFEFF${blocks.join("\n\n")}`;
+}
+
+export function buildVisitWorkbook(sheets) {
+  const workbook = XLSX.utils.book_new();
+
+  sheets.forEach((sheet) => {
+    const worksheet = XLSX.utils.aoa_to_sheet([sheet.headers, ...sheet.rows]);
+    // Sheet names are limited to 31 characters
+    XLSX.utils.book_append_sheet(workbook, worksheet, String(sheet.name).slice(0, 31));
+  });
+
+  return workbook;
+}
+
+// Visit reports come from the visit report endpoint for station services and the service log otherwise
+export async function loadVisitReport({ visitId, serviceType }) {
+  const type = String(serviceType || "").trim().toLowerCase();
+  const usesVisitReport =
+    type.includes("myocide") || type.includes("certific") || type === "st";
+
+  if (usesVisitReport) {
+    const res = await apiService.getVisitReport(visitId);
+    if (!res?.success || !res.report) {
+      throw new Error(res?.error || i18n.t("technician.report.errors.reportUnavailable"));
+    }
+    return { visitId, ...res.report };
+  }
+
+  const res = await apiService.getServiceLogByVisitId(visitId);
+  if (!res?.success || !(res.log || res.report)) {
+    throw new Error(res?.error || i18n.t("technician.report.errors.reportUnavailable"));
+  }
+  return { visitId, ...(res.log || res.report) };
+}
+
+const getFileName = (reports, format) => {
+  const first = reports[0] || {};
+  const customer = String(first.customerName || first.customer_name || "customer")
+    .replace(/\s+/g, "_")
+    .replace(/[^\w]/g, "");
+  const date = getVisitDate(first);
+  const day = date ? date.toISOString().slice(0, 10) : "undated";
+
+  return reports.length === 1
+    ? `visit_${customer}_${day}_${String(first.visitId || first.visit_id || "").substring(0, 8)}.${format}`
+    : `visits_${customer}_${day}_${reports.length}.${format}`;
+};
+
+/**
+ * Writes the visit data as CSV or XLSX and hands it to the share sheet.
+ * Browsers download the file instead.
+ *
+ * @param {{ reports: Array, format?: string }} options
+ * @returns {Promise<string|null>} the file uri or name, or null when there is nothing to export
+ */
+export async function exportVisitData({ reports, format = EXPORT_FORMATS.CSV }) {
+  const sheets = buildVisitDataSheets(reports);
+  if (!sheets.length) return null;
+
+  const fileName = getFileName(reports, format);
+  const { mimeType, UTI } = FILE_TYPES[format];
+  const isXlsx = format === EXPORT_FORMATS.XLSX;
+
+  if (Platform.OS === "web") {
+    const content = isXlsx
+      ? XLSX.write(buildVisitWorkbook(sheets), { type: "array", bookType: "xlsx" })
+      : buildVisitCsv(sheets);
+    const blobUrl = window.URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement("a");
+
+    link.href = blobUrl;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    window.setTimeout(() => window.URL.revokeObjectURL(blobUrl), 1000);
+    return fileName;
+  }
+
+  const fileUri = FileSystem.cacheDirectory + fileName;
+
+  if (isXlsx) {
+    await FileSystem.writeAsStringAsync(
+      fileUri,
+      XLSX.write(buildVisitWorkbook(sheets), { type: "base64", bookType: "xlsx" }),
+      { encoding: FileSystem.EncodingType.Base64 }
+    );
+  } else {
+    await FileSystem.writeAsStringAsync(fileUri, buildVisitCsv(sheets));
+  }
+
+  await Sharing.shareAsync(fileUri, {
+    mimeType,
+    UTI,
+    dialogTitle: i18n.t("technician.report.export.title")
+  });
+
+  return fileUri;
+}